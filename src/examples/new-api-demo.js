@@ -37,12 +37,12 @@ console.log("Basic text rendering:");
 console.log(`  Width: ${basicText.width.toFixed(1)}px`);
 console.log(`  ViewBox: ${basicText.viewBox}`);
 
-// With kerning adjustment
+// With tracking adjustment
 const kernedText = parser.path("Hello", {
   size: 72,
-  kerning: -0.1, // Tighten spacing by 10%
+  tracking: -0.1, // Tighten spacing by 10%
 });
-console.log("\nWith tight kerning (-0.1):");
+console.log("\nWith tight tracking (-0.1):");
 console.log(`  Width: ${kernedText.width.toFixed(1)}px`);
 
 // Variable font variations
@@ -69,12 +69,12 @@ const examples = [
   { text: "Hello", options: { size: 72 }, filename: "new-api-basic.svg" },
   {
     text: "Hello",
-    options: { size: 72, kerning: -0.2 },
+    options: { size: 72, tracking: -0.2 },
     filename: "new-api-tight.svg",
   },
   {
     text: "Hello",
-    options: { size: 72, kerning: 0.1 },
+    options: { size: 72, tracking: 0.1 },
     filename: "new-api-loose.svg",
   },
 ];
@@ -121,7 +121,7 @@ const font = await parser.from('https://fonts.com/myfont.woff2');
 // Generate paths
 const result = parser.path('Hello World', {
   size: 48,
-  kerning: -0.05,
+  tracking: -0.05,
   variable: { wght: 600, wdth: 120 }
 });
 
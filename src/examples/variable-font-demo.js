@@ -23,6 +23,14 @@ if (font.data.isVariable) {
       `    ${axis.tag}: ${axis.min} to ${axis.max} (default: ${axis.default})`
     );
   });
+
+  console.log("  Named Instances:");
+  font.data.instances.forEach((instance) => {
+    const coords = Object.entries(instance.coordinates)
+      .map(([tag, value]) => `${tag}=${value}`)
+      .join(", ");
+    console.log(`    ${instance.name.padEnd(20)} ${coords}`);
+  });
 }
 
 console.log("\n=== TESTING VIEWBOX CONSISTENCY ===\n");
@@ -88,7 +96,7 @@ console.log("─".repeat(60));
 kerningTests.forEach((test) => {
   const result = parser.path(testText, {
     size: fontSize,
-    kerning: test.kerning,
+    tracking: test.kerning,
     variable: { wght: 400, wdth: 400 },
   });
 
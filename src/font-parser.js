@@ -4,7 +4,10 @@
  * Features:
  * - Zero dependencies
  * - TrueType + CFF (OpenType) support
- * - Variable font support with axis scaling
+ * - Font collections (.ttc/.otc)
+ * - COLR/CPAL color glyphs (v0 layers, v1 gradients and composites)
+ * - WOFF and WOFF2 web fonts (built-in inflate and Brotli decoders)
+ * - Variable font support (gvar glyph variations)
  * - Transform-free SVG output (coordinates embedded directly)
  * - Optimized for canvas manipulation and path sampling
  *
@@ -26,7 +29,9 @@ class FontParser {
 
     // Parsed font structure
     this.tables = {};
-    this.fontType = null; // 'truetype' or 'cff'
+    this.faceOffsets = []; // Offset table of each face (one unless a collection)
+    this.faceIndex = 0;
+    this.fontType = null; // 'truetype', 'cff' or 'cff2'
     this.unitsPerEm = 1000;
 
     // Font metrics
@@ -37,10 +42,23 @@ class FontParser {
     this.ascender = 0;
     this.descender = 0;
     this.lineGap = 0;
+    this.os2 = null;
 
     // Glyph data
     this.horizontalMetrics = [];
     this.charToGlyph = new Map();
+    this.cmapGlyphRanges = []; // Format 13 ranges, resolved on lookup
+    this.variationSequences = new Map();
+    this.nameRecords = [];
+    this.post = null;
+    this.glyphNames = [];
+    this.glyphNameToId = null;
+    this.kernSubtables = [];
+    this.gdef = null;
+    this.gsub = null;
+    this.gpos = null;
+    this.colr = null;
+    this.palettes = [];
     this.glyphCache = new Map();
     this.indexToLocFormat = 0;
     this.glyphOffsets = [];
@@ -48,7 +66,13 @@ class FontParser {
     // Variable font data
     this.isVariableFont = false;
     this.variationAxes = [];
+    this.namedInstances = [];
     this.currentAxisValues = {};
+    this.normalizedCoords = [];
+    this.avarSegmentMaps = null;
+    this.gvarData = null;
+    this.hvarData = null;
+    this.mvarData = null;
 
     // CFF data
     this.cffData = null;
@@ -57,6 +81,11 @@ class FontParser {
     this.cffLocalSubrs = [];
     this.cffGlobalBias = 107;
     this.cffLocalBias = 107;
+    this.cffFontDicts = [];
+    this.cffFDSelect = null;
+    this.cffVariationStore = null;
+    this.cffCharset = null;
+    this.cffEncoding = null;
 
     // Public API data
     this._data = null;
@@ -69,22 +98,24 @@ class FontParser {
   /**
    * Load font from URL (async)
    * @param {string} url - Font file URL
+   * @param {Object} options - Same as fromBuffer()
    * @returns {FontParser} this
    */
-  async from(url) {
+  async from(url, options = {}) {
     const response = await fetch(url);
     const arrayBuffer = await response.arrayBuffer();
-    return this.fromBuffer(arrayBuffer);
+    return this.fromBuffer(arrayBuffer, options);
   }
 
   /**
    * Load font from buffer (sync)
-   * @param {ArrayBuffer} fontBuffer - Font file data
+   * @param {ArrayBuffer} fontBuffer - Font file data (TTF, OTF, TTC, OTC, WOFF or WOFF2)
+   * @param {Object} options - {faceIndex}: face to load from a collection (default: 0)
    * @returns {FontParser} this
    */
-  fromBuffer(fontBuffer) {
-    this._initializeFont(fontBuffer);
-    this._parseFont();
+  fromBuffer(fontBuffer, options = {}) {
+    this._initializeFont(this._decodeWebFont(fontBuffer));
+    this._parseFont(options.faceIndex ?? 0);
     this._buildMetadata();
     return this;
   }
@@ -97,14 +128,113 @@ class FontParser {
     return this._data;
   }
 
+  /**
+   * Get a string from the name table
+   * @param {number} nameID - Name ID (1 = family, 4 = full name, 6 = PostScript, ...)
+   * @param {string|number} lang - BCP 47 tag (e.g. "en", "fr-CA") or raw languageID (default: "en")
+   * @returns {string|null} Best matching name, falling back to English, then any record
+   */
+  getName(nameID, lang = "en") {
+    return this._findName(this.nameRecords, nameID, lang);
+  }
+
+  /**
+   * List the faces of a font collection (a single entry for other fonts)
+   * @returns {Array} [{index, name, names}], with names shaped like data.names
+   */
+  getFaces() {
+    return this.faceOffsets.map((faceOffset, index) => {
+      const tables = this._readTableDirectory(faceOffset);
+      const records = tables.name
+        ? this._readNameRecords(tables.name.offset)
+        : [];
+      return {
+        index,
+        name: this._extractFontName(records),
+        names: this._extractNames(records),
+      };
+    });
+  }
+
+  /**
+   * List the CPAL color palettes
+   * @returns {Array} [{index, name, colors, usableWithLightBackground, usableWithDarkBackground}],
+   *   colors as CSS hex strings
+   */
+  getPalettes() {
+    return this.palettes.map((palette, index) => ({
+      index,
+      name: palette.nameID !== 0xffff ? this.getName(palette.nameID) : null,
+      colors: palette.colors.map(({ red, green, blue, alpha }) =>
+        this._formatHexColor(red, green, blue, alpha)
+      ),
+      usableWithLightBackground: !!(palette.type & 0x0001),
+      usableWithDarkBackground: !!(palette.type & 0x0002),
+    }));
+  }
+
+  /**
+   * List layout scripts, languages and feature tags from GSUB and GPOS
+   * @returns {Object} {features, scripts: {script: {language: [tags]}}, names}
+   */
+  getFeatures() {
+    const scripts = {};
+    const names = {};
+
+    for (const layout of [this.gsub, this.gpos].filter(Boolean)) {
+      for (const [scriptTag, script] of Object.entries(layout.scripts)) {
+        const languages = scripts[scriptTag.trim()] || {};
+        scripts[scriptTag.trim()] = languages;
+
+        const langSysEntries = [
+          ["dflt", script.defaultLangSys],
+          ...Object.entries(script.languages),
+        ];
+        for (const [languageTag, langSys] of langSysEntries) {
+          if (!langSys) continue;
+          const tags = new Set(languages[languageTag.trim()]);
+          for (const index of langSys.featureIndices) {
+            if (layout.features[index]) tags.add(layout.features[index].tag);
+          }
+          languages[languageTag.trim()] = [...tags].sort();
+        }
+      }
+
+      for (const feature of layout.features) {
+        if (feature.uiNameID && !names[feature.tag]) {
+          names[feature.tag] = this.getName(feature.uiNameID);
+        }
+      }
+    }
+
+    const features = new Set(
+      Object.values(scripts).flatMap((languages) =>
+        Object.values(languages).flat()
+      )
+    );
+    return { features: [...features].sort(), scripts, names };
+  }
+
   /**
    * Convert text to SVG paths with embedded coordinates
    * @param {string} text - Text to convert
    * @param {Object} options - Rendering options
    * @param {number} options.size - Font size (default: 72)
-   * @param {number} options.kerning - Kerning adjustment -1 to 1 (default: 0)
+   * @param {number} options.tracking - Adds this fraction of each advance, -1 to 1 (default: 0)
+   * @param {number} options.kerning - Deprecated alias for tracking
+   * @param {boolean} options.fontKerning - Apply the font's GPOS or kern table pair
+   *   kerning (default: true)
+   * @param {string} options.script - OpenType script tag (default: detected from text)
+   * @param {string} options.language - OpenType language system tag (default: script default)
+   * @param {Object} options.features - Feature tag settings like CSS font-feature-settings
+   *   (e.g. {ss01: true, liga: false, salt: 2})
    * @param {Object} options.variable - Variable font axis values
-   * @returns {Object} SVG data with paths, viewBox, dimensions, and metadata
+   * @param {string|number} options.instance - Named instance (name or index)
+   * @param {number|Object} options.palette - CPAL palette index, or {index, colors} where
+   *   colors overrides palette entries with CSS colors (e.g. {2: "#ff0000"}) (default: 0)
+   * @param {string} options.idPrefix - Prefix for the ids of gradients, clip paths and
+   *   masks in `defs` (default: "colr")
+   * @returns {Object} SVG data with paths, defs, viewBox, dimensions, and metadata
    */
   path(text, options = {}) {
     if (!this.buffer) {
@@ -114,7 +244,10 @@ class FontParser {
     const opts = this._normalizeOptions(options);
     const scale = opts.size / this.unitsPerEm;
 
-    // Apply variable font settings
+    // Apply variable font settings (explicit axis values override the instance)
+    if (opts.instance !== null && this.isVariableFont) {
+      this.setInstance(opts.instance);
+    }
     if (opts.variable && this.isVariableFont) {
       this.setVariation(opts.variable);
     }
@@ -126,7 +259,14 @@ class FontParser {
     const viewBoxData = this._calculateViewBox(pathResults, opts.size);
 
     return {
-      paths: pathResults.paths.map((p) => `<path d="${p.path}"/>`).join("\n"),
+      paths: pathResults.paths
+        .map(
+          (p) =>
+            p.svg ??
+            (p.layers || [p]).map((layer) => this._svgPath(layer)).join("\n")
+        )
+        .join("\n"),
+      defs: pathResults.defs.join("\n"),
       viewBox: `${viewBoxData.x} ${viewBoxData.y} ${viewBoxData.width} ${viewBoxData.height}`,
       width: viewBoxData.textWidth,
       height: viewBoxData.textHeight,
@@ -159,7 +299,11 @@ class FontParser {
       }
     }
 
+    this._updateNormalizedCoords();
     this.glyphCache.clear(); // Clear cache when variation changes
+    if (this._data) {
+      this._data.metrics = this._getLineMetrics();
+    }
     return this;
   }
 
@@ -179,6 +323,55 @@ class FontParser {
     return this.variationAxes ? [...this.variationAxes] : [];
   }
 
+  /**
+   * Get named instances defined in the fvar table
+   * @returns {Array} Instances with name, coordinates and optional postScriptName
+   */
+  getInstances() {
+    return this.namedInstances.map((instance) => ({
+      ...instance,
+      coordinates: { ...instance.coordinates },
+    }));
+  }
+
+  /**
+   * Apply a named instance's axis coordinates
+   * @param {string|number} instance - Subfamily name (e.g. "Bold") or index
+   * @returns {FontParser} this
+   */
+  setInstance(instance) {
+    if (!this.isVariableFont) return this;
+
+    const match =
+      typeof instance === "number"
+        ? this.namedInstances[instance]
+        : this.namedInstances.find(
+            (candidate) =>
+              candidate.name?.toLowerCase() ===
+                String(instance).toLowerCase() ||
+              candidate.postScriptName === instance
+          );
+
+    if (!match) {
+      throw new Error(`Unknown named instance: ${instance}`);
+    }
+
+    return this.setVariation(match.coordinates);
+  }
+
+  /**
+   * Get normalized axis coordinates (-1..0..1, after avar remapping)
+   * @returns {Object} Axis tag/normalized value pairs
+   */
+  getNormalizedCoords() {
+    return Object.fromEntries(
+      this.variationAxes.map((axis, i) => [
+        axis.tag,
+        this.normalizedCoords[i] || 0,
+      ])
+    );
+  }
+
   // ============================================================================
   // INTERNAL IMPLEMENTATION
   // ============================================================================
@@ -194,6 +387,13 @@ class FontParser {
     this.tables = {};
     this.glyphCache.clear();
     this.charToGlyph.clear();
+    this.cmapGlyphRanges = [];
+    this.variationSequences.clear();
+    this.cffFontDicts = [];
+    this.cffFDSelect = null;
+    this.cffVariationStore = null;
+    this.cffCharset = null;
+    this.cffEncoding = null;
   }
 
   /**
@@ -203,8 +403,19 @@ class FontParser {
   _normalizeOptions(options) {
     return {
       size: Math.max(1, options.size || 72),
-      kerning: Math.max(-1, Math.min(1, options.kerning || 0)),
+      // `kerning` is the former name of the tracking multiplier
+      tracking: Math.max(
+        -1,
+        Math.min(1, options.tracking ?? options.kerning ?? 0)
+      ),
+      fontKerning: options.fontKerning !== false,
+      script: options.script || null,
+      language: options.language || null,
+      features: options.features || {},
       variable: options.variable || {},
+      instance: options.instance ?? null,
+      palette: options.palette ?? 0,
+      idPrefix: options.idPrefix || "colr",
     };
   }
 
@@ -219,55 +430,66 @@ class FontParser {
     let maxY = -Infinity;
 
     // Calculate baseline metrics
-    const ascender = this.ascender || this.yMax || this.unitsPerEm * 0.8;
-    const descender = this.descender || this.yMin || -this.unitsPerEm * 0.2;
+    const { ascender, descender } = this._getLineMetrics();
     const scaledAscender = ascender * scale;
     const scaledDescender = descender * scale;
     const baselineY = scaledAscender; // SVG coordinate system
 
-    for (const char of text) {
-      if (char === " ") {
-        currentX += opts.size * 0.3; // Space width
-        continue;
+    const glyphs = this._layoutText(text, opts);
+    const colorContext = this.colr
+      ? this._createColorContext(opts.palette, opts.idPrefix)
+      : null;
+
+    glyphs.forEach((glyph, i) => {
+      if (glyph.char === " ") {
+        currentX += opts.size * 0.3 + glyph.kerning * scale; // Space width
+        return;
       }
 
-      const glyphId = this.getGlyphId(char);
-      const pathData = this.glyphToSVGPath(char, {
+      // Pair kerning is carried by the previous glyph's advance
+      const kerning = i > 0 ? glyphs[i - 1].kerning * scale : 0;
+      const glyphX = currentX + glyph.xOffset * scale;
+      const glyphY = baselineY - glyph.yOffset * scale;
+
+      const pathOptions = {
         scale,
         flipY: true,
-        offsetX: currentX,
-        offsetY: baselineY,
-      });
+        offsetX: glyphX,
+        offsetY: glyphY,
+      };
+
+      const color =
+        colorContext &&
+        this._renderColorGlyph(glyph.glyphId, colorContext, pathOptions);
+      const pathData = color
+        ? color.path
+        : this._glyphIdToSVGPath(glyph.glyphId, pathOptions);
 
       if (pathData) {
-        const bounds = this.getGlyphBounds(char, {
-          scale,
-          flipY: true,
-          offsetX: currentX,
-          offsetY: baselineY,
-        });
+        const bounds = color
+          ? color.bounds
+          : this._getGlyphIdBounds(glyph.glyphId, pathOptions);
 
         if (bounds) {
           minY = Math.min(minY, bounds.minY);
           maxY = Math.max(maxY, bounds.maxY);
         }
 
-        const metrics = this.getGlyphMetrics(glyphId);
-        paths.push({
-          char,
+        const character = {
+          char: glyph.char,
           path: pathData,
-          x: currentX,
-          y: baselineY,
-          advance: metrics.advanceWidth * scale,
-        });
+          x: glyphX,
+          y: glyphY,
+          advance: glyph.advanceWidth * scale,
+          kerning,
+        };
+        if (color?.layers) character.layers = color.layers;
+        if (color?.svg !== undefined) character.svg = color.svg;
+        paths.push(character);
       }
 
-      // Advance with kerning
-      const metrics = this.getGlyphMetrics(glyphId);
-      const advance = metrics.advanceWidth * scale;
-      const kerningAdjustment = opts.kerning * advance;
-      currentX += advance + kerningAdjustment;
-    }
+      currentX += glyph.xAdvance * scale;
+    });
 
     return {
       paths,
@@ -277,9 +499,119 @@ class FontParser {
       baseline: baselineY,
       ascender: scaledAscender,
       descender: scaledDescender,
+      defs: colorContext ? colorContext.defs : [],
     };
   }
 
+  /**
+   * Map text to a positioned glyph run (font units)
+   * @private
+   */
+  _layoutText(text, opts) {
+    const script = opts.script || this._detectScript(text);
+
+    // Variation selectors pick the previous character's glyph instead of
+    // rendering on their own; after whitespace they are dropped, so spaces
+    // keep their plain " " char
+    const glyphs = [];
+    for (const char of text) {
+      const previous = glyphs[glyphs.length - 1];
+      if (!VARIATION_SELECTOR.test(char)) {
+        glyphs.push({ glyphId: this.getGlyphId(char), char });
+      } else if (
+        previous &&
+        !/\s/.test(previous.char) &&
+        !VARIATION_SELECTOR.test(previous.char)
+      ) {
+        previous.glyphId = this.getGlyphId(previous.char, char);
+        previous.char += char;
+      }
+    }
+
+    const features = this._resolveFeatures(opts);
+    if (this.gsub) {
+      const lookups = this._getFeatureLookups(
+        this.gsub,
+        features,
+        script,
+        opts.language
+      );
+      this._applyGsubLookups(glyphs, lookups);
+    }
+
+    for (const glyph of glyphs) {
+      const { advanceWidth } = this.getGlyphMetrics(glyph.glyphId);
+      Object.assign(glyph, {
+        advanceWidth,
+        xAdvance: advanceWidth,
+        xOffset: 0,
+        yOffset: 0,
+        kerning: 0,
+      });
+
+      if (this._isMarkGlyph(glyph.glyphId)) {
+        // Combining marks never move the pen
+        glyph.advanceWidth = 0;
+        glyph.xAdvance = 0;
+      } else if (glyph.char !== " ") {
+        glyph.xAdvance += opts.tracking * glyph.advanceWidth;
+      }
+    }
+
+    this._applyPositioning(glyphs, features, script, opts);
+    return glyphs;
+  }
+
+  /**
+   * Merge default features with options.features into tag -> value
+   * (0 disables, 1 enables, n > 1 picks the nth alternate)
+   * @private
+   */
+  _resolveFeatures(opts) {
+    const defaults = ["ccmp", "liga", "clig", "mark", "mkmk"];
+    if (opts.fontKerning) defaults.push("kern");
+
+    const features = new Map(defaults.map((tag) => [tag, 1]));
+    for (const [tag, value] of Object.entries(opts.features)) {
+      features.set(tag, Math.max(0, Math.floor(Number(value)) || 0));
+    }
+    return features;
+  }
+
+  /**
+   * Apply GPOS kerning and mark attachment, or the legacy kern table
+   * when the font has no GPOS kerning
+   * @private
+   */
+  _applyPositioning(glyphs, features, script, opts) {
+    const lookups = this.gpos
+      ? this._getFeatureLookups(this.gpos, features, script, opts.language)
+      : [];
+    this._applyGposLookups(glyphs, lookups);
+
+    const hasGposKerning = lookups.some(({ features: tags }) =>
+      tags.includes("kern")
+    );
+    if (!features.get("kern") || hasGposKerning) return;
+    for (let i = 1; i < glyphs.length; i++) {
+      const value = this.getKerning(glyphs[i - 1].glyphId, glyphs[i].glyphId);
+      glyphs[i - 1].xAdvance += value;
+      glyphs[i - 1].kerning += value;
+    }
+  }
+
+  /**
+   * Pick the OpenType script tag of the first character with a known script
+   * @private
+   */
+  _detectScript(text) {
+    for (const char of text) {
+      const match = SCRIPT_TAGS.find(([pattern]) => pattern.test(char));
+      if (match) return match[1];
+    }
+    return "DFLT";
+  }
+
   /**
    * Calculate tight viewBox for generated paths
    * @private
@@ -308,9 +640,15 @@ class FontParser {
   _buildMetadata() {
     this._data = {
       name: this._extractFontName(),
+      names: this._extractNames(),
+      faceIndex: this.faceIndex,
+      faces: this.getFaces(),
       unitsPerEm: this.unitsPerEm,
       isVariable: this.isVariableFont,
       axes: this.isVariableFont ? this.getAxes() : [],
+      instances: this.isVariableFont ? this.getInstances() : [],
+      features: this.getFeatures(),
+      palettes: this.getPalettes(),
       tables: Object.keys(this.tables),
       bounds: {
         xMin: this.xMin,
@@ -318,22 +656,102 @@ class FontParser {
         xMax: this.xMax,
         yMax: this.yMax,
       },
-      metrics: {
-        ascender: this.ascender || this.yMax || this.unitsPerEm * 0.8,
-        descender: this.descender || this.yMin || -this.unitsPerEm * 0.2,
-        lineGap: this.lineGap || 0,
-      },
+      metrics: this._getLineMetrics(),
+      os2: this.os2 ? structuredClone(this.os2) : null,
+      post: this.post ? { ...this.post } : null,
       numGlyphs: this._getNumGlyphs(),
     };
   }
 
   /**
-   * Extract font name (simplified)
+   * Get line and design metrics at the current variation (MVAR deltas applied)
+   * @private
+   */
+  _getLineMetrics() {
+    const os2 = this.os2;
+    const delta = (tag) => this._getMetricDelta(tag);
+
+    // USE_TYPO_METRICS wins, then hhea, then OS/2 typo or win values
+    let ascender, descender, lineGap;
+    if (
+      os2?.fsSelection.useTypoMetrics &&
+      (os2.typoAscender || os2.typoDescender)
+    ) {
+      ascender = os2.typoAscender + delta("hasc");
+      descender = os2.typoDescender + delta("hdsc");
+      lineGap = os2.typoLineGap + delta("hlgp");
+    } else if (this.ascender || this.descender) {
+      ascender = this.ascender + delta("hasc");
+      descender = this.descender + delta("hdsc");
+      lineGap = this.lineGap + delta("hlgp");
+    } else if (os2?.typoAscender || os2?.typoDescender) {
+      ascender = os2.typoAscender + delta("hasc");
+      descender = os2.typoDescender + delta("hdsc");
+      lineGap = os2.typoLineGap + delta("hlgp");
+    } else if (os2?.winAscent || os2?.winDescent) {
+      ascender = os2.winAscent + delta("hcla");
+      descender = -(os2.winDescent + delta("hcld"));
+      lineGap = 0;
+    } else {
+      ascender = this.yMax || this.unitsPerEm * 0.8;
+      descender = this.yMin || -this.unitsPerEm * 0.2;
+      lineGap = 0;
+    }
+
+    const metrics = { ascender, descender, lineGap };
+    if (this.post) {
+      metrics.underline = {
+        position: this.post.underlinePosition + delta("undo"),
+        thickness: this.post.underlineThickness + delta("unds"),
+      };
+    }
+    if (!os2) return metrics;
+
+    return {
+      ...metrics,
+      xHeight: os2.xHeight + delta("xhgt"),
+      capHeight: os2.capHeight + delta("cpht"),
+      strikeout: {
+        size: os2.strikeoutSize + delta("strs"),
+        position: os2.strikeoutPosition + delta("stro"),
+      },
+      subscript: {
+        xSize: os2.subscript.xSize + delta("sbxs"),
+        ySize: os2.subscript.ySize + delta("sbys"),
+        xOffset: os2.subscript.xOffset + delta("sbxo"),
+        yOffset: os2.subscript.yOffset + delta("sbyo"),
+      },
+      superscript: {
+        xSize: os2.superscript.xSize + delta("spxs"),
+        ySize: os2.superscript.ySize + delta("spys"),
+        xOffset: os2.superscript.xOffset + delta("spxo"),
+        yOffset: os2.superscript.yOffset + delta("spyo"),
+      },
+    };
+  }
+
+  /**
+   * Extract display name (full name, falling back to family)
+   * @private
+   */
+  _extractFontName(records = this.nameRecords) {
+    return (
+      this._findName(records, 4, "en") ||
+      this._findName(records, 1, "en") ||
+      "Unknown Font"
+    );
+  }
+
+  /**
+   * Extract the standard name table entries
    * @private
    */
-  _extractFontName() {
-    // TODO: Implement proper name table parsing
-    return "Unknown Font";
+  _extractNames(records = this.nameRecords) {
+    const names = {};
+    for (const [key, nameID] of Object.entries(NAME_IDS)) {
+      names[key] = this._findName(records, nameID, "en");
+    }
+    return names;
   }
 
   /**
@@ -387,6 +805,14 @@ class FontParser {
     return value;
   }
 
+  /**
+   * Read unsigned 24-bit integer (big-endian)
+   * @private
+   */
+  readUint24() {
+    return (this.readUint8() << 16) | this.readUint16();
+  }
+
   /**
    * Read unsigned 32-bit integer (big-endian)
    * @private
@@ -474,21 +900,37 @@ class FontParser {
    * Parse font structure and tables
    * @private
    */
-  _parseFont() {
-    this.offset = 0;
+  _parseFont(faceIndex) {
+    // Collections list one offset table per face; table offsets are always
+    // relative to the start of the file, so faces can share table data
+    this.faceOffsets = this._readFaceOffsets();
+    if (
+      !Number.isInteger(faceIndex) ||
+      faceIndex < 0 ||
+      faceIndex >= this.faceOffsets.length
+    ) {
+      throw new Error(
+        `Face index ${faceIndex} out of range (font has ${this.faceOffsets.length} faces)`
+      );
+    }
+    this.faceIndex = faceIndex;
 
     // Read table directory
-    const sfntVersion = this.readUint32();
-    const numTables = this.readUint16();
-    this.offset += 6; // Skip searchRange, entrySelector, rangeShift
-
-    // Read table records
-    this._parseTableDirectory(numTables);
+    this.tables = this._readTableDirectory(this.faceOffsets[faceIndex]);
 
     // Parse essential tables in order
     this._parseHeadTable();
     this._parseCmapTable();
     this._parseHmtxTable();
+    this._parseOS2Table();
+    this._parseNameTable();
+    this._parsePostTable();
+    this._parseKernTable();
+    this._parseGdefTable();
+    this.gsub = this.tables.GSUB ? this._parseLayoutTable("GSUB") : null;
+    this.gpos = this.tables.GPOS ? this._parseLayoutTable("GPOS") : null;
+    this._parseColrTable();
+    this._parseCpalTable();
 
     // Determine font type and parse outlines
     this._determineFontType();
@@ -498,17 +940,37 @@ class FontParser {
   }
 
   /**
-   * Parse table directory
+   * Read the offset table of each face from a 'ttcf' collection header
+   * (a single face at offset 0 for other fonts)
+   * @private
+   */
+  _readFaceOffsets() {
+    this.seek(0);
+    if (this.readTag() !== "ttcf") return [0];
+
+    this.offset += 4; // Skip majorVersion, minorVersion
+    const numFonts = this.readUint32();
+    return Array.from({ length: numFonts }, () => this.readUint32());
+  }
+
+  /**
+   * Read the table directory of the face at offset
    * @private
    */
-  _parseTableDirectory(numTables) {
+  _readTableDirectory(offset) {
+    this.seek(offset + 4); // Skip sfntVersion
+    const numTables = this.readUint16();
+    this.offset += 6; // Skip searchRange, entrySelector, rangeShift
+
+    const tables = {};
     for (let i = 0; i < numTables; i++) {
       const tag = this.readTag();
       this.readUint32(); // Skip checksum
-      const offset = this.readUint32();
+      const tableOffset = this.readUint32();
       const length = this.readUint32();
-      this.tables[tag] = { tag, offset, length };
+      tables[tag] = { tag, offset: tableOffset, length };
     }
+    return tables;
   }
 
   /**
@@ -522,9 +984,12 @@ class FontParser {
     } else if (this.tables["CFF "]) {
       this.fontType = "cff";
       this._parseCFFTable();
+    } else if (this.tables.CFF2) {
+      this.fontType = "cff2";
+      this._parseCFF2Table();
     } else {
       throw new Error(
-        "Unsupported font type - no glyf/loca or CFF table found"
+        "Unsupported font type - no glyf/loca, CFF or CFF2 table found"
       );
     }
   }
@@ -535,9 +1000,31 @@ class FontParser {
    */
   _parseVariableFontTables() {
     this.isVariableFont = !!this.tables.fvar;
+    this.namedInstances = [];
+    this.normalizedCoords = [];
+    this.avarSegmentMaps = null;
+    this.gvarData = null;
+    this.hvarData = null;
+    this.mvarData = null;
+
     if (this.isVariableFont) {
       this.currentAxisValues = {};
       this._parseFvarTable();
+
+      if (this.tables.avar) {
+        this._parseAvarTable();
+      }
+      this._updateNormalizedCoords();
+
+      if (this.tables.gvar && this.fontType === "truetype") {
+        this._parseGvarTable();
+      }
+      if (this.tables.HVAR) {
+        this._parseHvarTable();
+      }
+      if (this.tables.MVAR) {
+        this._parseMvarTable();
+      }
     }
   }
 
@@ -571,58 +1058,210 @@ class FontParser {
       throw new Error("Required cmap table not found");
     }
 
-    this.seek(this.tables.cmap.offset);
+    const cmapStart = this.tables.cmap.offset;
+    this.seek(cmapStart);
     this.offset += 2; // Skip version
     const numTables = this.readUint16();
 
-    // Find Unicode subtable (prefer platform 3 encoding 1)
-    let subtableOffset = null;
-    for (let i = 0; i < numTables; i++) {
-      const platformID = this.readUint16();
-      const encodingID = this.readUint16();
-      const offset = this.readUint32();
+    const records = Array.from({ length: numTables }, () => ({
+      platformID: this.readUint16(),
+      encodingID: this.readUint16(),
+      offset: cmapStart + this.readUint32(),
+    }));
 
-      if (
-        (platformID === 3 && encodingID === 1) ||
-        (platformID === 0 && encodingID === 3)
-      ) {
-        subtableOffset = this.tables.cmap.offset + offset;
-        break;
+    // Full-repertoire Unicode first, then BMP Unicode, symbol and legacy
+    const candidates = records
+      .map((record) => ({
+        ...record,
+        priority: CMAP_SUBTABLE_PRIORITY.indexOf(
+          `${record.platformID}/${record.encodingID}`
+        ),
+      }))
+      .filter((record) => record.priority !== -1)
+      .sort((a, b) => a.priority - b.priority);
+
+    const uvsRecord = records.find(
+      (record) => record.platformID === 0 && record.encodingID === 5
+    );
+    if (uvsRecord) this._parseCmapFormat14(uvsRecord.offset);
+
+    for (const record of candidates) {
+      const toUnicode = this._getCmapDecoder(record);
+      const codeMap = toUnicode && this._parseCmapSubtable(record.offset);
+      if (!codeMap) continue;
+
+      for (const [code, glyphId] of codeMap) {
+        const codePoint = toUnicode(code);
+        if (codePoint !== null && glyphId !== 0) {
+          this.charToGlyph.set(codePoint, glyphId);
+        }
+      }
+
+      // Symbol fonts put their repertoire at U+F020-F0FF; also map it
+      // from the plain 8-bit codes text will actually contain
+      if (record.platformID === 3 && record.encodingID === 0) {
+        for (const [code, glyphId] of codeMap) {
+          if (code >= 0xf000 && code <= 0xf0ff && glyphId !== 0) {
+            if (!this.charToGlyph.has(code - 0xf000)) {
+              this.charToGlyph.set(code - 0xf000, glyphId);
+            }
+          }
+        }
       }
+      return;
     }
 
-    if (!subtableOffset) {
-      throw new Error("No Unicode cmap subtable found");
+    throw new Error("No supported cmap subtable found");
+  }
+
+  /**
+   * Code -> Unicode converter for a cmap encoding record (null if the
+   * encoding can't be decoded here)
+   * @private
+   */
+  _getCmapDecoder({ platformID, encodingID }) {
+    if (platformID === 0 || platformID === 3) {
+      const label = CMAP_LEGACY_ENCODINGS[encodingID];
+      if (platformID === 0 || !label) return (code) => code;
+
+      // Legacy CJK tables are keyed by (double-byte) codes in that encoding
+      let decoder;
+      try {
+        decoder = new TextDecoder(label, { fatal: true });
+      } catch {
+        return null;
+      }
+      return (code) => {
+        const bytes = code > 0xff ? [code >> 8, code & 0xff] : [code];
+        try {
+          const decoded = decoder.decode(new Uint8Array(bytes));
+          return [...decoded].length === 1 ? decoded.codePointAt(0) : null;
+        } catch {
+          return null;
+        }
+      };
     }
 
-    this._parseCmapSubtable(subtableOffset);
+    if (platformID === 1 && encodingID === 0) {
+      return (code) =>
+        code < 0x80
+          ? code
+          : code <= 0xff
+          ? MAC_ROMAN_CHARS.charCodeAt(code - 0x80)
+          : null;
+    }
+    return null;
   }
 
   /**
-   * Parse cmap subtable based on format
+   * Parse a cmap subtable into a code -> glyph ID map
+   * @returns {Map|null} null for unsupported formats
    * @private
    */
   _parseCmapSubtable(offset) {
     this.seek(offset);
     const format = this.readUint16();
+    const codeMap = new Map();
 
     switch (format) {
+      case 0:
+        this._parseCmapFormat0(codeMap);
+        break;
+      case 2:
+        this._parseCmapFormat2(codeMap);
+        break;
       case 4:
-        this._parseCmapFormat4();
+        this._parseCmapFormat4(codeMap);
+        break;
+      case 6:
+        this._parseCmapFormat6(codeMap);
+        break;
+      case 10:
+        this._parseCmapFormat10(codeMap);
         break;
       case 12:
-        this._parseCmapFormat12();
+        this._parseCmapFormat12(codeMap);
+        break;
+      case 13:
+        // Ranges may cover most of Unicode, so they are not expanded
+        this.cmapGlyphRanges = this._parseCmapFormat13();
         break;
       default:
-        throw new Error(`Unsupported cmap format: ${format}`);
+        console.warn(`Unsupported cmap format: ${format}`);
+        return null;
+    }
+    return codeMap;
+  }
+
+  /**
+   * Parse cmap format 0 (byte encoding table)
+   * @private
+   */
+  _parseCmapFormat0(codeMap) {
+    this.offset += 4; // Skip length, language
+    for (let code = 0; code < 256; code++) {
+      codeMap.set(code, this.readUint8());
+    }
+  }
+
+  /**
+   * Parse cmap format 2 (high-byte mapping for mixed 8/16-bit CJK encodings)
+   * @private
+   */
+  _parseCmapFormat2(codeMap) {
+    this.offset += 4; // Skip length, language
+    const subHeaderKeys = Array.from({ length: 256 }, () => this.readUint16());
+    const subHeadersStart = this.offset;
+
+    // Subheader 0 covers the single-byte codes
+    const singleByte = this._readCmapFormat2SubHeader(subHeadersStart, 0);
+
+    for (let highByte = 0; highByte < 256; highByte++) {
+      const subHeaderIndex = subHeaderKeys[highByte] / 8;
+      if (subHeaderIndex === 0) {
+        if (singleByte.has(highByte)) {
+          codeMap.set(highByte, singleByte.get(highByte));
+        }
+        continue;
+      }
+
+      const glyphs = this._readCmapFormat2SubHeader(
+        subHeadersStart,
+        subHeaderIndex
+      );
+      for (const [lowByte, glyphId] of glyphs) {
+        codeMap.set((highByte << 8) | lowByte, glyphId);
+      }
+    }
+  }
+
+  /**
+   * Read one format 2 subheader into a low byte -> glyph ID map
+   * @private
+   */
+  _readCmapFormat2SubHeader(subHeadersStart, subHeaderIndex) {
+    this.seek(subHeadersStart + subHeaderIndex * 8);
+    const firstCode = this.readUint16();
+    const entryCount = this.readUint16();
+    const idDelta = this.readInt16();
+    const idRangeStart = this.offset + this.readUint16(); // Relative to itself
+
+    const glyphs = new Map();
+    for (let i = 0; i < entryCount; i++) {
+      this.seek(idRangeStart + i * 2);
+      const glyphId = this.readUint16();
+      if (glyphId !== 0) {
+        glyphs.set(firstCode + i, (glyphId + idDelta) & 0xffff);
+      }
     }
+    return glyphs;
   }
 
   /**
    * Parse cmap format 4 (BMP Unicode)
    * @private
    */
-  _parseCmapFormat4() {
+  _parseCmapFormat4(codeMap) {
     this.offset += 4; // Skip length, language
     const segCountX2 = this.readUint16();
     const segCount = segCountX2 / 2;
@@ -657,18 +1296,44 @@ class FontParser {
           }
         }
         if (glyphIndex !== 0) {
-          this.charToGlyph.set(c, glyphIndex);
+          codeMap.set(c, glyphIndex);
         }
       }
     }
   }
 
+  /**
+   * Parse cmap format 6 (trimmed table)
+   * @private
+   */
+  _parseCmapFormat6(codeMap) {
+    this.offset += 4; // Skip length, language
+    const firstCode = this.readUint16();
+    const entryCount = this.readUint16();
+    for (let i = 0; i < entryCount; i++) {
+      codeMap.set(firstCode + i, this.readUint16());
+    }
+  }
+
+  /**
+   * Parse cmap format 10 (trimmed array, 32-bit codes)
+   * @private
+   */
+  _parseCmapFormat10(codeMap) {
+    this.offset += 10; // Skip reserved, length, language
+    const startCharCode = this.readUint32();
+    const numChars = this.readUint32();
+    for (let i = 0; i < numChars; i++) {
+      codeMap.set(startCharCode + i, this.readUint16());
+    }
+  }
+
   /**
    * Parse cmap format 12 (Full Unicode)
    * @private
    */
-  _parseCmapFormat12() {
-    this.offset += 8; // Skip reserved, length, language
+  _parseCmapFormat12(codeMap) {
+    this.offset += 10; // Skip reserved, length, language
     const numGroups = this.readUint32();
 
     for (let i = 0; i < numGroups; i++) {
@@ -677,40 +1342,123 @@ class FontParser {
       const startGlyphID = this.readUint32();
 
       for (let c = startCharCode; c <= endCharCode; c++) {
-        this.charToGlyph.set(c, startGlyphID + (c - startCharCode));
+        codeMap.set(c, startGlyphID + (c - startCharCode));
       }
     }
   }
 
   /**
-   * Parse horizontal metrics tables (hhea + hmtx)
+   * Parse cmap format 13 (many-to-one ranges)
+   * @returns {Array} {start, end, glyphId} ranges sorted by start
    * @private
    */
-  _parseHmtxTable() {
-    if (!this.tables.hmtx || !this.tables.hhea) {
-      console.warn("hmtx or hhea table missing - metrics unavailable");
-      return;
-    }
+  _parseCmapFormat13() {
+    this.offset += 10; // Skip reserved, length, language
+    const numGroups = this.readUint32();
 
-    // Parse hhea table first to get font metrics
-    this.seek(this.tables.hhea.offset);
-    const hheaVersion = this.readFixed();
-    this.ascender = this.readInt16();
-    this.descender = this.readInt16();
-    this.lineGap = this.readInt16();
-    const advanceWidthMax = this.readUint16();
-    const minLeftSideBearing = this.readInt16();
-    const minRightSideBearing = this.readInt16();
-    const xMaxExtent = this.readInt16();
-    const caretSlopeRise = this.readInt16();
-    const caretSlopeRun = this.readInt16();
-    const caretOffset = this.readInt16();
-    // Skip 4 reserved values (8 bytes)
-    this.offset += 8;
-    const metricDataFormat = this.readInt16();
-    const numberOfHMetrics = this.readUint16();
+    const ranges = Array.from({ length: numGroups }, () => ({
+      start: this.readUint32(),
+      end: this.readUint32(),
+      glyphId: this.readUint32(),
+    }));
+    return ranges
+      .filter((range) => range.glyphId !== 0)
+      .sort((a, b) => a.start - b.start);
+  }
 
-    // Parse hmtx table
+  /**
+   * Look up a code point in the format 13 ranges (0 if none covers it)
+   * @private
+   */
+  _getCmapRangeGlyphId(codePoint) {
+    const ranges = this.cmapGlyphRanges;
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (codePoint < ranges[middle].start) {
+        high = middle - 1;
+      } else if (codePoint > ranges[middle].end) {
+        low = middle + 1;
+      } else {
+        return ranges[middle].glyphId;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Parse cmap format 14 (Unicode Variation Sequences) into
+   * variationSequences: selector -> { defaultRanges, glyphs }
+   * @private
+   */
+  _parseCmapFormat14(offset) {
+    this.seek(offset);
+    if (this.readUint16() !== 14) return;
+    this.offset += 4; // Skip length
+    const numRecords = this.readUint32();
+
+    const records = Array.from({ length: numRecords }, () => ({
+      selector: this.readUint24(),
+      defaultOffset: this.readUint32(),
+      nonDefaultOffset: this.readUint32(),
+    }));
+
+    for (const { selector, defaultOffset, nonDefaultOffset } of records) {
+      // Default UVS: the base character's regular cmap glyph is used
+      const defaultRanges = [];
+      if (defaultOffset) {
+        this.seek(offset + defaultOffset);
+        const numRanges = this.readUint32();
+        for (let i = 0; i < numRanges; i++) {
+          const start = this.readUint24();
+          defaultRanges.push([start, start + this.readUint8()]);
+        }
+      }
+
+      // Non-default UVS: the sequence maps to its own glyph
+      const glyphs = new Map();
+      if (nonDefaultOffset) {
+        this.seek(offset + nonDefaultOffset);
+        const numMappings = this.readUint32();
+        for (let i = 0; i < numMappings; i++) {
+          glyphs.set(this.readUint24(), this.readUint16());
+        }
+      }
+
+      this.variationSequences.set(selector, { defaultRanges, glyphs });
+    }
+  }
+
+  /**
+   * Parse horizontal metrics tables (hhea + hmtx)
+   * @private
+   */
+  _parseHmtxTable() {
+    if (!this.tables.hmtx || !this.tables.hhea) {
+      console.warn("hmtx or hhea table missing - metrics unavailable");
+      return;
+    }
+
+    // Parse hhea table first to get font metrics
+    this.seek(this.tables.hhea.offset);
+    const hheaVersion = this.readFixed();
+    this.ascender = this.readInt16();
+    this.descender = this.readInt16();
+    this.lineGap = this.readInt16();
+    const advanceWidthMax = this.readUint16();
+    const minLeftSideBearing = this.readInt16();
+    const minRightSideBearing = this.readInt16();
+    const xMaxExtent = this.readInt16();
+    const caretSlopeRise = this.readInt16();
+    const caretSlopeRun = this.readInt16();
+    const caretOffset = this.readInt16();
+    // Skip 4 reserved values (8 bytes)
+    this.offset += 8;
+    const metricDataFormat = this.readInt16();
+    const numberOfHMetrics = this.readUint16();
+
+    // Parse hmtx table
     this.seek(this.tables.hmtx.offset);
     this.horizontalMetrics = Array.from({ length: numberOfHMetrics }, () => ({
       advanceWidth: this.readUint16(),
@@ -718,6 +1466,329 @@ class FontParser {
     }));
   }
 
+  /**
+   * Parse OS/2 table (line metrics, classification and character ranges)
+   * @private
+   */
+  _parseOS2Table() {
+    this.os2 = null;
+    if (!this.tables["OS/2"]) return;
+
+    this.seek(this.tables["OS/2"].offset);
+    const version = this.readUint16();
+    const xAvgCharWidth = this.readInt16();
+    const weightClass = this.readUint16();
+    const widthClass = this.readUint16();
+    const fsType = this.readUint16();
+    const subscript = {
+      xSize: this.readInt16(),
+      ySize: this.readInt16(),
+      xOffset: this.readInt16(),
+      yOffset: this.readInt16(),
+    };
+    const superscript = {
+      xSize: this.readInt16(),
+      ySize: this.readInt16(),
+      xOffset: this.readInt16(),
+      yOffset: this.readInt16(),
+    };
+    const strikeoutSize = this.readInt16();
+    const strikeoutPosition = this.readInt16();
+    const familyClass = this.readInt16();
+    const panose = Array.from({ length: 10 }, () => this.readUint8());
+    const unicodeRanges = Array.from({ length: 4 }, () => this.readUint32());
+    const vendorID = this.readTag();
+    const fsSelection = this.readUint16();
+    const firstCharIndex = this.readUint16();
+    const lastCharIndex = this.readUint16();
+    const typoAscender = this.readInt16();
+    const typoDescender = this.readInt16();
+    const typoLineGap = this.readInt16();
+    const winAscent = this.readUint16();
+    const winDescent = this.readUint16();
+
+    // Later versions append fields; version 0 tables may stop here
+    const tableEnd = this.tables["OS/2"].offset + this.tables["OS/2"].length;
+    const hasFields = (size) => version >= 1 && this.offset + size <= tableEnd;
+
+    const codePageRanges = hasFields(8)
+      ? [this.readUint32(), this.readUint32()]
+      : [0, 0];
+
+    let xHeight = 0;
+    let capHeight = 0;
+    let defaultChar = 0;
+    let breakChar = 32;
+    let maxContext = 0;
+    if (version >= 2 && hasFields(10)) {
+      xHeight = this.readInt16();
+      capHeight = this.readInt16();
+      defaultChar = this.readUint16();
+      breakChar = this.readUint16();
+      maxContext = this.readUint16();
+    }
+
+    let opticalPointSize = null;
+    if (version >= 5 && hasFields(4)) {
+      opticalPointSize = {
+        lower: this.readUint16() / 20,
+        upper: this.readUint16() / 20,
+      };
+    }
+
+    this.os2 = {
+      version,
+      xAvgCharWidth,
+      weightClass,
+      widthClass,
+      fsType,
+      subscript,
+      superscript,
+      strikeoutSize,
+      strikeoutPosition,
+      familyClass,
+      panose,
+      unicodeRanges,
+      codePageRanges,
+      vendorID,
+      fsSelection: {
+        italic: !!(fsSelection & 0x0001),
+        underscore: !!(fsSelection & 0x0002),
+        negative: !!(fsSelection & 0x0004),
+        outlined: !!(fsSelection & 0x0008),
+        strikeout: !!(fsSelection & 0x0010),
+        bold: !!(fsSelection & 0x0020),
+        regular: !!(fsSelection & 0x0040),
+        useTypoMetrics: !!(fsSelection & 0x0080),
+        wws: !!(fsSelection & 0x0100),
+        oblique: !!(fsSelection & 0x0200),
+      },
+      firstCharIndex,
+      lastCharIndex,
+      typoAscender,
+      typoDescender,
+      typoLineGap,
+      winAscent,
+      winDescent,
+      xHeight,
+      capHeight,
+      defaultChar,
+      breakChar,
+      maxContext,
+      opticalPointSize,
+    };
+  }
+
+  /**
+   * Parse PostScript table (italic angle, underline, glyph names)
+   * @private
+   */
+  _parsePostTable() {
+    this.post = null;
+    this.glyphNames = [];
+    this.glyphNameToId = null;
+    if (!this.tables.post) return;
+
+    const postStart = this.tables.post.offset;
+    const postEnd = postStart + this.tables.post.length;
+    this.seek(postStart);
+    const version = this.readUint32();
+    this.post = {
+      version: version / 65536,
+      italicAngle: this.readFixed(),
+      underlinePosition: this.readInt16(),
+      underlineThickness: this.readInt16(),
+      isFixedPitch: this.readUint32() !== 0,
+    };
+
+    const numGlyphs = this._getNumGlyphs();
+    this.offset = postStart + 32; // Skip min/max memory usage (may end the file)
+
+    if (version === 0x00010000) {
+      // Version 1: the font uses the standard Macintosh glyph order
+      this.glyphNames = MAC_GLYPH_NAMES.slice(0, numGlyphs);
+    } else if (version === 0x00020000) {
+      const glyphCount = this.readUint16();
+      const nameIndices = Array.from({ length: glyphCount }, () =>
+        this.readUint16()
+      );
+
+      // Custom names are Pascal strings packed after the index array
+      const customNames = [];
+      while (this.offset < postEnd) {
+        const length = this.readUint8();
+        let name = "";
+        for (let i = 0; i < length && this.offset < postEnd; i++) {
+          name += String.fromCharCode(this.readUint8());
+        }
+        customNames.push(name);
+      }
+
+      this.glyphNames = nameIndices.map((index) =>
+        index < 258 ? MAC_GLYPH_NAMES[index] : customNames[index - 258] ?? null
+      );
+    } else if (version === 0x00025000) {
+      // Version 2.5 (deprecated): per-glyph offsets into the standard order
+      const glyphCount = this.readUint16();
+      this.glyphNames = Array.from({ length: glyphCount }, (_, glyphId) => {
+        const index = glyphId + this.readInt8();
+        return MAC_GLYPH_NAMES[index] ?? null;
+      });
+    }
+    // Version 3 stores no glyph names
+  }
+
+  /**
+   * Parse naming table (Unicode, Macintosh and Windows records)
+   * @private
+   */
+  _parseNameTable() {
+    this.nameRecords = this.tables.name
+      ? this._readNameRecords(this.tables.name.offset)
+      : [];
+  }
+
+  /**
+   * Read and decode the records of the name table at nameStart
+   * @private
+   */
+  _readNameRecords(nameStart) {
+    const nameRecords = [];
+    this.seek(nameStart);
+    const version = this.readUint16();
+    const count = this.readUint16();
+    const storageStart = nameStart + this.readUint16();
+
+    const records = Array.from({ length: count }, () => ({
+      platformID: this.readUint16(),
+      encodingID: this.readUint16(),
+      languageID: this.readUint16(),
+      nameID: this.readUint16(),
+      length: this.readUint16(),
+      offset: this.readUint16(),
+    }));
+
+    // Version 1 adds language-tag strings referenced by languageID >= 0x8000
+    let langTags = [];
+    if (version >= 1) {
+      const langTagCount = this.readUint16();
+      const langTagRecords = Array.from({ length: langTagCount }, () => ({
+        length: this.readUint16(),
+        offset: this.readUint16(),
+      }));
+      langTags = langTagRecords.map((r) =>
+        this._readUTF16String(storageStart + r.offset, r.length)
+      );
+    }
+
+    for (const record of records) {
+      const { platformID, encodingID, languageID } = record;
+      const start = storageStart + record.offset;
+      if (record.length === 0 || start >= this.dataView.byteLength) continue;
+
+      let value;
+      if (platformID === 0 || platformID === 3) {
+        value = this._readUTF16String(start, record.length);
+      } else if (platformID === 1 && encodingID === 0) {
+        value = this._readMacRomanString(start, record.length);
+      } else {
+        continue; // Legacy CJK Mac and ISO encodings are not decoded
+      }
+
+      nameRecords.push({
+        platformID,
+        encodingID,
+        languageID,
+        nameID: record.nameID,
+        language: this._getNameLanguageTag(platformID, languageID, langTags),
+        value,
+      });
+    }
+    return nameRecords;
+  }
+
+  /**
+   * Read a UTF-16BE string
+   * @private
+   */
+  _readUTF16String(offset, length) {
+    this.seek(offset);
+    const codeUnits = Array.from({ length: length >> 1 }, () =>
+      this.readUint16()
+    );
+    return String.fromCharCode(...codeUnits);
+  }
+
+  /**
+   * Read a Mac Roman encoded string
+   * @private
+   */
+  _readMacRomanString(offset, length) {
+    this.seek(offset);
+    let value = "";
+    for (let i = 0; i < length; i++) {
+      const byte = this.readUint8();
+      value +=
+        byte < 0x80 ? String.fromCharCode(byte) : MAC_ROMAN_CHARS[byte - 0x80];
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a name record languageID to a BCP 47 tag (null if unknown)
+   * @private
+   */
+  _getNameLanguageTag(platformID, languageID, langTags) {
+    if (languageID >= 0x8000) return langTags[languageID - 0x8000] || null;
+    if (platformID === 3) return WINDOWS_LANGUAGE_TAGS[languageID] || null;
+    if (platformID === 1) return MAC_LANGUAGE_TAGS[languageID] || null;
+    return null;
+  }
+
+  /**
+   * Find the best record for a name ID (see getName)
+   * @private
+   */
+  _findName(nameRecords, nameID, lang) {
+    const records = nameRecords.filter((r) => r.nameID === nameID);
+    if (!records.length) return null;
+
+    // Prefer Windows, then Unicode, then Macintosh records
+    const pick = (candidates) =>
+      candidates.find((r) => r.platformID === 3) ||
+      candidates.find((r) => r.platformID === 0) ||
+      candidates[0];
+
+    const record =
+      pick(this._filterNameRecordsByLanguage(records, lang)) ||
+      pick(this._filterNameRecordsByLanguage(records, "en")) ||
+      pick(records);
+    return record.value;
+  }
+
+  /**
+   * Filter name records by language (exact tag, then primary subtag). A bare
+   * tag such as "en" matches every region, so Mac "en" does not shadow
+   * Windows "en-US"
+   * @private
+   */
+  _filterNameRecordsByLanguage(records, lang) {
+    if (typeof lang === "number") {
+      return records.filter((r) => r.languageID === lang);
+    }
+
+    const wanted = String(lang).toLowerCase();
+    const primary = wanted.split("-")[0];
+    if (wanted !== primary) {
+      const exact = records.filter((r) => r.language?.toLowerCase() === wanted);
+      if (exact.length) return exact;
+    }
+
+    return records.filter(
+      (r) => r.language?.toLowerCase().split("-")[0] === primary
+    );
+  }
+
   /**
    * Parse glyph locations table (TrueType)
    * @private
@@ -776,10 +1847,14 @@ class FontParser {
 
       // Parse Private DICT and local subroutines
       if (this.cffData?.privateDict) {
-        this.parsePrivateDict(
+        const privateDict = this.parsePrivateDict(
           this.cffData.privateDict.offset,
           this.cffData.privateDict.size
         );
+        this.cffLocalSubrs = privateDict.localSubrs;
+        this.cffLocalBias = privateDict.localBias;
+        this.cffDefaultWidthX = privateDict.defaultWidthX;
+        this.cffNominalWidthX = privateDict.nominalWidthX;
       }
 
       // Parse CharStrings
@@ -787,6 +1862,32 @@ class FontParser {
         this.seek(this.cffData.charStringsOffset);
         this.cffCharStrings = this.readIndex();
       }
+
+      // CID-keyed fonts keep a Private DICT per Font DICT instead
+      if (this.cffData?.ros) {
+        this._parseCFFFontDicts(cffStart);
+      }
+
+      this.cffCharset = this._parseCFFCharset(
+        this.cffData?.charset ?? 0,
+        cffStart,
+        this.cffCharStrings.length
+      );
+
+      // CID-keyed charsets hold CIDs rather than glyph names
+      if (!this.cffData?.ros) {
+        this.cffEncoding = this._parseCFFEncoding(
+          this.cffData?.encoding ?? 0,
+          cffStart
+        );
+        if (!this.glyphNames.length) {
+          this.glyphNames = this.cffCharset.map((sid) =>
+            this._getCFFString(sid, stringIndex)
+          );
+          this.glyphNameToId = null;
+        }
+        this._addCFFEncodingMappings();
+      }
     } catch (error) {
       console.warn("CFF table parsing failed:", error.message);
       // Set minimal fallback
@@ -797,140 +1898,554 @@ class FontParser {
   }
 
   /**
-   * Parse font variations table (variable fonts)
+   * Parse CFF2 table (variable CFF outlines)
    * @private
    */
-  _parseFvarTable() {
-    if (!this.tables.fvar) {
-      throw new Error("fvar table not found");
+  _parseCFF2Table() {
+    const cffStart = this.tables.CFF2.offset;
+    this.seek(cffStart);
+
+    // CFF2 header: the Top DICT follows directly, no Name or String INDEX
+    this.readUint8(); // Skip majorVersion
+    this.readUint8(); // Skip minorVersion
+    const headerSize = this.readUint8();
+    const topDictLength = this.readUint16();
+
+    this.seek(cffStart + headerSize);
+    const topDict = Array.from({ length: topDictLength }, () =>
+      this.readUint8()
+    );
+    this.cffGlobalSubrs = this.readIndex();
+    const nGlobalSubrs = this.cffGlobalSubrs.length;
+    this.cffGlobalBias =
+      nGlobalSubrs < 1240 ? 107 : nGlobalSubrs < 33900 ? 1131 : 32768;
+
+    this.parseTopDict(topDict, cffStart, null);
+
+    if (this.cffData.charStringsOffset) {
+      this.seek(this.cffData.charStringsOffset);
+      this.cffCharStrings = this.readIndex();
     }
 
-    this.seek(this.tables.fvar.offset + 4);
-    const axesArrayOffset = this.readUint16();
-    this.readUint16(); // Skip reserved
-    const axisCount = this.readUint16();
-    this.offset += 6; // Skip axisSize, instanceCount, instanceSize
+    // VariationStore is prefixed with its uint16 length
+    this.cffVariationStore = this.cffData.vstoreOffset
+      ? this._parseItemVariationStore(this.cffData.vstoreOffset + 2)
+      : null;
 
-    this.seek(this.tables.fvar.offset + axesArrayOffset);
-    this.variationAxes = Array.from({ length: axisCount }, () => {
-      const axis = {
-        tag: this.readTag(),
-        min: this.readFixed(),
-        default: this.readFixed(),
-        max: this.readFixed(),
-        flags: this.readUint16(),
-        nameID: this.readUint16(),
-      };
-      this.currentAxisValues[axis.tag] = axis.default;
-      return axis;
-    });
+    this._parseCFFFontDicts(cffStart);
   }
 
-  // Public API methods
-  setVariation(axisValues) {
-    if (!this.isVariableFont) return this;
+  /**
+   * Parse FDArray Font DICTs (each with its own Private DICT) and FDSelect
+   * @private
+   */
+  _parseCFFFontDicts(cffStart) {
+    this.cffFontDicts = [];
+    this.cffFDSelect = null;
+    if (!this.cffData.fdArray) return;
+
+    this.seek(this.cffData.fdArray);
+    const fontDicts = this.readIndex();
+    this.cffFontDicts = fontDicts.map((dictData) => {
+      const { privateDict } = this._parseCFFDict(dictData, cffStart);
+      return privateDict
+        ? this.parsePrivateDict(privateDict.offset, privateDict.size)
+        : {
+            localSubrs: [],
+            localBias: 0,
+            vsindex: 0,
+            defaultWidthX: 0,
+            nominalWidthX: 0,
+          };
+    });
 
-    for (const [tag, value] of Object.entries(axisValues)) {
-      const axis = this.variationAxes.find((a) => a.tag === tag);
-      if (axis) {
-        this.currentAxisValues[tag] = Math.max(
-          axis.min,
-          Math.min(axis.max, value)
-        );
-      }
+    if (this.cffData.fdSelect) {
+      this.cffFDSelect = this._parseFDSelect(
+        this.cffData.fdSelect,
+        this.cffCharStrings.length
+      );
     }
-
-    this.glyphCache.clear();
-    return this;
   }
 
-  getVariation() {
-    return { ...this.currentAxisValues };
-  }
-  getAxes() {
-    return this.variationAxes ? [...this.variationAxes] : [];
-  }
-  getGlyphId(character) {
-    const codePoint =
-      typeof character === "string" ? character.codePointAt(0) : character;
-    return this.charToGlyph.get(codePoint) || 0;
-  }
+  /**
+   * Parse FDSelect (formats 0, 3 and 4) into a per-glyph FD index array
+   * @private
+   */
+  _parseFDSelect(offset, numGlyphs) {
+    this.seek(offset);
+    const format = this.readUint8();
+    const fdIndices = new Uint16Array(numGlyphs);
 
-  getGlyphMetrics(glyphId) {
-    if (!this.horizontalMetrics || glyphId >= this.horizontalMetrics.length) {
-      return { advanceWidth: this.unitsPerEm, leftSideBearing: 0 };
+    if (format === 0) {
+      for (let i = 0; i < numGlyphs; i++) {
+        fdIndices[i] = this.readUint8();
+      }
+    } else if (format === 3 || format === 4) {
+      // Ranges of {first, fd}, closed by a sentinel glyph ID
+      const wide = format === 4;
+      const readGlyph = () => (wide ? this.readUint32() : this.readUint16());
+      const nRanges = readGlyph();
+      let first = readGlyph();
+      for (let i = 0; i < nRanges; i++) {
+        const fd = wide ? this.readUint16() : this.readUint8();
+        const next = readGlyph();
+        fdIndices.fill(fd, first, Math.min(next, numGlyphs));
+        first = next;
+      }
     }
+    return fdIndices;
+  }
 
-    const baseMetrics = this.horizontalMetrics[glyphId];
-
-    // Apply variable font scaling to metrics if needed
-    if (this.isVariableFont) {
-      const wght = this.currentAxisValues.wght || 150;
-      const wdth = this.currentAxisValues.wdth || 100;
-
-      const widthFactor = wdth / 100;
-      const weightFactor = 1 + (wght - 150) / 2000; // More subtle weight scaling for metrics
-
-      return {
-        advanceWidth: baseMetrics.advanceWidth * widthFactor,
-        leftSideBearing: baseMetrics.leftSideBearing * widthFactor,
-      };
+  /**
+   * Parse the charset (formats 0-2 or a predefined one) into a glyph ID ->
+   * SID (or CID) array
+   * @private
+   */
+  _parseCFFCharset(charset, cffStart, numGlyphs) {
+    if (charset === 0) {
+      // ISOAdobe: glyph IDs are standard string IDs
+      return Array.from({ length: numGlyphs }, (_, glyphId) => glyphId);
+    }
+    if (charset < 3) {
+      const runs =
+        charset === 1 ? CFF_EXPERT_CHARSET : CFF_EXPERT_SUBSET_CHARSET;
+      const sids = [0];
+      for (const [first, count] of runs) {
+        for (let i = 0; i < count; i++) sids.push(first + i);
+      }
+      return sids.slice(0, numGlyphs);
     }
 
-    return baseMetrics;
-  }
-
-  // Main glyph parsing with caching and variation support
-  parseGlyph(glyphId) {
-    if (this.glyphCache.has(glyphId)) return this.glyphCache.get(glyphId);
+    this.seek(cffStart + charset);
+    const format = this.readUint8();
+    const sids = [0]; // .notdef
 
-    let baseGlyph;
-    if (this.fontType === "cff") {
-      baseGlyph = this.parseCFFGlyph(glyphId);
-    } else {
-      baseGlyph = this.parseTrueTypeGlyph(glyphId);
+    if (format === 0) {
+      while (sids.length < numGlyphs) {
+        sids.push(this.readUint16());
+      }
+    } else if (format === 1 || format === 2) {
+      while (sids.length < numGlyphs) {
+        const first = this.readUint16();
+        const nLeft = format === 1 ? this.readUint8() : this.readUint16();
+        for (let i = 0; i <= nLeft && sids.length < numGlyphs; i++) {
+          sids.push(first + i);
+        }
+      }
     }
-
-    const glyph = this.applyVariationToGlyph(baseGlyph, glyphId);
-    if (glyph) this.glyphCache.set(glyphId, glyph);
-    return glyph;
+    return sids;
   }
 
-  // Apply variation (improved scaling for better metrics)
-  applyVariationToGlyph(baseGlyph, glyphId) {
-    if (!this.isVariableFont || !baseGlyph) return baseGlyph;
+  /**
+   * Parse the Encoding (formats 0/1 plus supplements, or Standard/Expert)
+   * into a code -> glyph ID map
+   * @private
+   */
+  _parseCFFEncoding(encoding, cffStart) {
+    const codeToGlyph = new Map();
+    const glyphForSid = (sid) => this.cffCharset.indexOf(sid);
+
+    if (encoding < 2) {
+      const runs = encoding === 0 ? CFF_STANDARD_ENCODING : CFF_EXPERT_ENCODING;
+      for (const [firstCode, firstSid, count] of runs) {
+        for (let i = 0; i < count; i++) {
+          const glyphId = glyphForSid(firstSid + i);
+          if (glyphId > 0) codeToGlyph.set(firstCode + i, glyphId);
+        }
+      }
+      return codeToGlyph;
+    }
 
-    const wght = this.currentAxisValues.wght || 150;
-    const wdth = this.currentAxisValues.wdth || 100;
+    this.seek(cffStart + encoding);
+    const format = this.readUint8();
+    let glyphId = 1;
 
-    // More realistic scaling factors
-    const widthFactor = wdth / 100;
-    const weightFactor = 1 + (wght - 150) / 1500; // More subtle weight scaling
+    if ((format & 0x7f) === 0) {
+      const nCodes = this.readUint8();
+      for (let i = 0; i < nCodes; i++) {
+        codeToGlyph.set(this.readUint8(), glyphId++);
+      }
+    } else if ((format & 0x7f) === 1) {
+      const nRanges = this.readUint8();
+      for (let i = 0; i < nRanges; i++) {
+        const first = this.readUint8();
+        const nLeft = this.readUint8();
+        for (let code = first; code <= first + nLeft; code++) {
+          codeToGlyph.set(code, glyphId++);
+        }
+      }
+    }
 
-    return this.transformGlyph(baseGlyph, widthFactor, weightFactor);
+    // Supplements give extra codes to glyphs already in the charset
+    if (format & 0x80) {
+      const nSups = this.readUint8();
+      for (let i = 0; i < nSups; i++) {
+        const code = this.readUint8();
+        const supGlyphId = glyphForSid(this.readUint16());
+        if (supGlyphId > 0) codeToGlyph.set(code, supGlyphId);
+      }
+    }
+    return codeToGlyph;
   }
 
-  transformGlyph(glyph, widthFactor, weightFactor) {
-    const variatedGlyph = {
-      ...glyph,
-      contours: glyph.contours.map((contour) =>
-        contour.map((point) => ({
-          ...point,
-          x: point.x * widthFactor,
-          y: point.y * weightFactor,
-          ...(point.cubic && {
-            x1: point.x1 * widthFactor,
-            y1: point.y1 * weightFactor,
-            x2: point.x2 * widthFactor,
-            y2: point.y2 * weightFactor,
-          }),
-        }))
-      ),
-    };
-
-    // Recalculate bounds
-    const bounds = this.calculateGlyphBounds(variatedGlyph.contours);
-    return { ...variatedGlyph, ...bounds };
+  /**
+   * Fill cmap gaps from the built-in Encoding. Codes whose glyph has a
+   * standard name map to that character, the rest map to the code itself.
+   * @private
+   */
+  _addCFFEncodingMappings() {
+    for (const [code, glyphId] of this.cffEncoding) {
+      const sid = this.cffCharset[glyphId];
+      const codePoint =
+        sid > 0 && sid <= CFF_ISO_ADOBE_CHARS.length
+          ? CFF_ISO_ADOBE_CHARS.charCodeAt(sid - 1)
+          : code;
+      if (!this.charToGlyph.has(codePoint)) {
+        this.charToGlyph.set(codePoint, glyphId);
+      }
+    }
+  }
+
+  /**
+   * Glyph ID for a StandardEncoding code, through the charset
+   * @private
+   */
+  _getStandardEncodingGlyphId(code) {
+    const run = CFF_STANDARD_ENCODING.find(
+      ([firstCode, , count]) => code >= firstCode && code < firstCode + count
+    );
+    if (!run || !this.cffCharset) return -1;
+    return this.cffCharset.indexOf(run[1] + code - run[0]);
+  }
+
+  /**
+   * Build an accented glyph from seac-style endchar arguments
+   * @private
+   */
+  _composeSeacGlyph({ adx, ady, bchar, achar }) {
+    const baseId = this._getStandardEncodingGlyphId(bchar);
+    const accentId = this._getStandardEncodingGlyphId(achar);
+    const base = baseId > 0 ? this.parseGlyph(baseId) : null;
+    const accent = accentId > 0 ? this.parseGlyph(accentId) : null;
+
+    const shift = (point) => ({
+      ...point,
+      x: point.x + adx,
+      y: point.y + ady,
+      ...(point.cubic && {
+        x1: point.x1 + adx,
+        y1: point.y1 + ady,
+        x2: point.x2 + adx,
+        y2: point.y2 + ady,
+      }),
+    });
+
+    const contours = [
+      ...(base?.contours || []),
+      ...(accent?.contours || []).map((contour) => contour.map(shift)),
+    ];
+    if (!contours.length) return null;
+    return {
+      contours,
+      instructions: [],
+      ...this.calculateGlyphBounds(contours),
+    };
+  }
+
+  /**
+   * Font DICT (local subrs, vsindex, widths) for a glyph
+   * @private
+   */
+  _getCFFFontDict(glyphId) {
+    if (this.cffFontDicts.length) {
+      const fd = this.cffFDSelect ? this.cffFDSelect[glyphId] : 0;
+      return this.cffFontDicts[fd] || this.cffFontDicts[0];
+    }
+    return {
+      localSubrs: this.cffLocalSubrs,
+      localBias: this.cffLocalBias,
+      vsindex: 0,
+      defaultWidthX: this.cffDefaultWidthX || 0,
+      nominalWidthX: this.cffNominalWidthX || 0,
+    };
+  }
+
+  /**
+   * Parse font variations table (variable fonts)
+   * @private
+   */
+  _parseFvarTable() {
+    if (!this.tables.fvar) {
+      throw new Error("fvar table not found");
+    }
+
+    this.seek(this.tables.fvar.offset + 4);
+    const axesArrayOffset = this.readUint16();
+    this.readUint16(); // Skip reserved
+    const axisCount = this.readUint16();
+    const axisSize = this.readUint16();
+    const instanceCount = this.readUint16();
+    const instanceSize = this.readUint16();
+
+    const axesStart = this.tables.fvar.offset + axesArrayOffset;
+    this.seek(axesStart);
+    this.variationAxes = Array.from({ length: axisCount }, () => {
+      const axis = {
+        tag: this.readTag(),
+        min: this.readFixed(),
+        default: this.readFixed(),
+        max: this.readFixed(),
+        flags: this.readUint16(),
+        nameID: this.readUint16(),
+      };
+      this.currentAxisValues[axis.tag] = axis.default;
+      return axis;
+    });
+
+    // Instance records follow the axes; postScriptNameID is optional
+    const instancesStart = axesStart + axisCount * axisSize;
+    const hasPostScriptName = instanceSize >= axisCount * 4 + 6;
+    this.namedInstances = Array.from({ length: instanceCount }, (_, i) => {
+      this.seek(instancesStart + i * instanceSize);
+      const subfamilyNameID = this.readUint16();
+      this.readUint16(); // Skip flags (reserved)
+
+      const coordinates = {};
+      for (const axis of this.variationAxes) {
+        coordinates[axis.tag] = this.readFixed();
+      }
+
+      const postScriptNameID = hasPostScriptName ? this.readUint16() : 0xffff;
+      return {
+        name: this.getName(subfamilyNameID),
+        subfamilyNameID,
+        coordinates,
+        postScriptName:
+          postScriptNameID !== 0xffff ? this.getName(postScriptNameID) : null,
+      };
+    });
+  }
+
+  /**
+   * Parse glyph variations table (TrueType variable fonts)
+   * @private
+   */
+  _parseGvarTable() {
+    const gvarStart = this.tables.gvar.offset;
+    this.seek(gvarStart + 4); // Skip version
+    const axisCount = this.readUint16();
+    const sharedTupleCount = this.readUint16();
+    const sharedTuplesOffset = this.readUint32();
+    const glyphCount = this.readUint16();
+    const flags = this.readUint16();
+    const glyphVariationDataArrayOffset = this.readUint32();
+
+    // Bit 0 selects 32-bit offsets, otherwise offsets are stored halved
+    const glyphVariationOffsets = Array.from({ length: glyphCount + 1 }, () =>
+      flags & 0x0001 ? this.readUint32() : this.readUint16() * 2
+    );
+
+    let sharedTuples = [];
+    if (sharedTupleCount > 0) {
+      this.seek(gvarStart + sharedTuplesOffset);
+      sharedTuples = Array.from({ length: sharedTupleCount }, () =>
+        Array.from({ length: axisCount }, () => this.readF2Dot14())
+      );
+    }
+
+    this.gvarData = {
+      axisCount,
+      sharedTuples,
+      glyphVariationOffsets,
+      dataStart: gvarStart + glyphVariationDataArrayOffset,
+    };
+  }
+
+  /**
+   * Parse axis variations table (avar segment maps)
+   * @private
+   */
+  _parseAvarTable() {
+    this.seek(this.tables.avar.offset + 6); // Skip version, reserved
+    const axisCount = this.readUint16();
+
+    // avar 2.0 appends an item variation store; only the v1 maps are used
+    this.avarSegmentMaps = Array.from({ length: axisCount }, () => {
+      const positionMapCount = this.readUint16();
+      return Array.from({ length: positionMapCount }, () => ({
+        from: this.readF2Dot14(),
+        to: this.readF2Dot14(),
+      }));
+    });
+  }
+
+  /**
+   * Recompute normalized (-1..0..1) coordinates from current axis values
+   * @private
+   */
+  _updateNormalizedCoords() {
+    this.normalizedCoords = this.variationAxes.map((axis, i) => {
+      const value = this.currentAxisValues[axis.tag] ?? axis.default;
+      let normalized = 0;
+      if (value < axis.default && axis.default > axis.min) {
+        normalized = (value - axis.default) / (axis.default - axis.min);
+      } else if (value > axis.default && axis.max > axis.default) {
+        normalized = (value - axis.default) / (axis.max - axis.default);
+      }
+      normalized = this._roundF2Dot14(Math.max(-1, Math.min(1, normalized)));
+
+      const segmentMap = this.avarSegmentMaps?.[i];
+      return segmentMap
+        ? this._roundF2Dot14(this._applyAvarSegmentMap(segmentMap, normalized))
+        : normalized;
+    });
+  }
+
+  /**
+   * Remap a normalized coordinate through an avar piecewise-linear map
+   * @private
+   */
+  _applyAvarSegmentMap(segmentMap, value) {
+    // Maps without the required -1/0/1 entries are treated as identity
+    if (segmentMap.length < 3) return value;
+
+    for (let i = 1; i < segmentMap.length; i++) {
+      const prev = segmentMap[i - 1];
+      const next = segmentMap[i];
+      if (value === next.from) return next.to;
+      if (value < next.from) {
+        if (next.from === prev.from) return prev.to;
+        return (
+          prev.to +
+          ((value - prev.from) * (next.to - prev.to)) / (next.from - prev.from)
+        );
+      }
+    }
+    return segmentMap[segmentMap.length - 1].to;
+  }
+
+  /**
+   * Round a value to F2Dot14 precision
+   * @private
+   */
+  _roundF2Dot14(value) {
+    return Math.round(value * 16384) / 16384;
+  }
+
+  // Public API methods
+  /**
+   * Map a character (or code point) to a glyph ID
+   * @param {string|number} character - Character or code point
+   * @param {string|number} [selector] - Variation selector (e.g. "\uFE0F")
+   * @returns {number} Glyph ID, or 0 (.notdef) if unmapped
+   */
+  getGlyphId(character, selector) {
+    const codePoint =
+      typeof character === "string" ? character.codePointAt(0) : character;
+    const selectorCodePoint =
+      typeof selector === "string" ? selector.codePointAt(0) : selector;
+
+    // Non-default variation sequences have their own glyph; default and
+    // unknown sequences fall back to the base character
+    const sequences = this.variationSequences.get(selectorCodePoint);
+    const variantGlyphId = sequences?.glyphs.get(codePoint);
+    if (variantGlyphId !== undefined) return variantGlyphId;
+
+    return (
+      this.charToGlyph.get(codePoint) || this._getCmapRangeGlyphId(codePoint)
+    );
+  }
+
+  /**
+   * Get a glyph's PostScript name
+   * @param {number} glyphId - Glyph ID
+   * @returns {string|null} Glyph name, or null if the font has none
+   */
+  getGlyphName(glyphId) {
+    return this.glyphNames[glyphId] ?? null;
+  }
+
+  /**
+   * Look up a glyph ID by PostScript name
+   * @param {string} name - Glyph name (e.g. "Aacute", "uni0041")
+   * @returns {number|null} Glyph ID, or null if the font has no such name
+   */
+  getGlyphIdByName(name) {
+    if (!this.glyphNameToId) {
+      this.glyphNameToId = new Map();
+      this.glyphNames.forEach((glyphName, glyphId) => {
+        if (glyphName && !this.glyphNameToId.has(glyphName)) {
+          this.glyphNameToId.set(glyphName, glyphId);
+        }
+      });
+    }
+    return this.glyphNameToId.get(name) ?? null;
+  }
+
+  getGlyphMetrics(glyphId) {
+    if (!this.horizontalMetrics?.length) {
+      return { advanceWidth: this.unitsPerEm, leftSideBearing: 0 };
+    }
+
+    // Glyphs past numberOfHMetrics share the last advance width
+    const lastIndex = this.horizontalMetrics.length - 1;
+    const baseMetrics = this.horizontalMetrics[Math.min(glyphId, lastIndex)];
+
+    if (!this.isVariableFont || this.normalizedCoords.every((c) => c === 0)) {
+      return baseMetrics;
+    }
+
+    if (this.hvarData) {
+      return this._getHvarMetrics(glyphId, baseMetrics);
+    }
+
+    // Without HVAR, the varied phantom points carry the metrics
+    if (this.gvarData) {
+      const glyph = this.parseGlyph(glyphId);
+      if (glyph?.phantomPoints) {
+        const [origin, advance] = glyph.phantomPoints;
+        return {
+          advanceWidth: advance.x - origin.x,
+          leftSideBearing: glyph.contours.length ? glyph.xMin - origin.x : 0,
+        };
+      }
+    }
+
+    return baseMetrics;
+  }
+
+  /**
+   * Get the pair kerning adjustment between two glyphs
+   * @param {number} leftGlyphId - Glyph ID of the first glyph
+   * @param {number} rightGlyphId - Glyph ID of the following glyph
+   * @returns {number} Adjustment in font units (negative tightens)
+   */
+  getKerning(leftGlyphId, rightGlyphId) {
+    let value = 0;
+    for (const subtable of this.kernSubtables) {
+      const pairValue =
+        subtable.format === 0
+          ? subtable.pairs.get(leftGlyphId * 0x10000 + rightGlyphId)
+          : this._getKernClassValue(subtable, leftGlyphId, rightGlyphId);
+      if (pairValue === undefined) continue;
+      value = subtable.override ? pairValue : value + pairValue;
+    }
+    return value;
+  }
+
+  // Main glyph parsing with caching (variations are applied while parsing)
+  parseGlyph(glyphId) {
+    if (this.glyphCache.has(glyphId)) return this.glyphCache.get(glyphId);
+
+    let glyph;
+    if (this.fontType === "cff" || this.fontType === "cff2") {
+      glyph = this.parseCFFGlyph(glyphId);
+    } else {
+      glyph = this.parseTrueTypeGlyph(glyphId);
+    }
+
+    if (glyph) this.glyphCache.set(glyphId, glyph);
+    return glyph;
   }
 
   calculateGlyphBounds(contours) {
@@ -965,7 +2480,14 @@ class FontParser {
 
   // SVG generation methods
   glyphToSVGPath(character, options = {}) {
-    const glyphId = this.getGlyphId(character);
+    return this._glyphIdToSVGPath(this.getGlyphId(character), options);
+  }
+
+  /**
+   * Convert a glyph (by ID) to SVG path data
+   * @private
+   */
+  _glyphIdToSVGPath(glyphId, options = {}) {
     const glyph = this.parseGlyph(glyphId);
     if (!glyph?.contours?.length) return "";
 
@@ -987,16 +2509,45 @@ class FontParser {
     const width = options.width || 200;
     const height = options.height || 200;
 
-    const path = this.glyphToSVGPath(character, {
-      scale,
-      flipY: options.flipY,
-    });
-    const bounds = this.getGlyphBounds(character, {
-      scale,
-      flipY: options.flipY,
-    });
+    const glyphId = this.getGlyphId(character);
+    const pathOptions = { scale, flipY: options.flipY };
+    const colorContext = this.colr
+      ? this._createColorContext(
+          options.palette ?? 0,
+          options.idPrefix || "colr"
+        )
+      : null;
+    const color =
+      colorContext &&
+      this._renderColorGlyph(glyphId, colorContext, pathOptions);
+
+    const layers = color?.layers || [
+      {
+        path: this._glyphIdToSVGPath(glyphId, pathOptions),
+        fill: null,
+        opacity: 1,
+      },
+    ];
+    const elements =
+      color?.svg !== undefined
+        ? [`  ${color.svg}`]
+        : layers
+            .filter((layer) => layer.path)
+            .map(
+              (layer) =>
+                `  ${this._svgPath(
+                  { ...layer, fill: layer.fill || "black" },
+                  ' stroke="none"'
+                )}`
+            );
+    if (colorContext?.defs.length) {
+      elements.unshift(`  <defs>${colorContext.defs.join("")}</defs>`);
+    }
+    const bounds = color
+      ? color.bounds
+      : this._getGlyphIdBounds(glyphId, pathOptions);
 
-    if (!path || !bounds) {
+    if (!elements.length || !bounds) {
       return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><text x="50%" y="50%" text-anchor="middle" font-size="16">No glyph</text></svg>`;
     }
 
@@ -1009,12 +2560,19 @@ class FontParser {
 <svg xmlns="http://www.w3.org/2000/svg" 
      viewBox="${viewBoxX} ${viewBoxY} ${viewBoxWidth} ${viewBoxHeight}" 
      width="${width}" height="${height}">
-  <path d="${path}" fill="black" stroke="none"/>
+${elements.join("\n")}
 </svg>`;
   }
 
   getGlyphBounds(character, options = {}) {
-    const glyphId = this.getGlyphId(character);
+    return this._getGlyphIdBounds(this.getGlyphId(character), options);
+  }
+
+  /**
+   * Get scaled bounds of a glyph (by ID)
+   * @private
+   */
+  _getGlyphIdBounds(glyphId, options = {}) {
     const glyph = this.parseGlyph(glyphId);
     if (!glyph?.contours?.length) return null;
 
@@ -1069,6 +2627,23 @@ class FontParser {
     };
   }
 
+  /**
+   * Get the combined scaled bounds of several glyphs (null if all are empty)
+   * @private
+   */
+  _getGlyphIdsBounds(glyphIds, options = {}) {
+    const boxes = glyphIds
+      .map((glyphId) => this._getGlyphIdBounds(glyphId, options))
+      .filter(Boolean);
+    if (!boxes.length) return null;
+
+    const minX = Math.min(...boxes.map((box) => box.minX));
+    const minY = Math.min(...boxes.map((box) => box.minY));
+    const maxX = Math.max(...boxes.map((box) => box.maxX));
+    const maxY = Math.max(...boxes.map((box) => box.maxY));
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+  }
+
   contourToSVGPath(points, scale = 1, flipY = true, offsetX = 0, offsetY = 0) {
     if (!points.length) return "";
 
@@ -1140,8 +2715,9 @@ class FontParser {
   }
 
   // Read CFF INDEX structure (based on working static-font-parser.js)
-  readIndex() {
-    const count = this.readUint16();
+  // CFF2 INDEXes use a 32-bit count
+  readIndex(countSize = this.fontType === "cff2" ? 4 : 2) {
+    const count = countSize === 4 ? this.readUint32() : this.readUint16();
     if (count === 0) {
       return [];
     }
@@ -1189,15 +2765,24 @@ class FontParser {
       privateDict: null,
       fdArray: null,
       fdSelect: null,
+      vstoreOffset: null,
+      ...this._parseCFFDict(dictData, cffStart, stringIndex),
     };
+  }
 
+  /**
+   * Parse a Top or Font DICT into the offsets this parser uses
+   * @private
+   */
+  _parseCFFDict(dictData, cffStart, stringIndex) {
+    const dict = {};
     let i = 0;
     const operands = [];
 
     while (i < dictData.length) {
       const b = dictData[i];
 
-      if (b <= 21) {
+      if (b <= 27) {
         // Operator
         let op = b;
         if (b === 12) {
@@ -1206,7 +2791,7 @@ class FontParser {
           op = (b << 8) | dictData[i];
         }
 
-        this.processDictOperator(op, operands, cffStart, stringIndex);
+        this.processDictOperator(dict, op, operands, cffStart, stringIndex);
         operands.length = 0;
       } else {
         // Operand
@@ -1216,22 +2801,52 @@ class FontParser {
       }
       i++;
     }
+    return dict;
+  }
+
+  // Resolve a string ID: standard strings first, then the String INDEX
+  _getCFFString(sid, stringIndex) {
+    if (sid < CFF_STANDARD_STRINGS.length) return CFF_STANDARD_STRINGS[sid];
+    const bytes = stringIndex?.[sid - CFF_STANDARD_STRINGS.length];
+    return bytes ? String.fromCharCode(...bytes) : null;
   }
 
   // Process DICT operator (from working static-font-parser.js)
-  processDictOperator(op, operands, cffStart, stringIndex) {
+  processDictOperator(dict, op, operands, cffStart, stringIndex) {
     switch (op) {
+      case 15: // charset (0-2 are predefined charsets, not offsets)
+        dict.charset = operands[0];
+        break;
+      case 16: // Encoding (0-1 are predefined encodings, not offsets)
+        dict.encoding = operands[0];
+        break;
       case 17: // CharStrings
-        this.cffData.charStringsOffset = cffStart + operands[0];
+        dict.charStringsOffset = cffStart + operands[0];
         break;
       case 18: // Private
         if (operands.length >= 2) {
-          this.cffData.privateDict = {
+          dict.privateDict = {
             size: operands[0],
             offset: cffStart + operands[1],
           };
         }
         break;
+      case 24: // vstore (CFF2)
+        dict.vstoreOffset = cffStart + operands[0];
+        break;
+      case 0x0c1e: // ROS (marks a CID-keyed font)
+        dict.ros = {
+          registry: this._getCFFString(operands[0], stringIndex),
+          ordering: this._getCFFString(operands[1], stringIndex),
+          supplement: operands[2],
+        };
+        break;
+      case 0x0c24: // FDArray
+        dict.fdArray = cffStart + operands[0];
+        break;
+      case 0x0c25: // FDSelect
+        dict.fdSelect = cffStart + operands[0];
+        break;
       // Add more operators as needed
     }
   }
@@ -1243,10 +2858,13 @@ class FontParser {
     let i = 0;
     const operands = [];
     let localSubrOffset = null;
+    let vsindex = 0;
+    let defaultWidthX = 0;
+    let nominalWidthX = 0;
 
     while (i < dictData.length) {
       const b = dictData[i];
-      if (b <= 21) {
+      if (b <= 27) {
         let op = b;
         if (b === 12) {
           op = (b << 8) | dictData[++i];
@@ -1254,8 +2872,15 @@ class FontParser {
 
         if (op === 19 && operands.length >= 1) {
           localSubrOffset = offset + operands[0];
+        } else if (op === 20 && operands.length >= 1) {
+          defaultWidthX = operands[0]; // Width of glyphs without a width operand
+        } else if (op === 21 && operands.length >= 1) {
+          nominalWidthX = operands[0]; // Base for charstring width operands
+        } else if (op === 22 && operands.length >= 1) {
+          vsindex = operands[0]; // Default vsindex for this Private DICT
         }
 
+        // blend (23) only feeds hinting values, which are not used here
         operands.length = 0;
       } else {
         const operand = this.readDictOperand(dictData, i);
@@ -1265,15 +2890,26 @@ class FontParser {
       i++;
     }
 
-    if (localSubrOffset) {
-      this.seek(localSubrOffset);
-      this.cffLocalSubrs = this.readIndex();
-      const nSubrs = this.cffLocalSubrs.length;
-      this.cffLocalBias = nSubrs < 1240 ? 107 : nSubrs < 33900 ? 1131 : 32768;
-    } else {
-      this.cffLocalSubrs = [];
-      this.cffLocalBias = 0;
+    if (!localSubrOffset) {
+      return {
+        localSubrs: [],
+        localBias: 0,
+        vsindex,
+        defaultWidthX,
+        nominalWidthX,
+      };
     }
+
+    this.seek(localSubrOffset);
+    const localSubrs = this.readIndex();
+    const nSubrs = localSubrs.length;
+    return {
+      localSubrs,
+      localBias: nSubrs < 1240 ? 107 : nSubrs < 33900 ? 1131 : 32768,
+      vsindex,
+      defaultWidthX,
+      nominalWidthX,
+    };
   }
 
   readDictOperand(data, index) {
@@ -1291,7 +2927,7 @@ class FontParser {
       };
     if (b0 === 28)
       return {
-        value: (data[index + 1] << 8) | data[index + 2],
+        value: ((data[index + 1] << 24) >> 16) | data[index + 2],
         nextIndex: index + 3,
       };
     if (b0 === 29)
@@ -1303,9 +2939,26 @@ class FontParser {
           data[index + 4],
         nextIndex: index + 5,
       };
+    if (b0 === 30) return this.readDictReal(data, index + 1);
     return { value: 0, nextIndex: index + 1 };
   }
 
+  // Real number operand: packed BCD nibbles terminated by 0xf
+  readDictReal(data, index) {
+    const nibbles = "0123456789.EE?-";
+    let text = "";
+    while (index < data.length) {
+      const b = data[index++];
+      const high = b >> 4;
+      const low = b & 0xf;
+      if (high === 0xf) break;
+      text += high === 0xc ? "E-" : nibbles[high];
+      if (low === 0xf) break;
+      text += low === 0xc ? "E-" : nibbles[low];
+    }
+    return { value: parseFloat(text) || 0, nextIndex: index };
+  }
+
   // CFF glyph parsing (based on working static-font-parser.js)
   parseCFFGlyph(glyphId) {
     if (!this.cffCharStrings || glyphId >= this.cffCharStrings.length) {
@@ -1319,19 +2972,31 @@ class FontParser {
 
     try {
       // Use Typr.js-style state-based interpretation
+      const fontDict = this._getCFFFontDict(glyphId);
       const state = {
         stack: [],
         x: 0,
         y: 0,
         nStems: 0,
-        haveWidth: false,
-        width: 0,
+        haveWidth: this.fontType === "cff2", // CFF2 charstrings carry no width
+        width: fontDict.defaultWidthX,
+        nominalWidthX: fontDict.nominalWidthX,
         open: false,
         path: [],
+        localSubrs: fontDict.localSubrs,
+        localBias: fontDict.localBias,
+        vsindex: fontDict.vsindex,
+        randomState: glyphId, // Seeds the random operator
       };
 
       this.drawCFF(charString, state);
-      return this.cffPathToGlyph(state.path);
+      const glyph = state.seac
+        ? this._composeSeacGlyph(state.seac)
+        : this.cffPathToGlyph(state.path);
+
+      // The charstring width (hmtx still drives layout)
+      if (glyph && this.fontType === "cff") glyph.advanceWidth = state.width;
+      return glyph;
     } catch (error) {
       console.warn(`Error parsing CFF glyph ${glyphId}:`, error.message);
       return null;
@@ -1344,12 +3009,28 @@ class FontParser {
     let { x, y, nStems, haveWidth, width, open } = state;
     let i = 0;
 
-    const nominalWidthX = this.cffData?.privateDict?.nominalWidthX || 0;
+    const { nominalWidthX } = state;
+
+    // Relative curve and line helpers shared by the path operators
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+      const x1 = x + dx1;
+      const y1 = y + dy1;
+      const x2 = x1 + dx2;
+      const y2 = y1 + dy2;
+      x = x2 + dx3;
+      y = y2 + dy3;
+      path.push({ type: "curveto", x1, y1, x2, y2, x3: x, y3: y });
+    };
+    const lineTo = (dx, dy) => {
+      x += dx;
+      y += dy;
+      path.push({ type: "lineto", x, y });
+    };
 
-    while (i < charString.length) {
+    while (i < charString.length && !state.ended) {
       const b = charString[i];
 
-      if (b >= 32) {
+      if (b >= 32 || b === 28) {
         // Operand
         const operand = this.readCharStringOperand(charString, i);
         stack.push(operand.value);
@@ -1432,21 +3113,104 @@ class FontParser {
 
           case 8: // rrcurveto
             while (stack.length >= 6) {
-              const c1x = x + stack.shift();
-              const c1y = y + stack.shift();
-              const c2x = c1x + stack.shift();
-              const c2y = c1y + stack.shift();
-              x = c2x + stack.shift();
-              y = c2y + stack.shift();
-              path.push({
-                type: "curveto",
-                x1: c1x,
-                y1: c1y,
-                x2: c2x,
-                y2: c2y,
-                x3: x,
-                y3: y,
-              });
+              curveTo(...stack.splice(0, 6));
+            }
+            break;
+
+          case 24: // rcurveline
+            while (stack.length >= 8) {
+              curveTo(...stack.splice(0, 6));
+            }
+            lineTo(stack.shift(), stack.shift());
+            stack.length = 0;
+            break;
+
+          case 25: // rlinecurve
+            while (stack.length >= 8) {
+              lineTo(stack.shift(), stack.shift());
+            }
+            curveTo(...stack.splice(0, 6));
+            stack.length = 0;
+            break;
+
+          case 26: // vvcurveto
+            {
+              let dx1 = stack.length % 4 ? stack.shift() : 0;
+              while (stack.length >= 4) {
+                const [dya, dxb, dyb, dyc] = stack.splice(0, 4);
+                curveTo(dx1, dya, dxb, dyb, 0, dyc);
+                dx1 = 0;
+              }
+              stack.length = 0;
+            }
+            break;
+
+          case 27: // hhcurveto
+            {
+              let dy1 = stack.length % 4 ? stack.shift() : 0;
+              while (stack.length >= 4) {
+                const [dxa, dxb, dyb, dxc] = stack.splice(0, 4);
+                curveTo(dxa, dy1, dxb, dyb, dxc, 0);
+                dy1 = 0;
+              }
+              stack.length = 0;
+            }
+            break;
+
+          case 19: // hintmask
+          case 20: // cntrmask
+            {
+              // Stem hints left on the stack are an implicit vstem
+              if (stack.length % 2 !== 0 && !haveWidth) {
+                width = stack.shift() + nominalWidthX;
+              }
+              haveWidth = true;
+              nStems += stack.length >> 1;
+              stack.length = 0;
+              i += (nStems + 7) >> 3; // Skip the inline mask bytes
+            }
+            break;
+
+          case 0x0c22: // hflex
+            {
+              const [dx1, dx2, dy2, dx3, dx4, dx5, dx6] = stack.splice(0, 7);
+              curveTo(dx1, 0, dx2, dy2, dx3, 0);
+              curveTo(dx4, 0, dx5, -dy2, dx6, 0);
+              stack.length = 0;
+            }
+            break;
+
+          case 0x0c23: // flex
+            curveTo(...stack.splice(0, 6));
+            curveTo(...stack.splice(0, 6));
+            stack.length = 0; // Drop the flex depth
+            break;
+
+          case 0x0c24: // hflex1
+            {
+              const [dx1, dy1, dx2, dy2, dx3, dx4, dx5, dy5, dx6] =
+                stack.splice(0, 9);
+              curveTo(dx1, dy1, dx2, dy2, dx3, 0);
+              curveTo(dx4, 0, dx5, dy5, dx6, -(dy1 + dy2 + dy5));
+              stack.length = 0;
+            }
+            break;
+
+          case 0x0c25: // flex1
+            {
+              const args = stack.splice(0, 11);
+              let dx = 0;
+              let dy = 0;
+              for (let k = 0; k < 10; k += 2) {
+                dx += args[k];
+                dy += args[k + 1];
+              }
+              // The last point moves along the dominant axis only
+              const [dx6, dy6] =
+                Math.abs(dx) > Math.abs(dy) ? [args[10], -dy] : [-dx, args[10]];
+              curveTo(...args.slice(0, 6));
+              curveTo(...args.slice(6, 10), dx6, dy6);
+              stack.length = 0;
             }
             break;
 
@@ -1454,12 +3218,9 @@ class FontParser {
           case 29: // callgsubr
             if (stack.length > 0) {
               const subrIndex = Math.round(stack.pop());
-              const subrs =
-                op === 10 ? this.cffLocalSubrs : this.cffGlobalSubrs;
+              const subrs = op === 10 ? state.localSubrs : this.cffGlobalSubrs;
               const bias =
-                op === 10
-                  ? this.cffLocalBias || 107
-                  : this.cffGlobalBias || 107;
+                op === 10 ? state.localBias || 107 : this.cffGlobalBias || 107;
 
               const adjustedIndex = subrIndex + bias;
               if (subrs && adjustedIndex >= 0 && adjustedIndex < subrs.length) {
@@ -1495,14 +3256,29 @@ class FontParser {
             state.open = open;
             return;
 
-          case 14: // endchar
-            if (stack.length > 0 && !haveWidth) {
+          case 15: // vsindex (CFF2)
+            state.vsindex = stack.pop();
+            break;
+
+          case 16: // blend (CFF2)
+            this._blendCFF2Operands(stack, state.vsindex);
+            break;
+
+          case 14: // endchar (also ends the glyph from inside a subroutine)
+            if (stack.length % 2 !== 0 && !haveWidth) {
               width = stack.shift() + nominalWidthX;
               haveWidth = true;
             }
+            if (stack.length >= 4) {
+              // seac: base and accent StandardEncoding codes, accent offset
+              const [adx, ady, bchar, achar] = stack.splice(-4);
+              state.seac = { adx, ady, bchar, achar };
+            }
             if (open) {
               path.push({ type: "closepath" });
+              open = false;
             }
+            state.ended = true;
             break;
 
           case 21: // rmoveto
@@ -1569,6 +3345,9 @@ class FontParser {
             break;
 
           default:
+            if (op >= 0x0c00 && this._applyCFFEscapeOperator(op, state)) {
+              break;
+            }
             // Ignore unsupported operators
             stack.length = 0;
             break;
@@ -1586,6 +3365,142 @@ class FontParser {
     state.open = open;
   }
 
+  // Arithmetic, storage and conditional escape operators (12 x)
+  _applyCFFEscapeOperator(op, state) {
+    const { stack } = state;
+    const transient = state.transient || (state.transient = []);
+
+    switch (op) {
+      case 0x0c03: {
+        // and
+        const b = stack.pop();
+        const a = stack.pop();
+        stack.push(a && b ? 1 : 0);
+        return true;
+      }
+      case 0x0c04: {
+        // or
+        const b = stack.pop();
+        const a = stack.pop();
+        stack.push(a || b ? 1 : 0);
+        return true;
+      }
+      case 0x0c05: // not
+        stack.push(stack.pop() ? 0 : 1);
+        return true;
+      case 0x0c09: // abs
+        stack.push(Math.abs(stack.pop()));
+        return true;
+      case 0x0c0a: // add
+        stack.push(stack.pop() + stack.pop());
+        return true;
+      case 0x0c0b: {
+        // sub
+        const b = stack.pop();
+        stack.push(stack.pop() - b);
+        return true;
+      }
+      case 0x0c0c: {
+        // div
+        const b = stack.pop();
+        stack.push(stack.pop() / b);
+        return true;
+      }
+      case 0x0c0e: // neg
+        stack.push(-stack.pop());
+        return true;
+      case 0x0c0f: // eq
+        stack.push(stack.pop() === stack.pop() ? 1 : 0);
+        return true;
+      case 0x0c12: // drop
+        stack.pop();
+        return true;
+      case 0x0c14: {
+        // put
+        const index = stack.pop();
+        transient[index] = stack.pop();
+        return true;
+      }
+      case 0x0c15: // get
+        stack.push(transient[stack.pop()] || 0);
+        return true;
+      case 0x0c16: {
+        // ifelse
+        const v2 = stack.pop();
+        const v1 = stack.pop();
+        const s2 = stack.pop();
+        const s1 = stack.pop();
+        stack.push(v1 <= v2 ? s1 : s2);
+        return true;
+      }
+      case 0x0c17: // random, in (0, 1]
+        stack.push(this._nextCFFRandom(state));
+        return true;
+      case 0x0c18: // mul
+        stack.push(stack.pop() * stack.pop());
+        return true;
+      case 0x0c1a: // sqrt
+        stack.push(Math.sqrt(stack.pop()));
+        return true;
+      case 0x0c1b: // dup
+        stack.push(stack[stack.length - 1]);
+        return true;
+      case 0x0c1c: {
+        // exch
+        const b = stack.pop();
+        const a = stack.pop();
+        stack.push(b, a);
+        return true;
+      }
+      case 0x0c1d: {
+        // index
+        const index = stack.pop();
+        stack.push(stack[stack.length - 1 - Math.max(0, index)]);
+        return true;
+      }
+      case 0x0c1e: {
+        // roll: rotate the top n elements by j positions
+        const j = stack.pop();
+        const n = stack.pop();
+        if (n > 0) {
+          const items = stack.splice(stack.length - n, n);
+          const shift = ((j % n) + n) % n;
+          stack.push(...items.slice(n - shift), ...items.slice(0, n - shift));
+        }
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Mulberry32, seeded per glyph so outlines using random are repeatable
+  _nextCFFRandom(state) {
+    let t = (state.randomState = (state.randomState + 0x6d2b79f5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return 1 - ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Replace blend operands with values interpolated at the current variation
+  _blendCFF2Operands(stack, vsindex) {
+    const count = stack.pop();
+    const store = this.cffVariationStore;
+    const data = store?.itemVariationData[vsindex];
+    const regionIndexes = data ? data.regionIndexes : [];
+    const scalars = store ? this._getRegionScalars(store) : [];
+
+    // n default values, then n rows of one delta per region
+    const base = stack.length - count * (regionIndexes.length + 1);
+    for (let i = 0; i < count; i++) {
+      const deltas = base + count + i * regionIndexes.length;
+      regionIndexes.forEach((region, r) => {
+        stack[base + i] += stack[deltas + r] * (scalars[region] || 0);
+      });
+    }
+    stack.length = base + count;
+  }
+
   readCharStringOperand(data, index) {
     const b0 = data[index];
     if (b0 >= 32 && b0 <= 246) return { value: b0 - 139, nextIndex: index + 1 };
@@ -1601,7 +3516,7 @@ class FontParser {
       };
     if (b0 === 28)
       return {
-        value: (data[index + 1] << 8) | data[index + 2],
+        value: ((data[index + 1] << 24) >> 16) | data[index + 2],
         nextIndex: index + 3,
       };
     if (b0 === 255)
@@ -1684,8 +3599,8 @@ class FontParser {
 
     const offset = this.glyphOffsets[glyphId];
     const nextOffset = this.glyphOffsets[glyphId + 1];
-    if (offset === nextOffset)
-      return {
+    if (offset === nextOffset) {
+      const emptyGlyph = {
         contours: [],
         instructions: [],
         xMin: 0,
@@ -1693,6 +3608,10 @@ class FontParser {
         xMax: 0,
         yMax: 0,
       };
+      return this.gvarData
+        ? this.applyGlyphVariations(glyphId, emptyGlyph)
+        : emptyGlyph;
+    }
 
     this.seek(this.tables.glyf.offset + offset);
     const numberOfContours = this.readInt16();
@@ -1702,9 +3621,23 @@ class FontParser {
     const yMax = this.readInt16();
 
     if (numberOfContours >= 0) {
-      return this.parseSimpleGlyph(numberOfContours, xMin, yMin, xMax, yMax);
+      const glyph = this.parseSimpleGlyph(
+        numberOfContours,
+        xMin,
+        yMin,
+        xMax,
+        yMax
+      );
+      return this.gvarData ? this.applyGlyphVariations(glyphId, glyph) : glyph;
     } else {
-      return this.parseCompositeGlyph(numberOfContours, xMin, yMin, xMax, yMax);
+      return this.parseCompositeGlyph(
+        numberOfContours,
+        xMin,
+        yMin,
+        xMax,
+        yMax,
+        glyphId
+      );
     }
   }
 
@@ -1791,8 +3724,10 @@ class FontParser {
     return { contours, instructions: [], xMin, yMin, xMax, yMax };
   }
 
-  parseCompositeGlyph(numberOfContours, xMin, yMin, xMax, yMax) {
-    const allContours = [];
+  parseCompositeGlyph(numberOfContours, xMin, yMin, xMax, yMax, glyphId) {
+    // Read every component record first: parsing a component glyph moves
+    // the read offset, so recursion has to wait until the records are done
+    const components = [];
     let flags;
 
     do {
@@ -1827,6 +3762,35 @@ class FontParser {
         m11 = this.readF2Dot14();
       }
 
+      components.push({ glyphIndex, dx, dy, m00, m01, m10, m11 });
+    } while (flags & 0x0020);
+
+    if (flags & 0x0100) {
+      const instrLength = this.readUint16();
+      this.offset += instrLength;
+    }
+
+    // In gvar, each component offset counts as one point of a composite
+    let phantomPoints;
+    if (this.gvarData) {
+      const phantom = this._getPhantomPoints(glyphId, xMin);
+      const offsets = components.map((c) => ({ x: c.dx, y: c.dy }));
+      const deltas = this._getGlyphDeltas(
+        glyphId,
+        [...offsets, ...phantom],
+        []
+      );
+      if (deltas) {
+        components.forEach((component, i) => {
+          component.dx += deltas[i].x;
+          component.dy += deltas[i].y;
+        });
+      }
+      phantomPoints = this._offsetPoints(phantom, deltas, components.length);
+    }
+
+    const allContours = [];
+    for (const { glyphIndex, dx, dy, m00, m01, m10, m11 } of components) {
       const baseGlyph = this.parseTrueTypeGlyph(glyphIndex);
       if (baseGlyph?.contours?.length) {
         for (const contour of baseGlyph.contours) {
@@ -1838,16 +3802,5339 @@ class FontParser {
           allContours.push(transformed);
         }
       }
-    } while (flags & 0x0020);
+    }
 
-    if (flags & 0x0100) {
-      const instrLength = this.readUint16();
-      this.offset += instrLength;
+    if (!phantomPoints) {
+      return {
+        contours: allContours,
+        instructions: [],
+        xMin,
+        yMin,
+        xMax,
+        yMax,
+      };
     }
 
-    return { contours: allContours, instructions: [], xMin, yMin, xMax, yMax };
+    return {
+      contours: allContours,
+      instructions: [],
+      phantomPoints,
+      ...this.calculateGlyphBounds(allContours),
+    };
   }
-}
+
+  // ============================================================================
+  // GLYPH VARIATIONS (gvar)
+  // ============================================================================
+
+  /**
+   * Apply gvar deltas for the current variation to a simple glyph
+   * @param {number} glyphId - Glyph ID
+   * @param {Object} glyph - Default-master glyph from parseSimpleGlyph
+   * @returns {Object} Varied glyph with recalculated bounds and phantom points
+   */
+  applyGlyphVariations(glyphId, glyph) {
+    const points = glyph.contours.flat();
+    const phantom = this._getPhantomPoints(glyphId, glyph.xMin);
+
+    const contourEnds = [];
+    let pointCount = 0;
+    for (const contour of glyph.contours) {
+      pointCount += contour.length;
+      contourEnds.push(pointCount - 1);
+    }
+
+    const deltas = this._getGlyphDeltas(
+      glyphId,
+      [...points, ...phantom],
+      contourEnds
+    );
+    const phantomPoints = this._offsetPoints(phantom, deltas, pointCount);
+    if (!deltas) return { ...glyph, phantomPoints };
+
+    let index = 0;
+    const contours = glyph.contours.map((contour) =>
+      contour.map((point) => {
+        const delta = deltas[index++];
+        return { ...point, x: point.x + delta.x, y: point.y + delta.y };
+      })
+    );
+
+    return {
+      ...glyph,
+      contours,
+      phantomPoints,
+      ...this.calculateGlyphBounds(contours),
+    };
+  }
+
+  /**
+   * Build the four phantom points (origin, advance, top, bottom) of a glyph
+   * @private
+   */
+  _getPhantomPoints(glyphId, xMin) {
+    const lastIndex = this.horizontalMetrics.length - 1;
+    const metrics = this.horizontalMetrics[Math.min(glyphId, lastIndex)] || {
+      advanceWidth: this.unitsPerEm,
+      leftSideBearing: 0,
+    };
+    const originX = xMin - metrics.leftSideBearing;
+
+    return [
+      { x: originX, y: 0 },
+      { x: originX + metrics.advanceWidth, y: 0 },
+      { x: 0, y: this.ascender },
+      { x: 0, y: this.descender },
+    ];
+  }
+
+  /**
+   * Shift points by a slice of a delta array (no-op when deltas is null)
+   * @private
+   */
+  _offsetPoints(points, deltas, start) {
+    if (!deltas) return points;
+    return points.map((point, i) => ({
+      x: point.x + deltas[start + i].x,
+      y: point.y + deltas[start + i].y,
+    }));
+  }
+
+  /**
+   * Compute summed gvar deltas for a glyph at the current normalized coords
+   * @param {number} glyphId - Glyph ID
+   * @param {Array} points - Default coordinates, phantom points included
+   * @param {Array} contourEnds - Last point index of each contour (for IUP)
+   * @returns {Array|null} One {x, y} delta per point, or null if unvaried
+   * @private
+   */
+  _getGlyphDeltas(glyphId, points, contourEnds) {
+    const gvar = this.gvarData;
+    const coords = this.normalizedCoords;
+    if (!gvar || glyphId >= gvar.glyphVariationOffsets.length - 1) return null;
+    if (coords.every((coord) => coord === 0)) return null;
+
+    const start = gvar.glyphVariationOffsets[glyphId];
+    const end = gvar.glyphVariationOffsets[glyphId + 1];
+    if (start === end) return null;
+
+    // GlyphVariationData header and tuple variation headers
+    const dataStart = gvar.dataStart + start;
+    this.seek(dataStart);
+    const tupleVariationCount = this.readUint16();
+    const serializedDataOffset = this.readUint16();
+
+    const headers = [];
+    for (let i = 0; i < (tupleVariationCount & 0x0fff); i++) {
+      const variationDataSize = this.readUint16();
+      const tupleIndex = this.readUint16();
+      const readTuple = () =>
+        Array.from({ length: gvar.axisCount }, () => this.readF2Dot14());
+
+      const peak =
+        tupleIndex & 0x8000
+          ? readTuple()
+          : gvar.sharedTuples[tupleIndex & 0x0fff];
+      let intermediateStart = null;
+      let intermediateEnd = null;
+      if (tupleIndex & 0x4000) {
+        intermediateStart = readTuple();
+        intermediateEnd = readTuple();
+      }
+
+      headers.push({
+        variationDataSize,
+        peak,
+        intermediateStart,
+        intermediateEnd,
+        hasPrivatePoints: !!(tupleIndex & 0x2000),
+      });
+    }
+
+    // Serialized data: optional shared point numbers, then per-tuple data
+    let dataOffset = dataStart + serializedDataOffset;
+    let sharedPoints = null;
+    if (tupleVariationCount & 0x8000) {
+      this.seek(dataOffset);
+      sharedPoints = this._readPackedPointNumbers();
+      dataOffset = this.offset;
+    }
+
+    const deltas = points.map(() => ({ x: 0, y: 0 }));
+    let varied = false;
+
+    for (const header of headers) {
+      const tupleDataOffset = dataOffset;
+      dataOffset += header.variationDataSize;
+
+      if (!header.peak) continue;
+      const scalar = this._getTupleScalar(
+        header.peak,
+        header.intermediateStart,
+        header.intermediateEnd,
+        coords
+      );
+      if (scalar === 0) continue;
+
+      this.seek(tupleDataOffset);
+      const pointNumbers = header.hasPrivatePoints
+        ? this._readPackedPointNumbers()
+        : sharedPoints;
+      const count = pointNumbers ? pointNumbers.length : points.length;
+      const xDeltas = this._readPackedDeltas(count);
+      const yDeltas = this._readPackedDeltas(count);
+
+      let tupleDeltas;
+      if (pointNumbers) {
+        tupleDeltas = this._interpolateUntouchedPoints(
+          points,
+          pointNumbers,
+          xDeltas,
+          yDeltas,
+          contourEnds
+        );
+      } else {
+        tupleDeltas = xDeltas.map((dx, i) => ({ x: dx, y: yDeltas[i] }));
+      }
+
+      tupleDeltas.forEach((delta, i) => {
+        deltas[i].x += delta.x * scalar;
+        deltas[i].y += delta.y * scalar;
+      });
+      varied = true;
+    }
+
+    return varied ? deltas : null;
+  }
+
+  /**
+   * Scalar contribution of a variation region at the given coordinates
+   * @param {Array} peak - Peak coordinate per axis
+   * @param {Array|null} start - Region start per axis (intermediate regions)
+   * @param {Array|null} end - Region end per axis (intermediate regions)
+   * @param {Array} coords - Normalized coordinates
+   * @returns {number} Scalar in the 0..1 range
+   * @private
+   */
+  _getTupleScalar(peak, start, end, coords) {
+    let scalar = 1;
+
+    for (let i = 0; i < peak.length; i++) {
+      const peakValue = peak[i];
+      const value = coords[i] || 0;
+      if (peakValue === 0 || value === peakValue) continue;
+
+      if (start && end) {
+        const startValue = start[i];
+        const endValue = end[i];
+        // Malformed regions do not constrain this axis
+        if (
+          startValue > peakValue ||
+          peakValue > endValue ||
+          (startValue < 0 && endValue > 0)
+        ) {
+          continue;
+        }
+        if (value <= startValue || value >= endValue) return 0;
+        scalar *=
+          value < peakValue
+            ? (value - startValue) / (peakValue - startValue)
+            : (endValue - value) / (endValue - peakValue);
+      } else {
+        if (value === 0) return 0;
+        if (value < Math.min(0, peakValue) || value > Math.max(0, peakValue)) {
+          return 0;
+        }
+        scalar *= value / peakValue;
+      }
+    }
+
+    return scalar;
+  }
+
+  /**
+   * Read packed point numbers (null means "all points")
+   * @private
+   */
+  _readPackedPointNumbers() {
+    let count = this.readUint8();
+    if (count === 0) return null;
+    if (count & 0x80) {
+      count = ((count & 0x7f) << 8) | this.readUint8();
+    }
+
+    const pointNumbers = [];
+    let pointNumber = 0;
+    while (pointNumbers.length < count) {
+      const control = this.readUint8();
+      const runCount = (control & 0x7f) + 1;
+      for (let i = 0; i < runCount && pointNumbers.length < count; i++) {
+        pointNumber += control & 0x80 ? this.readUint16() : this.readUint8();
+        pointNumbers.push(pointNumber);
+      }
+    }
+    return pointNumbers;
+  }
+
+  /**
+   * Read a run-length packed array of deltas
+   * @private
+   */
+  _readPackedDeltas(count) {
+    const deltas = [];
+    while (deltas.length < count) {
+      const control = this.readUint8();
+      const runCount = (control & 0x3f) + 1;
+      for (let i = 0; i < runCount; i++) {
+        if ((control & 0xc0) === 0xc0) {
+          deltas.push(this.readInt32());
+        } else if (control & 0x80) {
+          deltas.push(0);
+        } else if (control & 0x40) {
+          deltas.push(this.readInt16());
+        } else {
+          deltas.push(this.readInt8());
+        }
+      }
+    }
+    return deltas;
+  }
+
+  /**
+   * Expand sparse tuple deltas, inferring untouched points per contour (IUP)
+   * @private
+   */
+  _interpolateUntouchedPoints(
+    points,
+    pointNumbers,
+    xDeltas,
+    yDeltas,
+    contourEnds
+  ) {
+    const deltas = points.map(() => ({ x: 0, y: 0 }));
+    const touched = new Array(points.length).fill(false);
+
+    pointNumbers.forEach((pointNumber, i) => {
+      if (pointNumber >= points.length) return;
+      deltas[pointNumber] = { x: xDeltas[i], y: yDeltas[i] };
+      touched[pointNumber] = true;
+    });
+
+    let contourStart = 0;
+    for (const contourEnd of contourEnds) {
+      const touchedIndices = [];
+      for (let i = contourStart; i <= contourEnd; i++) {
+        if (touched[i]) touchedIndices.push(i);
+      }
+
+      const contourLength = contourEnd - contourStart + 1;
+      if (touchedIndices.length > 0 && touchedIndices.length < contourLength) {
+        // Walk each gap between consecutive touched points (wrapping around)
+        for (let t = 0; t < touchedIndices.length; t++) {
+          const prev = touchedIndices[t];
+          const next = touchedIndices[(t + 1) % touchedIndices.length];
+          let i = prev === contourEnd ? contourStart : prev + 1;
+
+          while (i !== next) {
+            deltas[i] = {
+              x: this._interpolateDelta(
+                points[i].x,
+                points[prev].x,
+                points[next].x,
+                deltas[prev].x,
+                deltas[next].x
+              ),
+              y: this._interpolateDelta(
+                points[i].y,
+                points[prev].y,
+                points[next].y,
+                deltas[prev].y,
+                deltas[next].y
+              ),
+            };
+            i = i === contourEnd ? contourStart : i + 1;
+          }
+        }
+      }
+
+      contourStart = contourEnd + 1;
+    }
+
+    return deltas;
+  }
+
+  /**
+   * Interpolate one coordinate's delta between two reference points
+   * @private
+   */
+  _interpolateDelta(value, ref1, ref2, delta1, delta2) {
+    if (ref1 === ref2) return delta1 === delta2 ? delta1 : 0;
+
+    const [lowValue, highValue] = ref1 < ref2 ? [ref1, ref2] : [ref2, ref1];
+    const [lowDelta, highDelta] =
+      ref1 < ref2 ? [delta1, delta2] : [delta2, delta1];
+
+    if (value <= lowValue) return lowDelta;
+    if (value >= highValue) return highDelta;
+    return (
+      lowDelta +
+      ((value - lowValue) * (highDelta - lowDelta)) / (highValue - lowValue)
+    );
+  }
+
+  // ============================================================================
+  // ITEM VARIATION STORE (HVAR)
+  // ============================================================================
+
+  /**
+   * Parse horizontal metrics variations table
+   * @private
+   */
+  _parseHvarTable() {
+    const hvarStart = this.tables.HVAR.offset;
+    this.seek(hvarStart + 4); // Skip version
+    const itemVariationStoreOffset = this.readUint32();
+    const advanceWidthMappingOffset = this.readUint32();
+    const lsbMappingOffset = this.readUint32();
+
+    this.hvarData = {
+      itemVariationStore: this._parseItemVariationStore(
+        hvarStart + itemVariationStoreOffset
+      ),
+      advanceWidthMapping: advanceWidthMappingOffset
+        ? this._parseDeltaSetIndexMap(hvarStart + advanceWidthMappingOffset)
+        : null,
+      lsbMapping: lsbMappingOffset
+        ? this._parseDeltaSetIndexMap(hvarStart + lsbMappingOffset)
+        : null,
+    };
+  }
+
+  /**
+   * Apply HVAR deltas to default horizontal metrics
+   * @private
+   */
+  _getHvarMetrics(glyphId, baseMetrics) {
+    const { itemVariationStore, advanceWidthMapping, lsbMapping } =
+      this.hvarData;
+
+    // Without an advance mapping, glyph IDs index the first data subtable
+    const advanceIndex = advanceWidthMapping
+      ? this._lookupDeltaSetIndex(advanceWidthMapping, glyphId)
+      : { outer: 0, inner: glyphId };
+    const advanceWidth =
+      baseMetrics.advanceWidth +
+      this._getItemVariationDelta(
+        itemVariationStore,
+        advanceIndex.outer,
+        advanceIndex.inner
+      );
+
+    let leftSideBearing = baseMetrics.leftSideBearing;
+    if (lsbMapping) {
+      const lsbIndex = this._lookupDeltaSetIndex(lsbMapping, glyphId);
+      leftSideBearing += this._getItemVariationDelta(
+        itemVariationStore,
+        lsbIndex.outer,
+        lsbIndex.inner
+      );
+    }
+
+    return { advanceWidth, leftSideBearing };
+  }
+
+  /**
+   * Parse metrics variations table
+   * @private
+   */
+  _parseMvarTable() {
+    const mvarStart = this.tables.MVAR.offset;
+    this.seek(mvarStart + 6); // Skip version, reserved
+    const valueRecordSize = this.readUint16();
+    const valueRecordCount = this.readUint16();
+    const itemVariationStoreOffset = this.readUint16();
+    if (!itemVariationStoreOffset) return;
+
+    const valueRecords = {};
+    for (let i = 0; i < valueRecordCount; i++) {
+      this.seek(mvarStart + 12 + i * valueRecordSize);
+      const tag = this.readTag();
+      valueRecords[tag] = {
+        outer: this.readUint16(),
+        inner: this.readUint16(),
+      };
+    }
+
+    this.mvarData = {
+      valueRecords,
+      itemVariationStore: this._parseItemVariationStore(
+        mvarStart + itemVariationStoreOffset
+      ),
+    };
+  }
+
+  /**
+   * Get the MVAR delta for a metric tag (hasc, hdsc, xhgt, undo, ...)
+   * @param {string} tag - MVAR value tag
+   * @returns {number} Delta in font units (0 when not varied)
+   * @private
+   */
+  _getMetricDelta(tag) {
+    const record = this.mvarData?.valueRecords[tag];
+    if (!record) return 0;
+    return this._getItemVariationDelta(
+      this.mvarData.itemVariationStore,
+      record.outer,
+      record.inner
+    );
+  }
+
+  // ============================================================================
+  // KERNING (kern)
+  // ============================================================================
+
+  /**
+   * Parse legacy kerning table (OpenType v0 and Apple v1 headers)
+   * @private
+   */
+  _parseKernTable() {
+    this.kernSubtables = [];
+    if (!this.tables.kern) return;
+
+    const kernStart = this.tables.kern.offset;
+    this.seek(kernStart);
+    const isApple = this.readUint16() === 1;
+    let nTables;
+    if (isApple) {
+      this.readUint16(); // Rest of the 1.0 Fixed version
+      nTables = this.readUint32();
+    } else {
+      nTables = this.readUint16();
+    }
+
+    let subtableStart = this.offset;
+    for (let i = 0; i < nTables; i++) {
+      this.seek(subtableStart);
+      let length, format, horizontal, crossStream, override;
+      if (isApple) {
+        length = this.readUint32();
+        const coverage = this.readUint16();
+        this.readUint16(); // Skip tupleIndex
+        format = coverage & 0xff;
+        // Apple flags: 0x8000 vertical, 0x4000 cross-stream, 0x2000 variation
+        horizontal = !(coverage & 0xa000);
+        crossStream = !!(coverage & 0x4000);
+        override = false;
+      } else {
+        this.readUint16(); // Skip subtable version
+        length = this.readUint16();
+        const coverage = this.readUint16();
+        format = coverage >> 8;
+        // OpenType flags: 0x1 horizontal, 0x2 minimum, 0x4 cross-stream
+        horizontal = (coverage & 0x0003) === 0x0001;
+        crossStream = !!(coverage & 0x0004);
+        override = !!(coverage & 0x0008);
+      }
+
+      if (horizontal && !crossStream) {
+        if (format === 0) {
+          this.kernSubtables.push(this._parseKernFormat0(override));
+        } else if (format === 2) {
+          this.kernSubtables.push(
+            this._parseKernFormat2(subtableStart, override)
+          );
+        }
+      }
+
+      // Apple fonts may store a 16-bit length that overflows; fall back to the table end
+      subtableStart += length || this.tables.kern.length;
+      if (subtableStart >= kernStart + this.tables.kern.length) break;
+    }
+  }
+
+  /**
+   * Parse kern format 0 (sorted glyph pair list)
+   * @private
+   */
+  _parseKernFormat0(override) {
+    const nPairs = this.readUint16();
+    this.offset += 6; // Skip searchRange, entrySelector, rangeShift
+
+    const pairs = new Map();
+    for (let i = 0; i < nPairs; i++) {
+      const left = this.readUint16();
+      const right = this.readUint16();
+      pairs.set(left * 0x10000 + right, this.readInt16());
+    }
+    return { format: 0, override, pairs };
+  }
+
+  /**
+   * Parse kern format 2 (two-dimensional class array)
+   * @private
+   */
+  _parseKernFormat2(subtableStart, override) {
+    this.readUint16(); // Skip rowWidth
+    const leftClassOffset = this.readUint16();
+    const rightClassOffset = this.readUint16();
+    const arrayOffset = this.readUint16();
+
+    const readClassTable = (offset) => {
+      this.seek(subtableStart + offset);
+      const firstGlyph = this.readUint16();
+      const nGlyphs = this.readUint16();
+      const values = Array.from({ length: nGlyphs }, () => this.readUint16());
+      return { firstGlyph, values };
+    };
+
+    return {
+      format: 2,
+      override,
+      subtableStart,
+      arrayOffset,
+      leftClasses: readClassTable(leftClassOffset),
+      rightClasses: readClassTable(rightClassOffset),
+    };
+  }
+
+  /**
+   * Look up a kern format 2 value; class values are byte offsets into the array
+   * @private
+   */
+  _getKernClassValue(subtable, leftGlyphId, rightGlyphId) {
+    const classValue = ({ firstGlyph, values }, glyphId, fallback) => {
+      const index = glyphId - firstGlyph;
+      return index >= 0 && index < values.length ? values[index] : fallback;
+    };
+
+    // Left values already include the array offset; class 0 rows are unkerned
+    const left = classValue(
+      subtable.leftClasses,
+      leftGlyphId,
+      subtable.arrayOffset
+    );
+    const right = classValue(subtable.rightClasses, rightGlyphId, 0);
+    if (left < subtable.arrayOffset) return undefined;
+
+    this.seek(subtable.subtableStart + left + right);
+    return this.readInt16() || undefined;
+  }
+
+  // ============================================================================
+  // OPENTYPE LAYOUT (GDEF / GSUB / GPOS)
+  // ============================================================================
+
+  /**
+   * Parse glyph definition table (classes, mark sets, variation store)
+   * @private
+   */
+  _parseGdefTable() {
+    this.gdef = null;
+    if (!this.tables.GDEF) return;
+
+    const gdefStart = this.tables.GDEF.offset;
+    this.seek(gdefStart);
+    this.readUint16(); // Skip majorVersion
+    const minorVersion = this.readUint16();
+    const glyphClassDefOffset = this.readUint16();
+    this.offset += 4; // Skip attachList and ligCaretList offsets
+    const markAttachClassDefOffset = this.readUint16();
+    const markGlyphSetsDefOffset = minorVersion >= 2 ? this.readUint16() : 0;
+    const itemVarStoreOffset = minorVersion >= 3 ? this.readUint32() : 0;
+
+    let markGlyphSets = [];
+    if (markGlyphSetsDefOffset) {
+      const setsStart = gdefStart + markGlyphSetsDefOffset;
+      this.seek(setsStart + 2); // Skip format
+      const markGlyphSetCount = this.readUint16();
+      const coverageOffsets = Array.from({ length: markGlyphSetCount }, () =>
+        this.readUint32()
+      );
+      markGlyphSets = coverageOffsets.map((offset) =>
+        this._parseCoverage(setsStart + offset)
+      );
+    }
+
+    this.gdef = {
+      glyphClassDef: glyphClassDefOffset
+        ? this._parseClassDef(gdefStart + glyphClassDefOffset)
+        : null,
+      markAttachClassDef: markAttachClassDefOffset
+        ? this._parseClassDef(gdefStart + markAttachClassDefOffset)
+        : null,
+      markGlyphSets,
+      itemVariationStore: itemVarStoreOffset
+        ? this._parseItemVariationStore(gdefStart + itemVarStoreOffset)
+        : null,
+    };
+  }
+
+  /**
+   * Parse the script, feature and lookup lists shared by GSUB and GPOS
+   * @param {string} tag - "GSUB" or "GPOS"
+   * @returns {Object} Layout table with scripts, features and lazy lookups
+   * @private
+   */
+  _parseLayoutTable(tag) {
+    const tableStart = this.tables[tag].offset;
+    this.seek(tableStart + 4); // Skip version
+    const scriptListStart = tableStart + this.readUint16();
+    const featureListStart = tableStart + this.readUint16();
+    const lookupListStart = tableStart + this.readUint16();
+
+    // Script list: script -> default and per-language LangSys
+    const readLangSys = (offset) => {
+      this.seek(offset + 2); // Skip lookupOrderOffset
+      const requiredFeatureIndex = this.readUint16();
+      const featureIndexCount = this.readUint16();
+      return {
+        requiredFeatureIndex,
+        featureIndices: Array.from({ length: featureIndexCount }, () =>
+          this.readUint16()
+        ),
+      };
+    };
+
+    this.seek(scriptListStart);
+    const scriptRecords = Array.from({ length: this.readUint16() }, () => ({
+      tag: this.readTag(),
+      offset: scriptListStart + this.readUint16(),
+    }));
+
+    const scripts = {};
+    for (const { tag: scriptTag, offset } of scriptRecords) {
+      this.seek(offset);
+      const defaultLangSysOffset = this.readUint16();
+      const langSysRecords = Array.from({ length: this.readUint16() }, () => ({
+        tag: this.readTag(),
+        offset: offset + this.readUint16(),
+      }));
+
+      const languages = {};
+      for (const record of langSysRecords) {
+        languages[record.tag] = readLangSys(record.offset);
+      }
+      scripts[scriptTag] = {
+        defaultLangSys: defaultLangSysOffset
+          ? readLangSys(offset + defaultLangSysOffset)
+          : null,
+        languages,
+      };
+    }
+
+    // Feature list: tag + lookup indices
+    this.seek(featureListStart);
+    const featureRecords = Array.from({ length: this.readUint16() }, () => ({
+      tag: this.readTag(),
+      offset: featureListStart + this.readUint16(),
+    }));
+    const features = featureRecords.map(({ tag: featureTag, offset }) => {
+      this.seek(offset);
+      const featureParamsOffset = this.readUint16();
+      const lookupIndexCount = this.readUint16();
+      const feature = {
+        tag: featureTag,
+        lookupIndices: Array.from({ length: lookupIndexCount }, () =>
+          this.readUint16()
+        ),
+      };
+
+      // Stylistic sets and character variants carry a UI name ID
+      if (featureParamsOffset && /^(ss|cv)\d\d$/.test(featureTag)) {
+        this.seek(offset + featureParamsOffset + 2);
+        feature.uiNameID = this.readUint16();
+      }
+      return feature;
+    });
+
+    // Lookup list: offsets only, lookups are parsed on first use
+    this.seek(lookupListStart);
+    const lookupOffsets = Array.from({ length: this.readUint16() }, () =>
+      this.readUint16()
+    );
+
+    return {
+      tag,
+      scripts,
+      features,
+      lookupListStart,
+      lookupOffsets,
+      lookups: new Map(),
+    };
+  }
+
+  /**
+   * Find the LangSys for a script/language, falling back to DFLT and latn
+   * @private
+   */
+  _selectLangSys(layout, script, language) {
+    const pad = (tag) => (tag ? String(tag).padEnd(4, " ").slice(0, 4) : null);
+    const scriptTable =
+      layout.scripts[pad(script)] ||
+      layout.scripts.DFLT ||
+      layout.scripts.dflt ||
+      layout.scripts.latn ||
+      Object.values(layout.scripts)[0];
+    if (!scriptTable) return null;
+
+    return (
+      (language && scriptTable.languages[pad(language)]) ||
+      scriptTable.defaultLangSys ||
+      Object.values(scriptTable.languages)[0] ||
+      null
+    );
+  }
+
+  /**
+   * Collect lookups for the enabled features, in lookup list order
+   * @param {Object} layout - Parsed GSUB/GPOS table
+   * @param {Map} features - Feature tag -> value (0 = disabled)
+   * @param {string} script - OpenType script tag
+   * @param {string} language - OpenType language system tag
+   * @returns {Array} Entries of {lookup, value, features}
+   * @private
+   */
+  _getFeatureLookups(layout, features, script, language) {
+    const langSys = this._selectLangSys(layout, script, language);
+    if (!langSys) return [];
+
+    const featureIndices = [...langSys.featureIndices];
+    if (langSys.requiredFeatureIndex !== 0xffff) {
+      featureIndices.push(langSys.requiredFeatureIndex);
+    }
+
+    // The required feature is always on; a lookup keeps its highest value
+    const entries = new Map();
+    for (const index of featureIndices) {
+      const feature = layout.features[index];
+      if (!feature) continue;
+
+      const value =
+        index === langSys.requiredFeatureIndex
+          ? features.get(feature.tag) || 1
+          : features.get(feature.tag);
+      if (!value) continue;
+
+      for (const lookupIndex of feature.lookupIndices) {
+        const entry = entries.get(lookupIndex) || { value, features: [] };
+        entry.value = Math.max(entry.value, value);
+        entry.features.push(feature.tag);
+        entries.set(lookupIndex, entry);
+      }
+    }
+
+    return [...entries.keys()]
+      .sort((a, b) => a - b)
+      .map((index) => ({
+        lookup: this._getLookup(layout, index),
+        ...entries.get(index),
+      }))
+      .filter((entry) => entry.lookup);
+  }
+
+  /**
+   * Parse a lookup table (cached), unwrapping extension subtables
+   * @private
+   */
+  _getLookup(layout, index) {
+    if (layout.lookups.has(index)) return layout.lookups.get(index);
+    if (index >= layout.lookupOffsets.length) return null;
+
+    const lookupStart = layout.lookupListStart + layout.lookupOffsets[index];
+    this.seek(lookupStart);
+    let lookupType = this.readUint16();
+    const lookupFlag = this.readUint16();
+    const subTableCount = this.readUint16();
+    let subtableOffsets = Array.from(
+      { length: subTableCount },
+      () => lookupStart + this.readUint16()
+    );
+    const markFilteringSet = lookupFlag & 0x0010 ? this.readUint16() : null;
+
+    // Extension lookups (GSUB 7, GPOS 9) point to 32-bit offset subtables
+    const extensionType = layout.tag === "GPOS" ? 9 : 7;
+    if (lookupType === extensionType) {
+      subtableOffsets = subtableOffsets.map((offset) => {
+        this.seek(offset + 2); // Skip format
+        lookupType = this.readUint16();
+        return offset + this.readUint32();
+      });
+    }
+
+    const lookup = {
+      lookupType,
+      lookupFlag,
+      markFilteringSet,
+      subtables: subtableOffsets.map((offset) => ({ offset, parsed: null })),
+    };
+    layout.lookups.set(index, lookup);
+    return lookup;
+  }
+
+  /**
+   * Parse a coverage table into a glyph -> coverage index map
+   * @private
+   */
+  _parseCoverage(offset) {
+    this.seek(offset);
+    const format = this.readUint16();
+    const coverage = new Map();
+
+    if (format === 1) {
+      const glyphCount = this.readUint16();
+      for (let i = 0; i < glyphCount; i++) {
+        coverage.set(this.readUint16(), i);
+      }
+    } else if (format === 2) {
+      const rangeCount = this.readUint16();
+      for (let i = 0; i < rangeCount; i++) {
+        const startGlyphID = this.readUint16();
+        const endGlyphID = this.readUint16();
+        const startCoverageIndex = this.readUint16();
+        for (let glyph = startGlyphID; glyph <= endGlyphID; glyph++) {
+          coverage.set(glyph, startCoverageIndex + glyph - startGlyphID);
+        }
+      }
+    }
+    return coverage;
+  }
+
+  /**
+   * Parse a class definition table into a glyph -> class map
+   * @private
+   */
+  _parseClassDef(offset) {
+    this.seek(offset);
+    const format = this.readUint16();
+    const classes = new Map();
+
+    if (format === 1) {
+      const startGlyphID = this.readUint16();
+      const glyphCount = this.readUint16();
+      for (let i = 0; i < glyphCount; i++) {
+        const classValue = this.readUint16();
+        if (classValue) classes.set(startGlyphID + i, classValue);
+      }
+    } else if (format === 2) {
+      const classRangeCount = this.readUint16();
+      for (let i = 0; i < classRangeCount; i++) {
+        const startGlyphID = this.readUint16();
+        const endGlyphID = this.readUint16();
+        const classValue = this.readUint16();
+        for (let glyph = startGlyphID; glyph <= endGlyphID; glyph++) {
+          classes.set(glyph, classValue);
+        }
+      }
+    }
+    return classes;
+  }
+
+  /**
+   * Check whether a lookup's flags make it skip a glyph
+   * @private
+   */
+  _shouldSkipGlyph(glyphId, lookup) {
+    const glyphClass = this.gdef?.glyphClassDef?.get(glyphId) || 0;
+    const flag = lookup.lookupFlag;
+
+    if (glyphClass === 1) return !!(flag & 0x0002); // IGNORE_BASE_GLYPHS
+    if (glyphClass === 2) return !!(flag & 0x0004); // IGNORE_LIGATURES
+    if (glyphClass !== 3) return false;
+
+    if (flag & 0x0008) return true; // IGNORE_MARKS
+    if (flag & 0x0010) {
+      const markSet = this.gdef.markGlyphSets[lookup.markFilteringSet];
+      return !markSet?.has(glyphId);
+    }
+    const markAttachmentType = flag >> 8;
+    if (markAttachmentType) {
+      return this.gdef.markAttachClassDef?.get(glyphId) !== markAttachmentType;
+    }
+    return false;
+  }
+
+  /**
+   * Index of the next glyph the lookup does not skip (-1 if none)
+   * @private
+   */
+  _nextGlyphIndex(glyphs, index, lookup) {
+    for (let i = index + 1; i < glyphs.length; i++) {
+      if (!this._shouldSkipGlyph(glyphs[i].glyphId, lookup)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Index of the previous glyph the lookup does not skip (-1 if none)
+   * @private
+   */
+  _prevGlyphIndex(glyphs, index, lookup) {
+    for (let i = index - 1; i >= 0; i--) {
+      if (!this._shouldSkipGlyph(glyphs[i].glyphId, lookup)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Run GSUB lookups over a glyph run, in place
+   * @param {Array} glyphs - Glyph run entries ({glyphId, char})
+   * @param {Array} lookups - Lookups from _getFeatureLookups
+   * @private
+   */
+  _applyGsubLookups(glyphs, lookups) {
+    for (const { lookup, value } of lookups) {
+      // Reverse chaining substitutions run from the end of the run
+      if (lookup.lookupType === 8) {
+        for (let i = glyphs.length - 1; i >= 0; i--) {
+          if (!this._shouldSkipGlyph(glyphs[i].glyphId, lookup)) {
+            this._applyGsubLookup(lookup, glyphs, i, value);
+          }
+        }
+        continue;
+      }
+
+      for (let i = 0; i < glyphs.length; i++) {
+        if (this._shouldSkipGlyph(glyphs[i].glyphId, lookup)) continue;
+        const end = this._applyGsubLookup(lookup, glyphs, i, value);
+        if (end !== null) i = end - 1;
+      }
+    }
+  }
+
+  /**
+   * Apply the first matching subtable of a GSUB lookup at glyphs[index]
+   * @param {number} value - Feature value; selects the alternate for type 3
+   * @returns {number|null} Index after the substituted glyphs, or null
+   * @private
+   */
+  _applyGsubLookup(lookup, glyphs, index, value = 1) {
+    for (const subtable of lookup.subtables) {
+      if (!subtable.parsed) {
+        subtable.parsed = this._parseGsubSubtable(
+          subtable.offset,
+          lookup.lookupType
+        );
+      }
+      const subst = subtable.parsed;
+      if (!subst) continue;
+
+      const glyph = glyphs[index];
+      const coverageIndex = subst.coverage.get(glyph.glyphId);
+      if (coverageIndex === undefined) continue;
+
+      switch (lookup.lookupType) {
+        case 1: // Single
+          glyph.glyphId =
+            subst.deltaGlyphID !== undefined
+              ? (glyph.glyphId + subst.deltaGlyphID) & 0xffff
+              : subst.substitutes[coverageIndex];
+          return index + 1;
+
+        case 2: {
+          // Multiple: the first output glyph keeps the source characters
+          const sequence = subst.sequences[coverageIndex] || [];
+          glyphs.splice(
+            index,
+            1,
+            ...sequence.map((glyphId, i) => ({
+              ...glyph,
+              glyphId,
+              char: i === 0 ? glyph.char : "",
+            }))
+          );
+          return index + sequence.length;
+        }
+
+        case 3: {
+          // Alternate: feature value n picks the nth alternate
+          const alternate = subst.alternateSets[coverageIndex]?.[value - 1];
+          if (alternate === undefined) continue;
+          glyph.glyphId = alternate;
+          return index + 1;
+        }
+
+        case 4: {
+          const end = this._applyLigatureSubst(
+            lookup,
+            subst.ligatureSets[coverageIndex] || [],
+            glyphs,
+            index
+          );
+          if (end !== null) return end;
+          continue;
+        }
+
+        case 5:
+        case 6: {
+          const end = this._applyContextSubst(
+            lookup,
+            subst,
+            coverageIndex,
+            glyphs,
+            index,
+            value
+          );
+          if (end !== null) return end;
+          continue;
+        }
+
+        case 8: {
+          if (!this._matchContext(glyphs, index, index, lookup, subst)) {
+            continue;
+          }
+          glyph.glyphId = subst.substitutes[coverageIndex];
+          return index + 1;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Form the first matching ligature starting at glyphs[index]
+   * @private
+   */
+  _applyLigatureSubst(lookup, ligatures, glyphs, index) {
+    for (const { ligatureGlyph, components } of ligatures) {
+      const positions = [index];
+      for (const component of components) {
+        const next = this._nextGlyphIndex(
+          glyphs,
+          positions[positions.length - 1],
+          lookup
+        );
+        if (next < 0 || glyphs[next].glyphId !== component) break;
+        positions.push(next);
+      }
+      if (positions.length !== components.length + 1) continue;
+
+      // Skipped marks remember which component they belong to
+      for (let k = 0; k < positions.length - 1; k++) {
+        for (let j = positions[k] + 1; j < positions[k + 1]; j++) {
+          glyphs[j].ligatureComponent = k;
+        }
+      }
+
+      const ligature = glyphs[index];
+      ligature.char = positions.map((i) => glyphs[i].char).join("");
+      ligature.glyphId = ligatureGlyph;
+      for (let k = positions.length - 1; k > 0; k--) {
+        glyphs.splice(positions[k], 1);
+      }
+      return index + 1;
+    }
+    return null;
+  }
+
+  /**
+   * Apply the first matching (chaining) context rule at glyphs[index]
+   * @private
+   */
+  _applyContextSubst(lookup, subst, coverageIndex, glyphs, index, value) {
+    for (const rule of subst.getRules(glyphs[index].glyphId, coverageIndex)) {
+      // Input sequence, starting at the current glyph
+      const positions = [index];
+      for (const test of rule.input) {
+        const next = this._nextGlyphIndex(
+          glyphs,
+          positions[positions.length - 1],
+          lookup
+        );
+        if (next < 0 || !test(glyphs[next].glyphId)) break;
+        positions.push(next);
+      }
+      if (positions.length !== rule.input.length + 1) continue;
+
+      const last = positions[positions.length - 1];
+      if (!this._matchContext(glyphs, index, last, lookup, rule)) continue;
+
+      return this._applySequenceLookups(
+        this.gsub,
+        glyphs,
+        positions,
+        rule.lookupRecords,
+        value
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Match backtrack and lookahead tests around an input sequence
+   * @private
+   */
+  _matchContext(glyphs, first, last, lookup, rule) {
+    let position = first;
+    for (const test of rule.backtrack) {
+      position = this._prevGlyphIndex(glyphs, position, lookup);
+      if (position < 0 || !test(glyphs[position].glyphId)) return false;
+    }
+
+    position = last;
+    for (const test of rule.lookahead) {
+      position = this._nextGlyphIndex(glyphs, position, lookup);
+      if (position < 0 || !test(glyphs[position].glyphId)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Apply nested lookups at positions of a matched input sequence
+   * @returns {number} Index after the (possibly resized) input sequence
+   * @private
+   */
+  _applySequenceLookups(layout, glyphs, positions, lookupRecords, value) {
+    let end = positions[positions.length - 1] + 1;
+
+    for (const { sequenceIndex, lookupListIndex } of lookupRecords) {
+      const position = positions[sequenceIndex];
+      const lookup = this._getLookup(layout, lookupListIndex);
+      if (position === undefined || position >= glyphs.length || !lookup) {
+        continue;
+      }
+
+      const length = glyphs.length;
+      this._applyGsubLookup(lookup, glyphs, position, value);
+
+      // Keep later positions in step with inserted or removed glyphs
+      const delta = glyphs.length - length;
+      positions = positions.map((p) => (p > position ? p + delta : p));
+      end += delta;
+    }
+    return end;
+  }
+
+  /**
+   * Parse a GSUB subtable of the given lookup type
+   * @returns {Object|null} Parsed subtable with a coverage map
+   * @private
+   */
+  _parseGsubSubtable(offset, lookupType) {
+    this.seek(offset);
+    const format = this.readUint16();
+    const readArray = (count) =>
+      Array.from({ length: count }, () => this.readUint16());
+    const readOffsetArray = () => readArray(this.readUint16());
+
+    if (lookupType === 5 || lookupType === 6) {
+      return this._parseContextSubtable(offset, format, lookupType === 6);
+    }
+
+    const coverageOffset = this.readUint16();
+    const subst = {};
+
+    if (lookupType === 1) {
+      if (format === 1) {
+        subst.deltaGlyphID = this.readInt16();
+      } else {
+        subst.substitutes = readOffsetArray();
+      }
+    } else if (lookupType === 2 || lookupType === 3) {
+      // Sequence and AlternateSet tables share a layout
+      const sets = readOffsetArray().map((setOffset) => {
+        this.seek(offset + setOffset);
+        return readOffsetArray();
+      });
+      subst[lookupType === 2 ? "sequences" : "alternateSets"] = sets;
+    } else if (lookupType === 4) {
+      const ligatureSetOffsets = readOffsetArray();
+      subst.ligatureSets = ligatureSetOffsets.map((setOffset) => {
+        const setStart = offset + setOffset;
+        this.seek(setStart);
+        return readOffsetArray().map((ligatureOffset) => {
+          this.seek(setStart + ligatureOffset);
+          const ligatureGlyph = this.readUint16();
+          const componentCount = this.readUint16();
+          return { ligatureGlyph, components: readArray(componentCount - 1) };
+        });
+      });
+    } else if (lookupType === 8) {
+      const backtrackOffsets = readOffsetArray();
+      const lookaheadOffsets = readOffsetArray();
+      subst.substitutes = readOffsetArray();
+      const toTest = (coverageOffsetValue) => {
+        const coverage = this._parseCoverage(offset + coverageOffsetValue);
+        return (glyphId) => coverage.has(glyphId);
+      };
+      subst.backtrack = backtrackOffsets.map(toTest);
+      subst.lookahead = lookaheadOffsets.map(toTest);
+    } else {
+      return null;
+    }
+
+    subst.coverage = this._parseCoverage(offset + coverageOffset);
+    return subst;
+  }
+
+  /**
+   * Parse a sequence context or chained sequence context subtable
+   * (formats 1-3) into coverage plus rules of glyph tests
+   * @private
+   */
+  _parseContextSubtable(offset, format, chained) {
+    const readArray = (count) =>
+      Array.from({ length: count }, () => this.readUint16());
+    const readLookupRecords = (count) =>
+      Array.from({ length: count }, () => ({
+        sequenceIndex: this.readUint16(),
+        lookupListIndex: this.readUint16(),
+      }));
+
+    // Read one rule: arrays of glyph IDs / class values / coverage offsets
+    const readRule = () => {
+      const rule = {};
+      if (chained) rule.backtrack = readArray(this.readUint16());
+      const inputCount = this.readUint16();
+      const lookupCount = chained ? null : this.readUint16();
+      rule.input = readArray(inputCount - (format === 3 ? 0 : 1));
+      if (chained) rule.lookahead = readArray(this.readUint16());
+      rule.lookupRecords = readLookupRecords(
+        chained ? this.readUint16() : lookupCount
+      );
+      return rule;
+    };
+
+    const readRuleSets = (setOffsets) =>
+      setOffsets.map((setOffset) => {
+        if (!setOffset) return [];
+        const setStart = offset + setOffset;
+        this.seek(setStart);
+        return readArray(this.readUint16()).map((ruleOffset) => {
+          this.seek(setStart + ruleOffset);
+          return readRule();
+        });
+      });
+
+    const withTests = (rule, tests) => ({
+      backtrack: (rule.backtrack || []).map(tests.backtrack),
+      input: rule.input.map(tests.input),
+      lookahead: (rule.lookahead || []).map(tests.lookahead),
+      lookupRecords: rule.lookupRecords,
+    });
+
+    if (format === 1) {
+      const coverageOffset = this.readUint16();
+      const ruleSets = readRuleSets(readArray(this.readUint16()));
+      const isGlyph = (glyphId) => (other) => other === glyphId;
+      const tests = { backtrack: isGlyph, input: isGlyph, lookahead: isGlyph };
+      const rules = ruleSets.map((set) => set.map((r) => withTests(r, tests)));
+      return {
+        coverage: this._parseCoverage(offset + coverageOffset),
+        getRules: (glyphId, coverageIndex) => rules[coverageIndex] || [],
+      };
+    }
+
+    if (format === 2) {
+      const coverageOffset = this.readUint16();
+      const classDefOffsets = readArray(chained ? 3 : 1);
+      const ruleSets = readRuleSets(readArray(this.readUint16()));
+
+      const classDefs = classDefOffsets.map((classDefOffset) =>
+        classDefOffset
+          ? this._parseClassDef(offset + classDefOffset)
+          : new Map()
+      );
+      const [backtrackClasses, inputClasses, lookaheadClasses] = chained
+        ? classDefs
+        : [null, classDefs[0], null];
+      const inClass = (classes) => (classValue) => (glyphId) =>
+        (classes.get(glyphId) || 0) === classValue;
+      const tests = {
+        backtrack: backtrackClasses && inClass(backtrackClasses),
+        input: inClass(inputClasses),
+        lookahead: lookaheadClasses && inClass(lookaheadClasses),
+      };
+      const rules = ruleSets.map((set) => set.map((r) => withTests(r, tests)));
+      return {
+        coverage: this._parseCoverage(offset + coverageOffset),
+        getRules: (glyphId) => rules[inputClasses.get(glyphId) || 0] || [],
+      };
+    }
+
+    if (format === 3) {
+      const rule = readRule();
+      const inCoverage = (coverageOffset) => {
+        const coverage = this._parseCoverage(offset + coverageOffset);
+        return (glyphId) => coverage.has(glyphId);
+      };
+      const tests = {
+        backtrack: inCoverage,
+        input: inCoverage,
+        lookahead: inCoverage,
+      };
+      // The first input coverage doubles as the subtable coverage
+      const [firstCoverageOffset, ...input] = rule.input;
+      const matchedRule = withTests({ ...rule, input }, tests);
+      return {
+        coverage: this._parseCoverage(offset + firstCoverageOffset),
+        getRules: () => [matchedRule],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Run GPOS lookups over a glyph run
+   * @private
+   */
+  _applyGposLookups(glyphs, lookups) {
+    for (const { lookup } of lookups) {
+      for (let i = 0; i < glyphs.length; i++) {
+        if (this._shouldSkipGlyph(glyphs[i].glyphId, lookup)) continue;
+
+        if (lookup.lookupType === 2) {
+          const next = this._nextGlyphIndex(glyphs, i, lookup);
+          if (next < 0) break;
+          for (const subtable of lookup.subtables) {
+            const applied = this._applyPairPos(subtable, glyphs, i, next);
+            if (applied) {
+              // A second value record consumes the second glyph
+              if (applied === "both") i = next;
+              break;
+            }
+          }
+        } else if (lookup.lookupType >= 4 && lookup.lookupType <= 6) {
+          lookup.subtables.find((subtable) =>
+            this._applyMarkAttachment(lookup, subtable, glyphs, i)
+          );
+        }
+      }
+    }
+
+    this._resolveAttachments(glyphs);
+  }
+
+  /**
+   * Check whether GDEF classifies a glyph as a combining mark
+   * @private
+   */
+  _isMarkGlyph(glyphId) {
+    return this.gdef?.glyphClassDef?.get(glyphId) === 3;
+  }
+
+  /**
+   * Apply a PairPos subtable to glyphs[first] and glyphs[second]
+   * @returns {false|string} false, "first", or "both" when glyph two was adjusted
+   * @private
+   */
+  _applyPairPos(subtable, glyphs, first, second) {
+    if (!subtable.parsed) {
+      subtable.parsed = this._parsePairPos(subtable.offset);
+    }
+    const pairPos = subtable.parsed;
+    const firstGlyph = glyphs[first].glyphId;
+    const secondGlyph = glyphs[second].glyphId;
+
+    const coverageIndex = pairPos.coverage.get(firstGlyph);
+    if (coverageIndex === undefined) return false;
+
+    let values;
+    if (pairPos.format === 1) {
+      values = pairPos.pairSets[coverageIndex]?.get(secondGlyph);
+    } else if (pairPos.format === 2) {
+      const class2 = pairPos.classDef2.get(secondGlyph) || 0;
+      if (class2 >= pairPos.class2Count) return false;
+      const class1 = pairPos.classDef1.get(firstGlyph) || 0;
+      values = pairPos.classRecords[class1]?.[class2];
+    }
+    if (!values) return false;
+
+    this._applyValueRecord(glyphs[first], values[0], true);
+    this._applyValueRecord(glyphs[second], values[1], true);
+    return pairPos.valueFormat2 ? "both" : "first";
+  }
+
+  /**
+   * Parse a PairPos subtable (formats 1 and 2)
+   * @private
+   */
+  _parsePairPos(offset) {
+    this.seek(offset);
+    const format = this.readUint16();
+    const coverageOffset = this.readUint16();
+    const valueFormat1 = this.readUint16();
+    const valueFormat2 = this.readUint16();
+    const readPair = () => [
+      this._readValueRecord(valueFormat1, offset),
+      this._readValueRecord(valueFormat2, offset),
+    ];
+
+    const pairPos = { format, valueFormat1, valueFormat2 };
+
+    if (format === 1) {
+      const pairSetOffsets = Array.from({ length: this.readUint16() }, () =>
+        this.readUint16()
+      );
+      pairPos.pairSets = pairSetOffsets.map((pairSetOffset) => {
+        this.seek(offset + pairSetOffset);
+        const pairValueCount = this.readUint16();
+        const pairs = new Map();
+        for (let i = 0; i < pairValueCount; i++) {
+          const secondGlyph = this.readUint16();
+          pairs.set(secondGlyph, readPair());
+        }
+        return pairs;
+      });
+    } else if (format === 2) {
+      const classDef1Offset = this.readUint16();
+      const classDef2Offset = this.readUint16();
+      const class1Count = this.readUint16();
+      const class2Count = this.readUint16();
+      pairPos.class2Count = class2Count;
+      pairPos.classRecords = Array.from({ length: class1Count }, () =>
+        Array.from({ length: class2Count }, readPair)
+      );
+      pairPos.classDef1 = this._parseClassDef(offset + classDef1Offset);
+      pairPos.classDef2 = this._parseClassDef(offset + classDef2Offset);
+    }
+
+    pairPos.coverage = this._parseCoverage(offset + coverageOffset);
+    return pairPos;
+  }
+
+  /**
+   * Read a GPOS value record; device offsets resolve against the subtable
+   * @private
+   */
+  _readValueRecord(valueFormat, subtableOffset) {
+    if (!valueFormat) return null;
+
+    const record = {};
+    const fields = ["xPlacement", "yPlacement", "xAdvance", "yAdvance"];
+    fields.forEach((field, bit) => {
+      if (valueFormat & (1 << bit)) record[field] = this.readInt16();
+    });
+
+    fields.forEach((field, bit) => {
+      if (!(valueFormat & (1 << (bit + 4)))) return;
+      const deviceOffset = this.readUint16();
+      if (!deviceOffset) return;
+
+      const recordEnd = this.offset;
+      const device = this._readVariationIndex(subtableOffset + deviceOffset);
+      if (device) record.devices = { ...record.devices, [field]: device };
+      this.offset = recordEnd;
+    });
+
+    return record;
+  }
+
+  /**
+   * Read a device table; only VariationIndex tables (deltaFormat 0x8000)
+   * matter for outline rendering
+   * @returns {Object|null} Delta-set indices into the GDEF variation store
+   * @private
+   */
+  _readVariationIndex(offset) {
+    this.seek(offset);
+    const outer = this.readUint16();
+    const inner = this.readUint16();
+    return this.readUint16() === 0x8000 ? { outer, inner } : null;
+  }
+
+  /**
+   * Variation delta for a VariationIndex device table (0 if none)
+   * @private
+   */
+  _getVariationIndexDelta(device) {
+    if (!device || !this.gdef?.itemVariationStore) return 0;
+    return this._getItemVariationDelta(
+      this.gdef.itemVariationStore,
+      device.outer,
+      device.inner
+    );
+  }
+
+  /**
+   * Add a value record (with variation deltas) to a positioned glyph
+   * @private
+   */
+  _applyValueRecord(glyph, record, isKerning) {
+    if (!record) return;
+
+    const value = (field) =>
+      (record[field] || 0) +
+      this._getVariationIndexDelta(record.devices?.[field]);
+
+    const xAdvance = value("xAdvance");
+    glyph.xAdvance += xAdvance;
+    glyph.xOffset += value("xPlacement");
+    glyph.yOffset += value("yPlacement");
+    if (isKerning) glyph.kerning += xAdvance;
+  }
+
+  /**
+   * Attach glyphs[index] to a preceding base, ligature or mark
+   * (MarkBasePos, MarkLigPos, MarkMarkPos)
+   * @returns {boolean} Whether the subtable applied
+   * @private
+   */
+  _applyMarkAttachment(lookup, subtable, glyphs, index) {
+    if (!subtable.parsed) {
+      subtable.parsed = this._parseMarkAttachment(
+        subtable.offset,
+        lookup.lookupType
+      );
+    }
+    const markPos = subtable.parsed;
+    const mark = glyphs[index];
+
+    const markIndex = markPos.markCoverage.get(mark.glyphId);
+    if (markIndex === undefined) return false;
+
+    // Bases and ligatures are found by skipping marks, mark-to-mark by flags only
+    let target = index - 1;
+    while (
+      target >= 0 &&
+      (this._shouldSkipGlyph(glyphs[target].glyphId, lookup) ||
+        (lookup.lookupType !== 6 && this._isMarkGlyph(glyphs[target].glyphId)))
+    ) {
+      target--;
+    }
+    if (target < 0) return false;
+
+    const baseIndex = markPos.baseCoverage.get(glyphs[target].glyphId);
+    if (baseIndex === undefined) return false;
+
+    let baseAnchors = markPos.baseAnchors[baseIndex];
+    if (lookup.lookupType === 5) {
+      // Marks sit on their ligature component, the last one unless known
+      const lastComponent = baseAnchors.length - 1;
+      baseAnchors =
+        baseAnchors[
+          Math.min(mark.ligatureComponent ?? lastComponent, lastComponent)
+        ];
+    }
+
+    const { markClass, anchor } = markPos.marks[markIndex];
+    const baseAnchor = baseAnchors?.[markClass];
+    if (!baseAnchor) return false;
+
+    const basePoint = this._getAnchorPoint(baseAnchor, glyphs[target].glyphId);
+    const markPoint = this._getAnchorPoint(anchor, mark.glyphId);
+    mark.attachTo = target;
+    mark.attachX = basePoint.x - markPoint.x;
+    mark.attachY = basePoint.y - markPoint.y;
+    return true;
+  }
+
+  /**
+   * Parse a MarkBasePos, MarkLigPos or MarkMarkPos subtable
+   * @private
+   */
+  _parseMarkAttachment(offset, lookupType) {
+    this.seek(offset + 2); // Skip format
+    const markCoverageOffset = this.readUint16();
+    const baseCoverageOffset = this.readUint16();
+    const markClassCount = this.readUint16();
+    const markArrayOffset = this.readUint16();
+    const baseArrayOffset = this.readUint16();
+
+    // Rows of per-mark-class anchors (BaseArray, Mark2Array, LigatureAttach)
+    const readAnchorRows = (start) => {
+      this.seek(start);
+      const rowCount = this.readUint16();
+      const anchorOffsets = Array.from(
+        { length: rowCount * markClassCount },
+        () => this.readUint16()
+      );
+      const anchors = anchorOffsets.map((anchorOffset) =>
+        anchorOffset ? this._parseAnchor(start + anchorOffset) : null
+      );
+      return Array.from({ length: rowCount }, (_, row) =>
+        anchors.slice(row * markClassCount, (row + 1) * markClassCount)
+      );
+    };
+
+    const baseArrayStart = offset + baseArrayOffset;
+    let baseAnchors;
+    if (lookupType === 5) {
+      this.seek(baseArrayStart);
+      const ligatureAttachOffsets = Array.from(
+        { length: this.readUint16() },
+        () => this.readUint16()
+      );
+      baseAnchors = ligatureAttachOffsets.map((attachOffset) =>
+        readAnchorRows(baseArrayStart + attachOffset)
+      );
+    } else {
+      baseAnchors = readAnchorRows(baseArrayStart);
+    }
+
+    const markArrayStart = offset + markArrayOffset;
+    this.seek(markArrayStart);
+    const markRecords = Array.from({ length: this.readUint16() }, () => ({
+      markClass: this.readUint16(),
+      anchorOffset: this.readUint16(),
+    }));
+    const marks = markRecords.map(({ markClass, anchorOffset }) => ({
+      markClass,
+      anchor: this._parseAnchor(markArrayStart + anchorOffset),
+    }));
+
+    return {
+      markCoverage: this._parseCoverage(offset + markCoverageOffset),
+      baseCoverage: this._parseCoverage(offset + baseCoverageOffset),
+      marks,
+      baseAnchors,
+    };
+  }
+
+  /**
+   * Parse an anchor table (formats 1-3)
+   * @private
+   */
+  _parseAnchor(offset) {
+    this.seek(offset);
+    const format = this.readUint16();
+    const anchor = { x: this.readInt16(), y: this.readInt16() };
+
+    if (format === 2) {
+      anchor.anchorPoint = this.readUint16();
+    } else if (format === 3) {
+      const xDeviceOffset = this.readUint16();
+      const yDeviceOffset = this.readUint16();
+      anchor.devices = {
+        x: xDeviceOffset
+          ? this._readVariationIndex(offset + xDeviceOffset)
+          : null,
+        y: yDeviceOffset
+          ? this._readVariationIndex(offset + yDeviceOffset)
+          : null,
+      };
+    }
+    return anchor;
+  }
+
+  /**
+   * Resolve an anchor for a glyph: outline point (format 2) or
+   * design coordinates plus variation deltas (format 3)
+   * @private
+   */
+  _getAnchorPoint(anchor, glyphId) {
+    let { x, y } = anchor;
+
+    if (anchor.anchorPoint !== undefined && this.fontType === "truetype") {
+      const glyph = this.parseGlyph(glyphId);
+      const point = glyph?.contours?.flat()[anchor.anchorPoint];
+      if (point) ({ x, y } = point);
+    }
+    if (anchor.devices) {
+      x += this._getVariationIndexDelta(anchor.devices.x);
+      y += this._getVariationIndexDelta(anchor.devices.y);
+    }
+    return { x, y };
+  }
+
+  /**
+   * Turn mark attachments into offsets relative to each mark's pen position
+   * @private
+   */
+  _resolveAttachments(glyphs) {
+    glyphs.forEach((glyph, i) => {
+      if (glyph.attachTo === undefined) return;
+
+      const base = glyphs[glyph.attachTo];
+      let penOffset = 0;
+      for (let j = glyph.attachTo; j < i; j++) {
+        penOffset += glyphs[j].xAdvance;
+      }
+      glyph.xOffset = base.xOffset + glyph.attachX - penOffset;
+      glyph.yOffset = base.yOffset + glyph.attachY;
+    });
+  }
+
+  /**
+   * Parse an item variation store (regions plus delta-set subtables)
+   * @param {number} offset - Absolute offset of the store
+   * @returns {Object} Store with regions and lazily-read delta sets
+   * @private
+   */
+  _parseItemVariationStore(offset) {
+    this.seek(offset);
+    this.readUint16(); // Skip format
+    const variationRegionListOffset = this.readUint32();
+    const itemVariationDataCount = this.readUint16();
+    const itemVariationDataOffsets = Array.from(
+      { length: itemVariationDataCount },
+      () => this.readUint32()
+    );
+
+    this.seek(offset + variationRegionListOffset);
+    const axisCount = this.readUint16();
+    const regionCount = this.readUint16();
+    const regions = Array.from({ length: regionCount }, () => {
+      const start = [];
+      const peak = [];
+      const end = [];
+      for (let i = 0; i < axisCount; i++) {
+        start.push(this.readF2Dot14());
+        peak.push(this.readF2Dot14());
+        end.push(this.readF2Dot14());
+      }
+      return { start, peak, end };
+    });
+
+    const itemVariationData = itemVariationDataOffsets.map((dataOffset) => {
+      this.seek(offset + dataOffset);
+      const itemCount = this.readUint16();
+      const wordDeltaCount = this.readUint16();
+      const regionIndexCount = this.readUint16();
+      const regionIndexes = Array.from({ length: regionIndexCount }, () =>
+        this.readUint16()
+      );
+
+      // LONG_WORDS widens both delta sizes: int32/int16 instead of int16/int8
+      const longWords = !!(wordDeltaCount & 0x8000);
+      const wordCount = wordDeltaCount & 0x7fff;
+      const wordSize = longWords ? 4 : 2;
+      const rowSize =
+        wordCount * wordSize + (regionIndexCount - wordCount) * (wordSize / 2);
+
+      return {
+        itemCount,
+        wordCount,
+        longWords,
+        regionIndexes,
+        rowSize,
+        deltaSetsOffset: this.offset,
+      };
+    });
+
+    return { regions, itemVariationData, scalars: null, scalarsCoords: null };
+  }
+
+  /**
+   * Sum the deltas of one item at the current normalized coordinates
+   * @param {Object} store - Parsed item variation store
+   * @param {number} outerIndex - Item variation data subtable index
+   * @param {number} innerIndex - Delta-set row index
+   * @returns {number} Interpolated delta
+   * @private
+   */
+  _getItemVariationDelta(store, outerIndex, innerIndex) {
+    if (outerIndex === 0xffff && innerIndex === 0xffff) return 0;
+
+    const data = store.itemVariationData[outerIndex];
+    if (!data || innerIndex >= data.itemCount) return 0;
+
+    const scalars = this._getRegionScalars(store);
+    const { wordCount, longWords, regionIndexes } = data;
+    this.seek(data.deltaSetsOffset + innerIndex * data.rowSize);
+
+    let delta = 0;
+    for (let i = 0; i < regionIndexes.length; i++) {
+      let value;
+      if (i < wordCount) {
+        value = longWords ? this.readInt32() : this.readInt16();
+      } else {
+        value = longWords ? this.readInt16() : this.readInt8();
+      }
+      const scalar = scalars[regionIndexes[i]];
+      if (scalar) delta += value * scalar;
+    }
+    return delta;
+  }
+
+  /**
+   * Region scalars for the current coordinates, cached per variation
+   * @private
+   */
+  _getRegionScalars(store) {
+    if (store.scalarsCoords !== this.normalizedCoords) {
+      store.scalars = store.regions.map((region) =>
+        this._getTupleScalar(
+          region.peak,
+          region.start,
+          region.end,
+          this.normalizedCoords
+        )
+      );
+      store.scalarsCoords = this.normalizedCoords;
+    }
+    return store.scalars;
+  }
+
+  /**
+   * Parse a DeltaSetIndexMap (formats 0 and 1)
+   * @private
+   */
+  _parseDeltaSetIndexMap(offset) {
+    this.seek(offset);
+    const format = this.readUint8();
+    const entryFormat = this.readUint8();
+    const mapCount = format === 1 ? this.readUint32() : this.readUint16();
+
+    const innerBitCount = (entryFormat & 0x0f) + 1;
+    const entrySize = ((entryFormat & 0x30) >> 4) + 1;
+
+    const entries = Array.from({ length: mapCount }, () => {
+      const entry = this.readOffset(entrySize);
+      return {
+        outer: entry >>> innerBitCount,
+        inner: entry & ((1 << innerBitCount) - 1),
+      };
+    });
+    return { entries };
+  }
+
+  /**
+   * Look up an outer/inner index pair, clamping to the last map entry
+   * @private
+   */
+  _lookupDeltaSetIndex(indexMap, index) {
+    const { entries } = indexMap;
+    if (!entries.length) return { outer: 0, inner: index };
+    return entries[Math.min(index, entries.length - 1)];
+  }
+
+  // ============================================================================
+  // COLOR GLYPHS (COLR / CPAL)
+  // ============================================================================
+
+  /**
+   * Parse COLR base glyph and layer records, plus the version 1 paint lists
+   * @private
+   */
+  _parseColrTable() {
+    this.colr = null;
+    if (!this.tables.COLR) return;
+
+    const colrStart = this.tables.COLR.offset;
+    this.seek(colrStart);
+    const version = this.readUint16();
+    const numBaseGlyphRecords = this.readUint16();
+    const baseGlyphRecordsOffset = this.readUint32();
+    const layerRecordsOffset = this.readUint32();
+    const numLayerRecords = this.readUint16();
+
+    const baseGlyphs = new Map();
+    this.seek(colrStart + baseGlyphRecordsOffset);
+    for (let i = 0; i < numBaseGlyphRecords; i++) {
+      const glyphId = this.readUint16();
+      baseGlyphs.set(glyphId, {
+        firstLayerIndex: this.readUint16(),
+        numLayers: this.readUint16(),
+      });
+    }
+
+    this.seek(colrStart + layerRecordsOffset);
+    const layers = Array.from({ length: numLayerRecords }, () => ({
+      glyphId: this.readUint16(),
+      paletteIndex: this.readUint16(),
+    }));
+
+    this.colr = {
+      version,
+      baseGlyphs,
+      layers,
+      paintGlyphs: new Map(), // Base glyph ID -> root paint offset
+      layerPaints: [],
+      clips: [],
+      varIndexMap: null,
+      itemVariationStore: null,
+      paints: new Map(),
+      colorLines: new Map(),
+    };
+    if (version >= 1) this._parseColrV1Lists(colrStart);
+  }
+
+  /**
+   * Parse the COLR version 1 base glyph paints, layer paints, clip boxes and
+   * variation data
+   * @private
+   */
+  _parseColrV1Lists(colrStart) {
+    this.seek(colrStart + 14);
+    const baseGlyphListOffset = this.readUint32();
+    const layerListOffset = this.readUint32();
+    const clipListOffset = this.readUint32();
+    const varIndexMapOffset = this.readUint32();
+    const itemVariationStoreOffset = this.readUint32();
+    const colr = this.colr;
+
+    if (baseGlyphListOffset) {
+      const listStart = colrStart + baseGlyphListOffset;
+      this.seek(listStart);
+      const count = this.readUint32();
+      for (let i = 0; i < count; i++) {
+        const glyphId = this.readUint16();
+        colr.paintGlyphs.set(glyphId, listStart + this.readUint32());
+      }
+    }
+
+    if (layerListOffset) {
+      const listStart = colrStart + layerListOffset;
+      this.seek(listStart);
+      colr.layerPaints = Array.from(
+        { length: this.readUint32() },
+        () => listStart + this.readUint32()
+      );
+    }
+
+    if (clipListOffset) {
+      const listStart = colrStart + clipListOffset;
+      this.seek(listStart + 1); // Skip format
+      colr.clips = Array.from({ length: this.readUint32() }, () => ({
+        startGlyphId: this.readUint16(),
+        endGlyphId: this.readUint16(),
+        offset: listStart + this.readUint24(),
+      }));
+    }
+
+    if (varIndexMapOffset) {
+      colr.varIndexMap = this._parseDeltaSetIndexMap(
+        colrStart + varIndexMapOffset
+      );
+    }
+    if (itemVariationStoreOffset) {
+      colr.itemVariationStore = this._parseItemVariationStore(
+        colrStart + itemVariationStoreOffset
+      );
+    }
+  }
+
+  /**
+   * Parse CPAL palettes (version 1 adds palette types and labels)
+   * @private
+   */
+  _parseCpalTable() {
+    this.palettes = [];
+    if (!this.tables.CPAL) return;
+
+    const cpalStart = this.tables.CPAL.offset;
+    this.seek(cpalStart);
+    const version = this.readUint16();
+    const numPaletteEntries = this.readUint16();
+    const numPalettes = this.readUint16();
+    const numColorRecords = this.readUint16();
+    const colorRecordsArrayOffset = this.readUint32();
+    const colorRecordIndices = Array.from({ length: numPalettes }, () =>
+      this.readUint16()
+    );
+
+    let types = [];
+    let labels = [];
+    if (version >= 1) {
+      const paletteTypesArrayOffset = this.readUint32();
+      const paletteLabelsArrayOffset = this.readUint32();
+      const readArray = (offset, read) => {
+        if (!offset) return [];
+        this.seek(cpalStart + offset);
+        return Array.from({ length: numPalettes }, read);
+      };
+      types = readArray(paletteTypesArrayOffset, () => this.readUint32());
+      labels = readArray(paletteLabelsArrayOffset, () => this.readUint16());
+    }
+
+    // Color records are stored BGRA
+    this.seek(cpalStart + colorRecordsArrayOffset);
+    const colors = Array.from({ length: numColorRecords }, () => {
+      const blue = this.readUint8();
+      const green = this.readUint8();
+      const red = this.readUint8();
+      const alpha = this.readUint8();
+      return { red, green, blue, alpha };
+    });
+
+    this.palettes = colorRecordIndices.map((firstColorIndex, i) => ({
+      colors: colors.slice(
+        firstColorIndex,
+        firstColorIndex + numPaletteEntries
+      ),
+      type: types[i] ?? 0,
+      nameID: labels[i] ?? 0xffff,
+    }));
+  }
+
+  /**
+   * Resolve the palette option to an SVG fill per palette entry
+   * @param {number|Object} palette - Palette index or {index, colors}
+   * @returns {Array} [{fill, opacity}] indexed by palette entry
+   * @private
+   */
+  _resolvePalette(palette) {
+    const { index = 0, colors = {} } =
+      typeof palette === "number" ? { index: palette } : palette || {};
+    if (this.palettes.length && !this.palettes[index]) {
+      throw new Error(`Unknown palette: ${index}`);
+    }
+
+    const fills = (this.palettes[index]?.colors || []).map(
+      ({ red, green, blue, alpha }) => ({
+        fill: this._formatHexColor(red, green, blue),
+        opacity: alpha / 255,
+      })
+    );
+    for (const [entry, color] of Object.entries(colors)) {
+      fills[entry] = { fill: color, opacity: 1 };
+    }
+    return fills;
+  }
+
+  /**
+   * Create the state shared by the color glyphs of one SVG
+   * @private
+   */
+  _createColorContext(palette, idPrefix) {
+    return {
+      fills: this._resolvePalette(palette),
+      defs: [],
+      idPrefix,
+      nextId: 0,
+    };
+  }
+
+  /**
+   * Render a color glyph: a COLR v1 paint graph, or one filled path per v0
+   * layer
+   * @returns {Object|null} {path, bounds} plus svg (v1) or layers (v0), null
+   *   for glyphs without color data
+   * @private
+   */
+  _renderColorGlyph(glyphId, context, pathOptions) {
+    if (this.colr.paintGlyphs.has(glyphId)) {
+      return this._renderColrV1Glyph(glyphId, context, pathOptions);
+    }
+
+    const layers = this._getColorLayers(glyphId, context.fills);
+    if (!layers) return null;
+
+    const layerPaths = layers
+      .map(({ glyphId: layerGlyphId, fill, opacity }) => ({
+        path: this._glyphIdToSVGPath(layerGlyphId, pathOptions),
+        fill,
+        opacity,
+      }))
+      .filter((layer) => layer.path);
+    return {
+      path: layerPaths.map((layer) => layer.path).join(" "),
+      bounds: this._getGlyphIdsBounds(
+        layers.map((layer) => layer.glyphId),
+        pathOptions
+      ),
+      layers: layerPaths,
+    };
+  }
+
+  /**
+   * Get the colored layers of a glyph (null when it has no COLR record)
+   * @returns {Array|null} [{glyphId, fill, opacity}], fill is null for the
+   *   text foreground color (palette index 0xFFFF)
+   * @private
+   */
+  _getColorLayers(glyphId, fills) {
+    const record = this.colr.baseGlyphs.get(glyphId);
+    if (!record) return null;
+
+    return this.colr.layers
+      .slice(record.firstLayerIndex, record.firstLayerIndex + record.numLayers)
+      .map(({ glyphId: layerGlyphId, paletteIndex }) => ({
+        glyphId: layerGlyphId,
+        ...(fills[paletteIndex] || { fill: null, opacity: 1 }),
+      }));
+  }
+
+  /**
+   * Render a COLR v1 glyph. The markup uses the same coordinates as plain
+   * glyph paths; paint transforms become <g transform> groups
+   * @returns {Object} {path, bounds, svg}, path being the glyph's silhouette
+   * @private
+   */
+  _renderColrV1Glyph(glyphId, context, pathOptions) {
+    const { scale = 1, offsetX = 0, offsetY = 0 } = pathOptions;
+    const flipY = pathOptions.flipY !== false;
+    const size = this.unitsPerEm * COLR_FILL_EXTENT;
+    const state = {
+      context,
+      pathOptions,
+      toSVG: [scale, 0, 0, flipY ? -scale : scale, offsetX, offsetY],
+      outlines: [], // {glyphId, matrix} for every PaintGlyph
+      // Area fills must cover, in the glyph's font units; narrowed by clips
+      region: { xMin: -size, yMin: -size, xMax: size, yMax: size },
+    };
+    const svg = this._renderColrBaseGlyph(
+      glyphId,
+      state,
+      [1, 0, 0, 1, 0, 0],
+      0
+    );
+
+    const contours = state.outlines.flatMap(({ glyphId: outlineId, matrix }) =>
+      (this.parseGlyph(outlineId)?.contours || []).map((contour) =>
+        this._transformContour(contour, matrix)
+      )
+    );
+    const path = contours
+      .map((contour) =>
+        this.contourToSVGPath(contour, scale, flipY, offsetX, offsetY)
+      )
+      .join(" ");
+
+    let bounds = null;
+    if (contours.length) {
+      const box = this.calculateGlyphBounds(contours);
+      const [x1, y1] = this._applyMatrix(state.toSVG, box.xMin, box.yMin);
+      const [x2, y2] = this._applyMatrix(state.toSVG, box.xMax, box.yMax);
+      const [minX, maxX] = [Math.min(x1, x2), Math.max(x1, x2)];
+      const [minY, maxY] = [Math.min(y1, y2), Math.max(y1, y2)];
+      bounds = {
+        minX,
+        minY,
+        maxX,
+        maxY,
+        width: maxX - minX,
+        height: maxY - minY,
+      };
+    }
+
+    return { path, bounds, svg };
+  }
+
+  /**
+   * Render the paint graph of a COLR v1 base glyph, clipped to its ClipBox
+   * @private
+   */
+  _renderColrBaseGlyph(glyphId, state, matrix, depth) {
+    const paintOffset = this.colr.paintGlyphs.get(glyphId);
+    const clip = this.colr.clips.find(
+      (candidate) =>
+        glyphId >= candidate.startGlyphId && glyphId <= candidate.endGlyphId
+    );
+    if (!clip) return this._renderColrPaint(paintOffset, state, matrix, depth);
+
+    this.seek(clip.offset);
+    const isVariable = this.readUint8() === 2;
+    const { xMin, yMin, xMax, yMax } = this._resolveColrRecord(
+      this._readColrRecord(COLR_CLIP_BOX_FIELDS, clip.offset, isVariable)
+    );
+    const content = this._renderColrClipped(
+      state,
+      matrix,
+      { xMin, yMin, xMax, yMax },
+      () => this._renderColrPaint(paintOffset, state, matrix, depth)
+    );
+    if (!content) return "";
+
+    const id = this._nextColrId(state);
+    state.context.defs.push(
+      `<clipPath id="${id}"><path d="${this._colrPolygonPath(
+        state,
+        this._boxCorners({ xMin, yMin, xMax, yMax })
+      )}"/></clipPath>`
+    );
+    return `<g clip-path="url(#${id})">${content}</g>`;
+  }
+
+  /**
+   * Render a COLR v1 paint and its children as SVG markup. `matrix` is the
+   * transform accumulated in font units, used for the silhouette
+   * @private
+   */
+  _renderColrPaint(offset, state, matrix, depth) {
+    if (depth > COLR_MAX_PAINT_DEPTH) return ""; // Cyclic or runaway graph
+
+    const paint = this._readColrPaint(offset);
+    if (!paint.record) return ""; // Unknown format
+    const values = this._resolveColrRecord(paint.record);
+    const next = depth + 1;
+
+    switch (paint.baseFormat) {
+      case 1: // PaintColrLayers
+        return this.colr.layerPaints
+          .slice(
+            values.firstLayerIndex,
+            values.firstLayerIndex + values.numLayers
+          )
+          .map((layer) => this._renderColrPaint(layer, state, matrix, next))
+          .join("");
+      case 2: // PaintSolid and the gradients fill everything not clipped away
+      case 4:
+      case 6:
+      case 8:
+        return this._renderColrFill(paint, values, state, matrix);
+      case 10:
+        return this._renderColrGlyphPaint(values, state, matrix, next);
+      case 11: // PaintColrGlyph
+        return this.colr.paintGlyphs.has(values.glyphId)
+          ? this._renderColrBaseGlyph(values.glyphId, state, matrix, next)
+          : "";
+      case 32:
+        return this._renderColrComposite(values, state, matrix, next);
+      default: {
+        const transform = this._getColrTransform(paint, values);
+        const content = this._renderColrPaint(
+          values.paint,
+          state,
+          this._multiplyMatrices(matrix, transform),
+          next
+        );
+        return (
+          content &&
+          `<g transform="matrix(${this._toSVGTransform(state, transform).join(
+            " "
+          )})">${content}</g>`
+        );
+      }
+    }
+  }
+
+  /**
+   * Render a PaintGlyph: solid and gradient fills (under any transforms) fill
+   * the outline directly, anything else is clipped to it
+   * @private
+   */
+  _renderColrGlyphPaint(values, state, matrix, depth) {
+    state.outlines.push({ glyphId: values.glyphId, matrix });
+    const path = this._glyphIdToSVGPath(values.glyphId, state.pathOptions);
+    if (!path) return "";
+
+    let offset = values.paint;
+    let transform = null;
+    for (let i = 0; i < COLR_MAX_PAINT_DEPTH; i++) {
+      const paint = this._readColrPaint(offset);
+      if (!paint.record) return "";
+      const childValues = this._resolveColrRecord(paint.record);
+      if ([2, 4, 6].includes(paint.baseFormat)) {
+        const { fill, opacity } = this._getColrFill(
+          paint,
+          childValues,
+          state,
+          transform
+        );
+        return this._svgPath({ path, fill, opacity });
+      }
+      if (paint.baseFormat < 12 || paint.baseFormat > 30) break;
+
+      const childTransform = this._getColrTransform(paint, childValues);
+      transform = transform
+        ? this._multiplyMatrices(transform, childTransform)
+        : childTransform;
+      offset = childValues.paint;
+    }
+
+    const content = this._renderColrClipped(
+      state,
+      matrix,
+      this.calculateGlyphBounds(this.parseGlyph(values.glyphId).contours),
+      () => this._renderColrPaint(values.paint, state, matrix, depth)
+    );
+    if (!content) return "";
+    const id = this._nextColrId(state);
+    state.context.defs.push(
+      `<clipPath id="${id}"><path d="${path}"/></clipPath>`
+    );
+    return `<g clip-path="url(#${id})">${content}</g>`;
+  }
+
+  /**
+   * Render content with the fill region narrowed to a font-space box (a
+   * ClipBox or glyph outline bounds) under the current transform
+   * @private
+   */
+  _renderColrClipped(state, matrix, box, render) {
+    const corners = this._boxCorners(box).map(([x, y]) =>
+      this._applyMatrix(matrix, x, y)
+    );
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+
+    const previous = state.region;
+    state.region = {
+      xMin: Math.max(previous.xMin, Math.min(...xs)),
+      yMin: Math.max(previous.yMin, Math.min(...ys)),
+      xMax: Math.min(previous.xMax, Math.max(...xs)),
+      yMax: Math.min(previous.yMax, Math.max(...ys)),
+    };
+    const empty =
+      state.region.xMin >= state.region.xMax ||
+      state.region.yMin >= state.region.yMax;
+    const content = empty ? "" : render();
+    state.region = previous;
+    return content;
+  }
+
+  /**
+   * Render a solid or gradient paint over the current fill region
+   * @private
+   */
+  _renderColrFill(paint, values, state, matrix) {
+    const extent = this._getColrExtent(state, matrix);
+    if (!extent) return ""; // Degenerate transform
+    if (paint.baseFormat === 8) {
+      return this._renderColrSweep(paint, values, state, extent);
+    }
+
+    const { fill, opacity } = this._getColrFill(paint, values, state, null);
+    return this._svgPath({ path: extent.path, fill, opacity });
+  }
+
+  /**
+   * Get the SVG fill of a PaintSolid, PaintLinearGradient or
+   * PaintRadialGradient, adding gradients to the defs
+   * @param {Array|null} transform - Font-space transform of the gradient
+   * @returns {Object} {fill, opacity}
+   * @private
+   */
+  _getColrFill(paint, values, state, transform) {
+    if (paint.baseFormat === 2) {
+      return this._getColrColor(values.paletteIndex, values.alpha, state);
+    }
+
+    const colorLine = this._readColrColorLine(
+      values.colorLine,
+      paint.isVariable
+    );
+    const stops = this._getColrColorStops(colorLine, state);
+    if (!stops.length) return { fill: "none", opacity: 1 };
+
+    // SVG stops must lie in 0..1: the gradient geometry is stretched to span
+    // the color line's first to last stop instead
+    const first = stops[0].offset;
+    const span = stops[stops.length - 1].offset - first || 1;
+    const scale = Math.abs(state.toSVG[0]);
+    const bake = (x, y) => this._applyMatrix(state.toSVG, x, y);
+
+    const id = this._nextColrId(state);
+    const spread = COLR_EXTEND_MODES[colorLine.extend] || "pad";
+    let attributes = `id="${id}" gradientUnits="userSpaceOnUse" spreadMethod="${spread}"`;
+    if (transform) {
+      attributes += ` gradientTransform="matrix(${this._toSVGTransform(
+        state,
+        transform
+      ).join(" ")})"`;
+    }
+    const stopElements = stops
+      .map(({ offset, fill, opacity }) => {
+        const stopOpacity =
+          opacity < 1 ? ` stop-opacity="${+opacity.toFixed(3)}"` : "";
+        return `<stop offset="${+((offset - first) / span).toFixed(
+          6
+        )}" stop-color="${fill || "currentColor"}"${stopOpacity}/>`;
+      })
+      .join("");
+
+    if (paint.baseFormat === 4) {
+      // Color lines run from p0 toward p1, projected onto the normal of p0-p2
+      const { x0, y0, x1, y1, x2, y2 } = values;
+      const normalX = y2 - y0;
+      const normalY = x0 - x2;
+      const lengthSquared = normalX * normalX + normalY * normalY;
+      const k = lengthSquared
+        ? ((x1 - x0) * normalX + (y1 - y0) * normalY) / lengthSquared
+        : 1;
+      const [dx, dy] = lengthSquared
+        ? [normalX * k, normalY * k]
+        : [x1 - x0, y1 - y0];
+      const [startX, startY] = bake(x0 + dx * first, y0 + dy * first);
+      const [endX, endY] = bake(
+        x0 + dx * (first + span),
+        y0 + dy * (first + span)
+      );
+      state.context.defs.push(
+        `<linearGradient ${attributes} x1="${startX}" y1="${startY}" x2="${endX}" y2="${endY}">${stopElements}</linearGradient>`
+      );
+    } else {
+      // Circles interpolate between (x0, y0, radius0) and (x1, y1, radius1)
+      const { x0, y0, radius0, x1, y1, radius1 } = values;
+      const circleAt = (t) => ({
+        x: x0 + (x1 - x0) * t,
+        y: y0 + (y1 - y0) * t,
+        r: Math.max(0, radius0 + (radius1 - radius0) * t),
+      });
+      const start = circleAt(first);
+      const end = circleAt(first + span);
+      const [fx, fy] = bake(start.x, start.y);
+      const [cx, cy] = bake(end.x, end.y);
+      state.context.defs.push(
+        `<radialGradient ${attributes} cx="${cx}" cy="${cy}" r="${
+          end.r * scale
+        }" fx="${fx}" fy="${fy}" fr="${
+          start.r * scale
+        }">${stopElements}</radialGradient>`
+      );
+    }
+
+    return { fill: `url(#${id})`, opacity: 1 };
+  }
+
+  /**
+   * Approximate a PaintSweepGradient with a fan of solid wedges
+   * @private
+   */
+  _renderColrSweep(paint, values, state, extent) {
+    const colorLine = this._readColrColorLine(
+      values.colorLine,
+      paint.isVariable
+    );
+    const stops = this._getColrColorStops(colorLine, state);
+    if (!stops.length) return "";
+
+    // Angles are counter-clockwise in half turns
+    const { centerX, centerY } = values;
+    const startAngle = values.startAngle * 180;
+    const endAngle = values.endAngle * 180;
+    const radius = Math.max(
+      ...extent.corners.map(([x, y]) => Math.hypot(x - centerX, y - centerY))
+    );
+    const step = 360 / COLR_SWEEP_STEPS;
+    const pointAt = (angle) =>
+      this._applyMatrix(
+        state.toSVG,
+        centerX + radius * Math.cos((angle * Math.PI) / 180),
+        centerY + radius * Math.sin((angle * Math.PI) / 180)
+      ).join(" ");
+
+    // Neighbouring steps of the same color merge into one wedge
+    const wedges = [];
+    for (let i = 0; i < COLR_SWEEP_STEPS; i++) {
+      const angle = (i + 0.5) * step;
+      const t =
+        endAngle !== startAngle
+          ? (angle - startAngle) / (endAngle - startAngle)
+          : angle < startAngle
+          ? -Infinity
+          : Infinity;
+      const { fill, opacity } = this._getColorLineColor(
+        stops,
+        colorLine.extend,
+        t
+      );
+      const previous = wedges[wedges.length - 1];
+      if (previous && previous.fill === fill && previous.opacity === opacity) {
+        previous.end = i + 1;
+      } else {
+        wedges.push({ fill, opacity, start: i, end: i + 1 });
+      }
+    }
+
+    const center = this._applyMatrix(state.toSVG, centerX, centerY).join(" ");
+    return wedges
+      .map(({ fill, opacity, start, end }) => {
+        // Overlap the next wedge slightly to avoid hairline seams
+        const points = [];
+        for (let i = start; i <= end; i++) points.push(pointAt(i * step));
+        points.push(pointAt((end + 0.25) * step));
+        const path = `M ${center} L ${points.join(" L ")} Z`;
+        return this._svgPath({ path, fill, opacity });
+      })
+      .join("");
+  }
+
+  /**
+   * Render a PaintComposite. Porter-Duff modes use alpha masks; blend modes
+   * map to CSS mix-blend-mode
+   * @private
+   */
+  _renderColrComposite(values, state, matrix, depth) {
+    const source = this._renderColrPaint(
+      values.sourcePaint,
+      state,
+      matrix,
+      depth
+    );
+    const backdrop = this._renderColrPaint(
+      values.backdropPaint,
+      state,
+      matrix,
+      depth
+    );
+    const masked = (content, mask, inverted) =>
+      this._maskColrContent(content, mask, inverted, state, matrix);
+
+    switch (values.compositeMode) {
+      case 0: // CLEAR
+        return "";
+      case 1: // SRC
+        return source;
+      case 2: // DEST
+        return backdrop;
+      case 3: // SRC_OVER
+        return backdrop + source;
+      case 4: // DEST_OVER
+        return source + backdrop;
+      case 5: // SRC_IN
+        return masked(source, backdrop, false);
+      case 6: // DEST_IN
+        return masked(backdrop, source, false);
+      case 7: // SRC_OUT
+        return masked(source, backdrop, true);
+      case 8: // DEST_OUT
+        return masked(backdrop, source, true);
+      case 9: // SRC_ATOP
+        return backdrop + masked(source, backdrop, false);
+      case 10: // DEST_ATOP
+        return source + masked(backdrop, source, false);
+      case 11: // XOR
+        return masked(source, backdrop, true) + masked(backdrop, source, true);
+      default: {
+        const blendMode = COLR_BLEND_MODES[values.compositeMode - 12];
+        if (!blendMode) return backdrop + source;
+        return `<g style="isolation:isolate">${backdrop}<g style="mix-blend-mode:${blendMode}">${source}</g></g>`;
+      }
+    }
+  }
+
+  /**
+   * Mask content by the alpha of other content (or its inverse)
+   * @private
+   */
+  _maskColrContent(content, maskContent, inverted, state, matrix) {
+    if (!content) return "";
+    if (!maskContent) return inverted ? content : "";
+
+    const extent = this._getColrExtent(state, matrix);
+    if (!extent) return "";
+    const { x, y, width, height, path } = extent;
+    const region = `maskUnits="userSpaceOnUse" x="${x}" y="${y}" width="${width}" height="${height}"`;
+    const id = this._nextColrId(state);
+    if (inverted) {
+      // Luminance mask: white everywhere, the content painted black on top
+      const context = state.context;
+      if (!context.blackFilterId) {
+        context.blackFilterId = this._nextColrId(state);
+        context.defs.push(
+          `<filter id="${context.blackFilterId}"><feColorMatrix values="0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 1 0"/></filter>`
+        );
+      }
+      context.defs.push(
+        `<mask id="${id}" ${region}><path d="${path}" fill="white"/><g filter="url(#${context.blackFilterId})">${maskContent}</g></mask>`
+      );
+    } else {
+      state.context.defs.push(
+        `<mask id="${id}" ${region} mask-type="alpha">${maskContent}</mask>`
+      );
+    }
+    return `<g mask="url(#${id})">${content}</g>`;
+  }
+
+  /**
+   * Get the font-space matrix of a transform paint (formats 12-31)
+   * @private
+   */
+  _getColrTransform(paint, values) {
+    const aroundCenter = (matrix) => {
+      if (values.centerX === undefined) return matrix;
+      const { centerX, centerY } = values;
+      return this._multiplyMatrices(
+        this._multiplyMatrices([1, 0, 0, 1, centerX, centerY], matrix),
+        [1, 0, 0, 1, -centerX, -centerY]
+      );
+    };
+
+    switch (paint.baseFormat) {
+      case 12: {
+        const { xx, yx, xy, yy, dx, dy } = this._resolveColrRecord(
+          paint.transform
+        );
+        return [xx, yx, xy, yy, dx, dy];
+      }
+      case 14:
+        return [1, 0, 0, 1, values.dx, values.dy];
+      case 16:
+      case 18:
+        return aroundCenter([values.scaleX, 0, 0, values.scaleY, 0, 0]);
+      case 20:
+      case 22:
+        return aroundCenter([values.scale, 0, 0, values.scale, 0, 0]);
+      case 24:
+      case 26: {
+        const angle = values.angle * Math.PI;
+        const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+        return aroundCenter([cos, sin, -sin, cos, 0, 0]);
+      }
+      default: {
+        // PaintSkew: positive angles skew counter-clockwise
+        const tanX = Math.tan(values.xSkewAngle * Math.PI);
+        const tanY = Math.tan(values.ySkewAngle * Math.PI);
+        return aroundCenter([1, tanY, -tanX, 1, 0, 0]);
+      }
+    }
+  }
+
+  /**
+   * Read a COLR v1 Paint table (cached by offset)
+   * @returns {Object} {format, baseFormat, isVariable, record, transform}
+   * @private
+   */
+  _readColrPaint(offset) {
+    const cached = this.colr.paints.get(offset);
+    if (cached) return cached;
+
+    this.seek(offset);
+    const format = this.readUint8();
+    // Odd formats from 3 up, except PaintColrGlyph, are variable versions
+    const isVariable = format >= 3 && format % 2 === 1 && format !== 11;
+    const baseFormat = isVariable ? format - 1 : format;
+    const fields = COLR_PAINT_FIELDS[baseFormat];
+
+    // PaintVarTransform keeps its varIndexBase in the VarAffine2x3
+    const paint = {
+      format,
+      baseFormat,
+      isVariable,
+      record: fields
+        ? this._readColrRecord(fields, offset, isVariable && format !== 13)
+        : null,
+    };
+    if (baseFormat === 12) {
+      const transformOffset = paint.record.values.transform;
+      this.seek(transformOffset);
+      paint.transform = this._readColrRecord(
+        COLR_AFFINE_FIELDS,
+        transformOffset,
+        isVariable
+      );
+    }
+
+    this.colr.paints.set(offset, paint);
+    return paint;
+  }
+
+  /**
+   * Read a ColorLine or VarColorLine (cached by offset)
+   * @private
+   */
+  _readColrColorLine(offset, isVariable) {
+    const cached = this.colr.colorLines.get(offset);
+    if (cached) return cached;
+
+    this.seek(offset);
+    const extend = this.readUint8();
+    const stops = Array.from({ length: this.readUint16() }, () =>
+      this._readColrRecord(COLR_COLOR_STOP_FIELDS, offset, isVariable)
+    );
+    const colorLine = { extend, stops };
+    this.colr.colorLines.set(offset, colorLine);
+    return colorLine;
+  }
+
+  /**
+   * Read a COLR record described by a field list like "x0:fword y0:fword".
+   * Variable records end with a varIndexBase for their numeric fields
+   * @returns {Object} {values, varFields, varIndexBase}
+   * @private
+   */
+  _readColrRecord(fields, tableStart, isVariable) {
+    const values = {};
+    const varFields = [];
+    for (const field of fields.split(" ")) {
+      const [name, type] = field.split(":");
+      switch (type) {
+        case "uint8":
+          values[name] = this.readUint8();
+          break;
+        case "uint16":
+        case "ufword":
+          values[name] = this.readUint16();
+          break;
+        case "uint32":
+          values[name] = this.readUint32();
+          break;
+        case "fword":
+          values[name] = this.readInt16();
+          break;
+        case "f2dot14":
+          values[name] = this.readF2Dot14();
+          break;
+        case "fixed":
+          values[name] = this.readFixed();
+          break;
+        case "offset24":
+          values[name] = tableStart + this.readUint24();
+          break;
+      }
+      if (COLR_DELTA_UNITS[type])
+        varFields.push([name, COLR_DELTA_UNITS[type]]);
+    }
+
+    return isVariable
+      ? { values, varFields, varIndexBase: this.readUint32() }
+      : { values, varFields: [], varIndexBase: 0xffffffff };
+  }
+
+  /**
+   * Get a COLR record's values at the current variation
+   * @private
+   */
+  _resolveColrRecord({ values, varFields, varIndexBase }) {
+    const { varIndexMap, itemVariationStore } = this.colr;
+    if (varIndexBase === 0xffffffff || !itemVariationStore) return values;
+
+    const resolved = { ...values };
+    varFields.forEach(([name, unit], i) => {
+      // Without a map, indexes split into outer (high) and inner (low) words
+      const index = varIndexBase + i;
+      const { outer, inner } = varIndexMap
+        ? this._lookupDeltaSetIndex(varIndexMap, index)
+        : { outer: index >>> 16, inner: index & 0xffff };
+      resolved[name] +=
+        this._getItemVariationDelta(itemVariationStore, outer, inner) / unit;
+    });
+    return resolved;
+  }
+
+  /**
+   * Resolve a color line to stops sorted by offset
+   * @returns {Array} [{offset, fill, opacity}]
+   * @private
+   */
+  _getColrColorStops(colorLine, state) {
+    return colorLine.stops
+      .map((stop) => {
+        const { stopOffset, paletteIndex, alpha } =
+          this._resolveColrRecord(stop);
+        return {
+          offset: stopOffset,
+          ...this._getColrColor(paletteIndex, alpha, state),
+        };
+      })
+      .sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * Get the color at t on a color line, applying its extend mode
+   * @private
+   */
+  _getColorLineColor(stops, extend, t) {
+    const first = stops[0].offset;
+    const last = stops[stops.length - 1].offset;
+    const span = last - first;
+    if (span > 0 && isFinite(t) && extend === 1) {
+      t = first + ((((t - first) % span) + span) % span); // Repeat
+    } else if (span > 0 && isFinite(t) && extend === 2) {
+      const u = (((t - first) % (2 * span)) + 2 * span) % (2 * span);
+      t = first + (u > span ? 2 * span - u : u); // Reflect
+    }
+    if (t <= first) return stops[0];
+    if (t >= last) return stops[stops.length - 1];
+
+    const index = stops.findIndex((stop) => stop.offset >= t);
+    const [a, b] = [stops[index - 1], stops[index]];
+    const f = (t - a.offset) / (b.offset - a.offset);
+    const colorA = this._parseHexColor(a.fill);
+    const colorB = this._parseHexColor(b.fill);
+    if (!colorA || !colorB) return f < 0.5 ? a : b;
+
+    const mix = (channel) =>
+      Math.round(colorA[channel] + (colorB[channel] - colorA[channel]) * f);
+    return {
+      fill: this._formatHexColor(mix("red"), mix("green"), mix("blue")),
+      opacity: a.opacity + (b.opacity - a.opacity) * f,
+    };
+  }
+
+  /**
+   * Get the SVG fill for a palette entry and alpha (null fill for the text
+   * foreground color)
+   * @private
+   */
+  _getColrColor(paletteIndex, alpha, { context }) {
+    const entry = context.fills[paletteIndex] || { fill: null, opacity: 1 };
+    return {
+      fill: entry.fill,
+      opacity: Math.max(0, Math.min(1, entry.opacity * alpha)),
+    };
+  }
+
+  /**
+   * Parse a #rrggbb color (null for any other CSS color)
+   * @private
+   */
+  _parseHexColor(color) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color || "");
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return { red: value >> 16, green: (value >> 8) & 0xff, blue: value & 0xff };
+  }
+
+  /**
+   * Get the current fill region in the paint's own coordinates
+   * @returns {Object|null} {corners, path} plus the SVG bounding box {x, y,
+   *   width, height}, null when the transform is degenerate
+   * @private
+   */
+  _getColrExtent(state, matrix) {
+    const inverse = this._invertMatrix(matrix);
+    if (!inverse) return null;
+
+    const corners = this._boxCorners(state.region).map(([x, y]) =>
+      this._applyMatrix(inverse, x, y)
+    );
+    const points = corners.map(([x, y]) =>
+      this._applyMatrix(state.toSVG, x, y)
+    );
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+      corners,
+      x,
+      y,
+      width: Math.max(...xs) - x,
+      height: Math.max(...ys) - y,
+      path: this._colrPolygonPath(state, corners),
+    };
+  }
+
+  /**
+   * Get the corners of a {xMin, yMin, xMax, yMax} box
+   * @returns {Array} [[x, y], ...]
+   * @private
+   */
+  _boxCorners({ xMin, yMin, xMax, yMax }) {
+    return [
+      [xMin, yMin],
+      [xMax, yMin],
+      [xMax, yMax],
+      [xMin, yMax],
+    ];
+  }
+
+  /**
+   * Build path data for a font-space polygon
+   * @private
+   */
+  _colrPolygonPath(state, corners) {
+    const points = corners.map(([x, y]) =>
+      this._applyMatrix(state.toSVG, x, y).join(" ")
+    );
+    return `M ${points.join(" L ")} Z`;
+  }
+
+  /**
+   * Allocate an id for a gradient, clip path, mask or filter
+   * @private
+   */
+  _nextColrId({ context }) {
+    return `${context.idPrefix}${context.nextId++}`;
+  }
+
+  /**
+   * Convert a font-space transform to the same transform in SVG coordinates
+   * @private
+   */
+  _toSVGTransform({ toSVG }, transform) {
+    const [a, , , d, e, f] = toSVG;
+    const inverse = [1 / a, 0, 0, 1 / d, -e / a, -f / d];
+    return this._multiplyMatrices(
+      this._multiplyMatrices(toSVG, transform),
+      inverse
+    );
+  }
+
+  /**
+   * Multiply 2x3 affine matrices [a, b, c, d, e, f] (m2 applied first)
+   * @private
+   */
+  _multiplyMatrices(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    return [
+      a1 * a2 + c1 * b2,
+      b1 * a2 + d1 * b2,
+      a1 * c2 + c1 * d2,
+      b1 * c2 + d1 * d2,
+      a1 * e2 + c1 * f2 + e1,
+      b1 * e2 + d1 * f2 + f1,
+    ];
+  }
+
+  /**
+   * Invert a 2x3 affine matrix (null when it is singular)
+   * @private
+   */
+  _invertMatrix([a, b, c, d, e, f]) {
+    const determinant = a * d - b * c;
+    if (!determinant) return null;
+    return [
+      d / determinant,
+      -b / determinant,
+      -c / determinant,
+      a / determinant,
+      (c * f - d * e) / determinant,
+      (b * e - a * f) / determinant,
+    ];
+  }
+
+  /**
+   * Apply a 2x3 affine matrix to a point
+   * @returns {Array} [x, y]
+   * @private
+   */
+  _applyMatrix([a, b, c, d, e, f], x, y) {
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  /**
+   * Apply a 2x3 affine matrix to the points of a contour
+   * @private
+   */
+  _transformContour(contour, matrix) {
+    return contour.map((point) => {
+      const [x, y] = this._applyMatrix(matrix, point.x, point.y);
+      const transformed = { ...point, x, y };
+      if (point.cubic) {
+        [transformed.x1, transformed.y1] = this._applyMatrix(
+          matrix,
+          point.x1,
+          point.y1
+        );
+        [transformed.x2, transformed.y2] = this._applyMatrix(
+          matrix,
+          point.x2,
+          point.y2
+        );
+      }
+      return transformed;
+    });
+  }
+
+  /**
+   * Format a color as #rrggbb, or #rrggbbaa when alpha is given and not opaque
+   * @private
+   */
+  _formatHexColor(red, green, blue, alpha = 255) {
+    const channels =
+      alpha < 255 ? [red, green, blue, alpha] : [red, green, blue];
+    return `#${channels
+      .map((channel) => channel.toString(16).padStart(2, "0"))
+      .join("")}`;
+  }
+
+  /**
+   * Build an SVG path element, with fill attributes for colored layers
+   * @private
+   */
+  _svgPath({ path, fill = null, opacity = 1 }, attributes = "") {
+    const fillAttribute = fill ? ` fill="${fill}"` : "";
+    const opacityAttribute =
+      opacity < 1 ? ` fill-opacity="${+opacity.toFixed(3)}"` : "";
+    return `<path d="${path}"${fillAttribute}${opacityAttribute}${attributes}/>`;
+  }
+
+  // ============================================================================
+  // WEB FONTS (WOFF)
+  // ============================================================================
+
+  /**
+   * Unwrap WOFF/WOFF2 data into a plain sfnt buffer (other data passes
+   * through)
+   * @private
+   */
+  _decodeWebFont(fontBuffer) {
+    const view = new DataView(fontBuffer);
+    if (view.byteLength < 4) return fontBuffer;
+
+    const signature = view.getUint32(0);
+    if (signature === 0x774f4646) return this._decodeWoff(view); // 'wOFF'
+    if (signature === 0x774f4632) return this._decodeWoff2(view); // 'wOF2'
+    return fontBuffer;
+  }
+
+  /**
+   * Decode a WOFF 1.0 file: zlib-compressed tables behind a 44-byte header
+   * @private
+   */
+  _decodeWoff(view) {
+    const flavor = view.getUint32(4);
+    const numTables = view.getUint16(12);
+    const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+
+    const tables = Array.from({ length: numTables }, (_, i) => {
+      const entry = 44 + i * 20;
+      const tag = String.fromCharCode(...bytes.subarray(entry, entry + 4));
+      const offset = view.getUint32(entry + 4);
+      const compLength = view.getUint32(entry + 8);
+      const origLength = view.getUint32(entry + 12);
+      const checksum = view.getUint32(entry + 16);
+
+      if (offset + compLength > view.byteLength) {
+        throw new Error(`WOFF table ${tag} extends past the end of the file`);
+      }
+      const stored = bytes.subarray(offset, offset + compLength);
+      const data =
+        compLength < origLength ? this._inflate(stored, origLength) : stored;
+      if (data.length !== origLength) {
+        throw new Error(
+          `WOFF table ${tag} decompressed to ${data.length} bytes, expected ${origLength}`
+        );
+      }
+      return { tag, data, checksum };
+    });
+
+    return this._buildSfnt(flavor, tables);
+  }
+
+  /**
+   * Assemble an sfnt from { tag, data, checksum } tables
+   * @private
+   */
+  _buildSfnt(flavor, tables) {
+    return this._assembleFaces([{ flavor, tables }], false);
+  }
+
+  /**
+   * Assemble a TrueType collection from faces of { flavor, tables }. A table
+   * object listed by several faces is stored once
+   * @private
+   */
+  _buildCollection(faces) {
+    return this._assembleFaces(faces, true);
+  }
+
+  /**
+   * Write the collection header (if any), one offset table per face, then
+   * the table data
+   * @private
+   */
+  _assembleFaces(faces, isCollection) {
+    const sortedFaces = faces.map(({ flavor, tables }) => ({
+      flavor,
+      tables: [...tables].sort((a, b) => (a.tag < b.tag ? -1 : 1)),
+    }));
+
+    let size = isCollection ? 12 + faces.length * 4 : 0;
+    const faceOffsets = sortedFaces.map(({ tables }) => {
+      const faceOffset = size;
+      size += 12 + tables.length * 16;
+      return faceOffset;
+    });
+    const tableOffsets = new Map();
+    for (const { tables } of sortedFaces) {
+      for (const table of tables) {
+        if (tableOffsets.has(table)) continue;
+        tableOffsets.set(table, size);
+        size += (table.data.length + 3) & ~3; // Tables are 4-byte aligned
+      }
+    }
+
+    const output = new Uint8Array(size);
+    const view = new DataView(output.buffer);
+    if (isCollection) {
+      view.setUint32(0, 0x74746366); // 'ttcf'
+      view.setUint32(4, 0x00010000);
+      view.setUint32(8, faces.length);
+      faceOffsets.forEach((faceOffset, i) =>
+        view.setUint32(12 + i * 4, faceOffset)
+      );
+    }
+
+    sortedFaces.forEach(({ flavor, tables }, faceIndex) => {
+      const start = faceOffsets[faceIndex];
+      const entrySelector = Math.floor(Math.log2(tables.length || 1));
+      const searchRange = 16 << entrySelector;
+      view.setUint32(start, flavor);
+      view.setUint16(start + 4, tables.length);
+      view.setUint16(start + 6, searchRange);
+      view.setUint16(start + 8, entrySelector);
+      view.setUint16(start + 10, tables.length * 16 - searchRange);
+
+      tables.forEach((table, i) => {
+        const record = start + 12 + i * 16;
+        for (let j = 0; j < 4; j++) {
+          output[record + j] = table.tag.charCodeAt(j);
+        }
+        view.setUint32(record + 4, table.checksum ?? 0);
+        view.setUint32(record + 8, tableOffsets.get(table));
+        view.setUint32(record + 12, table.data.length);
+      });
+    });
+    for (const [table, offset] of tableOffsets) output.set(table.data, offset);
+
+    return output.buffer;
+  }
+
+  /**
+   * Inflate zlib data (RFC 1950 wrapper around RFC 1951 deflate)
+   * @param {Uint8Array} data - Compressed bytes
+   * @param {number} outputLength - Expected size of the output
+   * @returns {Uint8Array} Decompressed bytes
+   * @private
+   */
+  _inflate(data, outputLength) {
+    if ((data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+      throw new Error("Invalid zlib header");
+    }
+
+    const output = new Uint8Array(outputLength);
+    let outputPos = 0;
+    const reader = this._createBitReader(data, 2);
+    const { readBits, decodeSymbol } = reader;
+
+    const writeByte = (byte) => {
+      if (outputPos >= outputLength) {
+        throw new Error("Inflated data exceeds the expected length");
+      }
+      output[outputPos++] = byte;
+    };
+
+    let isFinal = false;
+    while (!isFinal) {
+      isFinal = readBits(1) === 1;
+      const type = readBits(2);
+
+      if (type === 0) {
+        // Stored block: byte-aligned LEN, NLEN, then raw bytes
+        reader.alignToByte();
+        const length = readBits(16);
+        if ((length ^ readBits(16)) !== 0xffff) {
+          throw new Error("Invalid deflate stored block length");
+        }
+        for (let i = 0; i < length; i++) writeByte(readBits(8));
+        continue;
+      }
+
+      let literalTable;
+      let distanceTable;
+      if (type === 1) {
+        literalTable = this._buildHuffmanTable(INFLATE_FIXED_LITERAL_LENGTHS);
+        distanceTable = this._buildHuffmanTable(INFLATE_FIXED_DISTANCE_LENGTHS);
+      } else if (type === 2) {
+        [literalTable, distanceTable] = this._readInflateTables(reader);
+      } else {
+        throw new Error("Invalid deflate block type");
+      }
+
+      for (;;) {
+        const symbol = decodeSymbol(literalTable);
+        if (symbol < 256) {
+          writeByte(symbol);
+          continue;
+        }
+        if (symbol === 256) break; // End of block
+
+        const lengthIndex = symbol - 257;
+        const length =
+          INFLATE_LENGTH_BASE[lengthIndex] +
+          readBits(INFLATE_LENGTH_EXTRA[lengthIndex]);
+        const distanceIndex = decodeSymbol(distanceTable);
+        const distance =
+          INFLATE_DISTANCE_BASE[distanceIndex] +
+          readBits(INFLATE_DISTANCE_EXTRA[distanceIndex]);
+        if (distance > outputPos) {
+          throw new Error("Invalid deflate distance");
+        }
+        for (let i = 0; i < length; i++) {
+          writeByte(output[outputPos - distance]);
+        }
+      }
+    }
+
+    return output.subarray(0, outputPos);
+  }
+
+  /**
+   * Read the code length code, then the literal/length and distance tables
+   * of a dynamic Huffman block
+   * @private
+   */
+  _readInflateTables({ readBits, decodeSymbol }) {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[INFLATE_CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthTable = this._buildHuffmanTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let i = 0; i < lengths.length; ) {
+      const symbol = decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      // 16 repeats the previous length, 17 and 18 write runs of zeros
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (i === 0) throw new Error("Invalid deflate code lengths");
+        value = lengths[i - 1];
+        repeat = 3 + readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + readBits(3);
+      } else {
+        repeat = 11 + readBits(7);
+      }
+      if (i + repeat > lengths.length) {
+        throw new Error("Invalid deflate code lengths");
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return [
+      this._buildHuffmanTable(lengths.subarray(0, literalCount)),
+      this._buildHuffmanTable(lengths.subarray(literalCount)),
+    ];
+  }
+
+  /**
+   * LSB-first bit reader over a byte array (deflate and Brotli bit order)
+   * @private
+   */
+  _createBitReader(data, position = 0) {
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const readBits = (count) => {
+      while (bitCount < count) {
+        if (position >= data.length) {
+          throw new Error("Unexpected end of compressed data");
+        }
+        bitBuffer |= data[position++] << bitCount;
+        bitCount += 8;
+      }
+      const value = bitBuffer & ((1 << count) - 1);
+      bitBuffer >>>= count;
+      bitCount -= count;
+      return value;
+    };
+
+    // Canonical Huffman codes are read one bit at a time, MSB first.
+    // Single-symbol tables consume no bits.
+    const decodeSymbol = ({ counts, symbols, single }) => {
+      if (single !== undefined) return single;
+      let code = 0;
+      let first = 0;
+      let index = 0;
+      for (let length = 1; length < counts.length; length++) {
+        code |= readBits(1);
+        const count = counts[length];
+        if (code - first < count) return symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw new Error("Invalid Huffman code");
+    };
+
+    // Drop the rest of the current byte
+    const alignToByte = () => {
+      bitBuffer = 0;
+      bitCount = 0;
+    };
+
+    return { readBits, decodeSymbol, alignToByte };
+  }
+
+  /**
+   * Build a canonical Huffman table (code counts per length, symbols in
+   * code order) from per-symbol code lengths
+   * @private
+   */
+  _buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 15; length++) {
+      offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+      if (length) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+  }
+
+  // ============================================================================
+  // WEB FONTS (WOFF2)
+  // ============================================================================
+
+  /**
+   * Decode a WOFF2 file: one Brotli stream holding every table, with glyf,
+   * loca and hmtx optionally stored in transformed form. Collections come
+   * back as a TrueType collection with shared tables stored once
+   * @private
+   */
+  _decodeWoff2(view) {
+    if (view.byteLength < 48) throw new Error("WOFF2 header is truncated");
+    const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    const flavor = view.getUint32(4);
+    const numTables = view.getUint16(12);
+    const totalCompressedSize = view.getUint32(20);
+
+    let offset = 48;
+    const readByte = () => {
+      if (offset >= bytes.length) {
+        throw new Error("WOFF2 table directory is truncated");
+      }
+      return bytes[offset++];
+    };
+    const readBase128 = () => {
+      let value = 0;
+      for (let i = 0; i < 5; i++) {
+        const byte = readByte();
+        if (i === 0 && byte === 0x80) {
+          throw new Error("Invalid WOFF2 UIntBase128 value");
+        }
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) return value;
+      }
+      throw new Error("Invalid WOFF2 UIntBase128 value");
+    };
+    const read255UInt16 = () => {
+      const code = readByte();
+      if (code === 253) return (readByte() << 8) | readByte();
+      if (code === 254) return readByte() + 506;
+      if (code === 255) return readByte() + 253;
+      return code;
+    };
+
+    // Table directory: known tags are stored as a 6-bit index
+    let streamLength = 0;
+    const tables = Array.from({ length: numTables }, () => {
+      const flags = readByte();
+      let tag = WOFF2_KNOWN_TAGS[flags & 0x3f];
+      if ((flags & 0x3f) === 63) {
+        tag = "";
+        for (let i = 0; i < 4; i++) tag += String.fromCharCode(readByte());
+      }
+
+      // glyf/loca use version 0 for their transform, other tables version 1+
+      const transformVersion = flags >> 6;
+      const isTransformed =
+        tag === "glyf" || tag === "loca"
+          ? transformVersion === 0
+          : transformVersion !== 0;
+      const origLength = readBase128();
+      const length = isTransformed ? readBase128() : origLength;
+
+      const table = { tag, isTransformed, start: streamLength, length };
+      streamLength += length;
+      return table;
+    });
+
+    // Collection directory: each font lists its tables by directory index
+    const isCollection = flavor === 0x74746366; // 'ttcf'
+    let fonts = [{ flavor, indices: tables.map((_, index) => index) }];
+    if (isCollection) {
+      offset += 4; // Skip the collection version
+      fonts = Array.from({ length: read255UInt16() }, () => {
+        const indexCount = read255UInt16();
+        let fontFlavor = 0;
+        for (let i = 0; i < 4; i++) fontFlavor = fontFlavor * 256 + readByte();
+        const indices = Array.from({ length: indexCount }, () => {
+          const index = read255UInt16();
+          if (index >= numTables) {
+            throw new Error(`Invalid WOFF2 collection table index ${index}`);
+          }
+          return index;
+        });
+        return { flavor: fontFlavor, indices };
+      });
+    }
+
+    if (offset + totalCompressedSize > bytes.length) {
+      throw new Error("WOFF2 compressed data extends past the end of the file");
+    }
+    const stream = this._brotliDecompress(
+      bytes.subarray(offset, offset + totalCompressedSize),
+      streamLength
+    );
+    const tableData = (index) => {
+      const { start, length } = tables[index];
+      return stream.subarray(start, start + length);
+    };
+
+    // A font's transformed glyf also yields its loca and the xMins for hmtx
+    const rebuiltGlyf = new Map();
+    const getGlyf = (indices) => {
+      const index = indices.find(
+        (i) => tables[i].tag === "glyf" && tables[i].isTransformed
+      );
+      if (index === undefined) return null;
+      if (!rebuiltGlyf.has(index)) {
+        rebuiltGlyf.set(index, this._reconstructWoff2Glyf(tableData(index)));
+      }
+      return rebuiltGlyf.get(index);
+    };
+
+    // Tables shared between fonts are decoded (and later stored) once
+    const decoded = new Map();
+    const decodeTable = (index, indices) => {
+      if (decoded.has(index)) return decoded.get(index);
+      const { tag, isTransformed } = tables[index];
+      const glyf = isTransformed ? getGlyf(indices) : null;
+      const hheaIndex = indices.find((i) => tables[i].tag === "hhea");
+
+      let data;
+      if (!isTransformed) {
+        data = tableData(index);
+      } else if (glyf && (tag === "glyf" || tag === "loca")) {
+        data = glyf[tag];
+      } else if (glyf && tag === "hmtx" && hheaIndex !== undefined) {
+        const hhea = tableData(hheaIndex);
+        const numberOfHMetrics = (hhea[34] << 8) | hhea[35];
+        data = this._reconstructWoff2Hmtx(
+          tableData(index),
+          numberOfHMetrics,
+          glyf.xMins
+        );
+      } else {
+        throw new Error(`Unsupported WOFF2 transform for table ${tag}`);
+      }
+
+      const table = { tag, data };
+      decoded.set(index, table);
+      return table;
+    };
+
+    const faces = fonts.map(({ flavor: faceFlavor, indices }) => ({
+      flavor: faceFlavor,
+      tables: indices.map((index) => decodeTable(index, indices)),
+    }));
+    return isCollection
+      ? this._buildCollection(faces)
+      : this._buildSfnt(flavor, faces[0].tables);
+  }
+
+  /**
+   * Rebuild glyf and loca from the WOFF2 transformed glyf table
+   * @returns {Object} { glyf, loca, xMins }
+   * @private
+   */
+  _reconstructWoff2Glyf(data) {
+    if (data.length < 36) throw new Error("WOFF2 glyf table is truncated");
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const optionFlags = view.getUint16(2);
+    const numGlyphs = view.getUint16(4);
+    const indexFormat = view.getUint16(6);
+
+    // Seven substreams follow the header back to back
+    let streamStart = 36;
+    const streams = Array.from({ length: 7 }, (_, i) => {
+      const length = view.getUint32(8 + i * 4);
+      const stream = this._createWoff2Stream(data, streamStart, length);
+      streamStart += length;
+      return stream;
+    });
+    const [
+      nContours,
+      nPoints,
+      flags,
+      glyphs,
+      composites,
+      bboxes,
+      instructions,
+    ] = streams;
+
+    const bitmapLength = ((numGlyphs + 31) >> 5) * 4;
+    const bboxBitmap = bboxes.readBytes(bitmapLength);
+    const overlapBitmap =
+      optionFlags & 1
+        ? data.subarray(streamStart, streamStart + ((numGlyphs + 7) >> 3))
+        : null;
+    const hasBit = (bitmap, glyphId) =>
+      (bitmap[glyphId >> 3] & (0x80 >> (glyphId & 7))) !== 0;
+
+    const glyphData = [];
+    const xMins = new Int16Array(numGlyphs);
+    for (let glyphId = 0; glyphId < numGlyphs; glyphId++) {
+      const numberOfContours = nContours.readInt16();
+      const hasBBox = hasBit(bboxBitmap, glyphId);
+      let bbox = hasBBox
+        ? [
+            bboxes.readInt16(),
+            bboxes.readInt16(),
+            bboxes.readInt16(),
+            bboxes.readInt16(),
+          ]
+        : null;
+      let body;
+
+      if (numberOfContours === 0) {
+        glyphData.push(new Uint8Array(0));
+        continue;
+      }
+
+      if (numberOfContours < 0) {
+        // Composite: copy the component records, then any instructions
+        if (!bbox) {
+          throw new Error(
+            `WOFF2 composite glyph ${glyphId} has no bounding box`
+          );
+        }
+        const start = composites.position;
+        let componentFlags;
+        let hasInstructions = false;
+        do {
+          componentFlags = composites.readUint16();
+          composites.readBytes(2); // glyphIndex
+          composites.readBytes(componentFlags & 0x0001 ? 4 : 2); // Arguments
+          if (componentFlags & 0x0008) composites.readBytes(2); // Scale
+          else if (componentFlags & 0x0040)
+            composites.readBytes(4); // x/y scale
+          else if (componentFlags & 0x0080) composites.readBytes(8); // 2x2
+          if (componentFlags & 0x0100) hasInstructions = true;
+        } while (componentFlags & 0x0020);
+
+        const components = data.subarray(start, composites.position);
+        const parts = [components];
+        if (hasInstructions) {
+          const instructionLength = glyphs.read255UInt16();
+          parts.push(
+            Uint8Array.of(instructionLength >> 8, instructionLength & 0xff),
+            instructions.readBytes(instructionLength)
+          );
+        }
+        body = parts;
+      } else {
+        // Simple: point counts, flags and triplet-encoded coordinates
+        const endPoints = [];
+        let totalPoints = 0;
+        for (let i = 0; i < numberOfContours; i++) {
+          totalPoints += nPoints.read255UInt16();
+          endPoints.push(totalPoints - 1);
+        }
+
+        const onCurve = new Uint8Array(totalPoints);
+        const deltas = new Int16Array(totalPoints * 2);
+        let x = 0;
+        let y = 0;
+        let xMin = Infinity;
+        let yMin = Infinity;
+        let xMax = -Infinity;
+        let yMax = -Infinity;
+        for (let i = 0; i < totalPoints; i++) {
+          const flag = flags.readUint8();
+          onCurve[i] = flag & 0x80 ? 0 : 1;
+          const [dx, dy] = this._readWoff2Triplet(flag & 0x7f, glyphs);
+          deltas[i * 2] = dx;
+          deltas[i * 2 + 1] = dy;
+          x += dx;
+          y += dy;
+          xMin = Math.min(xMin, x);
+          yMin = Math.min(yMin, y);
+          xMax = Math.max(xMax, x);
+          yMax = Math.max(yMax, y);
+        }
+        bbox = bbox || [xMin, yMin, xMax, yMax];
+
+        const instructionLength = glyphs.read255UInt16();
+        const instructionBytes = instructions.readBytes(instructionLength);
+
+        // Re-encode in the compact glyf form (short vectors, repeated flags)
+        // so the result still fits the font's loca format
+        const overlap = overlapBitmap && hasBit(overlapBitmap, glyphId);
+        const contourData = new Uint8Array(numberOfContours * 2 + 2);
+        const contourView = new DataView(contourData.buffer);
+        endPoints.forEach((endPoint, i) =>
+          contourView.setUint16(i * 2, endPoint)
+        );
+        contourView.setUint16(numberOfContours * 2, instructionLength);
+
+        const encodeDelta = (delta, bytes, shortFlag, sameFlag) => {
+          if (delta === 0) return sameFlag;
+          if (delta > -256 && delta < 256) {
+            bytes.push(Math.abs(delta));
+            return shortFlag | (delta > 0 ? sameFlag : 0);
+          }
+          bytes.push((delta >> 8) & 0xff, delta & 0xff);
+          return 0;
+        };
+        const flagBytes = [];
+        const xBytes = [];
+        const yBytes = [];
+        let lastFlag = -1;
+        let repeat = 0;
+        for (let i = 0; i < totalPoints; i++) {
+          const flag =
+            onCurve[i] |
+            (i === 0 && overlap ? 0x40 : 0) |
+            encodeDelta(deltas[i * 2], xBytes, 0x02, 0x10) |
+            encodeDelta(deltas[i * 2 + 1], yBytes, 0x04, 0x20);
+          if (flag === lastFlag && repeat < 255) {
+            flagBytes[flagBytes.length - 1 - (repeat > 0 ? 1 : 0)] |= 0x08;
+            if (repeat > 0) flagBytes[flagBytes.length - 1]++;
+            else flagBytes.push(1);
+            repeat++;
+          } else {
+            flagBytes.push(flag);
+            lastFlag = flag;
+            repeat = 0;
+          }
+        }
+        body = [
+          contourData,
+          instructionBytes,
+          Uint8Array.from(flagBytes),
+          Uint8Array.from(xBytes),
+          Uint8Array.from(yBytes),
+        ];
+      }
+
+      const header = new Uint8Array(10);
+      const headerView = new DataView(header.buffer);
+      headerView.setInt16(0, numberOfContours);
+      bbox.forEach((value, i) => headerView.setInt16(2 + i * 2, value));
+      xMins[glyphId] = bbox[0];
+      glyphData.push(this._concatBytes([header, ...body]));
+    }
+
+    // Short loca offsets are stored halved, so glyphs need even lengths there
+    const alignment = indexFormat ? 4 : 2;
+    const padded = glyphData.map(
+      (glyph) => Math.ceil(glyph.length / alignment) * alignment
+    );
+    const glyf = new Uint8Array(
+      padded.reduce((sum, length) => sum + length, 0)
+    );
+    const loca = new Uint8Array((numGlyphs + 1) * (indexFormat ? 4 : 2));
+    const locaView = new DataView(loca.buffer);
+    let glyphOffset = 0;
+    glyphData.forEach((glyph, glyphId) => {
+      glyf.set(glyph, glyphOffset);
+      if (indexFormat) locaView.setUint32(glyphId * 4, glyphOffset);
+      else locaView.setUint16(glyphId * 2, glyphOffset / 2);
+      glyphOffset += padded[glyphId];
+    });
+    if (indexFormat) locaView.setUint32(numGlyphs * 4, glyphOffset);
+    else locaView.setUint16(numGlyphs * 2, glyphOffset / 2);
+
+    return { glyf, loca, xMins };
+  }
+
+  /**
+   * Decode one WOFF2 coordinate triplet (flag byte plus 1-4 data bytes)
+   * @returns {Array} [dx, dy]
+   * @private
+   */
+  _readWoff2Triplet(flag, stream) {
+    const withSign = (signFlag, value) => (signFlag & 1 ? value : -value);
+
+    if (flag < 10) {
+      return [0, withSign(flag, ((flag & 14) << 7) + stream.readUint8())];
+    }
+    if (flag < 20) {
+      return [
+        withSign(flag, (((flag - 10) & 14) << 7) + stream.readUint8()),
+        0,
+      ];
+    }
+    if (flag < 84) {
+      const b0 = flag - 20;
+      const b1 = stream.readUint8();
+      return [
+        withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4)),
+        withSign(flag >> 1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f)),
+      ];
+    }
+    if (flag < 120) {
+      const b0 = flag - 84;
+      return [
+        withSign(flag, 1 + (Math.floor(b0 / 12) << 8) + stream.readUint8()),
+        withSign(flag >> 1, 1 + ((b0 % 12 >> 2) << 8) + stream.readUint8()),
+      ];
+    }
+    if (flag < 124) {
+      const b0 = stream.readUint8();
+      const b1 = stream.readUint8();
+      const b2 = stream.readUint8();
+      return [
+        withSign(flag, (b0 << 4) + (b1 >> 4)),
+        withSign(flag >> 1, ((b1 & 0x0f) << 8) + b2),
+      ];
+    }
+    return [
+      withSign(flag, stream.readUint16()),
+      withSign(flag >> 1, stream.readUint16()),
+    ];
+  }
+
+  /**
+   * Rebuild hmtx from the WOFF2 transformed form, where left side bearings
+   * equal to the glyph's xMin may be omitted
+   * @private
+   */
+  _reconstructWoff2Hmtx(data, numberOfHMetrics, xMins) {
+    const stream = this._createWoff2Stream(data, 0, data.length);
+    const flags = stream.readUint8();
+    const numGlyphs = xMins.length;
+
+    const advances = Array.from({ length: numberOfHMetrics }, () =>
+      stream.readUint16()
+    );
+    const lsbs = Array.from({ length: numGlyphs }, (_, glyphId) => {
+      const omitted = glyphId < numberOfHMetrics ? flags & 1 : flags & 2;
+      return omitted ? xMins[glyphId] : stream.readInt16();
+    });
+
+    const hmtx = new Uint8Array(numberOfHMetrics * 2 + numGlyphs * 2);
+    const view = new DataView(hmtx.buffer);
+    let pos = 0;
+    lsbs.forEach((lsb, glyphId) => {
+      if (glyphId < numberOfHMetrics) {
+        view.setUint16(pos, advances[glyphId]);
+        pos += 2;
+      }
+      view.setInt16(pos, lsb);
+      pos += 2;
+    });
+    return hmtx;
+  }
+
+  /**
+   * Bounded big-endian reader over one WOFF2 substream
+   * @private
+   */
+  _createWoff2Stream(data, start, length) {
+    const end = start + length;
+    if (end > data.length) {
+      throw new Error("WOFF2 stream extends past the end of its table");
+    }
+    let position = start;
+    const take = (count) => {
+      if (position + count > end) {
+        throw new Error("Unexpected end of WOFF2 glyph data");
+      }
+      position += count;
+      return position - count;
+    };
+
+    const stream = {
+      get position() {
+        return position;
+      },
+      readUint8: () => data[take(1)],
+      readUint16: () => {
+        const at = take(2);
+        return (data[at] << 8) | data[at + 1];
+      },
+      readInt16: () => (stream.readUint16() << 16) >> 16,
+      readBytes: (count) => data.subarray(take(count), position),
+      // 255UInt16: one byte, or an escape code followed by more bytes
+      read255UInt16: () => {
+        const code = stream.readUint8();
+        if (code === 253) return stream.readUint16();
+        if (code === 254) return stream.readUint8() + 506;
+        if (code === 255) return stream.readUint8() + 253;
+        return code;
+      },
+    };
+    return stream;
+  }
+
+  /**
+   * Concatenate byte arrays
+   * @private
+   */
+  _concatBytes(parts) {
+    const output = new Uint8Array(
+      parts.reduce((length, part) => length + part.length, 0)
+    );
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+    return output;
+  }
+
+  // ============================================================================
+  // BROTLI DECODER (RFC 7932)
+  // ============================================================================
+
+  /**
+   * Decompress a Brotli stream
+   * @param {Uint8Array} data - Compressed bytes
+   * @param {number} outputLength - Expected size of the output
+   * @returns {Uint8Array} Decompressed bytes
+   * @private
+   */
+  _brotliDecompress(data, outputLength) {
+    const reader = this._createBitReader(data);
+    const { readBits, decodeSymbol } = reader;
+    const output = new Uint8Array(outputLength);
+    let pos = 0;
+
+    const windowBits = this._readBrotliWindowBits(reader);
+    const maxBackwardDistance = (1 << windowBits) - 16;
+    const distances = [4, 11, 15, 16]; // Last distance first
+
+    let isLast = false;
+    while (!isLast) {
+      isLast = readBits(1) === 1;
+      if (isLast && readBits(1) === 1) break; // ISLASTEMPTY
+
+      const nibbles = [4, 5, 6, 0][readBits(2)];
+      if (nibbles === 0) {
+        // Metadata block: skipped
+        if (readBits(1) !== 0) throw new Error("Invalid Brotli metadata");
+        const sizeBytes = readBits(2);
+        let skipLength = 0;
+        for (let i = 0; i < sizeBytes; i++)
+          skipLength |= readBits(8) << (i * 8);
+        reader.alignToByte();
+        for (let i = 0; i < (sizeBytes ? skipLength + 1 : 0); i++) readBits(8);
+        continue;
+      }
+
+      const metaBlockEnd = pos + readBits(nibbles * 4) + 1;
+      if (metaBlockEnd > outputLength) {
+        throw new Error("Brotli data exceeds the expected length");
+      }
+
+      if (!isLast && readBits(1) === 1) {
+        // Uncompressed block: byte-aligned raw bytes
+        reader.alignToByte();
+        while (pos < metaBlockEnd) output[pos++] = readBits(8);
+        continue;
+      }
+
+      // Block types and counts for literals, insert&copy commands, distances
+      const blocks = [0, 1, 2].map(() => this._readBrotliBlockTypes(reader));
+      const nextBlockType = (category) => {
+        const block = blocks[category];
+        if (block.remaining === 0) this._switchBrotliBlock(reader, block);
+        block.remaining--;
+        return block.type;
+      };
+
+      const postfixBits = readBits(2);
+      const directCount = readBits(4) << postfixBits;
+      const contextModes = Array.from({ length: blocks[0].count }, () =>
+        readBits(2)
+      );
+      const literalMap = this._readBrotliContextMap(
+        reader,
+        64 * blocks[0].count
+      );
+      const distanceMap = this._readBrotliContextMap(
+        reader,
+        4 * blocks[2].count
+      );
+      const literalCodes = Array.from({ length: literalMap.treeCount }, () =>
+        this._readBrotliPrefixCode(reader, 256)
+      );
+      const commandCodes = Array.from({ length: blocks[1].count }, () =>
+        this._readBrotliPrefixCode(reader, 704)
+      );
+      const distanceCodes = Array.from({ length: distanceMap.treeCount }, () =>
+        this._readBrotliPrefixCode(
+          reader,
+          16 + directCount + (48 << postfixBits)
+        )
+      );
+
+      while (pos < metaBlockEnd) {
+        const command = decodeSymbol(commandCodes[nextBlockType(1)]);
+        const range = command < 128 ? command >> 6 : (command >> 6) - 2;
+        const insertCode = BROTLI_INSERT_RANGE[range] + ((command >> 3) & 7);
+        const copyCode = BROTLI_COPY_RANGE[range] + (command & 7);
+        const insertLength =
+          BROTLI_INSERT_LENGTH_BASE[insertCode] +
+          readBits(BROTLI_INSERT_LENGTH_EXTRA[insertCode]);
+        const copyLength =
+          BROTLI_COPY_LENGTH_BASE[copyCode] +
+          readBits(BROTLI_COPY_LENGTH_EXTRA[copyCode]);
+
+        if (pos + insertLength > metaBlockEnd) {
+          throw new Error("Invalid Brotli insert length");
+        }
+        for (let i = 0; i < insertLength; i++) {
+          const type = nextBlockType(0);
+          const context = this._getBrotliLiteralContext(
+            contextModes[type],
+            pos > 0 ? output[pos - 1] : 0,
+            pos > 1 ? output[pos - 2] : 0
+          );
+          output[pos++] = decodeSymbol(
+            literalCodes[literalMap.map[type * 64 + context]]
+          );
+        }
+        if (pos === metaBlockEnd) break; // The final copy is unused
+
+        // Commands below 128 reuse the last distance without a distance code
+        let distanceCode = 0;
+        if (command >= 128) {
+          const type = nextBlockType(2);
+          const context = copyLength > 4 ? 3 : copyLength - 2;
+          distanceCode = decodeSymbol(
+            distanceCodes[distanceMap.map[type * 4 + context]]
+          );
+        }
+        const distance = this._getBrotliDistance(
+          distanceCode,
+          distances,
+          reader,
+          postfixBits,
+          directCount
+        );
+
+        const maxDistance = Math.min(pos, maxBackwardDistance);
+        if (distance > maxDistance) {
+          // Past the window: a (transformed) static dictionary word
+          const word = this._getBrotliDictionaryWord(
+            copyLength,
+            distance - maxDistance - 1
+          );
+          if (pos + word.length > metaBlockEnd) {
+            throw new Error("Invalid Brotli dictionary reference");
+          }
+          output.set(word, pos);
+          pos += word.length;
+          continue;
+        }
+
+        if (distanceCode > 0) {
+          distances.unshift(distance);
+          distances.length = 4;
+        }
+        if (pos + copyLength > metaBlockEnd) {
+          throw new Error("Invalid Brotli copy length");
+        }
+        for (let i = 0; i < copyLength; i++, pos++) {
+          output[pos] = output[pos - distance];
+        }
+      }
+    }
+
+    if (pos !== outputLength) {
+      throw new Error(
+        `Brotli data decompressed to ${pos} bytes, expected ${outputLength}`
+      );
+    }
+    return output;
+  }
+
+  /**
+   * Read WBITS from the stream header
+   * @private
+   */
+  _readBrotliWindowBits({ readBits }) {
+    if (readBits(1) === 0) return 16;
+    let bits = readBits(3);
+    if (bits !== 0) return 17 + bits;
+    bits = readBits(3);
+    if (bits === 1) throw new Error("Large-window Brotli is not supported");
+    return bits !== 0 ? 8 + bits : 17;
+  }
+
+  /**
+   * Read a VarLenUint8 (0-255)
+   * @private
+   */
+  _readBrotliVarLength({ readBits }) {
+    if (readBits(1) === 0) return 0;
+    const bits = readBits(3);
+    return bits === 0 ? 1 : (1 << bits) + readBits(bits);
+  }
+
+  /**
+   * Read the block type count and, with several types, the codes used to
+   * switch between them
+   * @private
+   */
+  _readBrotliBlockTypes(reader) {
+    const count = this._readBrotliVarLength(reader) + 1;
+    if (count < 2) return { count, type: 0, remaining: Infinity };
+
+    const typeCode = this._readBrotliPrefixCode(reader, count + 2);
+    const lengthCode = this._readBrotliPrefixCode(reader, 26);
+    return {
+      count,
+      typeCode,
+      lengthCode,
+      type: 0,
+      previousType: 1,
+      remaining: this._readBrotliBlockLength(reader, lengthCode),
+    };
+  }
+
+  /**
+   * Read a block length (prefix code plus extra bits)
+   * @private
+   */
+  _readBrotliBlockLength(reader, lengthCode) {
+    const code = reader.decodeSymbol(lengthCode);
+    return (
+      BROTLI_BLOCK_LENGTH_BASE[code] +
+      reader.readBits(BROTLI_BLOCK_LENGTH_EXTRA[code])
+    );
+  }
+
+  /**
+   * Start the next block of a category (new type and length)
+   * @private
+   */
+  _switchBrotliBlock(reader, block) {
+    const code = reader.decodeSymbol(block.typeCode);
+    let type =
+      code === 0 ? block.previousType : code === 1 ? block.type + 1 : code - 2;
+    if (type >= block.count) type -= block.count;
+    block.previousType = block.type;
+    block.type = type;
+    block.remaining = this._readBrotliBlockLength(reader, block.lengthCode);
+  }
+
+  /**
+   * Read a context map (run-length coded zeros, optional inverse
+   * move-to-front) mapping block type and context to a prefix code
+   * @private
+   */
+  _readBrotliContextMap(reader, size) {
+    const { readBits, decodeSymbol } = reader;
+    const treeCount = this._readBrotliVarLength(reader) + 1;
+    const map = new Uint8Array(size);
+    if (treeCount < 2) return { treeCount, map };
+
+    const maxRunPrefix = readBits(1) ? readBits(4) + 1 : 0;
+    const code = this._readBrotliPrefixCode(reader, treeCount + maxRunPrefix);
+    for (let i = 0; i < size; ) {
+      const symbol = decodeSymbol(code);
+      if (symbol === 0) {
+        i++;
+      } else if (symbol <= maxRunPrefix) {
+        i += (1 << symbol) + readBits(symbol); // Run of zeros
+        if (i > size) throw new Error("Invalid Brotli context map");
+      } else {
+        map[i++] = symbol - maxRunPrefix;
+      }
+    }
+
+    if (readBits(1)) {
+      const order = Array.from({ length: 256 }, (_, i) => i);
+      map.forEach((index, i) => {
+        const value = order[index];
+        map[i] = value;
+        order.splice(index, 1);
+        order.unshift(value);
+      });
+    }
+    return { treeCount, map };
+  }
+
+  /**
+   * Read a simple (1-4 symbols) or complex prefix code
+   * @private
+   */
+  _readBrotliPrefixCode(reader, alphabetSize) {
+    const { readBits, decodeSymbol } = reader;
+    const lengths = new Uint8Array(alphabetSize);
+    const skip = readBits(2);
+
+    if (skip === 1) {
+      const symbolBits = 32 - Math.clz32(alphabetSize - 1);
+      const symbols = Array.from({ length: readBits(2) + 1 }, () => {
+        const symbol = readBits(symbolBits);
+        if (symbol >= alphabetSize) throw new Error("Invalid Brotli symbol");
+        return symbol;
+      });
+      if (symbols.length === 1) return { single: symbols[0] };
+
+      const simpleLengths =
+        symbols.length === 2
+          ? [1, 1]
+          : symbols.length === 3
+          ? [1, 2, 2]
+          : readBits(1)
+          ? [1, 2, 3, 3]
+          : [2, 2, 2, 2];
+      symbols.forEach((symbol, i) => (lengths[symbol] = simpleLengths[i]));
+      return this._buildHuffmanTable(lengths);
+    }
+
+    // Code lengths of the code length alphabet use a fixed 2-4 bit code
+    const codeLengthLengths = new Uint8Array(18);
+    let space = 32;
+    let codeCount = 0;
+    for (let i = skip; i < 18 && space > 0; i++) {
+      const bits = readBits(2);
+      const length =
+        bits !== 3 ? [0, 4, 3][bits] : !readBits(1) ? 2 : readBits(1) ? 5 : 1;
+      codeLengthLengths[BROTLI_CODE_LENGTH_ORDER[i]] = length;
+      if (length) {
+        space -= 32 >> length;
+        codeCount++;
+      }
+    }
+    if (codeCount !== 1 && space !== 0) {
+      throw new Error("Invalid Brotli code length code");
+    }
+    const codeLengthCode =
+      codeCount === 1
+        ? { single: codeLengthLengths.findIndex(Boolean) }
+        : this._buildHuffmanTable(codeLengthLengths);
+
+    // 16 repeats the previous non-zero length, 17 repeats zero; consecutive
+    // repeat codes extend the same run
+    let symbol = 0;
+    let previousLength = 8;
+    let repeat = 0;
+    let repeatLength = 0;
+    space = 32768;
+    while (symbol < alphabetSize && space > 0) {
+      const length = decodeSymbol(codeLengthCode);
+      if (length < 16) {
+        repeat = 0;
+        lengths[symbol++] = length;
+        if (length) {
+          previousLength = length;
+          space -= 32768 >> length;
+        }
+        continue;
+      }
+
+      const extraBits = length === 16 ? 2 : 3;
+      const newLength = length === 16 ? previousLength : 0;
+      if (repeatLength !== newLength) {
+        repeat = 0;
+        repeatLength = newLength;
+      }
+      const oldRepeat = repeat;
+      if (repeat > 0) repeat = (repeat - 2) << extraBits;
+      repeat += readBits(extraBits) + 3;
+      const delta = repeat - oldRepeat;
+      if (symbol + delta > alphabetSize) {
+        throw new Error("Invalid Brotli code lengths");
+      }
+      lengths.fill(repeatLength, symbol, symbol + delta);
+      symbol += delta;
+      if (repeatLength) space -= delta << (15 - repeatLength);
+    }
+    if (space !== 0) throw new Error("Invalid Brotli code lengths");
+
+    return this._buildHuffmanTable(lengths);
+  }
+
+  /**
+   * Resolve a distance code (short codes reuse recent distances)
+   * @private
+   */
+  _getBrotliDistance(code, distances, { readBits }, postfixBits, directCount) {
+    if (code < 16) {
+      const distance =
+        distances[BROTLI_SHORT_DISTANCE_INDEX[code]] +
+        BROTLI_SHORT_DISTANCE_OFFSET[code];
+      if (distance <= 0) throw new Error("Invalid Brotli distance");
+      return distance;
+    }
+    if (code < 16 + directCount) return code - 15;
+
+    const value = code - directCount - 16;
+    const extraBits = 1 + (value >> (postfixBits + 1));
+    const offset = ((2 + ((value >> postfixBits) & 1)) << extraBits) - 4;
+    const postfix = value & ((1 << postfixBits) - 1);
+    return (
+      ((offset + readBits(extraBits)) << postfixBits) +
+      postfix +
+      directCount +
+      1
+    );
+  }
+
+  /**
+   * Literal context ID from the previous two bytes
+   * @private
+   */
+  _getBrotliLiteralContext(mode, p1, p2) {
+    switch (mode) {
+      case 0: // LSB6
+        return p1 & 0x3f;
+      case 1: // MSB6
+        return p1 >> 2;
+      case 2: // UTF8
+        return BROTLI_UTF8_CONTEXT[p1] | BROTLI_UTF8_CONTEXT_PREVIOUS[p2];
+      default: // Signed
+        return (BROTLI_SIGNED_CONTEXT[p1] << 3) | BROTLI_SIGNED_CONTEXT[p2];
+    }
+  }
+
+  /**
+   * Look up and transform a static dictionary word
+   * @private
+   */
+  _getBrotliDictionaryWord(length, wordId) {
+    if (length < 4 || length > 24) {
+      throw new Error("Invalid Brotli dictionary word length");
+    }
+    const sizeBits = BROTLI_DICTIONARY_SIZE_BITS[length];
+    const transform = BROTLI_TRANSFORMS[wordId >> sizeBits];
+    if (!transform) throw new Error("Invalid Brotli dictionary transform");
+
+    const start =
+      BROTLI_DICTIONARY_OFFSETS[length] +
+      length * (wordId & ((1 << sizeBits) - 1));
+    const [prefix, type, suffix] = transform;
+    let word = this._getBrotliDictionary().slice(start, start + length);
+
+    // Types 1-9 omit the last n bytes, 12-20 the first n - 11
+    if (type >= 1 && type <= 9)
+      word = word.subarray(0, Math.max(0, length - type));
+    if (type >= 12) word = word.subarray(Math.min(length, type - 11));
+
+    // 10 uppercases the first character, 11 all of them (UTF-8 aware)
+    if (type === 10 || type === 11) {
+      for (let i = 0; i < word.length; ) {
+        if (word[i] < 0xc0) {
+          if (word[i] >= 97 && word[i] <= 122) word[i] ^= 32;
+          i += 1;
+        } else if (word[i] < 0xe0) {
+          if (i + 1 < word.length) word[i + 1] ^= 32;
+          i += 2;
+        } else {
+          if (i + 2 < word.length) word[i + 2] ^= 5;
+          i += 3;
+        }
+        if (type === 10) break;
+      }
+    }
+
+    const bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+    return this._concatBytes([bytes(prefix), word, bytes(suffix)]);
+  }
+
+  /**
+   * The 122,784-byte static dictionary, itself stored Brotli-compressed and
+   * unpacked on first use
+   * @private
+   */
+  _getBrotliDictionary() {
+    if (!FontParser.brotliDictionary) {
+      const compressed = Uint8Array.from(atob(BROTLI_DICTIONARY_DATA), (char) =>
+        char.charCodeAt(0)
+      );
+      FontParser.brotliDictionary = this._brotliDecompress(compressed, 122784);
+    }
+    return FontParser.brotliDictionary;
+  }
+}
+
+// ============================================================================
+// LOOKUP TABLES
+// ============================================================================
+
+// Ends with a variation selector (Mongolian FVS, VS1-16, VS17-256)
+const VARIATION_SELECTOR =
+  /[\u180b-\u180d\u180f\ufe00-\ufe0f\u{e0100}-\u{e01ef}]$/u;
+
+// Unicode scripts to OpenType script tags, used to pick a layout script
+const SCRIPT_TAGS = [
+  [/\p{Script=Latin}/u, "latn"],
+  [/\p{Script=Cyrillic}/u, "cyrl"],
+  [/\p{Script=Greek}/u, "grek"],
+  [/\p{Script=Arabic}/u, "arab"],
+  [/\p{Script=Hebrew}/u, "hebr"],
+  [/\p{Script=Devanagari}/u, "dev2"],
+  [/\p{Script=Bengali}/u, "bng2"],
+  [/\p{Script=Thai}/u, "thai"],
+  [/\p{Script=Hangul}/u, "hang"],
+  [/[\p{Script=Hiragana}\p{Script=Katakana}]/u, "kana"],
+  [/\p{Script=Han}/u, "hani"],
+  [/\p{Script=Armenian}/u, "armn"],
+  [/\p{Script=Georgian}/u, "geor"],
+];
+
+// Standard name IDs exposed through data.names
+const NAME_IDS = {
+  copyright: 0,
+  family: 1,
+  subfamily: 2,
+  uniqueID: 3,
+  fullName: 4,
+  version: 5,
+  postScriptName: 6,
+  trademark: 7,
+  manufacturer: 8,
+  designer: 9,
+  description: 10,
+  vendorURL: 11,
+  designerURL: 12,
+  license: 13,
+  licenseURL: 14,
+  typographicFamily: 16,
+  typographicSubfamily: 17,
+  sampleText: 19,
+  wwsFamily: 21,
+  wwsSubfamily: 22,
+  variationsPostScriptNamePrefix: 25,
+};
+
+// Standard Macintosh glyph order (post table versions 1, 2 and 2.5)
+const MAC_GLYPH_NAMES = `
+.notdef .null nonmarkingreturn space exclam quotedbl numbersign dollar
+percent ampersand quotesingle parenleft parenright asterisk plus comma
+hyphen period slash zero one two three four five six seven eight nine colon
+semicolon less equal greater question at A B C D E F G H I J K L M N O P Q R
+S T U V W X Y Z bracketleft backslash bracketright asciicircum underscore
+grave a b c d e f g h i j k l m n o p q r s t u v w x y z braceleft bar
+braceright asciitilde Adieresis Aring Ccedilla Eacute Ntilde Odieresis
+Udieresis aacute agrave acircumflex adieresis atilde aring ccedilla eacute
+egrave ecircumflex edieresis iacute igrave icircumflex idieresis ntilde
+oacute ograve ocircumflex odieresis otilde uacute ugrave ucircumflex
+udieresis dagger degree cent sterling section bullet paragraph germandbls
+registered copyright trademark acute dieresis notequal AE Oslash infinity
+plusminus lessequal greaterequal yen mu partialdiff summation product pi
+integral ordfeminine ordmasculine Omega ae oslash questiondown exclamdown
+logicalnot radical florin approxequal Delta guillemotleft guillemotright
+ellipsis nonbreakingspace Agrave Atilde Otilde OE oe endash emdash
+quotedblleft quotedblright quoteleft quoteright divide lozenge ydieresis
+Ydieresis fraction currency guilsinglleft guilsinglright fi fl daggerdbl
+periodcentered quotesinglbase quotedblbase perthousand Acircumflex
+Ecircumflex Aacute Edieresis Egrave Iacute Icircumflex Idieresis Igrave
+Oacute Ocircumflex apple Ograve Uacute Ucircumflex Ugrave dotlessi
+circumflex tilde macron breve dotaccent ring cedilla hungarumlaut ogonek
+caron Lslash lslash Scaron scaron Zcaron zcaron brokenbar Eth eth Yacute
+yacute Thorn thorn minus multiply onesuperior twosuperior threesuperior
+onehalf onequarter threequarters franc Gbreve gbreve Idotaccent Scedilla
+scedilla Cacute cacute Ccaron ccaron dcroat
+`
+  .trim()
+  .split(/\s+/);
+
+// CFF standard strings (SIDs 0-390)
+const CFF_STANDARD_STRINGS = `
+.notdef space exclam quotedbl numbersign dollar percent ampersand quoteright
+parenleft parenright asterisk plus comma hyphen period slash zero one two
+three four five six seven eight nine colon semicolon less equal greater
+question at A B C D E F G H I J K L M N O P Q R S T U V W X Y Z bracketleft
+backslash bracketright asciicircum underscore quoteleft a b c d e f g h i j
+k l m n o p q r s t u v w x y z braceleft bar braceright asciitilde
+exclamdown cent sterling fraction yen florin section currency quotesingle
+quotedblleft guillemotleft guilsinglleft guilsinglright fi fl endash dagger
+daggerdbl periodcentered paragraph bullet quotesinglbase quotedblbase
+quotedblright guillemotright ellipsis perthousand questiondown grave acute
+circumflex tilde macron breve dotaccent dieresis ring cedilla hungarumlaut
+ogonek caron emdash AE ordfeminine Lslash Oslash OE ordmasculine ae dotlessi
+lslash oslash oe germandbls onesuperior logicalnot mu trademark Eth onehalf
+plusminus Thorn onequarter divide brokenbar degree thorn threequarters
+twosuperior registered minus eth multiply threesuperior copyright Aacute
+Acircumflex Adieresis Agrave Aring Atilde Ccedilla Eacute Ecircumflex
+Edieresis Egrave Iacute Icircumflex Idieresis Igrave Ntilde Oacute
+Ocircumflex Odieresis Ograve Otilde Scaron Uacute Ucircumflex Udieresis
+Ugrave Yacute Ydieresis Zcaron aacute acircumflex adieresis agrave aring
+atilde ccedilla eacute ecircumflex edieresis egrave iacute icircumflex
+idieresis igrave ntilde oacute ocircumflex odieresis ograve otilde scaron
+uacute ucircumflex udieresis ugrave yacute ydieresis zcaron exclamsmall
+Hungarumlautsmall dollaroldstyle dollarsuperior ampersandsmall Acutesmall
+parenleftsuperior parenrightsuperior twodotenleader onedotenleader
+zerooldstyle oneoldstyle twooldstyle threeoldstyle fouroldstyle fiveoldstyle
+sixoldstyle sevenoldstyle eightoldstyle nineoldstyle commasuperior
+threequartersemdash periodsuperior questionsmall asuperior bsuperior
+centsuperior dsuperior esuperior isuperior lsuperior msuperior nsuperior
+osuperior rsuperior ssuperior tsuperior ff ffi ffl parenleftinferior
+parenrightinferior Circumflexsmall hyphensuperior Gravesmall Asmall Bsmall
+Csmall Dsmall Esmall Fsmall Gsmall Hsmall Ismall Jsmall Ksmall Lsmall Msmall
+Nsmall Osmall Psmall Qsmall Rsmall Ssmall Tsmall Usmall Vsmall Wsmall Xsmall
+Ysmall Zsmall colonmonetary onefitted rupiah Tildesmall exclamdownsmall
+centoldstyle Lslashsmall Scaronsmall Zcaronsmall Dieresissmall Brevesmall
+Caronsmall Dotaccentsmall Macronsmall figuredash hypheninferior Ogoneksmall
+Ringsmall Cedillasmall questiondownsmall oneeighth threeeighths fiveeighths
+seveneighths onethird twothirds zerosuperior foursuperior fivesuperior
+sixsuperior sevensuperior eightsuperior ninesuperior zeroinferior
+oneinferior twoinferior threeinferior fourinferior fiveinferior sixinferior
+seveninferior eightinferior nineinferior centinferior dollarinferior
+periodinferior commainferior Agravesmall Aacutesmall Acircumflexsmall
+Atildesmall Adieresissmall Aringsmall AEsmall Ccedillasmall Egravesmall
+Eacutesmall Ecircumflexsmall Edieresissmall Igravesmall Iacutesmall
+Icircumflexsmall Idieresissmall Ethsmall Ntildesmall Ogravesmall Oacutesmall
+Ocircumflexsmall Otildesmall Odieresissmall OEsmall Oslashsmall Ugravesmall
+Uacutesmall Ucircumflexsmall Udieresissmall Yacutesmall Thornsmall
+Ydieresissmall 001.000 001.001 001.002 001.003 Black Bold Book Light Medium
+Regular Roman Semibold
+`
+  .trim()
+  .split(/\s+/);
+
+// CFF StandardEncoding as [firstCode, firstSID, count] runs
+const CFF_STANDARD_ENCODING = [
+  [32, 1, 95],
+  [161, 96, 15],
+  [177, 111, 4],
+  [182, 115, 8],
+  [191, 123, 1],
+  [193, 124, 8],
+  [202, 132, 2],
+  [205, 134, 4],
+  [225, 138, 1],
+  [227, 139, 1],
+  [232, 140, 4],
+  [241, 144, 1],
+  [245, 145, 1],
+  [248, 146, 4],
+];
+
+// CFF ExpertEncoding as [firstCode, firstSID, count] runs
+const CFF_EXPERT_ENCODING = [
+  [32, 1, 1],
+  [33, 229, 2],
+  [36, 231, 8],
+  [44, 13, 3],
+  [47, 99, 1],
+  [48, 239, 10],
+  [58, 27, 2],
+  [60, 249, 4],
+  [65, 253, 5],
+  [72, 258, 1],
+  [75, 259, 4],
+  [81, 263, 3],
+  [85, 266, 1],
+  [86, 109, 2],
+  [88, 267, 3],
+  [92, 270, 34],
+  [160, 304, 3],
+  [165, 307, 5],
+  [171, 312, 1],
+  [174, 313, 1],
+  [177, 314, 2],
+  [181, 316, 3],
+  [187, 158, 1],
+  [188, 155, 1],
+  [189, 163, 1],
+  [190, 319, 7],
+  [199, 326, 1],
+  [200, 150, 1],
+  [201, 164, 1],
+  [202, 169, 1],
+  [203, 327, 52],
+];
+
+// CFF Expert and ExpertSubset charsets as [firstSID, count] runs (after .notdef)
+const CFF_EXPERT_CHARSET = [
+  [1, 1],
+  [229, 10],
+  [13, 3],
+  [99, 1],
+  [239, 10],
+  [27, 2],
+  [249, 18],
+  [109, 2],
+  [267, 52],
+  [158, 1],
+  [155, 1],
+  [163, 1],
+  [319, 8],
+  [150, 1],
+  [164, 1],
+  [169, 1],
+  [327, 52],
+];
+const CFF_EXPERT_SUBSET_CHARSET = [
+  [1, 1],
+  [231, 2],
+  [235, 4],
+  [13, 3],
+  [99, 1],
+  [239, 10],
+  [27, 2],
+  [249, 3],
+  [253, 14],
+  [109, 2],
+  [267, 4],
+  [272, 1],
+  [300, 3],
+  [305, 1],
+  [314, 2],
+  [158, 1],
+  [155, 1],
+  [163, 1],
+  [320, 7],
+  [150, 1],
+  [164, 1],
+  [169, 1],
+  [327, 20],
+];
+
+// Characters for the ISOAdobe standard strings (SIDs 1-228)
+const CFF_ISO_ADOBE_CHARS =
+  " !\"#$%&’()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_‘abcdefghijklmnopqrstuvwxyz{|}~¡¢£⁄¥ƒ§¤'“«‹›ﬁﬂ–†‡·¶•‚„”»…‰¿`´ˆ˜¯˘˙¨˚¸˝˛ˇ—ÆªŁØŒºæıłøœß¹¬µ™Ð½±Þ¼÷¦°þ¾²®−ð×³©ÁÂÄÀÅÃÇÉÊËÈÍÎÏÌÑÓÔÖÒÕŠÚÛÜÙÝŸŽáâäàåãçéêëèíîïìñóôöòõšúûüùýÿž";
+
+// cmap encoding records by preference ("platformID/encodingID")
+const CMAP_SUBTABLE_PRIORITY = [
+  "3/10",
+  "0/4",
+  "3/1",
+  "0/3",
+  "0/2",
+  "0/1",
+  "0/0",
+  "0/6", // Format 13 only: usually a last-resort fallback
+  "3/0",
+  "1/0",
+  "3/2",
+  "3/3",
+  "3/4",
+  "3/5",
+];
+
+// TextDecoder labels for the legacy Windows cmap encodings
+const CMAP_LEGACY_ENCODINGS = {
+  2: "shift_jis",
+  3: "gbk",
+  4: "big5",
+  5: "euc-kr",
+};
+
+// Deflate length and distance codes: base values and extra bits
+const INFLATE_LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const INFLATE_LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+const INFLATE_DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const INFLATE_DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+
+// Order in which dynamic blocks store the code length code lengths
+const INFLATE_CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+// Code lengths of the fixed Huffman block tables
+const INFLATE_FIXED_LITERAL_LENGTHS = Uint8Array.from({ length: 288 }, (_, i) =>
+  i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8
+);
+const INFLATE_FIXED_DISTANCE_LENGTHS = new Uint8Array(30).fill(5);
+
+// COLR v1 paint fields after the format byte, by static paint format (each
+// variable format is format + 1 and appends a varIndexBase)
+const COLR_PAINT_FIELDS = {
+  1: "numLayers:uint8 firstLayerIndex:uint32",
+  2: "paletteIndex:uint16 alpha:f2dot14",
+  4: "colorLine:offset24 x0:fword y0:fword x1:fword y1:fword x2:fword y2:fword",
+  6: "colorLine:offset24 x0:fword y0:fword radius0:ufword x1:fword y1:fword radius1:ufword",
+  8: "colorLine:offset24 centerX:fword centerY:fword startAngle:f2dot14 endAngle:f2dot14",
+  10: "paint:offset24 glyphId:uint16",
+  11: "glyphId:uint16",
+  12: "paint:offset24 transform:offset24",
+  14: "paint:offset24 dx:fword dy:fword",
+  16: "paint:offset24 scaleX:f2dot14 scaleY:f2dot14",
+  18: "paint:offset24 scaleX:f2dot14 scaleY:f2dot14 centerX:fword centerY:fword",
+  20: "paint:offset24 scale:f2dot14",
+  22: "paint:offset24 scale:f2dot14 centerX:fword centerY:fword",
+  24: "paint:offset24 angle:f2dot14",
+  26: "paint:offset24 angle:f2dot14 centerX:fword centerY:fword",
+  28: "paint:offset24 xSkewAngle:f2dot14 ySkewAngle:f2dot14",
+  30: "paint:offset24 xSkewAngle:f2dot14 ySkewAngle:f2dot14 centerX:fword centerY:fword",
+  32: "sourcePaint:offset24 compositeMode:uint8 backdropPaint:offset24",
+};
+
+const COLR_AFFINE_FIELDS =
+  "xx:fixed yx:fixed xy:fixed yy:fixed dx:fixed dy:fixed";
+const COLR_COLOR_STOP_FIELDS =
+  "stopOffset:f2dot14 paletteIndex:uint16 alpha:f2dot14";
+const COLR_CLIP_BOX_FIELDS = "xMin:fword yMin:fword xMax:fword yMax:fword";
+
+// Item variation deltas per unit of each variable COLR field type
+const COLR_DELTA_UNITS = { fword: 1, ufword: 1, f2dot14: 16384, fixed: 65536 };
+
+// ColorLine extend modes as SVG spreadMethod values
+const COLR_EXTEND_MODES = ["pad", "repeat", "reflect"];
+
+// CSS blend modes for PaintComposite modes 12 (PLUS) and up
+const COLR_BLEND_MODES = [
+  "plus-lighter",
+  "screen",
+  "overlay",
+  "darken",
+  "lighten",
+  "color-dodge",
+  "color-burn",
+  "hard-light",
+  "soft-light",
+  "difference",
+  "exclusion",
+  "multiply",
+  "hue",
+  "saturation",
+  "color",
+  "luminosity",
+];
+
+const COLR_MAX_PAINT_DEPTH = 64;
+const COLR_SWEEP_STEPS = 180; // Wedges per full turn of a sweep gradient
+const COLR_FILL_EXTENT = 2; // Half-size of unclipped fills, in ems
+
+// WOFF2 known table tags (flag index 0-62)
+const WOFF2_KNOWN_TAGS = [
+  "cmap",
+  "head",
+  "hhea",
+  "hmtx",
+  "maxp",
+  "name",
+  "OS/2",
+  "post",
+  "cvt ",
+  "fpgm",
+  "glyf",
+  "loca",
+  "prep",
+  "CFF ",
+  "VORG",
+  "EBDT",
+  "EBLC",
+  "gasp",
+  "hdmx",
+  "kern",
+  "LTSH",
+  "PCLT",
+  "VDMX",
+  "vhea",
+  "vmtx",
+  "BASE",
+  "GDEF",
+  "GPOS",
+  "GSUB",
+  "EBSC",
+  "JSTF",
+  "MATH",
+  "CBDT",
+  "CBLC",
+  "COLR",
+  "CPAL",
+  "SVG ",
+  "sbix",
+  "acnt",
+  "avar",
+  "bdat",
+  "bloc",
+  "bsln",
+  "cvar",
+  "fdsc",
+  "feat",
+  "fmtx",
+  "fvar",
+  "gvar",
+  "hsty",
+  "just",
+  "lcar",
+  "mort",
+  "morx",
+  "opbd",
+  "prop",
+  "trak",
+  "Zapf",
+  "Silf",
+  "Glat",
+  "Gloc",
+  "Feat",
+  "Sill",
+];
+
+// Brotli insert&copy command ranges for insert and copy codes, indexed by
+// command >> 6 (minus 2 from 128 up, where the two implicit-distance ranges end)
+const BROTLI_INSERT_RANGE = [0, 0, 8, 8, 0, 16, 8, 16, 16];
+const BROTLI_COPY_RANGE = [0, 8, 0, 8, 16, 0, 16, 8, 16];
+
+// Brotli insert, copy and block lengths: base values and extra bits
+const BROTLI_INSERT_LENGTH_BASE = [
+  0, 1, 2, 3, 4, 5, 6, 8, 10, 14, 18, 26, 34, 50, 66, 98, 130, 194, 322, 578,
+  1090, 2114, 6210, 22594,
+];
+const BROTLI_INSERT_LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 12, 14, 24,
+];
+const BROTLI_COPY_LENGTH_BASE = [
+  2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 18, 22, 30, 38, 54, 70, 102, 134, 198,
+  326, 582, 1094, 2118,
+];
+const BROTLI_COPY_LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 24,
+];
+const BROTLI_BLOCK_LENGTH_BASE = [
+  1, 5, 9, 13, 17, 25, 33, 41, 49, 65, 81, 97, 113, 145, 177, 209, 241, 305,
+  369, 497, 753, 1265, 2289, 4337, 8433, 16625,
+];
+const BROTLI_BLOCK_LENGTH_EXTRA = [
+  2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 6, 6, 7, 8, 9, 10, 11, 12, 13,
+  24,
+];
+
+// Order in which complex prefix codes store the code length code lengths
+const BROTLI_CODE_LENGTH_ORDER = [
+  1, 2, 3, 4, 0, 5, 17, 6, 16, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+
+// Brotli short distance codes 0-15: recent distance (0 = last) and offset
+const BROTLI_SHORT_DISTANCE_INDEX = [
+  0, 1, 2, 3, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1,
+];
+const BROTLI_SHORT_DISTANCE_OFFSET = [
+  0, 0, 0, 0, -1, 1, -2, 2, -3, 3, -1, 1, -2, 2, -3, 3,
+];
+
+// Brotli UTF8 context mode: contributions of the last and second-last byte
+const BROTLI_UTF8_CONTEXT = Uint8Array.from([
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  4,
+  4,
+  0,
+  0,
+  4,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  8,
+  12,
+  16,
+  12,
+  12,
+  20,
+  12,
+  16,
+  24,
+  28,
+  12,
+  12,
+  32,
+  12,
+  36,
+  12,
+  44,
+  44,
+  44,
+  44,
+  44,
+  44,
+  44,
+  44,
+  44,
+  44,
+  32,
+  32,
+  24,
+  40,
+  28,
+  12,
+  12,
+  48,
+  52,
+  52,
+  52,
+  48,
+  52,
+  52,
+  52,
+  48,
+  52,
+  52,
+  52,
+  52,
+  52,
+  48,
+  52,
+  52,
+  52,
+  52,
+  52,
+  48,
+  52,
+  52,
+  52,
+  52,
+  52,
+  24,
+  12,
+  28,
+  12,
+  12,
+  12,
+  56,
+  60,
+  60,
+  60,
+  56,
+  60,
+  60,
+  60,
+  56,
+  60,
+  60,
+  60,
+  60,
+  60,
+  56,
+  60,
+  60,
+  60,
+  60,
+  60,
+  56,
+  60,
+  60,
+  60,
+  60,
+  60,
+  24,
+  12,
+  28,
+  12,
+  0,
+  ...Array.from({ length: 128 }, (_, i) => (i < 64 ? 0 : 2) + (i & 1)),
+]);
+const BROTLI_UTF8_CONTEXT_PREVIOUS = Uint8Array.from([
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  0,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  2,
+  1,
+  1,
+  1,
+  1,
+  1,
+  1,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  3,
+  1,
+  1,
+  1,
+  1,
+  0,
+  ...Array.from({ length: 128 }, (_, i) => (i < 96 ? 0 : 2)),
+]);
+
+// Brotli signed context mode: byte value buckets
+const BROTLI_SIGNED_CONTEXT = Uint8Array.from(
+  { length: 256 },
+  (_, byte) =>
+    [1, 16, 64, 128, 192, 240, 255].filter((min) => byte >= min).length
+);
+
+// Brotli static dictionary layout: word offset and index bits per word length
+const BROTLI_DICTIONARY_OFFSETS = [
+  0, 0, 0, 0, 0, 4096, 9216, 21504, 35840, 44032, 53248, 63488, 74752, 87040,
+  93696, 100864, 104704, 106752, 108928, 113536, 115968, 118528, 119872, 121280,
+  122016,
+];
+const BROTLI_DICTIONARY_SIZE_BITS = [
+  0, 0, 0, 0, 10, 10, 11, 11, 10, 10, 10, 10, 10, 9, 9, 8, 7, 7, 8, 7, 7, 6, 6,
+  5, 5,
+];
+
+// Brotli dictionary word transforms as [prefix, type, suffix]. Types: 0
+// identity, 1-9 omit last n, 10 uppercase first, 11 uppercase all, 12-20
+// omit first n - 11
+const BROTLI_TRANSFORMS = [
+  ["", 0, ""],
+  ["", 0, " "],
+  [" ", 0, " "],
+  ["", 12, ""],
+  ["", 10, " "],
+  ["", 0, " the "],
+  [" ", 0, ""],
+  ["s ", 0, " "],
+  ["", 0, " of "],
+  ["", 10, ""],
+  ["", 0, " and "],
+  ["", 13, ""],
+  ["", 1, ""],
+  [", ", 0, " "],
+  ["", 0, ", "],
+  [" ", 10, " "],
+  ["", 0, " in "],
+  ["", 0, " to "],
+  ["e ", 0, " "],
+  ["", 0, '"'],
+  ["", 0, "."],
+  ["", 0, '">'],
+  ["", 0, "\n"],
+  ["", 3, ""],
+  ["", 0, "]"],
+  ["", 0, " for "],
+  ["", 14, ""],
+  ["", 2, ""],
+  ["", 0, " a "],
+  ["", 0, " that "],
+  [" ", 10, ""],
+  ["", 0, ". "],
+  [".", 0, ""],
+  [" ", 0, ", "],
+  ["", 15, ""],
+  ["", 0, " with "],
+  ["", 0, "'"],
+  ["", 0, " from "],
+  ["", 0, " by "],
+  ["", 16, ""],
+  ["", 17, ""],
+  [" the ", 0, ""],
+  ["", 4, ""],
+  ["", 0, ". The "],
+  ["", 11, ""],
+  ["", 0, " on "],
+  ["", 0, " as "],
+  ["", 0, " is "],
+  ["", 7, ""],
+  ["", 1, "ing "],
+  ["", 0, "\n\t"],
+  ["", 0, ":"],
+  [" ", 0, ". "],
+  ["", 0, "ed "],
+  ["", 20, ""],
+  ["", 18, ""],
+  ["", 6, ""],
+  ["", 0, "("],
+  ["", 10, ", "],
+  ["", 8, ""],
+  ["", 0, " at "],
+  ["", 0, "ly "],
+  [" the ", 0, " of "],
+  ["", 5, ""],
+  ["", 9, ""],
+  [" ", 10, ", "],
+  ["", 10, '"'],
+  [".", 0, "("],
+  ["", 11, " "],
+  ["", 10, '">'],
+  ["", 0, '="'],
+  [" ", 0, "."],
+  [".com/", 0, ""],
+  [" the ", 0, " of the "],
+  ["", 10, "'"],
+  ["", 0, ". This "],
+  ["", 0, ","],
+  [".", 0, " "],
+  ["", 10, "("],
+  ["", 10, "."],
+  ["", 0, " not "],
+  [" ", 0, '="'],
+  ["", 0, "er "],
+  [" ", 11, " "],
+  ["", 0, "al "],
+  [" ", 11, ""],
+  ["", 0, "='"],
+  ["", 11, '"'],
+  ["", 10, ". "],
+  [" ", 0, "("],
+  ["", 0, "ful "],
+  [" ", 10, ". "],
+  ["", 0, "ive "],
+  ["", 0, "less "],
+  ["", 11, "'"],
+  ["", 0, "est "],
+  [" ", 10, "."],
+  ["", 11, '">'],
+  [" ", 0, "='"],
+  ["", 10, ","],
+  ["", 0, "ize "],
+  ["", 11, "."],
+  ["\xc2\xa0", 0, ""],
+  [" ", 0, ","],
+  ["", 10, '="'],
+  ["", 11, '="'],
+  ["", 0, "ous "],
+  ["", 11, ", "],
+  ["", 10, "='"],
+  [" ", 10, ","],
+  [" ", 11, '="'],
+  [" ", 11, ", "],
+  ["", 11, ","],
+  ["", 11, "("],
+  ["", 11, ". "],
+  [" ", 11, "."],
+  ["", 11, "='"],
+  [" ", 11, ". "],
+  [" ", 10, '="'],
+  [" ", 11, "='"],
+  [" ", 10, "='"],
+];
+
+// Brotli static dictionary (RFC 7932 Appendix A), Brotli-compressed, base64
+const BROTLI_DICTIONARY_DATA =
+  "W5/fcQLn5gKf2XUbAiQ1XULX+TZz6ADToDsgqk6qVfeC0e4m6OO2wcQ1J76ZBVRV1fRkEsdu//62zQsFEZWSTCnMhcsQKlS2qOhuVYYMGCkV0fXWEoMFbESXrKEZ9wdUEsyw9g4bJlEt1Y6oVMxMRTEVbCIwZzJzboK5j8m4YH02qgXYhv1V+PM435sLVxyHJihaJREEhZGqL03txGFQLm76caGO/ovxKvzCby/3vMTtX/459f0igi7WutnKiMQ6wODSoRh/8Lx1V3Q99MvKtwB6bHdERYRY0hStJoMjNeTsNX7bn+Y7e4EQ3bf8xBc7L0BsyfFPK43dGSXpL6clYC/I328h54/VYrQ5i0648FgbGtl837svJ35L3Mot/+nPlNpWgKx1gGXQYqX6n+bbZ7wuyCHKcUok12Xjqub7NXZGzqBx0SD+uziNf87t7ve42jxSKQoW3nyxVrWIGlFShhCKxjpZZ5MeGna0+lBkk+kaN8F9qFBAFgEogyMBdcX/T1W/WnMOi/7ycWUQloEBKGeC48MkiwqJkJO+12eQiOFHMmck6q/IjWW3RZlany23TBm+cNr/84/oi5GGmGBZWrZ6j+zykVozz5fT/QH/Da6WTbZYYPynVNO7kxzuNN2kxKKWche5WveitPKAecB8YcAHz/+zXLjcLzkdDSktNIDwZE9J9X+tto43oJy65wApM3mDzYtCwX9lM+N5VR3kXYo0Z3t0TtXfgBFg7gU8oN0Dgl7fZlUbhNll+0uuohRVKjrEd8egrSndy5/Tgd2gqjA4CAVuC7ESUmL3DZoGnfhQV8uwnpi8EGvAVVsowNRxPudck7+oqAUDkwZopWqFnW1riss0t1z6iCISVKreYGNvQcXv+1L9+jbP8cd/dPUiqBso2q+7ZyFBvENCkkVr44iyPbtOoOoCecWsiuqMSML5lv+vN5MzUr+Dnh73G7Q1YnRYJVYXHRJaNAOByiaK6CusgFdBPE40r0rvqXV7tksKO2DrHYXBTv8P5ysqxEx8VDXUDDqkPH6NNOV/a2WH8zlkXRELSa8P+heNyJBBP7PgsG1EtWtNef6/i+lcayzQwQCsduidpbKfhWUDgAEmyhGu/zVTacI6RS0zTABrOYueemnVa19u9fT23N/Ta6RvTpof5DWygqreCqrDAgM4LID1+1T/taU6yTFVLqXOv+/MuQOFnaF8vLMKD7tKWDoBdALgxF33zQccCcdHx8fKIVdW69O7qHtXpeGr9jbbpFA+qRMWr5hp0s67FPc7HAiLV0g0/peZlW7hJPYEhZyhpSwahnf93/tZgfqZWXFdmdXBzqxGHLrQKxoAY6fRoBhgCRPmmGueYZ5JexTVDKUIXzkG/fqp/0U3hAgQdJ9zumutK6nqWbaqvm1pgu03IYR+G+8s0jDBBz8cApZFSBeuWasyqo2OMDKAZCozS+GWSvL/HsE9rHxooe17U3s/lTE+VZAk4j3dp6uIGaC0JMiqR5CUsabPyM0dOYDR7Ea7ip4USZlya38YfPtvrX/tBlhHilj55nZ1nfN24AOAi9BVtz/Mbn8AEDJCqJgsVUa6nQnSxv2Fs7l/NlCzpfYEjmPrNyib/+t0ei2eEMjvNhLkHCZlci4WhBe7ePZTmzYqlY9+1pxtS4GB+5lM1BHT9tS270EWUDYFq1I0yY/fNiAk4bk9yBgmef/f2k6AlYQZHsNFnW8wBQxCd68iWv7/35bXfz3JZmfGligWAKRjIs3IpzxQ27vAglHSiOzCYzJ9L9A1CdiyFvyR66ucA4jKifu5ehwER26yV7HjKqn5Mfozo7Coxxt8LWWPT47BeMxX8p0Pjb7hZn+6bw7z3Lw+7653j5sI8CLu5kThpMlj1m4c2ch3jGcP1FsT13vuK3qjecKTZk2kHcOZY40UX+qdaxstZqsqQqgXz+QGF99ZJLqr3VYu4aecl1Ab5GmqS8k/GV5b95zxQ5d4EfXUJ6kTS/CXF/aiqKDOT1T7Jz5z0PwDUcwr9clLN1OJGCiKfqvah+h3XzrBOiLOW8wvn8gW6qE8vPxi+Efv+UH55T7PQFVMh6cZ1pZQlzJpKZ7P7uWvwPGJ6DTlR6wbyj3Iv2HyefnRo/dv7dNx+qaa0N38iBsR++Uil7Wd4afwDNsrzDAK4fXZwvEY/jdKuIKXlfrQd2C39dW7ntnRbIp9OtGy9pPBn/V2ASoi/2UJZfS+xuGLH8bnLuPlzdTNS6zdyk8Dt/h6sfOW5myxh1f+zf3zZ3MX/mO9cQPp5pOx967ZA6/pqHvclNfnUFF+rq+Vd7alKr6KWPcIDhpn6v2K6NlUu6LrKo8b/pYpU/Gazfvtwhn7tEOUuXht5rUJdSf6sLjYf0VTYDgwJ81yaqKTUYej/tbHckSRb/HZicwGJqh1mAHB/IuNs9dc9yuvF3D5Xocm3elWFdq5oEy70dYFit79yaLiNjPj5UUcVmZUVhQEhW5V2Z6Cm4HVH/R8qlamRYwBileuh07CbEce3TXa2JmXWBf+ozt319psboobeZhVnwhMZzOeQJzhpTDbP71Tv8HuZxxUI/+ma3XW6DFDDs4+qmpERwHGBd2edxwUKlODRdUWZ/g0GOezrbzOZauFMai4QU6GVHV6aPNBiBndHSsV4IzpvUiiYyg6OyyrL4Dj5q/Lw3N5kAwftEVl9rNd7Jk5PDij2hTH6wIXnsyXkKePxbmHYgC8A6an5Fob/KH5GtC0l4eFso+VpxedtJHdHpNm+Bvy4C79yVOkrZsLrQ3OHCeB0Ra+kBIRldUGlDCEmq2RwXnfyh6Dz+alk6eftI2n6sastRrGwbwszBeDRS/Fa/KwRJkCzTsLr/JCs5hOPE/MPLYdZ1F1fv7D+VmysX6NpOC8aU9F4Qs6HvDyUy9PvFGDKZ/P5101TYHFl8pjj6wm/qyS75etZhhfg0UEL4OYmHk6m6dO192AzoIyPSV9QedDA4Ml23rRbqxMPMxf7FJnDc5FTElVS/PyqgePzmwVZ26NWhRDQ+oaT7ly7ell4s3DypS1s0g+tOr7XHrrkZj9+x/mJBttrLx98lFIaRZzHz4aC7r52/JQ4VjHahY2/YVXZn/QC2ztQb/sY3uRlyc5vQS8nLPGT/n27495i8HPA152z7Fh5aFpyn1GPJKHuPL8Iw94DuW3KjkURAWZXn4EQy89xiKEHN1mk/tkM4gYDBxwNoYvRfE6LFqsxWJtPrDGbsnLMap3Ka3MUoytW0cvieozOmdERmhcqzG+3HmZv2yZeiIeQTKGdRT4HHNxekm1tY+/n06rGmFleqLscSERzctTKM6G9P0Pc1RmVvrascIxaO1CQCiYPE15bD7c3xSeW7gXxYjgxcrUlcbIvO0r+Yplhx0kTt3qafDOmFyMjgGxXu73rddMHpV1wMubyAGcf/v5dLr5P72Ta9lBF+fzMJrMycwv+9vnU3ANIl1cH9tfW7af8u0/HG0vV47jNFXzFTtaha1xvze/s8KMtCYucXc1nzfd/MQydUXn/b72RBt5wO/3jRcMH9BdhC/yctKBIveRYPrNpDWqBsO8VMmP+WvRaOcA4zRMR1PvSoO92rS7pYEv+fZfEfTMzEdM+6X5tLlyxExhqLRkms5EuLovLfx66de5fL2/yX02H52FPVwahrPqmN/E0oVXnsCKhbi/yRxX83nRbUKWhzYceXOntfuXn51NszJ6MO73pQf5Pl4in3ec4JU8hF7ppV34+mm9r1LY0ee/i1O1wpd8+zfLztE0cqBxggiBi5Bu95v9l3r9r/U5hweLn+TbfxowrWDqdJauKd8+q/dH8sbPkc9ttuyO94f7/XK/nHX46MPFLEb5qQlNPvhJ50/59t9ft3LXu7uVaWaO2bDrDCnRSzZyWvFKxO1+vT8MwwunR3bX0CkfPjqb4K9O19tn5X50PvmYpEwHtiW9WtzuV/s76B1zvLLNkViNd8ySxIl/3orfqP90TyTGaf7/rx8jQzeHJXdmh/N6YDvbvmTBwCdxfEQ1NcL6wNMdSIXNq7b1EUzRy1/Axsyk5p22GMG1b+GxFgbHErZh92wuvco0AuOLXct9hvw2nw/LqIcDRRmJmmZzcgUa7JpM/WV/S9IUfbF56TL2orzqwebdRD8nIYNJ41D/hz37Fo11p2Y21wzPcn713qVGhqtevStYfGH4n69OEJtPvbbLYWvscDqc3Hgnu166+tAyLnxrX0Y5zoYjV++1sI7t5kMr02KT/+uwtkc+rZLOf/qn/s3nYCf13Dg8/sB2diJgjGqjQ+TLhxbzyue2Ob7X6/9lUwW7a+lbznHzOYy8LKW1C/uRPbQY3KW/0gO9LXunHLvPL97afba9bFtc9hmz7GAttjVYlCvQAiOwAk/gC5+hkLEs6tr3AZKxLJtOEwk2dLxTYWsIB/j/ToWtIWzo906FrSG8iaqqqqqqiIiIiAgzMzMzNz+AyK+01/zi8n8S+Y1MjoRaQ80WU/G8MBlO+53VPXANrWm4wzGUVZUjjBJZVdhpcfkjsmcWaO+UEldXi1e+zq+HOsCpknYshuh8pOLISJun7TN0EIGW2xTnlOImeecnoGW4raxe2G1T3HEvfYUYMhG+gAFOAwh5nK8mZhwJMmN7r224QVsNFvZ87Z0qatvknklyPDK3Hy45PgVKXji52Wen4d4PlFVVYGnNap+fSpFbK90rYnhUc6n91Q3AY9E0tJOFrcfZtm/491XbcG/jsViUPPX76qmeuiz+qY1Hk7/1VPM405zWVuoheLUimpWYdVzCmUdKHebMdzgrYrb8mL2eeLSnRWHdonfZa8RsOU9F37w+591l5FLYHiOqWeHtE/lWrBHcRKp3uhtr8yXm8LU/5ms+NM6ZKsqu90cFZ4o58+k4rdrtB97NADFbwmEG7lXqvirhOTOqU14xuUF2myIjURcPHrPOQ4lmM3PeMg7bUuk0nnZi67bXsU6H8lhqIo8TaOrEafCO1ARK9PjC0QOoq2BxmMdgYB9G/lIb9++fqNJ2s7BHGFyBNmZAR8J3KCo012ikaSP8BCrf6VI0X5xdnbhHIO+B5rbOyB54zXkzfObyJ4ecwxfqBJMLFc7m59rNcw7hoHnFZ0b00zee+gTqvjm61Pb4xn0kcDX4jvHM0rBXZypG3DCKnD/Waa/ZtHmtFPgO5eETx+k7RrVg3aSwm2YoNXnCs3XPQDhNn+Fia6IlOOuIG6VJH7TP6ava26ehKHQa2T4N0tcZ9dPCGo3ZdnNltsHQbeYt5vPnJezV/cAeNypdml1vCHI8M81nSRP5Qi2+mI8v/sxiZru9187nRtp3f/42NemcONa+4eVC3PCZzc88aZh851CqSsshe70uPxeN/dmYwlwb3trwMrN1Gq8jbnApcVDx/yDPeYs5/7r62tsQ6lLg+DiFXTEhzR9dHqv0iT4tgj825W+H3XiRUNUZT2kR9Ri0+lp+UM3iQtS8uOE23Ly4KYtvqH13jghUntJRAewuzNLDXp8RxdcaA3cMY6TO2IeSFRXezeWIjCqyhsUdMYuCgYTZSKpBype1zRfq8FshvfBPc6BAQWl7/QxIDp3VGo1J3vn42OEs3qznws+YLRXbymyB19a9XBx6n/owcyxlEYyFWCi+kG9F+EyD/4yn80+agaZ9P7ay2Dny99aK2o91FkfEOY8hBwyfi5uwx2y5SaHmG+oq/zl1FX/8irOf8Y3vAcX/6uLP6A6nvMO24edSGPjQc827Rw2atX+z2bKq0CmW9mOtYnr5/AfDa1ZfPaXnKtlWborup7QYx+Or2uWb+N3N//2+yDcXMqIJdf55xl7/vsj4WoPPlxLxtVrkJ4w/tTe3mLdATOOYwxcq52w5Wxz5MbPdVs5O8/lhfE7dPj0bIiPQ3QV0iqm4m3YX8hRfc6jQ3fWepevMqUDJd86Z4vwM40CWHnn+WphsGHfieF02D3tmZvpWD+kBpNCFcLnZhcmmrhpGzzbdA+sQ1ar18OJD87IOKOFoRNznaHPNHUfUNhvY1iU+uhvEvpKHaUn3qK3exVVyX4joipp3um7FmYJWmA+WbIDshRpbVRx5/nqstCgy87FGbfVB8yDGCqS+2qCsnRwnSAN6zgzxfdB2nBT/vZ4/6uxb6oH8b4VBRxiIB93wLa47hG3w2SL/2Z27yOXJFwZpSJaBYyvajA7vRRYNKqljXKpt/CFD/tSMr18DKKbwB0xggBePatl1nki0yvqW5zchlyZmJ0OTxJ3D+fsYJs/mxYN5+Le5oagtcl+YsVvy8kSjI2YGvGjvmpkRS9W2dtXqWnVuxUhURm1lKtou/hdEq19VBp9OjGvHEQSmrpuf2R24mXGheil8KeiANY8fW1VERUfBImb64j12caBZmRViZHbeVMjCrPDg9A90IXrtnsYCuZtRQ0PyrKDjBNOsPfKsg1pA02gHlVr0OXiFhtp6nJqXVzcbfM0KnzC3ggOENPE9VBdmHKN6LYaijb4wXxJn5A0FSDF5j+h1ooZx885Jt3ZKzO5n7Z5WfNEOtyyPqQEnn7WLv5Fis3PdgMshjF1FRydbNyeBbyKI1oN1TRVrVK7kgsb/zjX4NDPIRMctVeaxVB38Vh1x5KbeJbU138AM5KzmZu3uny0ErygxiJF7GVXUrPzFxrlx1uFdAaZFDN9cvIb74qD9tzBMo7L7WIEYK+sla1DVMHpF0F7b3+Y6S+zjvLeDMCpapmJo1weBWuxKF3rOocih1gun4BoJh1kWnV/Jmiq6uOhK3VfKxEHEkafjLgK3oujaPzY6SXg8phhL4TNR1xvJd1Wa0aYFfPUMLrNBDCh4AuGRTbtKMc6Z1Udj8evY/ZpCuMAUefdo69DZUngoqE1P9A3PJfOf7WixCEj+Y6t7fYeHbbxUAoFV3M89cCKfma3fc1+jKRe7MFWEbQqEfyzO2x/wrO2VYH7iYdQ9BkPyI8/3kXBpLaCpU7eC0Yv/am/tEDu7HZpqg0EvHo0nf/R/gRzUWy33/HXMJQeu1GylKmOkXzlCfGFruAcPPhaGqZOtu19zsJ1SO2Jz4Ztth5cBX6mRQwWmDwryG9FUMlZzNckMdK+IoMJv1rOWnBamS2w2KHiaPMPLC15hCZm4KTpoZyj4E2TqC/P6r7/EhnDMhKicZZ1ZwxuC7DPzDGs53q8gXaI9kFTK+2LTq7bhwsTbrMV8Rsfua5lMS0FwbTitUVnVa1yTb5IX51mmYnUcP9wPr8Ji1tiYJeJV9GZTrQhF7vvdU2OTU42ogJ9FDwhmycI2LIg++03C6scYhUyUuMV5tkw6kGUoL+mjNC38+wMdWNljn6tGPpRES7veqrSn5TRuv+dh6JVL/iDHU1db4c9WK3++OrH3PqziF916UMUKn8G67nN60GfWiHrXYhUG3yVWmyYak59NHj8t1smG4UDiWz2rPHNrKnN4Zo1LBbr2/eF9YZ0n0blx2nG4X+EKFxvS3W28JESD+FWk61VCD3z/URGHiJl++7TdBwkCj6tGOH3qDb0QqcOF9Kzpj0HUb/KyFW3Yhj2VMKJqGZleFBH7vqvf7WqLC3XMuHV8q8a4sTFuxUtkD/6JIBvKaVjv96ndgruKZ1k/BHzqf2K9fLk7HGXANyLDd1vxkK/i055pnzl+zw6zLnwXlVYVtfmacJgEpRP1hbGgrYPVN6v2lG+idQNGmwcKXu/8xEj/P6qe/sB2WmwNp6pp8jaISMkwdleFXYK55NHWLTTbutSUqjBfDGWo/Yg918qQ+8BRZSAHZbfuNZz2O0sov1Ue4CWlVg3rFhM3Kljj9ksGd/NUhk4nH+a5UN2+1i8+NM3vRNp7uQ6sqexSCukEVlVZriHNqFi5rLm9TMWa4qm3idJqppQACol2l4VSuvWLfta4JcXy3bROPNbXOgdOhG47LC0CwW/dMlSx4Jf17aEU3yA1x9p+Yc0jupXgcMuYNku64iYOkGToVDuJvlbEKlJqsmiHbvNrIVZEH+yFdF8DbleZ6iNiWwMqvtMp/mSpwx5KxRrT9p3MAPTHGtMbfvdFhyj9vhaKcn3At8Lc16Ai+vBcSp1ztXi7rCJZx/ql7TXcclq6Q76UeKWDy9boS0WHIjUuWhPG8LBmW5y2rhuTpM5vsLt+HOLh1Yf0DqXa9tsfC+kaKt2htA0ai/L2i7RKoNjEwztkmRU0GfgW1TxUvPFhg0V7DdfWJk5gfrccpYv+MA9M0dkGTLECeYwUixRzjRFdmjG7zdZIl3XKB9YliNKI31lfa7i2JG5C8Ss+rHe0D7Z696/V3DEAOWHnQ9yNahMUl5kENWS6pHKKp2D1BaSrrHdE1w2qNxIztpXgUIrF0bm15YML4b6V1k+GpNysTahKMVrrS85lTVo9OGJ96I47eAy5rYWpRf/mIzeoYU1DKaQCTUVwrhHeyNoDqHel+lLxr9WKzhSYw7vrR6+V5q0pfi2k3L1zqkubY6rrd9ZLvSuWNf0uqnkY+FpTvFzSW9Fp0b9l8JA7THV9eCi/PY/SCZIUYx3BU2alj7Cm3VV6eYpios4b6WuNOJdYXUK3zTqj5CVG2FqYM4Z7CuIU0qO05XR0d71FHM0YhZmJmTRfLlXEumN82BGtzdX0S19t1e+bUieK8zRmqpa4Qc5TSjifmaQsY2ETLjhI36gMR1+7qpjdXXHiceUekfBaucHShAOiFXmv3sNmGQyU5iVgnoocuonQXEPTFwslHtS8R+A47StI9wj0iSrtbi5rMysczFiImsQ+bdFClnFjjpXXwMy6O7qfjOr8Fb0a7ODItisjnn3EQO16+ypd1cwyaAW5Yzxz5QknfMO7643fXW/I9y3U2xH27Oapqr56Z/tEzglj6IbT6HEHjopiXqeRbe5mQQvxtcbDOVverN0ZgMdzqRYRjaXtMRd56Q4cZSmdPvZJdSrhJ1D9zNXPqAEqPIavPdfubt5oke2kmv0dztIszSv2VYuoyf1UuopbsYb+uX9h6WpwjpgtZ6fNNawNJ4q8O3CFoSbioAaOSZMx2GYaPYB+rEb6qjQiNRFQ76TvwNFVKD+BhH9VhcKGsXzmMI7BptU/CNWolM7YzROvpFAntsiWJp6eR2d3GarcYShVYSUqhmYOWj5E96NK2WvmYNTeY7Zs4RUEdv9h9QT4EseKt6LzLrqEOs3hxAY1MaNWpSa6zZx8F3YOVeCYMS88W+CYHDuWe4yoc6YK+djDuEOrBR5lvh0r+Q9uM88lrjx9x9AtgpQVNE8r+3O6Gvw59D+kBF/UMXyhliYUtPjmvXGY6Dk3x+kEOW+GtdMVC4EZTqoS/jmR0P0LS75DOc/w2vnri97M4SdbZ8qeU7gg8DVbERkU5geaMQO3mYrSYyAngeUQqrN0C0/vsFmcgWNXNeidsTAj7/4MncJR0caaBUpbLK1yBCBNRjEv6KvuVSdpPnEMJdsRRtqJ+U8tN1gXA4ePHc6ZT0eviI73UOJF0fEZ8YaneAQqQdGphNvwM4nIqPnXxV0xA0fnCT+oAhJuyw/q8jO0y8CjSteZExwBpIN6SvNp6A5G/abi6egeND/1GTguhuNjaUbbnSbGd4L8937Ezm34Eyi6n1maeOBxh3PI0jzJDf5mh/BsLD7F2GOKvlA/5gtvxI3/eV4sLfKW5Wy+oio+es/u6T8UU+nsofy57Icb/JlZHPFtCgd/x+bwt3ZT+xXTtTtTrGAb4QehC6X9G+8YT+ozcLxDsdCjsuOqwPFnrdLYaFc92Ui0m4fr39lYmlCaqTit7G6O/3kWDkgtXjNH4BiEm/+jegQnihOtfffn33WxsFjhfMd48HT+f6o6X65j7XR8WLSHMFkxbvOYsrRsF1bowDuSQ18Mkxk4qz2zoGPL5fu9h2Hqmt1asl3Q3Yu3szOc+spiCmX4AETBM3pLoTYSp3sVxahyhL8eC4mPN9k2x3o0xkiixIzM3CZFzf5oR4mecQ5+ax2wCah3/crmnHoqR0+KMaOPxRif1oEFRFOO/kTPPmtww+NfMXxEK6gn6iU32U6fFruIz8Q4WgljtnaCVTBgWx7diUdshC9ZEa5yKpRBBeW12r/iNc/+EgNqmhswNB8SBoihHXeDF7rrWDLcmt3V8GYYN7pXRy4DZjj4DJuUBL5iC3DQAaoo4vkftqVTYRGLS3mHZ7gdmdTTqbgNN/PTdTCOTgXolc88MhXAEUMdX0iy1JMuk5wLsgeu0QUYlz2S4skTWwJz6pOm/8ihrmgGfFgri+ZWUK2gAPHgbWa8jaocdSuM4FJYoKicYX/ZSENkg9Q1ZzJfwScfVnR2DegOGwCvmogaWJCLQepv9WNlU6QgsmOwICquU28Mlk3d9W5E81lU/5Ez0LcX6lwKMWDNluNKfBDUy/phJgBcMnfkh9iRxrdOzgs08JdPB85Lwo+GUSb4t3nC+0byqMZtO2fQJ4U2zGIr49t/28qmmGv2RanDD7a3FEcdtutkW8twwwlUSpb8QalodddbBfNHKDQ828BdE7OBgFdiKYohLawFYqpybQoxATZrheLhdI7+0Zlu9Q1myRcd15r9UIm8K2LGJxqTegntqNVMKnf1a8zQiyUR1rxoqjiFxeHxqFcYUTHfDu7rhbWng6qOxOsI+5A1p9mRyEPdVkTlE24vY54W7bWc6jMgZvNXdfC9/9q7408KDsbdL7Utz7QFSDetz2picArzrdpL8OaCHC9V26RroemtDZ5yNM/KGkWMyTmfnInEvwtSD23UcFcjhaE3VKzkoaEMKGBft4XbIO6forTY1lmGQwVmKicBCiArDzE+1oIxE08fWeviIOD5TznqH+OoHadvoOP20drMPe5Irg3XBQziW2XDuHYzjqQQ4wySssjXUs5H+t3FWYMHppUnBHMx/nYIT5d7OmjDbgD9F6na3m4l7KdkeSO3kTEPXafiWinogag7b52taiZhL1TSvBFmEZafFq2H8khQaZXuitCewT5FBgVtPK0j4xUHPfUz3Q28eac1Z139DAP23dgki94EC8vbDPTQC97HPPSWjUNG5tWKMsaxAEMKC0665Xvo1Ntd07wCLNf8Q56mrEPVpCxlIMVlQlWRxM3oAfpgIc+8KC3rEXUog5g06vt7zgXY8grH7hhwVSaeuvC06YYRAwpbyk/Unzj9hLEZNs2oxPQB9yc+GnL6zTgq7rI++KDJwX2SP8Sd6YzTuw5lV/kU6eQxRD12omfQAW6caTR4LikYkBB1CMOrvgRr/VY75+NSB40Cni6bADAtaK+vyxVWpf9NeKJxN2KYQ8Q2xPB3K1s7fuhvWbr2XpgW044VD6DRs0qXoqKf1NFsaGvKJc47leUV3pppP/5VTKFhaGuol4Esfjf5zyCyUHmHthChcYh4hYLQF+AFWsuq4t0wJyWgdwQVOZiV0efRHPoK5+E1vjz9wTJmVkITC9oEstAsyZSgE/dbicwKr89YUxKZI+owD205Tm5lnnmDRuP/JnzxX3gMtlrcX0UesZdxyQqYQuEW4R51vmQ5xOZteUd8SJruMlTUzhtVw/Nq7eUBcqN2/HVotgfngif60yKEtoUx3WYOZlVJuJOh8u59fzSDPFYtQgqDUAGyGhQOAvKroXMcOYY0qjnStJR/G3aP+Jt1sLVlGV8POwr/6OGsqetnyF3TmTqZjENfnXh51oxe9qVUw2M78EzAJ+IM8lZ1MBPQ9ZWSVc4J3mWSrLKrMHReA5qdGoz0ODRsaA+vwxXA2cAM4qlfzBJA6581m4hzxItQw5dxrrBL3Y6kCbUcFxo1S8jyV44q//+7ASNNudZ6xeaNOSIUffqMn4A9lIjFctYn2gpEPAb3f7p3iIBN8H14FUGQ9ct2hPsL+cEsTgUrR47uJVN4n4wt/wgfwwHuOnLd4yobkofy8JvxSQTA7rMpDIc608SlZFJfZYcmbT0tAHpPE8MrtQ42siTUNWxqvWZOmvu9f0JPoQmg+6l7sZWwyfi6PXkxJnwBraUG0MYG4zYHQz3igy/XsFkx5tNQxw43qvI9dU3f0DdhOUlHKjmi1VAr2Kiy0HZwD8VeEbhh0OiDdMYspolQsYdSwjCcjeowIXNZVUPmL2wwIkYhmXKhGozdCJ4lRKbsf4NBh/XnQoS92NJEWOVOFs2YhN8c5QZFeK0pRdAG40hqvLbmoSA8xQmzOOEc7wLcme9JOsjPCEgpCwUs9E2DohMHRhUeyGIN6TFvrbny8nDuilsDpzrH5mS76APoIEJmItS67sQJ+nfwddzmjPxcBEBBCw0kWDwd0EZCkNeOD7NNQhtBm7KHL9mRxj6U1yWU2puzlIDtpYxdH4ZPeXBJkTGAJfUr/oTCz/iypY6uXaR2V1doPxJYlrw2ghH0D5gbrhFcIxzYwi4a/4hqVdf2DdxBp6vGYDjavxMAAoy+1+3aiO6S3W/QAKNVXagDtvsNtx7Ks+HKgo6U21B+QSZgIogV5Bt+BnXisdVfy9VyXV+2P5fMuvdpAjM1o/K9Z+XnE4EOCrue+kcdYHqAQ0/Y/OmNlQ6OI33jH/uD1RalPaHpJAm2av0/xtpqdXVKNDrc9F2izo23Wu7firgbURFDNX9eGGeYBhiypyXZft2j3hTvzE6PMWKsod//rEILDkzBXfi7xh0eFkfb3/1zzPK/PI5Nk3FbZyTl4mq5BfBoVoqiPHO4Q4QKZAlrQ3MdNfi3oxIjvsM3kAFv3fdufurqYR3PSwX/mpGy/GFI/B2MNPiNdOppWVbs/gjF3YH+QA9jMhlAbhvasAHstB0IJew09iAkmXHl1/TEj+jvHOpOGrPRQXbPADM+Ig2/OEcUcpgPTItMtW4DdqgfYVI/+4hAFWYjUGpOP/UwNuB7+BbKOcALbjobdgzeBQfjgNSp2GOpxzGLj70Vvq5cw2AoYENwKLUtJUX8sGRox4dVa/TN4xKwaKcl9XawQR/uNus700Hf17pyNnezrUgaY9e4MADhEDBpsJT6y1gDJs1q6wlwGhuUzGR7C8kgpjPyHWwsvrf3yn1zJEIRa5eSxoLAZOCR9xbuztxFRJW9ZmMYfCFJ0evm9F2fVnuje92Rc4Pl6A8bluN8MZyyJGZ0+sNSb//DvAFxC2BqlEsFwccWeAl6CyBcQV1bx4mQMBP1Jxqk1EUADNLeieS2dUFbQ/c/kvwItbZ7tx0st16viqd53WsRmPTKv2AD8CUnhtPWg5aUegNpsYgasaw2+EVooeNKmrW3MFtj76bYHJm5K9gpAXZXsE5U8DM8XmVOSJ1F1WnLy6nQup+jx52bAb+rCq6y9WXl2B2oZDhfDkW7H3oYfT/4xx5VncBuxMXP2lNfhUVQjSSzSRbuZFE4vFawlzveXxaYKVs8LpvAb8IRYF3ZHiRnm0ADeNPWocwxSzNseG7NrSEVZoHdKWqaGEBz1N8Pt7kFbqh3LYmAbm9i1IChIpLpM5AS6mr6OAPHMwwznVy61YpBYX8xZDN/a+lt7n+x5j4bNOVteZ8lj3hpAHSx1VR8vZHec4AHO9XFCdjZ9eRkSV65ljMmZVzaej2qFn/qt1lvWzNZEfHxK3qOJrHL6crr0CRzMox5f2e8ALBB4UGFZKA3tN6F6IXd32GTJXGQ7DTi9j/dNcLF9jCbDcWGKxoKTYblIwbLDReL00LRcDPMcQuXLMh5YzgtfjkFK1DP1iDzzYYVZz5M/kWYRlRpig1htVRjVCknm+h1M5LiEDXOyHREhvzCGpFZjHS0RsK27o2avgdilrJkalWqPW3D9gmwV37HKmfM3F8YZj2ar+vHFvf3B8CRoH4kDHIK9mrAg+owiEwNjjd9V+FsQKYR8czJrUkf7Qoi2YaW6EVDZp5zYlqiYtuXOTHk4fAcZ7qBbdLDiJq0WNV1l2+Hntk1mMWvxrYmc8kIx8G3rW36J6Ra4lLrTOCgiOihmow+YnzUT19jbV2B3RWqSHyxkhmgsBqMYWvOcUom1jDQ436+fcbu3xf2bbeqU/ca+C4DOKE+e3qvmeMqW3AxejfzBRFVcwVYPq4L0APSWWoJu+5UYX4qg5U6YTioqQGPG9XrnuZ/BkxuYpe6Li87+18EskyQW/uA+uk2rpHpr6hut2TlVbKgWkFpx+AZffweiw2+VittkEyf/ifinS/0ItRL2Jq3tQOcxPaWO2xrG68GdFoUpZgFXaP2wYVtRc6xYCfI1CaBqyWpg4bx8OHBQwsV4XWMibZZ0LYjWEy2IxQ1mZrf1/UNbYCJplWu3nZ4WpodIGVA05d+RWSS+ET9tH3RfGGmNI1cIY7evZZq7o+a0bjjygpmR3mVfalkT/SZGT27Q8QGalwGlDOS9VHCyFAIL0a1Q7JiW3saz9gqY8lqKynFrPCzxkU4SIfLc9VfCI5edgRhDXs0edO992nhTKHriREP1NJC6SROMgQ0xO5kNNZOhMOIT99AUElbxqeZF8A3xrfDJsWtDnUenAHdYWSwAbYjFqQZ+D5gi3hNK8CSxU9i6f6ClL9IGlj1OPMQAsr84YG6ijsJpCaGWj75c3yOZKBB9mNpQNPUKkK0D6wgLH8MGoyRxTX6Y05Q4AnYNXMZwXM4eij/9WpsM/9CoRnFQXGR6MEaY+FXvXEO3RO0JaStk6OXuHVATHJE+1W+TU3bSZ2ksMtqjO0zfSJCdBv7y2d8DMx6TfVme3q0ZpTKMMu4YL/t7ciTNtdDkwPogh3Cnjx7qk08SHwf+dksZ7M2vCOlfsF0hQ6J4ehPCaHTNrM/zBSOqD83dBEBCW/F/LEmeh0nOHd7oVl3/Qo/9GUDkkbj7yz+9cvvu+dDAtx8NzCDTP4iKdZvk9MWiizvtILLepysflSvTLFBZ37RLwiriqyRxYv/zrgFd/9XVHh/OmzBvDX4mitMR/lUavs2Vx6cR94lzAkplm3IRNy4TFfu47tuYs9EQPIPVta4P64tV+sZ7n3ued3cgEx2YK+QL5+xms6osk8qQbTyuKVGdaX9FQqk6qfDnT5ykxk0VK7KZ62b6DNDUfQlqGHxSMKv1P0XN5BqMeKG1P4Wp5QfZDUCEldppoX0U6ss2jIko2XpURKCIhfaOqLPfShdtS37ZrT+jFRSH2xYVV1rmT/MBtRQhxiO4MQ3iAGlaZi+9PWBEIXOVnu9jN1f921lWLZky9bqbM3J2MAAI9jmuAx3gyoEUa6P2ivs0EeNv/OR+AX6q5SW6l5HaoFuS6jr6yg9limu+P0KYKzfMXWcQSfTXzpOzKEKpwI3YGXZpSSy2LTlMgfmFA3CF6R5c9xWEtRuCg2ZPUQ2Nb6dRFTNd4TfGHrnEWSKHPuRyiJSDAZ+KX0VxmSHjGPbQTLVpqixia2uyhQ394gBMt7C3ZAmxn/DJS+l1fBsAo2Eir/C0jG9csd4+/tp12pPc/BVJGaK9mfvr7M/CeztrmCO5qY06Edi4xAGtiEhnWAbzLy2VEyazE1J5nPmgU4RpW4Sa0TnOT6w5lgt3/tMpROigHHmexBGAMY0mdcDbDxWIz41NgdD6oxgHsJRgr5RnT6wZAkTOcStU4NMOQNemSO7gxGahdEsC+NRVGxMUhQmmM0llWRbbmFGHzEqLM4Iw0H7577Kyo+Zf+2cUFIOw93gEY171vQaM0HLwpjpdRR6Jz7V0ckE7XzYJ0TmY9znLdzkva0vNrAGGT5SUZ5uaHDkcGvI0ySpwkasEgZPMseYcu85w8HPdSNi+4T6A83iAwDbxgeFcB1ZM2iGXzFcEOUlYVrEckaOyodfvaYSQ7GuB4ISE0nYJc15X/1ciDTPbPCgYJK55VkEor4LvzL9S2WDy4xj+6FOqVyTAC2ZNowheeeSI5hA/02l8UYkv4nk9iaVn+kCVEUstgk5Hyq+gJm6R9vG3rhuM904he/hFmNQaUIATB1y3vw+OmxP4X5Yi6A5I5jJufHCjF9+AGNwnEllZjUco6XhsO5T5+R3yxz5yLVOnAn0zuS+6zdj0nTJbEZCbXJdtpfYZfCeCOqJHoE2vPPFS6eRLjIJlG69X93nfR0mxSFXzp1Zc0lt/VafDaImhUMtbnqWVb9M4nGNQLN68BHP7AR8Il9dkcxzmBv8PCZlw9guY0lurbBsmNYlwJZsA/B15/HfkbjbwPddaVecls/elmDHNW2r4crAx43feNkfRwsaNq/yyJ0d/p5hZ6AZajz7DBfUok0ZU62gCzz7x8eVfJTKA8IWn45vINLSM1q+HF9CV9qF3zP6Ml21kPPL3CXzkuYUlnSqT+Ij4tI/od5KwIs+tDajDs64owN7tOAd6eucGz+KfO26iNcBFpbWA5732bBNWO4kHNpr9D955L61bvHCF/mwSrz6eQaDjfDEANqGMkFc+NGxpKZzCD2sj/JrHd+zlPQ8Iz7Q+2JVIiVCuCKoK/hlAEHzvk/Piq3mRL1rT/fEh9hoT5GJmeYswg1otiKydizJ/fS2SeKHVu6Z3JEHjiW8NaTQgP5xdBli8nC57XiN9hrquBu99hn9zqwo92+PM2JXtpeVZS0PdqR5mDyDreMMtEws+CpwaRyyzoYtfcvt9PJIW0fJVNNi/FFyRsea7peLvJrL+5b4GOXJ8tAr+ATk9f8KmiIsRhqRy0vFzwRV3Z5dZ3QqIU8JQ/uQpkJbjMUMFj2F9sCFeaBjI4+fL/oN3+LQgjI4zuAfQ+3IPIPFQBccf0clJpsfpnBxD84atwtupkGqKvrH7cGNl/QcWcSi6wcVDML6ljOgYbo+2BOAWNNjlUBPiyitUAwbnhFvLbnqw42kR3Yp2kv2dMeDdcGOX5kT4S6M44KHEB/SpCfl7xgsUvs+JNY9G3O2X/6FEt9FyAn57lrbiu+tl83sCymSvq9eZbe9mchL7MTf/Ta78e80zSf0hYY5eUU7+ff14jv7Xy8qjzfzzzvaJnrIdvFb5BLWKcWGy5/w7+vV2cvIfwHqdTB+RuJK5oj9mbt0Hy94AmjMjjwYNZlNS6uiyxNnwNyt3gdreLb64p/3+08nXkb92LTkkRgFOwk1oGEVllcOj5lv1hfAZywDows0944U8vUFw+A/nuVq/UCygsrmWIBnHyU01d0XJPwriEOvx/ISK6Pk4y2w0gmojZs7lU8TtakBAdne4v/aNxmMpK4VcGMp7si0yqsiolXRuOi1Z1P7SqD3Zmp0CWcyK4Ubmp2SXiXuI5nGLCieFHKHNRIlcY3Pys2dwMTYCaqlyWSITwr2oGXvyU3h1Pf8eQ3w1bnD7ilocVjYDkcXR3Oo1BXgMLTUjNw2xMVwjtp99NhSVc5aIWrDQT5DHPKtCtheBP4zHcw4dz2eRdTMamhlHhtfgqJJHI7NGDUw1XL8vsSeSHyKqDtqoAmrQqsYwvwi7HW3ojWyhIa5oz5xJTaq14NAzFLjVLR12rRNUQ6xohDnrWFb5bG9yf8aCD8d5phoackcNJp+Dw3Due3RM+5Rid7EuIgsnwgpX0rUWh/nqPtByMhMZZ69NpgvRTKZ62ViZ+Q7Dp5r4K0d7EfJuiy06KuIYauRh5Ecrhdt2QpTS1k1AscEHvapNbU3HL1F2TFyR33Wxb5MvH5iZsrn3SDcsxlnnshO8PLwmdGN+paWnQuORtZGX37uhFT64SeuPsx8UOokY6ON85WdQ1dki5zErsJGazcBOddWJEKqNPiJpsMD1GrVLrVY+AOdPWQneTyyP1hRX/lMM4ZogGGOhYuAdr7F/DOiAoc++cn5vlf0zkMUJ40Z1rlgv9BelPqVOpxKeOpzKdF8maK+1Vv23MO9k/8+qpLoxrIGH2EDQlnGmH8CD31G8QqlyQIcpmR5bwmSVw9/Ns6IHgulCRehvZ/+VrM60Cu/r3AontFfrljew74skYe2uyn7JKQtFQBQRJ9ryGic/zQOsbS4scUBctA8cPToQ3x6ZBQu6DPu5m1bnCtP8TllLYA0UTQNVqza5nfew3Mopy1GPUwG5jsl0OVXniPmAcmLqO5HG8Hv3nSLecE9oOjPDXcsTxoCBxYyzBdj4wmnyEV4kvFDunipS8SSkvdaMnTBN9brHUR8xdmmEAp/Pdqk9uextp1t+JrtXwpN/MG2w/qhRMpSNxQ1uhg/kKO30eQ/FyHUDkWHT8V6gGRU4DhDMxZu7xXij9Ui6jlpWmQCqJg3FkOTq3WKneCRYZxBXMNAVLQgHXSCGSqNdjebY94oyIpVjMYehAiFx/tqzBXFHZaL5PeeD74rW5OysFoUXY8sebUZleFTUa/+zBKVTFDopTReXNuZq47QjkWnxjirCommO4L/GrFtVV21EpMyw8wyThL5Y59d88xtlx1g1ttSICDwnof6lt/6zliPzgVUL8jWBjC0o2D6Kg+jNuThkAlaDJsq/AG2aKA//A76avw2KNqtv223P+Wq3StRDDNKFFgtsFukYt1GFDWooFVXitaNhb3RCyJi4cMeNjROiPEDb4k+G3+hD8tsg+5hhmSc/8t2JTSwYoCzAI75doq8QTHe+E/Tw0RQSUDlU+6uBeNN3h6jJGX/mH8oj0i3caCNsjvTnoh73BtyZpsflHLq6AfwJNCDX4S98h4+pCOhGKDhV3rtkKHMa3EG4J9y8zFWI4UsfNzC/Rl5midNn7gwoN9j23HGCQQ+OAZpTTPMdiVow740gIyuEtd0qVxMyNXhHcnuXRKdw5wDUSL358ktjMXmAkvIB73BLa1vfF9BAUZInPYJiwxqFWQQBVk7gQH4ojfUQ/KEjn+A/WR6EEe4CtbpoLe1mzHkajgTIoE0SLDHVauKhrq12zrAXBGbPPWKCt4DGedq3JyGRbmPFW32bE7T20+73BatV/qQhhBWfWBFHfhYWXjALts38FemnoT+9bn1jDBMcUMmYgSc0e7GQjv2MUBwLU8ionCpgV+Qrhg7iUIfUY6JFxR0Y+ZTCPM+rVuq0GNLyJXX6nrUTt8HzFBRY1E/FIm2EeVA9NcXrj7S6YYIChVQCWr/m2fYUjC4j0XLkzZ8GCSLfmkW3PB/xq+nlXsKVBOj7vTvqKCOMq7Ztqr3cQ+N8gBnPaAps+oGwWOkbuxnRYj/x/WjiDclVrs22xMK4qArE1Ztk1456kiJriw6abkNeRHogaPRBgbgF9Z8i/tbzWELN4CvbqtrqV9TtGSnmPS2F9kqOIBaazHYaJ9bi3AoDBvlZasMluxt0BDXfhp02Jn411aVt6S4TUB8ZgFDkI6TP6gwPY85w+oUQSsjIeXVminrwIdK2ZAawb8Se6XOJbOaliQxHSrnAeONDLuCnFejIbp4YDtBcQCwMsYiRZfHefuEJqJcwKTTJ8sx5hjHmJI1sPFHOr6W9AhZ2NAod38mnLQk1gOz2LCAohoQbgMbUK9RMEA3LkiF7Sr9tLZp6lkciIGhE2V546w3Mam53VtVkGbB9w0Yk2XiRnCmbpxmHr2k4eSC0RuNbjNsUfDIfc8DZvRvgUDe1IlKdZTzcT4ZGEb53dp8VtsoZlyXzLHOdAbsp1LPTVaHvLA0GYDFMbAW/WUBfUAdHwqLFAV+3uHvYWrCfhUOR2i89qvCBoOb48usAGdcF2M4aKn79k/43WzBZ+xR1L0uZfia70XP9soQReeuhZiUnXFDG1T8/OXNmssTSnYO+3kVLAgeiY719uDwL9FQycgLPessNihMZbAKG7qwPZyG11G1+ZA3jAX2yddpYfmaKBlmfcK/V0mwIRUDC0nJSOPUl2KB8h13F4dlVZiRhdGY5farwN+f9hEb1cRi41ZcGDn6Xe9MMSTOY81ULJyXIHSWFIQHstVYLiJEiUjktlHiGjntN5/btB8Fu+vp28zl2fZXN+dJDyN6EXhS+0yzqpl/LSJNEUVxmu7BsNdjAY0jVsAhkNuuY0E1G48ej25mSt+00yPbQ4SRCVkIwb6ISvYtmJRPz9Zt5dk76blf+lJwAPH5KDF+vHAmACLoCdG2Adii6dOHnNJnTmZtoOGO8Q1jy1veMw6gbLFToQmfJa7nT7Al89mRbRkZZQxJTKgK5Kc9INzmTJFp0tpAPzNmyL/F08bX3nhCumM/cR/2RPn9emZ3VljokttZD1zVWXlUIqEU7SLk5I0lFRU0AcENXBYazNaVzsVHA/sD3o9hm42wbHIRb/BBQTKzAi8s3+bMtpOOZgLdQzCYPfX3UUxKd1WYVkGH7lh/RBBgMZZwXzU9+GYxdBqlGs0LP+DZ5g2BWNh6FAcR944B+K/JTWI3t9YyVyRhlP4CCoUk/mmF7+r2pilVBjxXBHFaBfBtr9hbVn2zDuI0kEOG3kBx8CGdPOjX1ph1POOZJUO1JEGG0jzUy2tK4X0CgVNYhmkqqQysRNtKuPdCJqK3WW57kaV17vXgiyPrl4KEEWgiGF1euI4QkSFHFf0TDroQiLNKJiLbdhH0YBhriRNCHPxSqJmNNoketaioohqMglh6wLtEGWSM1EZbQg72h0UJAIPVFCAJOThpQGGdKfFovcwEeiBuZHN2Ob4uVM7+gwZLz1D9E7ta4RmMZ24OBBAg7Eh6dLXGofZ4U2TFOCQMKjwhVckjrydRS+YaqCw1kYt6UexuzbNEDyYLTZnrY1PzsHZJT4U+awO2xlqTSYu6n/U29O2wPXgGOEKDMSq+zTUtyc8+6iLp0ivav4FKx+xxVy4FxhIF/pucVDqpsVe2jFOfdZhTzLz2QjtzvsTCvDPU7bzDH2eXVKUV9TZ+qFtaSSxnYgYdXKwVreIgvWhT9eGDB2OvnWyPLfIIIfNnfIxU8nW7MbcH05nhlsYtaW9EZRsxWcKdEqInq1DiZPKCz7iGmAU9/ccnnQud2pNgIGFYOTAWjhIrd63aPDgfj8/sdlD4l+UTlcxTI9jbaMqqN0gQxSHs60IAcW3cH4p3V1aSciTKB29L1tz2eUQhRiTgTvmqc+sGtBNh4ky0mQJGsdycBREP+fAaSs1EREDVo5gvgi5+aCN7NECw30owbCc1mSpjiahyNVwJd1jiGgzSwfTpzf2c5XJvG/g1n0fH88KHNnf+u7ZiRMlXueSIsloJBUtW9ezvsx9grfsX/FNxnbxU1Lvg0hLxixypHKGFAaPu0xCD8oDTeFSyfRT6s8109GMUZL8m2xXp8X2dpPCWWdX84iga4BrTlOfqox4shqEgh/Ht4qRst52cA1xOIUuOxgfUivp6v5f8IVyaryEdpVk72ERAwdT4aoY1usBgmP+0m06Q216H/nubtNYxHaOIYjcach3A8Ez/zc0KcShhel0HCYjFsA0FjYqyJ5ZUH1aZw3+zWC0hLpM6GDfcAdn9fq2orPmZbW6XXrf+Krc9RtvII5jeD3dFoT1KwZJwxfUMvc5KLfn8rROW23Jw89sJ2a5dpB3qWDUBWF2iX8OCuKprHosJ2mflBR+Wqs86VvgI/XMnsqb97+VlKdPVysczPj8Jhzf+WCvGBHijAqYlavbF60soMWlHbvKT+ScvhprgeTln51xX0sF+Eadc/l2s2a5BgkVbHYyz0E85p0LstqH+gEGiR84nBRRFIn8hLSZrGwqjZ3E29cuGi+5Z5bp7EM8MWFa9ssS/vy4VrDfECSv7DSU84DaP0sXI3Ap4lWznQ65nQoTKRWU30gd7Nn8ZowUvGIx4aqyXGwmA/PB4qN8msJUODezUHEl0VP9uo+cZ8vPFodSIB4C7lQYjEFj8yu49C2KIV3qxMFYTevG8KqAr0TPlkbzHHnTpDpvpzziAiNFh8xiT7C/TiyH0EguUw4vxAgpnE27WIypV+uFN2zW7xniF/n75trs9IJ5amB1zXXZ1LFkJ6GbS/dFokzl4cc2mamVwhL4XU0Av5gDWAl+aEWhAP7t2VIwU+EpvfOPDcLASX7H7lZpXA2XQfbSlD4qU18NffNPoAKMNSccBfO9YVVgmlW4RydBqfHAV7+hrZ84WJGho6bNT0YMhxxLdOx/dwGj0oyak9aAkNJ8lRJzUuA8sR+fPyiyTgUHio5+Pp+YaKlHrhR41jY5NESPS3x+zTMe0S2HnLOKCOQPpdxKyviBvdHrCDRqO+l96HhhNBLXWv4yEMuEUYo8kXnYJM8oIgVM4XJ+xXOev4YbWeqsvgq0lmw4/PiYr9sYLt+W5EAuYSFnJEan8CwJwbtASBfLBBpJZiRPor/aCJBZsM+MhvS7ZepyHvU8m5WSmaZnxuLts8ojl6KkS8oSAHkq5GWlCB/NgJ5W3rO2Cj1MK7ahxsCrbTT3a0V/QQH+sErxV4XUWDHx0kkFy25bPmBMBQ6BU3HoHhhYcJB9JhP6NXUWKxnE0raXHB6U9KHpWdQCQI72qevp5fMzcm+AvC85rsynVQhruDA9fp9COe7N56cg1UKGSas89vrN+WlGLYTwi5W+0xYdKEGtGCeNJwXKDU0XqU5uQYnWsMwTENLGtbQMvoGjIFIEMzCRal4rnBAg7D/CSn8MsCvS+FDJJAzoiioJEhZJgAp9n2+1Yznr7H+6eT4YkJ9Mpj60ImcW4i4iHDLn9RydB8dx3QYm3rsX6n4VRrZDsYK6DCGwkwd5n3/INFEpk16fYpP6JtMQpqEMzcOfQGAHXBTEGzuLJ03GYQL9bmV2/7ExDlRf+Uvf1sM2frRtCWmal12pMgtonvSCtR4n1CLUZRdTHDHP1Otwqd+rcdlavnKjUB/OYXQHUJzpNyFoKpQK+2OgrEKpGyIgIBgn2y9QHnTJihZOpEvOKIoHAMGAXHmj21Lym39Mbiow4IF+77xNuewziNVBxr6KD5e+9HzZSBIlUa/AmsDFJFXeyrQakR3FwowTGcADJHcEfhGkXYNGSYo4dh4bxwLM+28xjiqkdn0/3R4UEkvcBrBfn/SzBc1XhKM2VPlJgKSorjDac96V2UnQYXl1/yZPT4DVelgO+soMjexXwYO58VLl5xInQUZI8jc3H2CPnCNb9X05nOxIy4MlecasTqGK6s2az4RjpF2cQP2G28R+7wDPsZDZC/kWtjdoHC7SpdPmqQrUAhMwKVuxCmYTiD9q/O7GHtZvPSN0CAUQN/rymXZNniYLlJDE70bsk6Xxsh4kDOdxe7A2wo7P9F5YvqqRDI6brf79yPCSp4I0jVoO4YnLYtX5nzspR5WB4AKOYtR1ujXbOQpPyYDvfRE3FN5zw0i7reehdi7yV0YDRKRllGCGRk5Yz+Uv1fYl2ZwrnGsqsjgAVo0xEUba8ohjaNMJNwTwZA/wBDWFSCpg1eUH8MYL2zdioxRTqgGQrDZxQyNzyBJPXZF0+oxITJAbj7oNC5JwgDMUJaM5GqlGCWc//KCIrI+aclEe4IA0uzv7cuj6GCdaJONpi13O544vbtIHBF+A+JeDFUQNy61Gki3rtyQ4aUywn6ru314/dkGiP8Iwjo0J/2Txs49ZkwEl4mx+iYUUO55I6pJzU4P+7RRs+DXZkyKUYZqVWrPF4I94m4Wx1tXeE74o9GuX977yvJ/jkdak8+AmoHVjI15V+WwBdARFV2IPirJgVMdsg1Pez2VNHqa7EHWdTkl3XTcyjG9BiueWFvQfXI8aWSkuuRmqi/HUuzqyvLJfNfs0txMqldYYflWB1BS31WkuPJGGwXUCpjiQSktkuBMWwHjSkQxeehqw1Kgz0Trzm7QbtgxiEPDVmWCNCAeCfROTphd1ZNOhzLy6XfJyG6Xgd5MCAZw4xie0Sj5AnY1/akDgNS9YFl3Y06vd6FAsg2gVQJtzG7LVq1OH2frbXNHWH/NY89NNZ4QUSJqL2yEcGADbT38X0bGdukqYlSoliKOcsSTuqhcaemUeYLLoI8+MZor2RxXTRThF1LrHfqf/5LcLAjdl4EERgUysYS2geE+yFdasU91UgUDsc2cSQ1ZoT9+uLOwdgAmifwQqF028INc2IQEDfTmUw3eZxvz7Ud1z3xc1PQfeCvfKsB9jOhRj7rFyb9XcDWLcYj0bByosychMezMLVkFiYcdBBQtvI6K0KRuOZQH2kBsYHJaXTkup8F0eIhO1/GcIwWKpr2mouB7g5TUDJNvORXPXa/mU8bh27TAZYBe2sKx4NSv5OjnHIWD2RuysCzBlUfeNXhDd2jxnHoUlheJ3jBApzURy0fwm2FwwsSU0caQGl0Kv8hopRQE211NnvtLRsmCNrhhpEDoNiZEzD2QdJWKbRRWnaFedXHAELSN0t0bfsCsMf0ktfBoXBoNA+nZN9+pSlmuzspFevmsqqcMllzzvkyXrzoA+Ryo1ePXpdGOoJvhyru+EBRsmOp7MXZ0vNUMUqHLUoKglg1p73sWeZmPc+KAw0pE2zIsFFE5H4192KwDvDxdxEYoDBDNZjbg2bmADTeUKK57IPD4fTYF4c6EnXx/teYMORBDtIhPJneiZny7Nv/zG+YmekIKCoxr6kauE2bZtBLufetNG0BtBY7f+/ImUypMBvdWu/Q7vTMRzw5aQGZWuc1V0HEsItFYMIBnoKGZ0xcarba/TYZq50kCaflFysYjA4EDKHqGdpYWdKYmm+a7TADmW35yfnOYpZYrkpVEtiqF0EujI00aeplNs2k+qyFZNeE3CDPL9P6b4PQ/kataHkVpLSEVGK7EX6rAa7IVNrvZtFvOA6okKvBgMtFDAGZOx88MeBcJ8AR3AgUUeIznAN6tjCUipGDZONm1FjWJp4A3QIzSaIOmZ7DvF/ysYYbM/fFDOV0jntAjRdapxJxL0eThpEhKOjCDDq2ks+3GrwxqIFKLe1WdOzII8XIOPGnwy6LKXVfpSDOTEfaRsGujhpS4hBIsMOqHbl16PJxc4EkaVu9wpEYlF/84NSv5Zum4drMfp9yXbzzAOJqqS4YkI4cBrFrC7bMPiCfgI3nNZAqkk3QOZqR+yyqx+nDQKBBBZ7QKrfGMCL+XpqFaBJU0wpkBdAhbR4hJsmT5aynlvkouoxm/NjD5oe6BzVIO9uktM+/5dEC5P7vZvarmuO/lKXz4sBabVPIATuKTrwbJP8XUkdM6uEctHKXICUJGjaZIWRbZp8czquQYfY6ynBUCfIU+gG6wqSIBmYIm9pZpXdaL121V7q0VjDjmQnXvMe7ysoEZnZL15B0SpxS1jjd83uNIOKZwu5MPzg2NhOx3xMOPYwEn2CUzbSrwAs5OAtrz3GAaUkJOU74XwjaYUmGJdZBS1NJVkGYrToINLKDjxcuIlyfVsKQSG/G4DyiO2SlQvJ0d0Ot1uOG5IFSAkq+PRVMgVMDvOIJMdqjeCFKUGRWBW9wigYvcbU7CQL/7meF2KZAaWl+4y9uhowAX7elogAvItAAxo2+SFxGRsHGEW9BnhlTuWigYxRcnVUBRQHV41LV+Fr5CJYV7sHfeywswx4XMtUx6EkBhR+q8AXXUA8uPJ73Pb49i9KG9fOljvXeyFj9ixgbo6CcbAJ7WHWqKHy/h+YjBwp6VcN7M89FGzQ04qbrQtgrOFybg3gQRTYG5xn73ArkfQWjCJROwy3J38Dx/D7jOa6BBNsitEw1wGq780EEioOeD+ZGp2J66ADiVGMayiHYucMk8nTK2zzT9CnEraAk95kQjy4k0GRElLL5YAKLQErJ5rp1eay9O4Fb6yJGm9U4FaMwPGxtKD6odIIHKoWnhKo1U8KIpFC+MVn59ZXmc7ZTBZfsg6FQ8W10YfTr4u0nYrpHZbZ1jXiLmooF0cOm0+mPnJBXQtepc7n0BqOipNCqI6yyloTeRShNKH04FIo0gcMk0H/xThyN4pPAWjDDkEp3lNNPRNVfpMI44CWRlRgViP64eK0JSRp0WUvCWYumlW/c58Vcz/yMwVcW5oYb9+26TEhwvbxiNg48hl1VI1UXTU//Eta+BMKnGUivctfL5wINDD0giQL1ipt6U7C9cd4+lgqY2lMUZ02Uv6Prs+ZEZer7ZfWBXVghlfOOrClwsoOFKzWEfz6RZu1eCs+K8fLvkts5+BX0gyrFYve0C3qHrn5U/Oh6D/CihmWIrY7HUZRhJaxde+tldu6adYJ+LeXupQw0XExC36RETdNFxcq9glMu4cNQSX9cqR/GQYp+IxUkIcNGWVU7ZtGa6P3XAyodRt0XeS3Tp01AnCh0ZbUh4VrSZeV9RWfSoWyxnY3hzcZ30G/InDq4wxRrEejreBxnhIQbkxenxkaxl+k7eLUQkUR6vKJ2iDFNGX3WmVA1yaOH+mvhBd+sE6vacQzFobwY5BqEAFmejwW5ne7HtVNolOUgJc8CsUxmc/LBi8N5mu9VsIA5HyErnS6zeCz7VLI9+n/hbT6hTokMXTVyXJRKSG2hd2labXTbtmK4fNH3IZBPreSA4FMeVouVN3zG5x9CiGpLw/3pceo4qGqp+rVp+z+7yQ98oEf+nyH4F3+J9IheDBa94Wi63zJbLBCIZm7P0asHGpIJt3PzE3m0S4YIWyXBCVXGikj8MudDPB/6Nm2v4IxJ5gU0ii0guy5SUHqGUYzTP0jIJU5E82RHUXtX4lDdrihBLdP1YaG1AGUC12rQKuIaGvCpMjZC9bWSCYnjDlvpWbkdXMTNeBHLKiuoozMGIvkczmP0aRJSJ8PYnLCVNhKHXBNckH79e8Z8Kc2wUej4sQZoH8qDRGkg86maW/ZQWGNnLcXmq3FlXM6ssR/3P6E/bHMvm6HLrv1yRixit25JsH3/IOr2UV4BWJhxXW5BJ6Xdr07n9kF3ZNAk6/Xpc5MSFmYJ2R7bdL8Kk7q1OU9Elg/tCxJ8giT27wSTySF0GOxg4PbYJdi/Nyia9Nn89CGDulfJemm1aiEr/eleGSN+5MRrVJ4K6lgyTTIW3i9cQ0dAi6FHt0YMbH3wDSAtGLSAccezzxHitt1QdhW36CQgPcA8vIIBh3/JNjf/Obmc2yzpk8edSlS4lVdwgW5vzbYEyFoF4GCBBby1keVNueHAH+evi+H7oOVfS3XuPQSNTXOONAbzJeSb5stwdQHl1ZjrGoE49I8+A9j3t+ahhQj74FCSWpZrj7wRSFJJnnwi1T9HL5qrCFW/JZq6P62XkMWTb+u4lGpKfmmwiJWx178GOG7KbrZGqyWwmuyKWPkNswkZ1q8uptUlviIi+AXh2bOOTOLsrtNkfqbQJeh24reebkINLkjut5r4d9GR/r8CBa9SU0UQhsnZp5cP+RqWCixRm7i4YRFbtZ4EAkhtNa6jHb6gPYQv7MKqkPLRmX3dFsK8XsRLVZ6IEVrCbmNDc8o5mqsogjAQfoC9Bc7R6gfw03m+lQpv6kTfhxscDIX6s0w+fBxtkhjXAXr10UouWCx3C/p/FYwJRS/AXRKkjOb5CLmK4XRe0+xeDDwVkJPZau52bzLEDHCqV0f44pPgKOkYKgTZJ33fmk3Tu8SdxJ02SHM8Fem5SMsWqRyi2F1ynfRJszcFKykdWlNqgDA/L9lKYBmc7Zu/q9ii1FPF47VJkqhirUob53zoiJtVVRVwMR34gV9iqcBaHbRu9kkvqk3yMpfRFG49pKKjIiq7h/VpRwPGTHoY4cg05X5028iHsLvUW/uz+kjPyIEhhcKUwCkJAwbR9pIEGOn8z6svAO8i89sJ3dL5qDWFYbS+HGPRMxYwJItFQN86YESeJQhn2urGiLRffQeLptDl8dAgb+Tp47UQPxWOw17OeChLN1WnzlkPL1T5O+O3Menpn4C3IY5LEepHpnPeZHbvuWfeVtPlkH4LZjPbBrkJT3NoRJzBt86CO0Xq59oQ+8dsm0ymRcmQyn8w71mhmcuEI5byuF+C88VPYly2sEzjlzAQ3vdn/1+Hzguw6qFNNbqenhZGbdiG6RwZaTG7jTA2X9RdXjDN9yj1uQpyO4Lx8KRAcZcbZMafp4wPOd5MdXoFY52V1A8M9hi3sso93+uprE0qYNMjkE22CvK4HuUxqN7oIz5pWuETq1lQAjqlSlqdD2Rnr/ggp/TVkQYjn9lMfYelk2sH5HPdopYo7MHwlV1or9Bxf+QCyLzm92vzG2wjiIjC/ZHEJzeroJl6bdFPTpZho5MV2U86fLQqxNlGIMqCGy+9WYhJ8ob1r0+Whxde9L2PdysETv97O+xVw+VNN1TZSQN5I6l9m5Ip6pLIqLm4a1B1ffH6gHyqT9p82NOjntRWGIofO3bJz5GhkvSWbsXueTAMaJDou99kGLqDlhwBZNEQ4mKPuDvVwSK4WmLluHyhA97pZiVe8g+JxmnJF8IkV/tCs4Jq/HgOoAEGR9tCDsDbDmi3OviUQpG5D8XmKcSAUaFLRXb2lmJTNYdhtYyfjBYZQmN5qT5CNuaD3BVnlkCk7bsMW3AtXkNMMTuW4HjUERSJnVQ0vsBGa1wo3Qh7115XGeTF3NTz8w0440AgU7c3bSXO/KMINaIWXd0oLpoq/0/QJxCQSJ9XnYy1W7TYLBJpHsVWD1ahsA7FjNvRd6mxCiHsm8g6Z0pnzqIpF1dHUtP2ITU5Z1hZHbu+L3BEEStBbL9XYvGfEakv1bmf+bOZGnoiuHEdlBnaChxYKNzB23b8sw8YyT7Ajxfk49eJIAvdbVkdFCe2J0gMefhQ0bIZxhx3fzMIysQNiN8PgOUKxOMur10LduigREDRMZyP4oGWrP1GFY4t6groASsZ421os48wAdnrbovNhLt7ScNULkwZ5AIZJTrbaKYTLjA1oJ3sIuN/aYocm/9uoQHEIlacF1s/TM1fLcPTL38O9fOsjMEIwoPKfvt7opuI9G2Hf/PR4aCLDQ7wNmIdEuXJ/QNL72k5q4NejAldPfe3UVVqzkys8YZ/jYOGOp6c+YzRCrCuq0M11y7TiN6qk7YXRMn/gukxrEimbMQjr3jwRM6dKVZ4RUfWQr8noPXLJq6yh5R3EH1IVOHESst/LItbG2D2vRsZRkAObzvQAAD3mb3/G4NzopI0FAiHfbpq0X72adg6SRj+8OHMShtFxxLZlf/nLgRLbClwl5WmaYSs+yEjkq48tY7Z2bE0N91mJwt+ua0NlRJIDh0HikF4UvSVorFj2YVu9YeS5tfvlVjPSoNu/Zu6dEUfBOT555hahBdN3Sa5Xuj2Rvau1lQNIaC944y0RWj9UiNDskAK1WoL+EfXcC6IbBXFRyVfX/WKXxPAwUyIAGW8ggZ08hcijKTt1YKnUO6QPvcrmDVAb0FCLIXn5id4fD/Jx4tw/gbXs7WF9b2RgXtPhLBG9vF5FEkdHAKrQHZAJC/HWvk7nvzzDzIXZlfFTJoC3JpGgLPBY7SQTjGlUvG577yNutZ1hTfs9/1nkSXK9zzKLRZ3VODeKUovJe0WCq1zVMYxCJMenmNzPIU2S8TA4E7wWmbNkxq9rI2dd6v0VpcAPVMxnDsvWTWFayyqvKZO7Z08a62i/oH2/jxf8rpmfO64in3FLiL1GX8IGtVE9M23yGsIqJbxDTy+LtaMWDaPqkymb5VrQdzOvqldeU0SUi6IirG8UZ3jcpRbwHa1C0Dww9G/SFX3gPvTJQE+kyz+g1BeMILKKO+olcHzctOWgzxYHnOD7dpCRtuZEXACjgqesZMasoPgnuDC4nUviAAxDc5pngjoAITIkvhKwg5d608pdrZcA+qn5TMT6Uo/QzBaOxBCLTJX3Mgk85rMfsnWx86oLxf7p2PX5ONqieTa/qM3tPw4ZXvlAp83NSD8F7+ZgctK1TpoYwtiU2h02HCGioH5tkVCqNVTMH5p00sRy2JU1qyDBP2CII/Dg4WDsIl+zgeX7589srx6YORRQMBfKbodbB743Tl4WLKOEnwWUVBsm94SOlCracU72MSyj068wdpYjyz1FwC2bjQnxnB6Mp/pZ+yyZXtguEaYB+kqhjQ6UUmwSFazOb+rhYjLaoiM+aN9/8KKn0zaCTFpN9eKwWy7/u4EHzO46TdFSNjMfn2iPSJwDPCFHc0I1+vjdAZw5ZjqR/uzi9Zn20oAa5JnLEk/EA3VRWE7J/XrupfFJPtCUuqHPpnlL7ISJtRpSVcB8qsZCm2QEkWoROtCKKxUh3yEcMbWYJwk6DlEBG0bZP6eg06FL3v6RPb7odGuwm7FN8fG4woqtB8e7M5klPpo97GoObNwt+ludTAmxyC5hmcFx+dIvEZKI6igFKHqLH01iY1o7903VzG9QGetyVx5RNmBYUU+zIuSva/yIcECUi4pRmE3VkF2avqulQEUY4yZ/wmNboBzPmAPey3+dSYtBZUjeWWT0pPwCz4Vozxp9xeClIU60qvEFMQCaPvPaA70WlOP9f/ey39macvpGCVa+zfa8gO44wbxpJUlC8GN/pRMTQtzY8Z8/hiNrU+Zq64ZfFGIkdj7m7abcK1EBtws1X4J/hnqvasPvvDSDYWN+QcQVGMqXalkDtTad5rYY0TIR1Eqox3czwPMjKPvF5sFv17Thujr1IZ1Ytl4VX1J0vjXKmLY4lmXipRAro0qVGEcXxEVMMEl54jQMd4J7RjgomU0j1ptjyxY+cLiSyXPfiEcIS2lWDK3ISAy6UZ3Hb5vnPncA94411jcy75ay6B6DSTzK6UTCZR9uDANtPBrvIDgjsfarMiwoax2OlLxaSoYn4iRgkpEGqEkwox5tyI8aKkLlfZ12lO11TxsqRMY89j5JaO55XfPJPDL1LGSnC88Re9Ai+Nu5bZjtwRrvFITUFHPR4ZmxGslQMecgbZO7nHk32qHxYkdvWpup07ojcMCaVrpFAyFZJJbNvBpZfdf39Hdo2kPtT7v0/f8R/B5Nz4f1t9/3zNM/7n6SUHfcWk5dfQFJvcJMgPolGCpOFb/WC0FGWU2asuQyT+rm88ZKZ78Cei/CAh939CH0JYbpZIPtxc2ufXqjS3pHH9lnWK4iJ7OjR/EESpCo2R3MYKyE7rHfhTvWho4cL1QdN4jFTyR6syMwFm124TVDDRXMNveI1Dp/ntwdz8k8kxw7iFSx6+Yx6O+1LzMVrN0BBzziZi9kneZSzgollBnVwBh6oSOPHXrglrOj+QmR/AESrhDpKrWT+8/AiMDxS/5wwRNuGQPLlJ9ovomhJWn8sMLVItQ8N/7IXvtD8kdOoHaw+vBSbFImQsv/OCAIui99E+YSIOMlMvBXkAt+NAZK8wB9Jf8CPtB+TOUOR+z71d/AFXpPBT6+A5FLjxMjLIEoJzrQfquvxEIi+WoUzGR1IzQFNvbYOnxb2PyQ0kGdyXKzW2axQL8lNAXPk6NEjqrRD1oZtKLlFoofrXw0dCNWASHzy+7PSzOUJ3XtaPZsxLDjr+o41fKuKWNmjiZtfkOzItvlV2MDGSheGF0ma04qE3TUEfqJMrXFm7DpK+27DSvCUVf7rbNoljPhha5W7KBqVq0ShUSTbRmuqPtQreVWH4JET5yMhuqMoSd4r/N8sDmeQiQQvi1tcZv7Moc7dT5X5AtCD6kNEGZOzVcNYlpX4AbTsLgSYYliiPyVoniuYYySxsBy5cgb3pD+EK0Gpb0wJg031dPgaL8JZt6sIvzNPEHfVPOjXmaXj4bd4voXzpZ5GApMhILgMbCEWZ2zwgdeQgjNHLbPIt+KqxRwWPLTN6HwZ0Ouijj4UF+Sg0Au8XuIKW0WxlexdrFrDcZJ8Shauat3X0XmHygqgL1nAu2hrJFb4wZXkcS+i36KMyU1yFvYv23bQUJi/3yQpqr/naUOoiEWOxckyq/gq43dFou1DVDaYMZK9tho7+IXXokBCs5GRfOcBK7g3A+jXQ39K4YA8PBRW4m5+yR0ZAxWJncjRVbITvIAPHYRt1EJ3YLiUbqIvoKHtzHKtUy1ddRUQ0AUO41vonZDUOW+mrszw+SW/6Q/IUgNpcXFjkM7F4CSSQ2ExZg85otsMs7kqsQD4OxYeBNDcSpifjMoLb7GEbGWTwasVObmB/bfPcUlq0wYhXCYEDWRW02TP5bBrYsKTGWjnWDDJ1F7zWai0zW/2XsCuvBQjPFcTYaQX3tSXRSm8hsAoDdjArK/OFp6vcWYOE7lizP0Yc+8p16i7/NiXIiiQTp7c7Xus925VEtlKAjUdFhyaiLT7VxDagprMFwix4wZ05u0qj7cDWFd0W9OYHIu3JbJKMXRJ1aYNovugg+QqRN7fNHSi26VSgBpn+JfMuPo3aeqPWik/wI5Rz3BWarPQX4i5+dM0npwVOsX+KsOhC7vDg+OJsz4Q5zlnIeflUWL6QYMbf9WDfLmosLF4Qev3mJiOuHjoor/dMeBpA9iKDkMjYBNbRo414HCxjsHrB4EXNbHzNMDHCLuNBG6Sf+J4MZ/ElVsDSLxjIiGsTPhw8BPjxbfQtskj+dyNMKOOcUYIRBEIqbazz3lmjlRQhplxq673VklMMY6597vu+d89ec/zq7Mi4gQvh87ehYbpOuZEXj5g/Q7S7BFDAAB9DzG35SC853xtWVcnZQoH54jeOqYLR9NDuwxsVthTV7V99n/B7HSbAytbEyVTz/5NhJ8gGIjG0E5j3griULUd5Rg7tQR+90hJgNQKQH2btbSfPcaTOfIexc1db1BxUOhM1vWCpLaYuKr3FdNTt/T3PWCpEUWDKEtzYrjpzlL/wri3MITKsFvtF8QVV/NhVo97aKIBgdliNc10dWdXVDpVtsNn+2UIolrgqdWA4EY8so0YvB4a+aLzMXiMAuOHQrXY0tr+CL10JbvZzgjJJuB1cRkdT7DUqTvnswVUp5kkUSFVtIIFYK05+tQxT6992HHNWVhWxUsD1PkceIrlXuUVRogwmfdhyrf6zzaL8+c0L7GXMZOteAhAVQVwdJh+7nrX7x4LaIIfz2F2v7Dg/uDfz2Fa+4gFm2zHAor8UqimJG3VTJtZEoFXhnDYXvxMJFc6ku2bhbCxzij2z5UNuK0jmp1mnvkVNUfR+SEmj1Lr94Lym75PO7Fs0MIr3GdsWXRXSfgLTVY0FLqba97u1In8NAcY7IC6TjWLigwKEIm43NxTdaVTv9mcKkzuzBkKd8x/xt1p/9BbP7Wyb4bpo1K1gnOpbLvKz58pWl3B55RJ/Z5mRDLPtNQg14jdOEs9+h/V5UVpwrAI8kGbX8KPVPDIMfIqKDjJD9UyDOPhjZ3vFAyecwyq4akUE9mDOtJEK1hpDyi6Ae87sWAClXGTiwPwN7PXWwjxaR79ArHRIPeYKTunVW24sPr/3HPz2IwH8oKH4OlWEmt4BLM6W5g4kMcYbLwj2usodD1088stZA7VOsUSpEVl4w7NMb1EUHMRxAxLF0CIV+0L3iZb+ekB1vSDSFjAZ3hfLJf7gFaXrOKn+mhR+rWw/eTXIcAgl4HvFuBg1LOmOAwJH3eoVEjjwheKA4icbrQCmvAtpQ0mXG0agYp5mj4Rb6mdQ+RV4QBPbxMqh9C7o8nP0Wko2ocnCHeRGhN1XVyT2b9ACsL+6ylUy+yC3QEnaKRIJK91YtaoSrcWZMMwxuM0E9J68Z+YyjA0g8p1PfHAAIROy6Sa04VXOuT6A351FOWhKfTGsFJ3RTJGWYPoLk5FVK4OaYR9hkJvezwF9vQN1126r6isMGXWTqFW+3HL3I/jurlIdDWIVvYY+s6yq7lrFSPAGRdnU7PVwY/SvWbZGpXzy3BQ2LmAJlrONUsZs4oGkly0V267xbD5KMY8woNNsmWG1VVgLCra8aQBBcI4DP2BlNwxhiCtHlaz6OWFoCW0vMR3ErrG7JyMjTSCnvRcsEHgmPnwA6iNpJ2DrFb4gLlhKJyZGaWkA97H6FFdwEcLT6DRQQL++fOkVC4cYGW1TG/3iK5dShRSuiBulmihqgjR45Vi03o2RbQbP3sxt90VxQ6vzdlGfkXmmKmjOi080JSHkLntjvsBJnv7gKscOaTOkEaRQqAnCA4HWtB4XnMtOhpRmH2FH8tTXrIjAGNWEmudQLCkcVlGTQ965Kh0H6ixXbgImQP6b42B49sO5C8pc7iRlgyvSYvcnH9FgQ3azLbQG2cUW96SDojTQStxkOJyOuDGTHAnnWkz29aEwN9FT8EJ4yhXOg+jLTrCPKeEoJ9a7lDXOjEr8AgX4BmnMQ668oW0zYPyQiVMPxKRHtpfnEEyaKhdzNVThlxxDQNdrHeZiUFb6NoY2KwvSb7BnRcpJy+/g/zAYx3fYSN5QEaVD2Y1VsNWxB0BSO12MRsRY8JLfAezRMz5lURuLUnG1ToKk6Q30FughqWN6gBNcFxP/nY/iv+iaUQOa+2Nuym46wtI/DvSfzSp1jEi4SdYBE7YhTiVV5cX9gwboVDMVgZp5YBQlHOQvaDNfcCoCJuYhf5kz5kwiIKPjzgpcRJHPbOhJajeoeRL53cuMahhV8Z7IRr6M4hW0JzT7mzaMUzQpm866zwM7Cs07fJYXuWvjAMkbe5O6V4bu71sOG6JQ4oL8zIeXHheFVavzxmlIyBkgc9IZlEDplMPr8xlcyss4pVUdwK1e7CK2kTsSdq7g5SHRAl3pYUB9Ko4fsh4qleOyJv1z3KFSTSvwEcRO/Ew8ozEDYZSqpfoVW9uhJfYrNAXR0Z3VmeoAD+rVWtwP/13sE/3ICX3HhDG3CMc476dEEC0K3umSAD4j+ZQLVdFOsWL2C1TH5+4KiSWH+lMibo+B55hR3Gq40G1n25sGcN0mEcoU2wN9FCVyQLBhYOu9aHVLWjEKx2JIUZi5ySoHUAI9b8hGzaLMxCZDMLhv8MkcpTqEwz9KFDpCpqQhVmsGQN8m24wyB82FAKNmjgfKRsXRmsSESovAwXjBIoMKSG51p6Um8b3i7GISs7kjTq/PZoioCfJzfKdJTN0Q45kQEQuh9H88M3yEs3DbtRTKALraM0YC8laiMiOOe6ADmTcCiREeAWZelBaEXRaSuj2lx0xHaRYqF65O0Lo5OCFU18A8cMDE4MLYm9w2QSr9NgQAIcRxZsNpA7UJR0e71JL+VU+ISWFk5I97lra8uGg7GlQYhGd4Gc6rxsLFRiIeGO4abP4S4ekQ1fiqDCy87GZHd52fn5aaDGuvOmIofrzpVwMvtbreZ/855OaXTRcNiNE0wzGZSxbjg26v8ko8L537v/XCCWP2MFaArJpvnkep0pA+O86MWjRAZPQRfznZiSIaTppy6m3p6HrNSsY7fDtz7Cl4V/DJAjQDoyiL2uwf1UHVd2AIrzBUSlJaTj4k6NL97a/GqhWKU9RUmjnYKpm2r+JYUcrkCuZKvcYvrg8pDoUKQywY9GDWg03DUFSirlUXBS5SWn/KAntnf0IdHGL/7mwXqDG+LZYjbEdQmqUqq4y54TNmWUP7IgcAw5816YBzwiNIJiE9M4lPCzeI/FGBeYy3p6IAmH4AjXXmvQ4Iy0Y82NTobcAggT2Cdqz6Mx4TdGoq9fn2etrWKUNFyatAHydQTVUQ2S5OWVUlugcNvoUrlA8cJJz9MqOa/W3iVno4zDHfE7zhoY5f5lRTVZDhrQbR8LS4eRLz8iPMyBL6o4PiLlp89FjdokQLaSBmKHUwWp0na5fE3v9zny2YcDXG/jfI9sctulHRbdkI5a4GOPJx4oAJQzVZ/yYAado8KNZUdEFs9ZPiBsausotXMNebEgr0dyopuqfScFJ3ODNPHgclACPdccwv0YJGQdsN2lhoV4HVGBxcEUeUX/alr4nqpcc1CCR3vR7g40zteQg/JvWmFlUE4mAiTpHlYGrB7w+U2KdSwQz2QJKBe/5eiixWipmfP15AFWrK8Sh1GBBYLgzki1wTMhGQmagXqJ2+FuqJ8f0XzXCVJFHQdMAw8xco11HhM347alrAu+wmX3pDFABOvkC+WPX0Uhg1Z5MVHKNROxaR84YV3s12UcM+70cJ460SzEaKLyh472vOMD3XnaK7zxZcXlWqenEvcjmgGNR2OKbI1s8U+iwiW+HotHalp3e1MGDy6BMVIvajnAzkFHbeVsgjmJUkrP9OAwnEHYXVBqYx3q7LvXjoVR0mY8h+ZaOnh053pdsGkmbqhyryN01eVHySr+CkDYkSMeZ1xjPNVM+gVLTDKu2VGsMUJqWO4TwPDP0VOg2/8ITbAUaMGb4LjL7L+Pi11lEVMXTYIlAZ/QHmTENjyx3kDkBdfcvvQt6tKk6jYFM4EG5UXDTaF5+1ZjRz6W7MdJPC+wTkbDUim4p5QQH3b9kGk2Bkilyeur8Bc20wm5uJSBO95GfYDI1EZipoRaH7uVveneqz43tlTZGRQ4a7CNmMHgXyOQQOL6WQkgMUTQDT8vh21aSdz7ERiZT1jK9F+v6wgFvuEmGngSvIUR2CJkc5tx1QygfZnAruONobB1idCLB1FCfO7N1ZdRocT8/Wye+EnDiO9pzqIpnLDl4bkaRKW+ekBVwHn46Shw1X0tclt/0ROijuUB4kIInrVJU4buWf4YITJtjOJ6iKdr1u+flgQeFH70GxKjhdgt/MrwfB4K/sXczQ+9zYcrD4dhY6qZhZ010rrxggWA8JaZyg2pYij8ieYEg1aZJkZK9O1Re7sB0iouf60rK0Gd+AYlp7soqCBCDGwfKeUQhCBn0E0o0GS6PdmjLi0TtCYZeqazqwN+yNINIA8Lk3iPDnWUiIPLGNcHmZDxfeK0iAdxm/T7LnN+gemRL61hHIc0NCAZaiYJR+OHnLWSe8sLrK905B5eEJHNlWq4RmEXIaFTmo49f8w61+NwfEUyuJAwVqZCLFcyHBKAcIVj3sNzfEOXzVKIndxHw+AR93owhbCxUZf6Gs8cz6/1VdrFEPrv330+9s6BtMVPJ3zl/Uf9rUi0Z/opexfdL3ykF76e999GPfVv8fJv/Y/+/5hEMon1tqNFyVRevV9y9/uIvsG3dbB8GRRrgaEXfhx+2xeOFt+cEn3RZanNxdEe2+B6MHpNbrRE53PlDifPvFcp4kO78ILR0T4xyW/WGPyBsqGdoA7zJJCu1TKbGfhnqgnRbxbB2B3UZoeQ2bz2sTVnUwokTcTU21RxN1PYPS3Sar7T0eRIsyCNowr9amwoMU/od9s2APtiKNL6ENOlyKADstAEWKA+sdKDhrJ6BOhRJmZ+QJbAaZ3/5Fq0/lumCgEzGEbu3yi0Y4I4EgVAjqxh4HbuQn0GrRhOWyAfsglQJAVL1y/6yezS2k8RE2MstJLh92NOB3GCYgFXznF4d25qiP4ZCyI4RYGesut6FXK6GwPpKK8WHEkhYui0AyEmr5Ml3uBFtPFdnioI8RiCooa7Z1G1WuyIi3nSNglutc+xY8BkeW3JJXPK6jd2VIMpaSxpVtFq+R+ySK9J6WG5Qvt+C+QH1hyYUOVK7857nFmyDBYgZ/o+AnibzNVqyYCJQvyDXDTK+iXdkA71bY7TL3bvuLxLBQ8kbTvTEY9aqkQ3+MiLWbEgjLzOH+lXgco1ERgzd80rDCymlpaRQbOYnKG/ODoFl46lzT0cjM5FYVvv0qLUbD5lyJtMUaC1pFlTkNONx6lliaX9o0i/1vws5bNKn5OuENQEKmLlcP4o2ZmJjD4zzd3Fk32uQ4uRWkPSUqb4LBe3EXHdORNB2BWsws5daRnMfNVX7isPSb1hMQdAJi1/qmDMfRUlCU74pmnzjbXfL8PVG8NsW6IQM2Ne23iCPIpryJjYbVnm5hCvKpMa7HLViNiNc+xTfDIaKm3jctViD8A1M9YPJNk003VVr4Zo2MuGW8vil8SLaGpPXqG7I4DLdtl8a4Rbx1Lt4w5Huqaa1XzZBtj208EJVGcmKYEuaeN27zT9EE6a09JerXdEbpaNgNqYJdhP1NdqiPKsbDRUi86XvvNC7rME5mrSQtrzAZVndtSjCMqd8BmaeGR4l4YFULGRBeXIV9Y4yxLFdyoUNpiy2IhePSWzBofYPP0eIa2q5JP4j9G8at/AqoSsLAUuRXtvgsqX/zYwsE+of6oSDbUOo4RMJw+DOUTJq+hnqwKim9Yy/napyZNTc2rCq6V9jHtJbxGPDwlzWj/Sk3zF/BHOlT/fSjSq7FqlPI1q6J+ru8Aku008SFINXZfOfnZNOvGPMtEmn2gLPt+H4QLA+/SYe4j398auzhKIp2Pok3mPC5q1IN1HgR+mnEfc4NeeHYwd2/kpszR3cBn7ni9NbIqhtSWFW8xbUJuUPVOeeXu3j0IGZmFNiwaNZ6rH4/zQ2ODz6tFxRLsUYZu1bfd1uIvfQDt4YD/efKYv8VF8bHGDgK22w2Wqwpi43vNCOXFJZCGMqWiPbL8mil6tsmOTXAWCyMCw73e2rADZj2IK6rqksM3EXF2cbLb4vjB14wa/yXK5vwU+05MzERJ5nXsXsW21o7M+gO0js2OyKciP5uF2iXyb2DiptwQeHeqygkrNsqVCSlldxBMpwHi1vfc8RKpP/4L3Lmpq6DZcvhDDfxTCE3splacTcOtXdK2g303dIWBVe2wD/Gvja1cClFQ67gw0t1ZUttsUgQ1Veky8oOpS6ksYEc4bqseCbZy766SvL3FodmnahlWJRgVCNjPxhL/fk2wyvlKhITH/VQCipOI0dNcRa5B1M5HmOBjTLeZQJy237e2mobwmDyJNHePhdDmiknvLKaDbShL+Is1XTCJuLQd2wmdJL7+mKvs294whXQD+vtd88KKk0DXP8B1Xu9J+xo69VOuFgexgTrcvI6SyltuLix9OPuE6/iRJYoBMEXxU4shQMf4Fjqwf1PtnJ/wWSZd29rhZjRmTGgiGTAUQqRz+nCdjeMfYhsBD5Lv60KILWEvNEHfmsDs2L0A252351eUoYxAysVaCJVLdH9QFWAmqJDCODUcdoo12+gd6bW2boY0pBVHWL6LQDK5bYWh1V8vFvi0cRpfwv7cJiMX3AZNJuTddHehTIdU0YQ/sQ1dLoF2xQPcCuHKiuCWOY30DHe1OwcClLAhqAKyqlnIbH/8u9ScJpcS4kgp6HKDUdiOgRaRGSiUCRBjzI5gSksMZKqy7Sd51aeg0tgJ+x0TH9YH2Mgsap9N7ENZdEB0bey2DMTrBA1hn56SErNHf3tKtqyL9b6yXEP97/rc+jgD2N1LNUH6RM9AzP3kSipr06RkKOolR7HO768jjWiH1X92jA7dkg7gcNcjqsZCgfqWw0tPXdLg20cF6vnQypg7gLtkazrHAodyYfENPQZsdfnjMZiNu4nJO97D1/sQE+3vNFzrSDOKw+keLECYf7RJwVHeP/j79833oZ0egonYB2FlFE5qj02B/LVOMJQlsB8uNg3Leg4qtZwntsOSNidR0abbZmAK4sCzvt8Yiuz2yrNCJoH5O8XvX/vLeR/BBYTWj0sOPYM/jyxRd5+/JziKAABaPcw/34UA3aj/gLZxZgRCWN6m4m3demanNgsx0P237/Q+Ew5VYnJPkyCY0cIVHoFn2Ay/e7U4P19APbPFXEHX94N6KhEMPG7iwB3+I+O1jd5n6VSgHegxgaSawO6iQCYFgDsPSMsNOcUj4q3sF6KzGaH/0u5PQoAj/8zq6Uc9MoNrGqhYeb2jQo0WlGlXjxtanZLS24/OIN5Gx/2g684BPDQpwlqnkFcxpmP/osnOXrFuu4PqifouQH0eF5qCkvITQbJw/Zvy5mAHWC9oU+cTiYhJmSfKsCyt1cGVxisKu+NymEQIAyaCgud/V09qT3nk/9s/SWsYtha7yNpzBIMM40rCSGaJ9u6lEkl00vXBiEt7p9P5IBCiavynEOv7FgLqPdeqxRiCwuFVMolSIUBcoyfUC2e2FJSAUgYdVGFf0b0Kn2EZlK97yyxrT2MVgvtRikfdaAW8RwEEfN+B7/eK8bBdp7URpbqn1xcrC6d2UjdsKbzCjBFqkKkoZt7Mrhg6YagE7spkqj0jOrWM+UGQ0MUlG2evP1uE1p2xSv4dMK0dna6ENcNUF+xkaJ7B764NdxLCpuvhblltVRAf7vK5qPttJ/9RYFUUSGcLdibnz6mf7WkPO3MkUUhR2mAOuGv8IWw5XG1ZvoVMnjSAZe6T7WYA99GENxoHkMiKxHlCuK5Gd0INrISImHQrQmv6F4mqU/TTQ8nHMDzCRivKySQ8dqkpQgnUMnwIkaAuc6/FGq1hw3b2Sba398BhUwUZSAIO8XZvnuLdY2n6hOXws+gq9BHUKcKFA6kz6FDnpxLPICa3qGhnc97bo1FT/XJk48LrkHJ2CAtBv0RtN97N21plfpXHvZ8gMJb7Zc4cfI6MbPwsW7AilCSXMFIEUEmir8XLEklA0ztYbGpTTGqttp5hpFTTIqUyaAIqvMT9A/x+Ji5ejA4Bhxb/cl1pUdOD6epd3yilIdO6j297xInoiBPuEDW2/UfslDyhGkQs7Wy253bVnlT+SWg89zYIK/9KXFl5fe+jow2rd5FXv8zDPrmfMXiUPt9QBO/iK4QGbX5j/7Rx1c1vzsY8ONbP3lVIaPrhL4+1QrECTN3nyKavGG0gBBtHvTKhGoBHgMXHStFowN+HKrPriYu+OZ05Frn8okQrPaaxoKP1ULCS/cmKFN3gcH7HQlVjraCeQmtjg1pSQxeuqXiSKgLpxc/1OiZsU4+n4lz4hpahGyWBURLi4642n1gn9qz9bIsaCeEPJ0uJmenMWp2tJmIwLQ6VSgDYErOeBCfSj9P4G/vI7oIF+l/n5fp956QgxGvur77ynawAu3G9MdFbJbu49NZnWnnFcQHjxRuhUYvg1U/e84N4JTecciDAKb/KYIFXzloyuE1eYXf54MmhjTq7B/yBToDzzpx3tJCTo3HCmVPYfmtBRe3mPYEE/6RlTIxbf4fSOcaKFGk4gbaUWe44hVk9SZzhW80yfW5QWBHxmtUzvMhfVQli4gZTktIOZd9mjJ5hsbmzttaHQB29Am3dZkmx3g/qvYocyhZ2PXAWsNQiIaf+Q8W/MWPIK7/TjvCx5q2XRp4lVWydMc2wIQkhadDB0xsnw/kSEyGjLKjI4coVIwtubTF3E7MJ6LS6UOsJKj82XVAVPJJcepfewbzE91ivXZvOvYfsmMevwtPpfMzGmC7WJlyW2j0jh7AF1JLmwEJSKYwIvu6DHc3YnyLH9ZdIBnQ+nOVDRiP+REpqv++typYHIvoJyICGA40d8bR7HR2k7do6UQTHF4oriYeIQbxKe4Th6+/l1BjUtS9hqORh3MbgvYrStXTfSwaBOmAVQZzpYNqsAmQyjY56MUqty3c/xH6GuhNvNaG9vGbG6cPtBM8UA3e8r51D0AR9kozKuGGSMgLz3nAHxDNnc7GTwpLj7/6HeWp1iksDeTjwCLpxejuMtpMnGJgsiku1sOACwQ9ukzESiDRN77YNESxR5LphOlcASXA5uIts1LnBIcn1J7BLWs49DMALSnuz95gdOrTZr0u1SeYHinno/pE58xYoXbVO/S+FEMMs5qyWkMnp8Q3ClyTlZP52Y9nq7b8fITPuVXUk9ohG5EFHw4gAEcjFxfKb3xuAsEjx2z1wxNbSZMcgS9GKyW3R6KwJONgtA64LTyxWm8Bvudp0M1FdJPEGopM4Fvg7G/hsptkhCfHFegv4ENwxPeXmYhxwZy7js+BeM27t9ODBMynVCLJ7RWcBMteZJtvjOYHb5lOnCLYWNEMKC59BA7covu1cANa2PXL05iGdufOzkgFqqHBOrgQVUmLEc+Mkz4Rq8O6WkNr7atNkH4M8d+SD1t/tSzt3oFql+neVs+AwEI5JaBJaxARtY2Z4mKoUqxds4UpZ0sv3zIbNoo0J4fihldQTX3XNcuNcZmcrB5LTWMdzeRuAtBk3cZHYQF6gTi3PNuDJ0nmR+4LPLoHvxQIxRgJ9iNNXqf2SYJhcvCtJiVWo85TsyFOuq7EyBPJrAdhEgE0cTq16FQXhYPJFqSfiVn0IQnPOy0LbU4BeG94QjdYNB0CiQ3QaxQqD2ebSMiNjaVaw8WaM4Z5WnzcVDsr4eGweSLa2DE3BWViaxhZFIcSTjgxNCAfelg+hznVOYoe5VqTYs1g7WtfTm3e4/WduC6p+qqAM8H4ZyrJCGpewThTDPe6H7CzX/zQ8Tm+r65HeZn+MsmxUciEWPlAVaK/VBaQBWfoG/aRL/jSZIQfep/89GjasWmbaWzeEZ2R1FOjvyJT37O9B8046SRSKVEnXWlBqbkb5XCS3qFeuE9xb9+frEknxWB5h1D/hruz2iVDEAS7+qkEz5Ot5agHJc7WCdY94Ws61sURcX5nG8UELGBAHZ3i+3VulAyT0nKNNz4K2LBHBWJcTBX1wzf+//u/j/9+//v87+9/l9Lbh/L/uyNYiTsWV2LwsjaA6MxTuzFMqmxW8Jw/+IppdX8t/Clgi1rI1SN0UC/r6tX/4lUc2VV1OQReSeCsjUpKZchw4XUcjHfw6ryCV3R8s6VXm67vp4n+lcPV9gJwmbKQEsmrJi9c2vkwrm8HFbVYNTaRGq8D91t9n5+U+aD/hNtN3HjC/nC/vUoGFSCkXP+NlRcmLUqLbiUBl4LYf1U/CCvwtd3ryCH8gUmGITAxiH1O5rnGTz7y1LuFjmnFGQ1UWuM7HwfXtWl2fPFKklYwNUpF2IL/TmaRETjQiM5SJacI+3Gv5MBU8lP5Io6gWkawpyzNEVGqOdx4YlO1dCvjbWFZWbCmeiFKPSlMKtKcMFLs/KQxtgAHi7NZNCQ32bBAW2mbHflVZ8wXKi1JKVHkW20bnYnl3dKWJeWJOiX3oKPBD6Zbi0ZvSIuWktUHB8qDR8DMMh1ZfkBL9FS9x5r0hBGLJ8pUCJv3NYH+Ae8p40mZWd5m5fhobFjQeQvqTT4VKWIYfRL0tfaXKiVl75hHReuTJEcqVlug+eOIIc4bdIydtn2K0iNZPsYWQvQio2qbO3OqAlPHDDOB7DfjGEfVF51FqqNacd6QmgFKJpMfLp5DHTv4wXlONKVXF9zTJpDV4m1sYZqJPhotcsliZM8yksKkCkzpiXt+EcRQvSQqmBS9WdWkxMTJXPSw94jqI3varCjQxTazjlMH8jTS8ilaW8014/vwA/LNa+YiFoyyx3s/KswP3O8QW1jtq45yTM/DX9a8M4voTVaO2ebvw1EooDw/yg6Y1faY+WwrdVs5Yt0hQ5EwRfYXSFxray1YvSM+kYmlpLG2/9mm1MfmbKHXr44Ih8nVKb1M537ZANUkCtdsPZ80JVKVKabVHCadaLXg+IV8i5GSwpZti0h6diTaKs9sdpUKEpd7jDUpYmHtiX33SKiO3tuydkaxA7pEc9XIQEOfWJlszj5YpL5bKeQyT7aZSBOamvSHl8xsWvgo26IP/bqk+0EJUz+gkkcvlUlyPp2kdKFtt7y5aCdks9ZJJcFp5ZWeaWKgtnXMN3ORwGLBE0PtkEIek5FY2aVssUZHtsWIvnljMVJtuVIjpZup/5VL1yPOHWWHkOMc6YySWMckczD5jUj2mlLVquFaMU8leGVaqeXis+aRRL8zm4WuBk6cyWfGMxgtr8useQEx7k/PvRoZyd9nde1GUCV84gMX8Ogu/BWezYPSR27llzQnA97oo0pYyxobYUJfsj+ysTm9zJ+S4pk0TGo9VTG0KjqYhTmALfoDZVKla2b5yhv241PxFaLJs3i05K0AAIdcGxCJZmT3ZdT7CliR7q+kur7WdQjygYtOWRL9B8E4s4LI8KpAj7bE0dg7DLOaX+MGeAi0hMMSSWZEz+RudXbZCsGYS0QqiXjH9XQbd8sCB+nIVTq7/T/FDS+zWY9q7Z2fdq1tdLb6v3hKKVDAw5gjj6o9r1wHFROdHc18MJp4SJ2Ucvu+iQ9EgkekW8VCM+psM6y+/2SBy8tNN4a3L1MzP+OLsyvESo5gS7IQOnIqMmviJBVc6zbVG1n8eXiA3j46kmvvtJlewwNDrxk4SbJOtP/TV/lIVK9ueShNbbMHfwnLTLLhbZuO79ec5XvfgRwLFK+w1r5ZWW15rVFZrE+wKqNRv5KqsLNfpGgnoUU6Y71NxEmN7MyqwqAQqoIULOw/LbuUB2+uE75gJt+kq1qY4LoxV+qR/zalupea3D5+WMeaRIn0sAI6DDWDh158fqUb4YhAxhREbUN0qyyJYkBU4V2KARXDT65gW3gRsiv7xSPYEKLwzgriWcWgPr0sbZnv7m1XHNFW6xPdGNZUdxFiUYlmXNjDVWuu7LCkX/nVkrXaJhiYktBISC2xgBXQnNEP+cptWl1eG62a7CPXrnrkTQ5BQASbEqUZWMDiZUisKyHDeLFOaJILUo5f6iDt4ZO8MlqaKLto0AmTHVVbkGuyPa1R/ywZsWRoRDoRdNMMHwYTsklMVnlAd2S0282bgMI8fiJpDh69OSL6K3qbo20KfpNMurnYGQSr/stFqZ7hYsxKlLnKAKhsmB8AIpEQ4bd/NrTLTXefsE6ChRmKWjXKVgpGoPs8GAicgKVw4K0qgDgy1A6hFq1WRat3fHF+FkU+b6H4NWpOU3KXTxrIb2qSHAb+qhm8hiSROi/9ofapjxhyKxxntPpge6KL5Z4+WBMYkAcE6+0Hd3Yh2zBsK2MV3iW0Y6cvOCroXlRb2MMJtdWx+3dkFzGh2Pe3DZ9QpSqpaR/rE1ImOrHqYYyccpiLC22amJIjRWVAherTfpQLmo6/K2pna85GrDuQPlH1Tsar8isAJbXLafSwOof4gg9RkAGm/oYpBQQiPUoyDk2BCQ1k+KILq48ErFo4WSRhHLq/y7mgw3+L85PpP6xWr6cgp9sOjYjKagOrxF148uhuaWtjet953fh1IQiEzgC+d2IgBCcUZqgTAICm2bR8oCjDLBsmg+ThyhfD+zBalsKBY1Ce54Y/t9cwfbLu9SFwEgphfopNA3yNxgyDafUM3mYTovZNgPGdd4ZFFOj1vtfFW3u7N+iHEN1HkeesDMXKPyoCDCGVMo4GCCD6PBhQ3dRZIHy0Y/3MaE5zU9mTCrwwnZojtE+qNpMSkJSpmGe0EzLyFelMJqhfFQ7a50uXxZ8pCc2wxtAKWgHoeamR2O7R+bq7IbPYItO0esdRgoTaY38hZLJ5y02oIVwoPokGIzxAMDuanQ1vn2WDQ00Rh6o5QOaCRu99fwDbQcN0XAuqkFpxT/cfz3slGRVokrNU0iqiMAJFEbKScZdmSkTUznC0U+MfwFOGdLgsewRyPKwBZYSmy6U325iUhBQNxbAC3FLKDV9VSOuQpOOukJ/GAmu/tyEbX9DgEp6dv1zoU0IqzpG6gssSjIYRVPGgU1QAQYRgIT8gEV0EXr1sqeh2I6rXjtmoCYyEDCe/PkFEi/Q48FuT29p557iN+LCwk5CK/CZ2WdAdfQZh2Z9QGrzPLSNRj5igUWzl9Vi0rCqH8G1Kp4QMLkuwMCAypdviDXyOIk0AHTM8HBYKh3b0/F+DxoNj4ZdoZfCpQVdnZarqoMaHWnMLNVcyevytGsrXQEoIbubqWYNo7NRHzdc0zvT21fWVirj7g36iy6pxogfvgHp1xH1Turbz8QyyHnXeBJicpYUctbzApwzZ1HT+FPEXMAgUZetgeGMwt4G+DHiDT2Lu+PT21fjJCAfV16a/Wu1PqOkUHSTKYhWW6PhhHUlNtWzFnA7MbY+r64vkwdpfNB2JfWgWXAvkzd42K4lN9x7Wrg4kIKgXCb4mcW595MCPJ/cTfPAMQMFWwnqwde4w8HZYJFpQwcSMhjVz4B8p6ncSCN1X4klxoIH4BN2J6taBMj6lHkAOs8JJAmXq5xsQtrPIPIIp/HG6i21xMGcFgqDXSRF0xQg14d2uy6HgKE13LSvQe52oShF5Jx1R6avyL4thhXQZHfC94oZzuPUBKFYf1VvDaxIrtV6dNGSx7DO0i1p6CzBkuAmEqyWceQY7F9+U0ObYDzoa1iKao/cOD/v6Q9gHrrr1uCeOk8fST9MG23Ul0KmM3r+Wn6Hi6WAcL7gEeaykicvgjzkjSwFsAXIR81Zx4QJ6oosVyJkCcT+4xAldCcihqvTf94HHUPXYp3REIaR4dhpQF6+FK1H0i9i7Pvh8owu3lO4PT1iuqu+DkL2Bj9+kdfGAg2TXw03iNHyobxofLE2ibjsYDPgeEQlRMR7afXbSGQcnPjI2D+sdtmuQ771dbASUsDndU7t58jrrNGRzISvwioAlHs5FA+cBE5Ccznkd8NMV6BR6ksnKLPZnMUawRDU1MZ/ib3xCdkTblHKu4blNiylH5n213yM0zubEie0o4JhzcfAy3H5qh2l17uLooBNLaO+gzonTH2uF8PQu9EyH+pjGsACTMy4cHzsPdymUSXYJOMP3yTkXqvO/lpvt0cX5ekDEu9PUfBeZODkFuAjXCaGdi6ew4qxJ8PmFfwmPpkgQjQlWqomFY6UkjmcnAtJG75EVR+NpzGpP1Ef5qUUbfowrC3zcSLX3BxgWEgEx/v9cP8H8u1Mvt9/rMDYf6sjwU1xSOPBgzFEeJLMRVFtKo5QHsUYT8ZRLCah27599EuqoC9PYjYO6aoAMHB8X1OHwEAYouHfHB3nyb2B+SnZxM/vw/bCtORjLMSy5aZoEpvgdGvlJfNPFUu/p7Z4VVK1hiI0/UTuB3ZPq4ohEbm7Mntgc1evEtknaosgZSwnDC2BdMmibpeg48X8Ixl+/8+xXdbshQXUPPvx8jT3fkELivHSmqbhblfNFShWAyQnJ3WBU6SMYSIpTDmHjdLVAdlADdz9gCplZw6mTiHqDwIsxbm9ErGusiVpg2w8Q3khKV/R9Oj8PFeF43hmW/nSd99nZzhyjCX3QOZkkB6BsH4H866WGyv9E0hVAzPYah2tkRfQZMmP2rinfOeQalge0ovhduBjJs9a1GBwReerceify49ctOh5/65ATYuMsAkVltmvTLBk4oHpdl6i+p8DoNj4Fb2vhdFYer2JSEilEwPd5n5zNoGBXEjreg/wh2NFnNRaIUHSOXa4eJRwygZoX6vnWnqVdCRT1ARxeFrNBJ+tsdooMwqnYhE7zIxnD8pZH+P0Nu1wWxCPTADfNWmqx626IBJJq6NeapcGeOmbtXvl0TeWG0Y7OGGV4+EHTtNBIT5Wd0Bujl7inXgZgfXTM5efD3qDTJ54O9v3Bkv+tdIRlq1kXcVD0BEMirmFxglNPt5pedb1AnxuCYMChUykwsTIWqT23XDpvTiKEru1cTcEMeniB+HQDehxPXNmkotFdwUPnilB/u4Nx5Xc6l8J9jH1EgKZUUt8t8cyoZleDBEt8oibDmJRAoMKJ5Oe9CSWS5ZMEJvacsGVdXDWjp/Ype5x0p9PXB2PAwt2LRD3d+ftNgpuyvxlP8pB84oB1i73vAVpwyrmXW72hfW6Dzn9Jkj4++0VQ4d0KSx1AsDA4OtXXDo63/w+GD+zC7w5SJaxsmnlYRQ4dgdjA7tTl2KNLnpJ+mvkoDxtt1a4oPaX3EVqj96o9sRKBQqU7ZOiupeAIyLMD+Y3YwHx30XWHB5CQiw7q3mj1EDlP2eBsZbz79ayUMbyHQ7s8gu4Lgip1LiGJj7NQj905/+rgUYKAA5qdrlHKIknWmqfuR+PB8RdBkDg/NgnlT89G72h2NvySnj7UyBwD+mi/IWs1xWbxuVwUIVXun5cMqBtFbrccI+DILjsVQg6eeq0itiRfedn89CvyFtpkxaauEvSANuZmB1p8FGPbU94J9medwsZ9HkUYjmI7OH5HuxendLbxTaYrPuIfE2ffXFKhoNBUp33HsFAXmCV/Vxpq5AYgFoRr5Ay93ZLRlgaIPjhZjXZZChT+aE5iWAXMX0oSFQEtwjiuhQQItTQX5IYrKfKB+queTNplR1Hoflo5/I6aPPmACwQCE2jTOYo5Dz1cs7Sod0KTG/3kEDGk3kUaUCON19xSJCab3kNpWZhSWkO8l+SpW70Wn3g0ciOIJO5JXma6dbos6jyisuxXwUUhj2+1uGhcvuliKtWwsUTw4gi1c/diEEpZHoKoxTBeMDmhPhKTx7TXWRakV8imJR355DcIHkR9IREHxohP4TbyR5LtFU24umRPRmEYHbpe1LghyxPx7YgUHjNbbQFRQhh4KeU1EabXx8FS3JAxp2rwRDoeWkJgWRUSKw6gGP5U2PuO9V4ZuiKXGGzFQuRuf+tkSSsbBtRJKhCi3ENuLlXhPbjTKD4djXVnfXFds6Zb+1XiUrRfyayGxJq1+SYBEfbKlgjiSmk0orgTqzSS+DZ5rTqsJbttiNtp+KMqGE2AHGFw6jQqM5vD6vMptmXV9OAjq49Uf/Lx9Opam+Hn5O9p8qoBBAQixzQZ4eNVkO9sPzJAMyR1y4/RCQQ1s0pV5KAU5sKLw3tkcFbI/JqrjCsK4Mw+W8aod4lioYuawUiCyVWBE/qPaFi5bnkgpfu/ae47174rI1fqQoTbW0HrU6FAejq7ByM0V4zkZTg02/YJK2N7hUQRCeZ4BIgSEqgD8XsjzG6LIsSbuHoIdz/LhFzbNn1clci1NHWJ0/6/O8HJMdIpEZbqi1RrrFfoo/rI/7ufm2MPG5lUI0IYJ4MAiHRTSOFJ2oTverFHYXThkYFIoyFx6rMYFgaOKM4xNWdlOnIcKb/suptptgTOTdVIf4YgdaAjJnIAm4qNNHNQqqAzvi53GkyRCEoseUBrHohZsjUbkR8gfKtc/+Oa72lwxJ8Mq6HDfDATbfbJhzeIuFQJSiw1uZprHlzUf90WgqG76zO0eCB1WdPv1IT6sNxxh91GEL2YpgC97ikFHyoaH92ndwduqZ6IYjkg20DX33MWdoZk7QkcKUCgisIYslOaaLyvIIqRKWQj16jE1DlQWJJaPopWTJjXfixEjRJJo8g4++wuQjbq+WVYjsqCuNIQW3YjnxKe2M5ZKEqq+cX7ZVgnkbsU3RWIyXA1rxv4kGersYJjD//auldXGmcEbcfTeF16Y1708FB1HIfmWv6dSFi6oD4E+RIjCsEZ+kY7dKnwReJJw3xCjKvi3kGN42rvyhUlIz0Bp+fNSV5xwFiuBzG296e5s/oHoFtUyUplmPulIPl+e1CQIQVtjlzLzzzbV+D/OVQtYzo5ixtMi5BmHuG4N/uKfJk5UIREp7+12oZlKtPBomXSzAY0KgtbPzzZoHQxujnREUgBU+O/jKKhgxVhRPtbqyHiUaRwRpHv7pgRPyUrnE7fYkVblGmfTY28tFCvlILC04Tz3ivkNWVazA+OsYrxvRM/hiNn8Fc4bQBeUZABGx5S/xFf9Lbbmk298X7iFg2yeimvsQqqJ+hYbt6uq+Zf9jC+Jcwiccd61NKQtFvGWrgJiHB5lwi6fR8KzYS7EaEHf/ka9EC7H8D+WEa3TEACHBkNSj/cXxFeq4RllC+fUFm2xtstYLL2nos1DfzsC9vqDDdRVcPA3Ho95aEQHvExVThXPqym65llkKlfRXbPTRiDepdylHjmV9YTWAEjlD9DdQnCem7Aj/ml58On366392214B5zrmQz/9ySG2mFqEwjq5sFl5tYJPw5hNz8lyZPUTsr5E0F2C9VMPnZckWP7+mbwp/BiN7f4kf7vtGnZF2JGvjK/sDX1RtcFY5oPQnE4lIAYV49U3C9SP0LCY/9i/WIFK9ORjzM9kG/KGrAuwFmgdEpdLaiqQNpCTGZVuAO65afkY1h33hrqyLjZy92JK3/twdj9pafFcwfXONmPQWldPlMe7jlP24Js0v9m8bIJ9TgS2IuRvE9ZVRaCwSJYOtAfL5H/YS4FfzKWKbek+GFulheyKtDNlBtrdmr+KU+ibHTdalzFUmMfxw3f36x+3cQbJLItSilW9cuvZEMjKw987jykZRlsH/UI+HlKfo2tLwemBEeBFtmxF2xmItA/dAIfQ+rXnm88dqvXa+GapOYVt/2waFimXFx3TC2MUiOi5/Ml+3rj/YU6Ihx2hXgiDXFsUeQkRAD6wF3SCPi2flk7XwKAA4zboqynuELD312EJ88lmDEVOMa1W/K/a8tGylZRMrMoILyoMQzzbDJHNZrhH77L9qSC42HVmKiZ5S0016UTp83gOhCwz9XItK9fgXfK3F5d7nZCBUekoLxrutQaPHa16Rjsa0gTrzyjqTnmcIcrxg6X6dkKiucudc0DD5W4pJPf0vuDW8r5/uw24YfMuxFRpD2ovT2mFX79xH6Jf+MVdv2TYqR6/955QgVPe3JCD/WjAYcLA9tpXgFiEjge2J5ljeI/iUzg91KQuHkII4mmHZxC3XQORLAC6G7uFn5LOmlnXkjFdoO976moNTxElS8HdxWoPAkjjocDR136m2l+f5t6xaaNgdodOvTu0rievnhNAB79WNrVs6EsPgkgfahF9gSFzzAd+rJSraw5Mllit7vUP5YxA843lUpu6/5jAR0RvH4rRXkSg3nE+O5GFyfe+L0s5r3k05FyghSFnKo4TTgs07qj4nTLqOYj6qaW9knJTDkF5OFMYbmCP+8H16Ty482OjvERV6OFyw043L9w3hoJi408sR+SGo1WviXUu8d7qS+ehKjpKwxeCthsm2LBFSFeetx0x4AaKPxtp3CxdWqCsLrB1s/j5TAhc1jNZsXWl6tjo/WDoewxzg8T8NnhZ1niUwL/nhfygLanCnRwaFGDyLw+sfZhyZ1UtYTp8TYB6dE7R3VsKKH95CUxJ8u8N+9u2/9HUNKHW3x3w5GQrfOPafk2w5qZq8MaHT0ebeY3wIsp3rN9lrpIsW9c1ws3VNV+JwNz0Lo9+V7zZr6GD56We6gWVIvtmam5GPPkVAbr74r6SwhuL+TRXtW/0pgyX16VNl4/EAD50TnUPuwrW6OcUO2VlWXS0inq872kk7GUlW6o/ozFKq+Sip6LcTtSDfDrPTcCHhx75H8BeRon+KG2wRwzfDgWhALmiWOMO6h3pm1UCZEPEjScyk7tdLx6WrdA2N1QTPENvNnhCQjW6kl057/qv7IwRryHrZBCwVSbLLnFRiHdTwk8mlYixFt1slEcPD7FVht13HyqVeyD55HOXrh2ElAxJyinGeoFzwKA91zfrdLvDxJSjzmImfvTisreI25EDcVfGsmxLVbfU8PGe/7NmWWKjXcdTJ11jAlVIY/Bv/mcxg/Q10vCHwKG1GW/XbJq5nxDhyLqiorn7Wd7VEVL8UgVzpHMjQ+Z8DUgSukiVwWAKkeTlVVeZ7t1DGnCgJVIdBPZAEK5f8CDyDNo7tK4/5DBjdD5MPV86TaEhGsLVFPQSI68KlBYy84FievdU9gWh6XZrugvtCZmi9vfd6db6V7FmoEcRHnG36VZH8N4aZaldq9zZawt1uBFgxYYx+Gs/qW1jwANeFy+LCoymyM6zgG7j8bGzUyLhvrbJkTYAEdICEb4kMKusKT9V3eIwMLsjdUdgijMc+7iKrr+TxrVWG0U+W95SGrxnxGrE4eaJFfgvAjUM4SAy8UaRwE9j6ZQH5qYAWGtXByvDiLSDfOD0yFA3UCMKSyQ30fyy1mIRg4ZcgZHLNHWl+c9SeijOvbOJxoQy7lTN2r3Y8p6ovxvUY74aOYbuVezryqXA6U+fcp6wSV9X5/OZKP18tB56Ua0gMyxJI7XyNT7IrqN8GsB9rL/kP5KMrjXxgqKLDa+V5OCH6a5hmOWemMUsea9vQl9t5Oce76PrTyTv50ExOqngE3PHPfSL//AItPdB7kGnyTRhVUUFNdJJ2z7RtktZwgmQzhBG/G7QsjZmJfCE7k75EmdIKH7xlnmDrNM/XbTT6FzldcH/rcRGxlPrv4qDScqE7JSmQABJWqRT/TUcJSwoQM+1jvDigvrjjH8oeK2in1S+/yO1j8xAws/T5u0VnIvAPqaE1atNuN0cuRliLcH2j0nTL4JpcR7w9Qya0JoaHgsOiALLCCzRkl1UUESz+ze/gIXHGtDwgYrK6pCFKJ1webSDog4zTlPkgXZqxlQDiYMjhDpwTtBW2WxthWbov9dt2X9XFLFmcF+eEc1UaQ74gqZiZsdj63pH1qcv3Vy8JYciogIVKsJ8Yy3J9w/GhjWVSQAmrS0BPOWK+RKV+0lWqXgYMnIFwpcZVD7zPSp547i9HlflB8gVnSTGmmq1ClO081OW/UH11pEQMfkEdDFzjLC1Cdo/BdL3s7cXb8J++Hzz1rhOUVZFIPehRiZ8VYu6+7Er7j5PSZu9g/GBdmNzJmyCD9wiswj9BZw+T3iBrg81re36ihMLjoVLoWc+62a1U/7qVX5CpvTVF7rocSAKwv4cBVqZm7lLDS/qoXs4fMs/VQi6BtVbNA3uSzKpQfjH1o3x4LrvkOn40zhm6hjduDglzJUwA0POabgdXIndp9fzhOo23Pe+Rk9GSLX0d71Poqry8NQDTzNlsa+JTNG9+UrEf+ngxCjGEsDCc0bz+udVRyHQI1jmEO3S+IOQycEq7XwB6z3wfMfa73m8PVRp+iOgtZfeSBl01xn03vMaQJkyj7vnhGCklsCWVRUl4y+5oNUzQ63B2dbjDF3vikd/3RUMifPYnX5Glfuk2FsV/7RqjI9yKTbE8wJY+74p7qXO8+dIYgjtLD/N8TJtRh04N9tXJA4H59IkMmLElgvr0Q5OCeVfdAt+5hkh4pQgfRMHpL74XatLQpPiOyHRs/OdmHtBf8nOZcxVKzdGclIN16lE7kJ+pVMjspOI+5+TqLRO6m0ZpNXJoZRv9MPDRcAfJUtNZHyig/s2wwReakFgPPJwCQmu1I30/tcBbji+Na53i1W1N+BqoY7Zxo+U/M9XyJ4Ok2SSkBtoOrwuhAY3a03Eu6l8wFdIG1cN+e8hopTkiKF093KuH/BcB39rMiGDLn6XVhGKEaaT/vqb/lufuAdpGExevF1+J9itkFhCfymWr9vGb3BTK4j598zRH7+e+MU9maruZqb0pkGxRDRE1CD4Z8LV4vhgPidk5w2Bq816g3nHw1//j3JStz7NR9HIWELO8TMn3QrP/zZp//+Dv9p429/ogv+GATR+n/UdF+ns9xNkXZQJXY4t9jMkJNUFygAtzndXwjss+yWH9HAnLQQfhAskdZS2l01HLWv7L7us5uTH409pqitvfSOQg/c+Zt7k879P3K9+WV68n7+3cZfuRd/dDPP/03rn+d+/nBvWfgDlt8+LzjqJ/vx3CnNOwiXhho778C96iD+1TBvRZYeP+EH81LE0vVwOOrmCLB3iKzI1x+vJEsrPH4uF0UB4TJ4X3uDfOCo3PYpYe0MF4bouh0DQ/l43fxUF7Y+dpWuvTSffB0yO2UQUETI/LwCZE3BvnevJ7c9zUlY3H58xzke6DNFDQG8n0WtDN4LAYN4nogKav1ezOfK/z+t6tsCTp+dhx4ymjWuCJk1dEUifDP+HyS4iP/Vg9B2jTo9L4NbiBuDS4nuuHW6H+JDQn2JtqRKGkEQPEYE7uzazXIkcxIAqUq1esasZBETlEZY7y7Jo+RoV/IsjY9eIMkUvr42Hc0xqtsavZvhz1OLwSxMOTuqzlhb0WbdOwBH9EYiyBjatz40bUxTHbiWxqJ0uma19qhPruvcWJlbiSSH48OLDDpaHPszvyct41ZfTu10+vjox6kOqK6v0K/gEPphEvMl/vwSv+A4Hhm36JSP9IXTyCZDm4kKsqD5ay8b1Sad/vaiyO5N/sDfEV6Z4q95E+yfjxpqBoBETW2C7xl4pIO2bDODDFurUPwE7EWC2Uplq+AHmBHvir2PSgkR12/Ry65O0aZtQPeXi9mTlF/Wj5GQ+vFkYyhXsLTjrBSP9hwk4GPqDP5rBn5/l8b0mLRAvRSzXHc293bs3s8EsdE3m2exxidWVB4joHR+S+dz5/W+v00K3TqN14CDBth8eWcsTbiwXPsygHdGid0PEdy6HHm2v/IUuV5RVapYmzGsX90mpnIdNGcOOq64Dbc5GUbYpD9M7S+6cLY//QmjxFLP5cuTFRm3vA5rkFZroFnO3bjHF35uU3s8mvL7Tp9nyTc4mymTJ5sLIp7umSnGkO23faehtz3mmTS7fbVx5rP7x3HXIjRNeq/A3xCs9JNB08c9S9BF2O3bOur0ItslFxXgRPdaapBIi4dRpKGxVz7ir69t/bc9qTxjvtOyGOfiLGDhR4fYywHv1WdOplxIV87TpLBy3Wc0QP0P9s4G7FBNOdITS/tep3o3h1TEa5XDDii7fWtqRzUEReP2fbxz7bHWWJdbIOxOUJZtItNZpTFRfj6vm9sYjRxQVO+WTdiOhdPeTJ+8YirPvoeL88l5iLYOHd3b/Imkq+1ZN1El3UikhftuteEYxf1Wujof8Pr4ICTu5ezZyZ4tHQMxlzUHLYO2VMOoNMGL/20S5i2o2obfk+8qqdR7xzbRDbgU0lnuIgz4LelQ5XS7xbLuSQtNS95v3ZUOdaUx/Qd8qxCt6xf2E62yb/HukLO6RyorV8KgYl5YNc75y+KvefrxY+lc/64y9kvWP0a0bDz/rojq+RWjO06WeruWqNFU7r3HPIcLWRql8ICZsz2Ls/qOm/CLn6++X+Qf7mGspYCrZod/lpl6Rw4xN/yuq8gqV4B6aHk1hVE1SfILxWu5gvXqbfARYQpspcxKp1F/c8XOPzkZvmoSw+vEqBLdrq1fr3wAPv5NnM9i8F+jdAuxkP5Z71c6uhK3enlnGymr7UsWZKC12qgUiG8XXGQ9mxnqz4GSIlybF9eXmbqj2sHX+a1jf0gRoONHRdRSrIq03Ty89eQ1GbV/Bk+du4+V15zls+vvERvZ4E7ZbnxWTVjDjb4o/k8jlw44pTIrUGxxuJvBeO+heuhOjpFsO6lVJ/aXnJDa/bM0Ql1cLbXE/Pbv3EZ3vj3iVrB5irjupZTzlnv677NrI9UNYNqbPgp/HZXS+lJmk87wec+7YOxTDo2aw2l3NfDr34VNlvqWJBknuK7oSlZ6/T10zuOoPZOeoIk81N+sL843WJ2Q4Z0fZ3scsqC/JV2fuhWi1jGURSKZV637lf53Xnnx16/vKEXY89aVJ0fv91jGdfG+G4+sniwHes4hS+udOr4RfhFhG/F5gUG35QaU+McuLmclb5ZWmR+sG5V6nf+PxYzlrnFGxpZaK8eqqVo0NfmAWoGfXDiT/FnUbWvzGDOTr8aktOZWg4BYvz5YH12ZbfCcGtNk+dDAZNGWvHov+PIOnY9Prjg8h/wLRrT69suaMVZ5bNuK00lSVpnqSX1NON/81FoP92rYndionwgOiA8WMf4vc8l15KqEEG4yAm2+WAN5Brfu1sq9suWYqgoajgOYt/JCk1gC8wPkK+XKCtRX6TAtgvrnuBgNRmn6I8lVDipOVB9kX6Oxkp4ZKyd1M6Gj8/v2U7k+YQBL95Kb9PQENucJb0JlW3b5tObN7m/Z1j1ev388d7o15zgXsI9CikAGAViR6lkJv7nb4Ak40M2G8TJ447kN+pvfHiOFjSUSP6PM+QfbAywKJCBaxSVxpizHseZUyUBhq59vFwrkyGoRiHbo0apweEZeSLuNiQ+HAekOnarFg00dZNXaPeoHPTRR0FmEyqYExOVaaaO8c0uFUh7U4e/UxdBmthlBDgg257Q33j1hA7HTxSeTTSuVnPZbgW1nodwmG16aKBDKxEetv7D9OjO0JhrbJTnoe+kcGoDJazFSO8/fUN9Jy/g4XK5PUkw2dgPDGpJqBfhe7GA+cjzfE/EGsMM+FV9nj9IAhrSfT/J3QE5TEIYyk5UjsI6ZZcCPr6A8FZUF4g9nnpVmjX90MLSQysIPD0nFzqwCcSJmIb5mYv2Cmk+C1MDFkZQyCBq4c/Yai9LJ6xYkGS/x2s5/frIW2vmG2Wrv0APpCdgCA9snFvfpe8uc0OwdRs4G9973PGEBnQB5qKrCQ6m6X/H7NInZ7y/1674/ZXOVp7OeuCRk8JFS516VHrnH1HkIUIlTIljjHaQtEtkJtosYul77cVwjk3gW1Ajaa6zWeyHGLlpk3VHE2VFzT2yI/EvlGUSz2H9zYE1s4nsKMtMqNyKNtL/59CpFJki5Fou6VXGm8vWATEPwrUVOLvoA8jLuwOzVBCgHB2Cr5V6OwEWtJEKokJkfc87h+sNHTvMb0KVTp5284QTPupoWvQVUwUeogZR3kBMESYo0mfukewRVPKh5+rzLQb7HKjFFIgWhj1w3yN/qCNoPI8XFiUgBNT1hCHBsAz8L7Oyt8wQWUFj92ONn/APyJFg8hzueqoJdNj57ROrFbffuS/XxrSXLTRgj5uxZjpgQYceeMc2wJrahReSKpm3QjHfqExTLAB2ipVumE8pqcZv8LYXQiPHHsgb5BMW8zM5pvQit+mQx8XGaVDcfVbLyMTlY8xcfmm/RSAT/H09UQol5gIz7rESDmnrQ4bURIB4iRXMDQwxgex1GgtDxKp2HayIkR+E/aDmCttNm2C6lytWdfOVzD6X2SpDWjQDlMRvAp1symWv4my1bPCD+E1EmGnMGWhNwmycJnDV2WrQNxO45ukEb08AAffizYKVULp15I4vbNK5DzWwCSUADfmKhfGSUqii1L2UsE8rB7mLuHuUJZOx4+WiizHBJ/hwboaBzhpNOVvgFTf5cJsHef7L1HCI9dOUUbb+YxUJWn6dYOLz+THi91kzY5dtO5c+grX7v0jEbsuoOGnoIreDIg/sFMyG+TyCLIcAWd1IZ1UNFxE8Uie13ucm40U2fcxC0u3WLvLOxwu+F7MWUsHsdtFQZ7W+nlfCASiAKyh8rnP3EyDByvtJb6Kax6/HkLzT9SyEyTMVM1zPtM0MJY14DmsWh4MgD15Ea9Hd00AdkTZ0EiG5NAGuIBzQJJ0JR0na+OB7lQA6UKxMfihIQ7GCCnVz694QvykWXTxpS2soDu+smru1UdIxSvAszBFD1c8c6ZOobA8bJiJIvuycgIXBQIXWwhyTgZDQxJTRXgEwRNAawGSXO0a1DKjdihLVNp/taE/xYhsgwe+VpKEEB4LlraQyE84gEihxCnbfoyOuJIEXy2FIYw+JjRusybKlU2g/vhTSGTydvCvXhYBdtAXtS2v7LkHtmXh/8fly1do8FI/D0f8UbzVb5h+KRhMGSAmR2mhi0YG/uj7wgxcfzCrMvdjitUIpXDX8ae2JcF/36qUWIMwN6JsjaRGNj+jEteGDcFyTUb8X/NHSucKMJp7pduxtD6KuxVlyxxwaeiC1FbGBESO84lbyrAugYxdl+2N8/6AgWpo/IeoAOcsG35IA/b3AuSyoa55L7llBLlaWlEWvuCFd8f8NfcTUgzJv6CbB+6ohWwodlk9nGWFpBAOaz5uEW5xBvmjnHFeDsb0mXwayj3mdYq5gxxNf3H3/tnCgHwjSrpSgVxLmiTtuszdRUFIsn6LiMPjL808vL1uQhDbM7aA43mISXReqjSskynIRcHCJ9qeFopJfx9tqyUoGbSwJex/0aDE3plBPGtNBYgWbdLom3+Q/bjdizR2/AS/c/dH/d3G7pyl1qDXgtOFtEqidwLqxPYtrNEveasWq3vPUUtqTeu8gpov4bdOQRI2kneFvRNMrShyVeEupK1PoLDPMSfWMIJcs267mGB8X9CehQCF0gIyhpP10mbyM7lwW1e6TGvHBV1sg/UyTghHPGRqMyaebC6pbB1WKNCQtlai1GGvmq9zUKaUzLaXsXEBYtHxmFbEZ2kJhR164LhWW2Tlp1dhsGE7ZgIWRBOx3Zcu2DxgH+G83WTPceKG0TgQKKiiNNOlWgvqNEbnrk6fVD+AqRam2OguZb0YWSTX88N+i/ELSxbaUUpPx4vJUzYg/WonSeA8xUK6u7DPHgpqWpEe6D4cXg5uK9FIYVba47V/nb+wyOtk+zG8RrS4EA0ouwa04iByRLSvoJA2FzaobbZtXnq8GdbfqEp5I2dpfpj59TCVif6+E75p665faiX8gS213RqBxTZqfHP46nF6NSenOneuT+vgbLUbdTH2/t0REFXZJOEB6DHvx6N6g9956CYrY/AYcm9gELJXYkrSi+0F0geKDZgOCIYkLU/+GOW5aGj8mvLFgtFH5+XC8hvAE3CvHRfl4ofM/Qwk4x2A+R+nyc9gNu/9Tem7XW4XRnyRymf52z09cTOdr+PG6+P/Vb4QiXlwauc5WB1z3o+IJjlbxI8MyWtSzT+k4sKVbhF3xa+vDts3NxXa87iiu+xRH9cAprnOL2h6vV54iQRXuOAj1s8nLFK8gZ70ThIQcWdF19/2xaJmT0efrkNDkWbpAQPdo92Z8+Hn/aLjbOzB9AI/k12fPs9HhUNDJ1u6ax2VxD3R6PywN7BrLJ26z6s3QoMp76qzzwetrDABKSGkfW5PwS1GvYNUbK6uRqxfyVGNyFB0E+OugMM8kKwmJmupuRWO8XkXXXQECyRVw9UyIrtCtcc4oNqXqr7AURBmKn6Khz3eBN96LwIJrAGP9mr/59uTOSx631suyT+QujDd4beUFpZ0kJEEnjlP+X/Kr2kCKhnENTg4BsMTOmMqlj2WMFLRUlVG0fzdCBgUta9odrJfpVdFomTi6ak0tFjXTcdqqvWBAzjY6hVrH9sbt3Z9gn+AVDpTcQImefbB4edirjzrsNievve4ZT4EUZWV3TxEsIW+9MT/RJoKfZZYSRGfC1CwPG/9rdMOM8qR/LUYvw5f/emUSoD7YSFuOoqchdUg2UePd1eCtFSKgxLSZ764oy4lvRCIH6bowPxZWwxNFctksLeil47pfevcBipkkBIc4ngZG+kxGZ71a72KQ7VaZ6MZOZkQJZXM6kb/Ac0/XkJx8dvyfJcWbI3zONEaEPIW8GbkYjsZcwy+eMoKrYjDmvEEixHzkCSCRPRzhOfJZuLdcbx19EL23MA8rnjTZZ787FGMnkqnpuzB5/90w1gtUSRaWcb0eta8198VEeZMUSfIhyuc4/nywFQ9uqn7jdqXh+5wwv+RK9XouNPbYdoEelNGo34KyySwigsrfCe0v/PlWPvQvQg8R0KgHO18mTVThhQrlbEQ0Kp/JxPdjHyR7E1QPw/ut0r+HDDG7BwZFm9IqEUZRpv2WpzlMkOemeLcAt5CsrzskLGaVOAxyySzZV/D2EY7ydNZMf8e8VhHcKGHAWNszf1EOq8fNstijMY4JXyATwTdncFFqcNDfDo+mWFvxJJpc4sEZtjXyBdoFcxbUmniCoKq5jydUHNjYJxMqN1KzYV62MugcELVhS3Bnd+TLLOh7dws/zSXWzxEb4Nj4aFun5x4kDWLK5TUF/yCXB/cZYvI9kPgVsG2jShtXkxfgT+xzjJofXqPEnIXIQ1lnIdmVzBOM90EXvJUW6a0nZ/7XjJGl8ToO3H/fdxnxmTNKBZxnkpXLVgLXCZywGT3YyS75w/PAH5I/jMuRspej8xZObU9kREbRA+kqjmKRFaKGWAmFQspC+QLbKPf0RaK3OXvBSWqo46p70ws/eZpu6jCtZUgQy6r4tHMPUdAgWGGUYNbuv/1a6K+MVFsd3T183+T8capSo6m0+Sh57fEeG/95dykGJBQMj09DSW2bY0mUonDy9a8trLnnL5B5LW3Nl8rJZNysO8Zb+80zXxqUGFpud3Qzwb7bf+8mq6x0TAnJU9pDQR9YQmZhlna2xuxJt0aCO/f1SU8gblOrbIyMsxTlVUW69VJPzYU2HlRXcqE2lLLxnObZuz2tT9CivfTAUYfmzJlt/lOPgsR6VN64/xQd4Jlk/RV7UKVv2Gx/AWsmTAuCWKhdwC+4HmKEKYZh2Xis4KsUR1BeObs1c13wqFRnocdmuheaTV30gvVXZcouzHKK5zwrN52jXJEuX6dGx3BCpV/++4f3hyaW/cQJLFKqasjsMuO3B3WlMq2gyYfdK1e7L2pO/tRye2mwzwZPfdUMrl5wdLqdd2Kv/wVtnpyWYhd49L6rsOV+8HXPrWH2Kup89l2tz6bf80iYSd+V4LROSOHeamvexR524q4r43rTmtFzQvArpvWfLYFZrbFspBsXNUqqenjxNNsFXatZvlIhk7teUPfK+YL32F8McTnjv0BZNppb+vshoCrtLXjIWq3EJXpVXIlG6ZNL0dh6qEm2WMwDjD3LfOfkGh1/czYc/0qhiD2ozNnH4882MVVt3JbVFkbwowNCO3KL5IoYW5wlVeGCViOuv1svZx7FbzxKzA4zGqBlRRaRWCobXaVq4yYCWbZf8eiJwt3OY+MFiSJengcFP2t0JMfzOiJ7cECvpx7neg1Rc5x+7myPJOXt2FohVRyXtD+/rDoTOyGYInJelZMjolecVHUhUNqvdZWg2J2t0jPmiLFeRD/8fOT4o+NGILb+TufCo9ceBBm3JLVn+MO2675n7qiEX/6W+188cYg3Zn5NSTjgOKfWFSAANa6raCxSoVU851oJLY11WIoYK0du0ec5E4tCnAPoKh71riTsjVIp3gKvBbEYQiNYrmH22oLQWA2AdwMnID6PX9b58dR2QKo4qag1D1Z+L/FwEKTR7osOZPWECPJIHQqPUsM5i/CH5YupVPfFA5pHUBcsesh8eO5YhyWnaVRPZn/BmdXVumZWPxMP5e28zm2uqHgFoT9CymHYNNrzrrjlXZM06HnzDxYNlI5b/QosxLmmrqDFqmogQdqk0WLkUceoAvQxHgkIyvWU69BPFr24VB6+lx75Rna6dGtrmOxDnvBojvi1/4dHjVeg8owofPe1cOnxU1ioh016s/Vudv9mhV9f35At+Sh28h1bpp8xhr09+vf47Elx3Ms6hyp6QvB3t0vnLbOhwo660cp7K0vvepabK7YJfxEWWfrC2YzJfYOjygPwfwd/1amTqa0hZ5ueebhWYVMubRTwIjj+0Oq0ohU3zfRfuL8gt59XsHdwKtxTQQ4Y2qz6gisxnm2UdlmpEkgOsZz7iEk6QOt8BuPwr+NR01LTqXmJo1C76o1N274twJvl+I069TiLpenK/miRxhyY8jvYV6W1WuSwhH9q7kuwnJMtm7IWcqs7HsnyHSqWXLSpYtZGaR1V3t0gauninFPZGtWskF65rtti48UV9uV9KM8kfDYs0pgB00S+TlzTXV6P8mxq15b9En8sz3jWSszcifZa/NuufPNnNTb031pptt0+sRSH/7UG8pzbsgtt3OG3ut7B9JzDMt2mTZuyRNIV8D54TuTrpNcHtgmMlYJeiY9XS83NYJicjRjtJSf9BZLsQv629QdDsKQhTK5CnXhpk7vMNkHzPhm0ExW/VCGApHfPyBagtZQTQmPHx7g5IXXsrQDPzIVhv2LB6Ih138iSDww1JNHrDvzUxvp73MsQBVhW8EbrReaVUcLB1R3PUXyaYG4HpJUcLVxMgDxcPkVRQpL7VTAGabDzbKcvg12t5P8TSGQkrj/gOrpnbiDHwluA73xbXts/L7u468cRWSWRtgTwlQnA47EKg0OiZDgFxAKQQUcsbGomITgeXUAAyKe03eA7Mp4gnyKQmm0LXJtEk6ddksMJCuxDmmHzmVhO+XaN2A54MIh3niw5CF7PwiXFZrnA8wOdeHLvvhdoqIDG9PDI7UnWWHq526T8y6ixJPhkuVKZnoUruOpUgOOp3iIKBjk+yi1vHo5cItHXb1PIKzGaZlRS0g5d3MV2pD8FQdGYLZ73aae/eEIUePMc4NFz8pIUfLCrrF4jVWH5gQneN3S8vANBmUXrEcKGn6hIUN95y1vpsvLwbGpzV9L0ZKTan6TDXM05236uLJcIEMKVAxKNT0K8WljuwNny3BNQRfzovA85beI9zr1AGNYnYCVkR1aGngWURUrgqR+gRrQhxW81l3CHevjvGEPzPMTxdsIfB9dfGRbZU0cg/1mcubtECX4tvaedmNAvTxCJtc2QaoUalGfENCGK7IS/O8CRpdOVca8EWCRwv2sSWE8CJPW5PCugjCXPd3h6U60cPD+bdhtXZuYB6stcoveE7Sm5MM2yvfUHXFSW7KzLmi7/EeEWL0wqcOH9MOSKjhCHHmw+JGLcYE/7SBZQCRggox0ZZTAxrlzNNXYXL5fNIjkdT4YMqVUz6p8YDt049v4OXGdg3qTrtLBUXOZf7ahPlZAY/O+7Sp0bvGSHdyQ8B1LOsplqMb9Se8VAE7gIdSZvxbRSrfl+Lk5Qaqi5QJceqjitdErcHXg/3MryljPSIAMaaloFm1cVwBJ8DNmkDqoGROSHFetrgjQ5CahuKkdH5pRPigMrgTtlFI8ufJPJSUlGgTjbBSvpRc0zypiUn6U5KZqcRoyrtzhmJ7/caeZkmVRwJQeLOG8LY6vP5ChpKhc8Js0El+n6FXqbx9ItdtLtYP92kKfaTLtCi8StLZdENJa9Ex1nOoz1kQ7qxoiZFKRyLf4O4CHRT0T/0W9F8epNKVoeyxUXhy3sQMMsJjQJEyMOjmOhMFgOmmlscV4eFi1CldU92yjwleirEKPW3bPAuEhRZV7JsKV3Lr5cETAiFuX5Nw5UlF7d2HZ96Bh0sgFIL5KGaKSoVYVlvdKpZJVP5+NZ7xDEkQhmDgsDKciazJCXJ6ZN2B3FY2f6VZyGl/t4aunGIAk/BHaS+i+SpdRfnB/OktOvyjinWNfM9Ksr6WwtCa1hCmeRI6icpFM4o8quCLsikU0tMoZI/9EqXRMpKGaWzofl4nQuVQm17d5fU5qXCQeCDqVaL9XJ9qJ08n3G3EFZS28SHEb3cdRBdtO0YcTzil3QknNKEe/smQ1fTb0XbpyNB5xAeuIlf+5KWlEY0DqJbsnzJlQxJPOVyHiKMx5Xu9FcEv1Fbg6Fhm4t+Jyy5JC1W3YO8dYLsO0PXPbxodBgttTbH3rt9Cp1lJIk2r3O1Zqu94eRbnIz2f50lWolYzuKsj4PMok4abHLO8NAC884hiXx5Fy5pWKO0bWL7uEGXaJCtznhP67SlQ4xjWIfgq6EpZ28QMtuZK7JC0RGbl9nA4XtFLug/NLMoH1pGt9IonAJqcEDLyH6TDROcbsmGPaGIxMo41IUAnQVPMPGByp4mOmh9ZQMkBAcksUK55LsZj7E5z5XuZoyWCKu6nHmDq22xI/9Z8YdxJy4kWpD16jLVrpwGLWfyOD0Wd+cBzFBxVaGv7S5k9qwh/5t/LQEXsRqI3Q9Rm3QIoaZW9GlsDaKOUyykyWuhNOprSEi0s1G4rgoiX1V743EELti+pJu5og6X0g6oTynUqlhH9k6ezyRi05NGZHz0nvp3HOJr7ebrAUFrDjbkFBObEvdQWkkUbL0pEvMU46X58vF9j9F3j6kpyetNUBItrEubW9ZvMPM4qNqLlsSBJqOH3XbNwv/cXDXNxN8iFLzUhteisYY+RlHYOuP29/Cb+L+xv+35Rv7xudnZ6ohK4cMPfCG8KI7dNmjNk/H4e84pOxn/sZHK9psfvj8ncA8qJz7O8xqbxESDivGJOZzF7o5PJLQ7g34qAWoyuA+x3btU98LT6ZyGyceIXjrqob2CAVql4VOTQPUQYvHV/g4zAuCZGvYQBtf0wmd5lilrvuEn1BXLny01B4h4SMDlYsnNpm9d7m9h578ufpef9Z4WplqWQvqo52fyUA7J24eZD5av6SyGIV9kpmHNqyvdfzcpEMw97BvknV2fq+MFHun9BT3Lsf8pbzvisWiIQvYkng+8Vxk1V+dli1u56kY50LRjaPdotvT5BwqtwyF+emo/z9J3yVUVGfKrxQtJMOAQWoQii/4dp9wgybSa5mkucmRLtEQZ/pz0tL/NVcgWAd95nEQ3Tg6tNbuyn3Iepz65L3huMUUBntllWuu4DbtOFSMSbpILV4fy6wlM0SOvi6CpLh81c1LreIvKd61uEWBcDw1lUBUW1I0Z+m/PaRlX+PQ/oxg0Ye6KUiIiTF4ADNk59Ydpt5/rkxmq9tV5Kcp/eQLUVVmBzQNVuytQCP6Ezd0G8eLxWyHpmZWJ3bAzkWTtg4lZlw42SQezEmiUPaJUuR/qklVA/87S4ArFCpALdY3QRdUw3G3XbWUp6aq9z0zUizcPa7351p9JXOZyfdZBFnqt90VzQndXB/mwf8LC9STj5kenVpNuqOQQP3mIRJj7eV21FxG8VAxKrEn3c+XfmZ800EPb9/5lIlijscUbB6da0RQaMook0zug1G0tKi/JBC4rw7/D3m4ARzAkzMcVrDcT2SyFtUdWAsFlsPDFqV3N+EjyXaoEePwroaZCiLqEzb8MW+PNE9TmTC01EzWli51PzZvUqkmyuROU+V6ik+Le/9qT6nwzUzf9tP68tYei0YaDGx6kAd7jn1cKqOCuYbiELH9zYqcc4MnRJjkeGiqaGwLImhyeKs+xKJMBlOJ05ow9gGCKZ1VpnMKoSCTbMS+X+23y042zOb5MtcY/6oBeAo1Vy89OTyhpavFP78jXCcFH0t7Gx24hMEOm2gsEfGabVpQgvFqbQKMsknFRRmuPHcZu0Su/WMFphZvB2r/EGbG72rpGGho3h+Msz0uGzJ7hNK2uqQiE1qmn0zgacKYYZBCqsxV+sjbpoVdSilW/b94n2xNb648VmNIoizqEWhBnsen+d0kbCPmRItfWqSBeOd9Wne3c6bcd6uvXOJ6WdiSsuXq0ndhqrQ4QoWUjCjYtZ0EAhnSOP1m44xkf0O7jXghrzSJWxP4a/t72jU29Vu2rvu4n7HfHkkmQOMGSS+NPeLGO5I73mC2B7+lMiBQQZRM9/9liLIfowupUFAbPBbR+lxDM6M8Ptgh1paJq5Rvs7yEuLQv/7d1oU2woFSb3FMPWQOKMuCuJ7pDDjpIclus5TeEoMBy2YdVB4fxmesaCeMNsEgTHKS5WDSGyNUOoEpcC2OFWtIRf0w27ck34/DjxRTVIcc9+kqZE6iMSiVDsiKdP/Xz5XfEhm/sBhO50p1rvJDlkyyxuJ9SPgs7YeUJBjXdeAkE+P9OQJm6SZnn1svcduI78dYmbkE2mtziPrcjVisXG78spLvbZaSFx/Rks9zP4LKn0Cdz/3JsetkT06A8f/yCgMO6Mb1Hme0JJ7b2wZz1qleqTuKBGokhPVUZ0dVu+tnQYNEY1fmkZSz6+EGZ5EzL7657mreZGR3jUfaEk458PDniBzsSmBKhDRzfXameryJv9/D5m6HIqZ0R+ouCE54Dzp4IJuuD1e4Dc5i+PpSORJfG23uVgqixAMDvchMR0nZdH5brclYwRoJRWv/rlxGRI5ffD5NPGmIDt7vDE1434pYdVZIFh89Bs94HGGJbTwrN8T6lh1HZFTOB4lWzWj6EVqxSMvC0/ljWBQ3F2kc/mO2b6tWonT2JEqEwFts8rz2h+oWNds9ceR2cb7zZvJTDppHaEhK5avWqsseWa2Dt5BBhabdWSktS80oMQrL4TvAM9b5HMmyDnO+OkkbMXfUJG7eXqTIG6lqSOEbqVR+qYdP7uWb57WEJqzyh411GAVsDinPs7KvUeXItlcMdOUWzXBH6zscymV1LLVCtc8IePojzXHF9m5b5zGwBRdzcyUJkiu938ApmAayRdJrX1PmVguWUvt2ThQ62czItTyWJMW2An/hdDfMK7SiFQlGIdAbltHz3ycoh7j9V7GxNWBpbtcSdqm4XxRwTawc3cbZ+xfSv9qQfEkDKfZTwCkqWGI/ur250ItXlMlh6vUNWEYIg9A3GzbgmbqvTN8js2YMo87CU5y6nZ4dbJLDQJj9fc7yM7tZzJDZFtqOcU8+mZjYlq4VmifI23iHb1ZoT9E+kT2dolnP1AfiOkt7PQCSykBiXy5mv637IegWSKj9IKrYZf4Lu9+I7ub+mkRdlvYzehh/jaJ9n7HUH5b2IbgeNdkY7wx1yVzxS7pbvky6+nmVUtRllEFfweUQ0/nG017WoUYSxs+j2B4FV/F62EtHlMWZXYrjGHpthnNb1x66LKZ0Qe92INWHdfR/vqp02wMS8r1G4dJqHok8KmQ7947G13a4YXbsGgHcBvRuVu1eAi4/A5+ZixmdSXM73LupB/LH7O9yxLTVXJTyBbI1S49TIROrfVCOb/czZ9pM4JsZx8kUz8dQGv7gUWKxXvTH7QM/3J2OuXXgciUhqY+cgtaOliQQVOYthBLV3xpESZT3rmfEYNZxmpBbb24CRao86prn+i9TNOh8VxRJGXJfXHATJHs1T5txgc/opYrY8XjlGQQbRcoxIBcnVsMjmU1ymmIUL4dviJXndMAJ0Yet+c7O52/p98ytlmAsGBaTAmMhimAnvp1TWNGM9BpuitGj+t810CU2UhorrjPKGtThVC8WaXw04WFnT5fTjqmPyrQ0tN3CkLsctVy2xr0ZWgiWVZ1OrlFjjxJYsOiZv2cAoOvE+7sY0I/TwWcZqMoyIKNOftwP7w++Rfg67ljfovKYa50if3fzE/8aPYVey/Nq35+nH2sLPh/fP5TsylSKGOZ4k69d2PnH43+kq++sRXHQqGArWdwhx+hpwQC6JgT2uxehYU4Zbw7oNb6/HLikPyJROGK2ouyr+vzseESp9G50T4AyFrSqOQ0rroCYP4sMDFBrHn342EyZTMlSyk47rHSq89Y9/nI3zG5lX16Z5lxphguLOcZUndL8wNcrkyjH82jqg8Bo8OYkynrxZvbFno5lUS3OPr8Ko3mX9NoRPdYOKKjD07bvgFgpZ/RF+YzkWvJ/Hs/tUbfeGzGWLxNAjfDzHHMVSDwB5SabQLsIZHiBp43FjGkaienYoDd18hu2BGwOK7U3o70K/WY/kuuKdmdrykIBUdG2mvE91L1JtTbh20mOLbk1vCAamu7utlXeGU2ooVikbU/actcgmsC1FKk2qmj3GWeIWbj4tGIxE7BLcBWUvvcnd/lYxsMV4F917fWeFB/XbINN3qGvIyTpCalz1lVewdIGqeAS/gB8Mi+sA+BqDiX3VGD2eUunTRbSY+AuDy4E3Qx3hAhwnSXX+B0zuj3eQ1miS8Vux2z/l6/BkWtjKGU72aJkOCWhGcSf3+kFkkB15vGOsQrSdFr6qTj0gBYiOlnBO41170gOWHSUoBVRU2JjwppYdhIFDfu7tIRHccSNM5KZOFDPz0TGMAjzzEpeLwTWp+kn201kU6NjbiMQJx83+LX1e1tZ10kuChJZ/XBUQ1dwaBHjTDJDqOympEk8X2M3VtVw21JksChA8w1tTefO3RJ1FMbqZ01bHHkudDB/OhLfe7P5GOHaI28ZXKTMuqo0hLWQ4HabBsGG7NbP1RiXtETz074er6w/OerJWEqjmkq2y51q1BVI+JUudnVa3ogBpzdhFE7fC7kybrAt2Z6RqDjATAUEYeYK45WMupBKQRtQlU+uNsjnzj6ZmGrezA+ASrWxQ6LMkHRXqXwNq7ftv28dUx/ZSJciDXP2SWJsWaN0FjPX9Yko6LobZ7aYW/IdUktI9apTLyHS8DyWPyuoZyxN1TK/vtfxk3HwWh6JczZC8Ftn0bIJay2g+n5wd7lm9rEsKO+svqVmi+c1j88hSCxbzrg4+HEP0Nt1/B6YW1XVm09T1CpAKjc9n18hjqsaFGdfyva1ZG0Xu3ip6N6JGpyTSqY5h4BOlpLPaOnyw45PdXTN+DtAKg7DLrLFTnWusoSBHk3s0d7YouJHq85/R09Tfc37ENXZF48eAYLnq9GLioNcwDZrC6FW6godB8JnqYUPvn0pWLfQz0lM0Yy8Mybgn84Ds3Q9bDP10bLyOV+qzxa4Rd9Dhu7cju8mMaONXK3UqmBQ9qIg7etIwEqM/kECk/Dzja4Bs1xR+Q/tCbc8IKrSGsTdJJ0vge7IG20W687uVmK6icWQ6cD3lwFzgNMGtFvO5qyJeKflGLAAcQZOrkxVwy3cWvqlGpvjmf9Qe6Ap20MPbV92DPV0OhFM4kz8Yr0ffC2zLWSQ1kqY6QdQrttR3kh1YLtQd1kCEv5hVoPIRWl5ERcUTttBIrWp6Xs5Ehh5OUUwI5aEBvuiDmUoENmnVw1FohCrbRp1A1E+XSlWVOTi7ADW+5Ohb9z1vK4qx5R5lPdGCPBJZ00mC+Ssp8VUbgpGAvXWMuWQQRbCqI6Rr2jtxZxtfP7W/8onz+yz0Gs76LaT5HX9ecyiZCB/ZR/gFtMxPsDwohoeCRtiuLxE1GM1vUEUgBv86+eehL58/P56QFGQ/MqOe/vC76L63jzmeax4exd/OKTUvkXg+fOJUHych9xt/9goJMrapSgvXrj8+8vk/N80f22Sewj6cyGqt1B6mztoeklVHHraouhvHJaG/OuBz6DHKMpFmQULU1bRWlyYE0RPXYYkUycIemN7TLtgNCJX6BqdyxDKkegO7nJK5xQ7OVYDZTMf9bVHidtk6DQX9Et+V9M7esgbsYBdEeUpsB0Xvw2kd9+rI7V+m47u+O/tq7mw7262HU1WlS9uFzsV6JxIHNmUCy0QS9e077JGRFbG65z3/dOKB/Zk+yDdKpUmdXjn/aS3N5nv4fK7bMHHmPlHd4E2+iTbV5rpzScRnxk6KARuDTJ8Q1LpK2mP8gj1EbuJ9RIyY+EWK4hCiIDBAS1Tm2IEXAFfgKPgdL9O6mAa06wjCcUAL6EsxPQWO9VNegBPm/0GgkZbDxCynxujX/92vmGcjZRMAY45puak2sFLCLSwXpEsyy5fnF0jGJBhm+fNSHKKUUfy+276A7/feLOFxxUuHRNJI2Osenxyvf8DAGObT60pfTTlhEg9u/KKkhJqm5U1/+BEcSkpFDA5XeCqxwXmPac1jcuZ3JWQ+p0NdWzb/5v1ZvF8GtMTFFEdQjpLO0bwPb0BHNWnip3liDXI2fXf05jjvfJ0NpjLCUgfTh9CMFYVFKEd4Z/OG/2C+N435mnK+9t1gvCiVcaaH7rK4+PjCvpVNiz+t2QyqH1O8x3JKZVl6Q+Lp/XK8wMjVMslOq9FdSw5FtUs/CptXH9PW+wbWHgrV17R5jTVOtGtKFu3nb80T+E0tv9QkzW3J2dbaw/8ddAKZ0pxIaEqLjlPrji3VgJ3GvdFvlqD8075woxh4fVt0JZE0KVFsAvqhe0dqN9b35jtSpnYMXkU+vZq+IAHad3IHc2s/LYrnD1anfG46IFiMIr9oNbZDWvwthqYNqOigaKd/XlLU4XHfk/PXIjPsLy/9/kAtQ+/wKH+hI/IROWj5FPvTZAT9f7j4ZXQyG4M0TujMAFXYkKvEHv1xhySekgXGGqNxWeWKlf8dDAlLuB1cb/qOD+rk7cmwt+1yKpk9cudqBanTi6zTbXRtV8qylNtjyOVKy1HTz0GW9rjt6sSjAZcT5R+KdtyYb0zyqG9pSLuCw5WBwAn7fjBjKLLoxLXMI+52L9cLwIR2B6OllJZLHJ8vDxmWdtF+QJnmt1rsHPIWY20lftk8fYePkAIg6Hgn532QoIpegMxiWgAOfe5/U44APR8Ac0NeZrVh3gEhs12W+tVSiWiUQekf/YBECUy5fdYbA08dd7VzPAP9aiVcIB9k6tY7WdJ1wNV+bHeydNtmC6G5ICtFC1ZwmJU/j8hf0I8TRVKSiz5oYIa93EpUI78X8GYIAZabx47/n8LDAAJ0nNtP1rpROprqKMBRecShca6qXuTSI3jZBLOB3Vp381B5rCGhjSvh/NSVkYp2qIdP/Bg=";
+
+// Mac Roman code points 0x80-0xFF
+const MAC_ROMAN_CHARS =
+  "ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø¿¡¬√ƒ≈∆«»…\u00a0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uf8ffÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ";
+
+// Macintosh language IDs (name table platform 1)
+const MAC_LANGUAGE_TAGS = {
+  0: "en",
+  1: "fr",
+  2: "de",
+  3: "it",
+  4: "nl",
+  5: "sv",
+  6: "es",
+  7: "da",
+  8: "pt",
+  9: "no",
+  10: "he",
+  11: "ja",
+  12: "ar",
+  13: "fi",
+  14: "el",
+  15: "is",
+  16: "mt",
+  17: "tr",
+  18: "hr",
+  19: "zh-Hant",
+  20: "ur",
+  21: "hi",
+  22: "th",
+  23: "ko",
+  24: "lt",
+  25: "pl",
+  26: "hu",
+  27: "et",
+  28: "lv",
+  30: "fo",
+  31: "fa",
+  32: "ru",
+  33: "zh-Hans",
+  34: "nl-BE",
+  35: "ga",
+  36: "sq",
+  37: "ro",
+  38: "cs",
+  39: "sk",
+  40: "sl",
+  41: "yi",
+  42: "sr",
+  43: "mk",
+  44: "bg",
+  45: "uk",
+  46: "be",
+  47: "uz",
+  48: "kk",
+  51: "hy",
+  52: "ka",
+  56: "ky",
+  60: "ps",
+  66: "km",
+  67: "lo",
+  68: "vi",
+  69: "id",
+  70: "tl",
+  71: "ms",
+  81: "sw",
+  128: "cy",
+  129: "eu",
+  130: "ca",
+  131: "la",
+  140: "gl",
+  141: "af",
+};
+
+// Windows LCIDs (name table platform 3)
+const WINDOWS_LANGUAGE_TAGS = {
+  0x0401: "ar-SA",
+  0x0402: "bg-BG",
+  0x0403: "ca-ES",
+  0x0404: "zh-TW",
+  0x0405: "cs-CZ",
+  0x0406: "da-DK",
+  0x0407: "de-DE",
+  0x0408: "el-GR",
+  0x0409: "en-US",
+  0x040a: "es-ES",
+  0x040b: "fi-FI",
+  0x040c: "fr-FR",
+  0x040d: "he-IL",
+  0x040e: "hu-HU",
+  0x040f: "is-IS",
+  0x0410: "it-IT",
+  0x0411: "ja-JP",
+  0x0412: "ko-KR",
+  0x0413: "nl-NL",
+  0x0414: "nb-NO",
+  0x0415: "pl-PL",
+  0x0416: "pt-BR",
+  0x0418: "ro-RO",
+  0x0419: "ru-RU",
+  0x041a: "hr-HR",
+  0x041b: "sk-SK",
+  0x041d: "sv-SE",
+  0x041e: "th-TH",
+  0x041f: "tr-TR",
+  0x0420: "ur-PK",
+  0x0421: "id-ID",
+  0x0422: "uk-UA",
+  0x0423: "be-BY",
+  0x0424: "sl-SI",
+  0x0425: "et-EE",
+  0x0426: "lv-LV",
+  0x0427: "lt-LT",
+  0x0429: "fa-IR",
+  0x042a: "vi-VN",
+  0x042b: "hy-AM",
+  0x042d: "eu-ES",
+  0x042f: "mk-MK",
+  0x0436: "af-ZA",
+  0x0437: "ka-GE",
+  0x0439: "hi-IN",
+  0x043e: "ms-MY",
+  0x043f: "kk-KZ",
+  0x0441: "sw-KE",
+  0x0445: "bn-IN",
+  0x0449: "ta-IN",
+  0x0452: "cy-GB",
+  0x0456: "gl-ES",
+  0x0804: "zh-CN",
+  0x0807: "de-CH",
+  0x0809: "en-GB",
+  0x080a: "es-MX",
+  0x080c: "fr-BE",
+  0x0810: "it-CH",
+  0x0813: "nl-BE",
+  0x0814: "nn-NO",
+  0x0816: "pt-PT",
+  0x081a: "sr-Latn-CS",
+  0x0c04: "zh-HK",
+  0x0c07: "de-AT",
+  0x0c09: "en-AU",
+  0x0c0a: "es-ES",
+  0x0c0c: "fr-CA",
+  0x0c1a: "sr-Cyrl-CS",
+  0x1004: "zh-SG",
+  0x1009: "en-CA",
+  0x100c: "fr-CH",
+  0x1409: "en-NZ",
+  0x1809: "en-IE",
+  0x1c09: "en-ZA",
+};
 
 if (typeof module !== "undefined" && module.exports) {
   module.exports = FontParser;
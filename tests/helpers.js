@@ -0,0 +1,271 @@
+const fs = require("fs");
+const path = require("path");
+const FontParser = require("../src/font-parser");
+
+const FONTS_DIR = path.join(__dirname, "../src/fonts");
+
+/**
+ * Copy a Node buffer into a standalone ArrayBuffer
+ */
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength
+  );
+}
+
+/**
+ * Read a font from src/fonts
+ */
+function readFont(name) {
+  return fs.readFileSync(path.join(FONTS_DIR, name));
+}
+
+/**
+ * Load a font from src/fonts into a new parser
+ */
+function loadFont(name, options) {
+  return new FontParser().fromBuffer(toArrayBuffer(readFont(name)), options);
+}
+
+/**
+ * Read the table directory of an sfnt
+ * @returns {Object} {version, tables} with tag -> table bytes
+ */
+function readTables(buffer) {
+  const numTables = buffer.readUInt16BE(4);
+  const tables = {};
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = buffer.toString("latin1", record, record + 4);
+    const offset = buffer.readUInt32BE(record + 8);
+    const length = buffer.readUInt32BE(record + 12);
+    tables[tag] = buffer.subarray(offset, offset + length);
+  }
+  return { version: buffer.readUInt32BE(0), tables };
+}
+
+/**
+ * Build an sfnt from table bytes (checksums are left at zero)
+ */
+function buildFont(version, tables) {
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(version, 0);
+  header.writeUInt16BE(tags.length, 4);
+
+  const chunks = [header];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const data = tables[tag];
+    const record = 12 + i * 16;
+    header.write(tag, record, "latin1");
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    const padding = Buffer.alloc((4 - (data.length % 4)) % 4);
+    chunks.push(data, padding);
+    offset += data.length + padding.length;
+  });
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Load a font from src/fonts with tables added, replaced or (given null)
+ * removed
+ */
+function loadFontWithTables(name, extraTables) {
+  const { version, tables } = readTables(readFont(name));
+  const merged = Object.entries({ ...tables, ...extraTables }).filter(
+    ([, data]) => data
+  );
+  const font = buildFont(version, Object.fromEntries(merged));
+  return new FontParser().fromBuffer(toArrayBuffer(font));
+}
+
+/**
+ * Serialize an OpenType table: numbers are uint16, strings are tags and
+ * buffers are subtables, written after the fields and referenced by Offset16
+ */
+function pack(fields) {
+  const subtables = fields.filter((field) => Buffer.isBuffer(field));
+  const size = fields.reduce(
+    (total, field) => total + (typeof field === "string" ? 4 : 2),
+    0
+  );
+  const header = Buffer.alloc(size);
+
+  let position = 0;
+  let offset = size;
+  for (const field of fields) {
+    if (typeof field === "string") {
+      header.write(field, position, "latin1");
+      position += 4;
+    } else if (Buffer.isBuffer(field)) {
+      header.writeUInt16BE(offset, position);
+      offset += field.length;
+      position += 2;
+    } else {
+      header.writeUInt16BE(field, position);
+      position += 2;
+    }
+  }
+  return Buffer.concat([header, ...subtables]);
+}
+
+/**
+ * Build a coverage table (format 1)
+ */
+function buildCoverage(glyphIds) {
+  return pack([1, glyphIds.length, ...glyphIds]);
+}
+
+/**
+ * Build a GSUB or GPOS table whose DFLT and latn scripts enable every feature
+ * @param {Array} features - [tag, lookupIndices] pairs
+ * @param {Array} lookups - {type, flag, subtables} with packed subtables
+ */
+function buildLayoutTable(features, lookups) {
+  const langSys = pack([0, 0xffff, features.length, ...features.keys()]);
+  const script = pack([langSys, 0]);
+  const scriptList = pack([2, "DFLT", script, "latn", script]);
+  const featureList = pack([
+    features.length,
+    ...features.flatMap(([tag, lookupIndices]) => [
+      tag,
+      pack([0, lookupIndices.length, ...lookupIndices]),
+    ]),
+  ]);
+  const lookupList = pack([
+    lookups.length,
+    ...lookups.map(({ type, flag = 0, subtables }) =>
+      pack([type, flag, subtables.length, ...subtables])
+    ),
+  ]);
+  return pack([1, 0, scriptList, featureList, lookupList]);
+}
+
+/**
+ * Encode a CFF DICT integer in the fixed 5-byte form, so offsets can be
+ * filled in without changing the DICT size
+ */
+function cffInt(value) {
+  const data = Buffer.alloc(5);
+  data.writeUInt8(29, 0);
+  data.writeInt32BE(value, 1);
+  return [...data];
+}
+
+/**
+ * Build a CFF INDEX (countSize 4 for CFF2) with 4-byte offsets
+ */
+function buildCFFIndex(items, countSize = 2) {
+  const header = Buffer.alloc(countSize + (items.length ? 1 : 0));
+  header.writeUIntBE(items.length, 0, countSize);
+  if (!items.length) return header;
+
+  header.writeUInt8(4, countSize);
+  const offsets = Buffer.alloc((items.length + 1) * 4);
+  let offset = 1;
+  items.forEach((item, i) => {
+    offsets.writeUInt32BE(offset, i * 4);
+    offset += item.length;
+  });
+  offsets.writeUInt32BE(offset, items.length * 4);
+  return Buffer.concat([
+    header,
+    offsets,
+    ...items.map((item) => Buffer.from(item)),
+  ]);
+}
+
+/**
+ * Build a CFF table: header, Name, Top DICT, String and (empty) Global Subr
+ * INDEXes, then the blocks. The Top DICT and blocks are functions of the
+ * blocks' offsets, built twice so cffInt operands can point forward
+ * @param {Object} cff - {strings, topDict: offsets => bytes, blocks: [offsets => bytes]}
+ */
+function buildCFF({ strings = [], topDict, blocks }) {
+  const build = (offsets) => {
+    const head = Buffer.concat([
+      Buffer.from([1, 0, 4, 4]),
+      buildCFFIndex([Buffer.from("Test", "latin1")]),
+      buildCFFIndex([topDict(offsets)]),
+      buildCFFIndex(strings.map((string) => Buffer.from(string, "latin1"))),
+      buildCFFIndex([]),
+    ]);
+    const data = blocks.map((block) => Buffer.from(block(offsets)));
+
+    let offset = head.length;
+    const blockOffsets = data.map((block) => {
+      const start = offset;
+      offset += block.length;
+      return start;
+    });
+    return { table: Buffer.concat([head, ...data]), blockOffsets };
+  };
+  return build(build(blocks.map(() => 0)).blockOffsets).table;
+}
+
+/**
+ * Build a CPAL table from palettes of [red, green, blue, alpha] colors; types
+ * or labels make it version 1
+ */
+function buildCpal(palettes, { types, labels } = {}) {
+  const version = types || labels ? 1 : 0;
+  const numPaletteEntries = palettes[0].length;
+  const headerSize = 12 + palettes.length * 2 + (version ? 12 : 0);
+  const typesSize = types ? palettes.length * 4 : 0;
+  const labelsSize = labels ? palettes.length * 2 : 0;
+  const colorsOffset = headerSize + typesSize + labelsSize;
+
+  const data = Buffer.alloc(
+    colorsOffset + palettes.length * numPaletteEntries * 4
+  );
+  data.writeUInt16BE(version, 0);
+  data.writeUInt16BE(numPaletteEntries, 2);
+  data.writeUInt16BE(palettes.length, 4);
+  data.writeUInt16BE(palettes.length * numPaletteEntries, 6);
+  data.writeUInt32BE(colorsOffset, 8);
+  palettes.forEach((_, i) =>
+    data.writeUInt16BE(i * numPaletteEntries, 12 + i * 2)
+  );
+  if (version) {
+    const position = 12 + palettes.length * 2;
+    if (types) {
+      data.writeUInt32BE(headerSize, position);
+      types.forEach((type, i) => data.writeUInt32BE(type, headerSize + i * 4));
+    }
+    if (labels) {
+      data.writeUInt32BE(headerSize + typesSize, position + 4);
+      labels.forEach((nameID, i) =>
+        data.writeUInt16BE(nameID, headerSize + typesSize + i * 2)
+      );
+    }
+  }
+
+  // Color records are stored BGRA
+  palettes.flat().forEach(([red, green, blue, alpha], i) => {
+    data.writeUInt8(blue, colorsOffset + i * 4);
+    data.writeUInt8(green, colorsOffset + i * 4 + 1);
+    data.writeUInt8(red, colorsOffset + i * 4 + 2);
+    data.writeUInt8(alpha, colorsOffset + i * 4 + 3);
+  });
+  return data;
+}
+
+module.exports = {
+  FontParser,
+  toArrayBuffer,
+  readFont,
+  loadFont,
+  readTables,
+  buildFont,
+  loadFontWithTables,
+  pack,
+  buildCoverage,
+  buildLayoutTable,
+  cffInt,
+  buildCFFIndex,
+  buildCFF,
+  buildCpal,
+};
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont, loadFontWithTables } = require("./helpers");
+
+const FONT = "Obviously-Variable.ttf";
+
+/**
+ * Build an avar v1 table from one [from, to] segment map per axis
+ */
+function buildAvar(segmentMaps) {
+  const size =
+    8 + segmentMaps.reduce((sum, map) => sum + 2 + map.length * 4, 0);
+  const avar = Buffer.alloc(size);
+  avar.writeUInt16BE(1, 0); // majorVersion
+  avar.writeUInt16BE(segmentMaps.length, 6);
+  let offset = 8;
+  for (const map of segmentMaps) {
+    avar.writeUInt16BE(map.length, offset);
+    offset += 2;
+    for (const [from, to] of map) {
+      avar.writeInt16BE(Math.round(from * 16384), offset);
+      avar.writeInt16BE(Math.round(to * 16384), offset + 2);
+      offset += 4;
+    }
+  }
+  return avar;
+}
+
+// Axes are wdth then wght. wdth is left linear; wght maps 0.5 to 0.25
+const AVAR = buildAvar([
+  [
+    [-1, -1],
+    [0, 0],
+    [1, 1],
+  ],
+  [
+    [-1, -1],
+    [0, 0],
+    [0.5, 0.25],
+    [1, 1],
+  ],
+]);
+
+test("fvar normalization maps default, min and max to 0, 0 and 1", () => {
+  const parser = loadFont(FONT);
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0, wght: 0 });
+
+  parser.setVariation({ wdth: 450, wght: 475 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0.5, wght: 0.5 });
+
+  parser.setVariation({ wdth: 1000, wght: 800 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 1, wght: 1 });
+});
+
+test("avar segment maps remap normalized coordinates piecewise-linearly", () => {
+  const parser = loadFontWithTables(FONT, { avar: AVAR });
+
+  parser.setVariation({ wdth: 450, wght: 475 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0.5, wght: 0.25 });
+
+  // Halfway through the 0..0.5 segment
+  parser.setVariation({ wdth: 100, wght: 312.5 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0, wght: 0.125 });
+
+  // Halfway through the 0.5..1 segment
+  parser.setVariation({ wdth: 100, wght: 637.5 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0, wght: 0.625 });
+
+  parser.setVariation({ wdth: 800, wght: 800 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 1, wght: 1 });
+});
+
+test("outlines and advances use the remapped coordinates", () => {
+  const withAvar = loadFontWithTables(FONT, { avar: AVAR });
+  const withoutAvar = loadFont(FONT);
+  const glyphId = withAvar.getGlyphId("A");
+
+  // wght 475 remaps to 0.25, which is wght 312.5 without avar
+  withAvar.setVariation({ wght: 475 });
+  withoutAvar.setVariation({ wght: 312.5 });
+
+  assert.deepEqual(
+    withAvar.parseGlyph(glyphId).contours,
+    withoutAvar.parseGlyph(glyphId).contours
+  );
+  assert.deepEqual(
+    withAvar.getGlyphMetrics(glyphId),
+    withoutAvar.getGlyphMetrics(glyphId)
+  );
+  assert.equal(withAvar.getGlyphMetrics(glyphId).advanceWidth, 180);
+});
@@ -0,0 +1,201 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readFont,
+  readTables,
+  loadFontWithTables,
+  pack,
+  cffInt,
+  buildCFFIndex,
+  buildCFF,
+} = require("./helpers");
+
+const FONT = "SigmaSerif-Headline.otf";
+
+// Glyphs 1-4 are A, B, Custom (the first non-standard string) and C
+const SIDS = [34, 35, 391, 36];
+const NAMES = [".notdef", "A", "B", "Custom", "C"];
+
+// endchar only: the outlines do not matter here
+const CHAR_STRINGS = NAMES.map(() => [14]);
+
+// A Windows Unicode cmap whose format 4 subtable has only the final segment,
+// leaving the Encoding as the only character mapping
+const EMPTY_CMAP = pack([
+  ...[0, 1, 3, 1, 0, 12],
+  ...[4, 24, 0, 2, 2, 0, 0, 0xffff, 0, 0xffff, 1, 0],
+]);
+
+/**
+ * Load Sigma Serif with a CFF table of five glyphs. The charset and Encoding
+ * are table data when given as buffers and predefined IDs otherwise
+ */
+function loadCFF(charset, encoding, extraTables) {
+  const data = [buildCFFIndex(CHAR_STRINGS)];
+  data.push(...[charset, encoding].filter(Buffer.isBuffer));
+
+  const cff = buildCFF({
+    strings: ["Custom"],
+    topDict: ([charStrings, ...dataOffsets]) => {
+      const operand = (value) =>
+        Buffer.isBuffer(value) ? dataOffsets.shift() : value;
+      return [
+        ...[...cffInt(charStrings), 17],
+        ...[...cffInt(operand(charset)), 15],
+        ...[...cffInt(operand(encoding)), 16],
+      ];
+    },
+    blocks: data.map((block) => () => block),
+  });
+
+  return loadFontWithTables(FONT, {
+    "CFF ": cff,
+    cmap: EMPTY_CMAP,
+    ...extraTables,
+  });
+}
+
+const names = (parser) =>
+  NAMES.map((_, glyphId) => parser.getGlyphName(glyphId));
+
+test("charset format 0 lists one SID per glyph", () => {
+  const parser = loadCFF(Buffer.from([0, ...pack(SIDS)]), 0);
+
+  assert.deepEqual(parser.cffCharset, [0, ...SIDS]);
+  assert.deepEqual(names(parser), NAMES);
+  assert.equal(parser.getGlyphIdByName("Custom"), 3);
+});
+
+test("charset formats 1 and 2 list SID ranges", () => {
+  // Ranges {first, nLeft}: A-B, Custom, C
+  const ranges = [
+    [34, 1],
+    [391, 0],
+    [36, 0],
+  ];
+  const format1 = Buffer.from([
+    1,
+    ...ranges.flatMap(([first, nLeft]) => [...pack([first]), nLeft]),
+  ]);
+  const format2 = Buffer.from([2, ...pack(ranges.flat())]);
+
+  for (const charset of [format1, format2]) {
+    const parser = loadCFF(charset, 0);
+    assert.deepEqual(parser.cffCharset, [0, ...SIDS]);
+    assert.deepEqual(names(parser), NAMES);
+  }
+});
+
+test("the predefined ISOAdobe charset maps glyph IDs to SIDs", () => {
+  const parser = loadCFF(0, 0);
+
+  assert.deepEqual(parser.cffCharset, [0, 1, 2, 3, 4]);
+  assert.deepEqual(names(parser), [
+    ".notdef",
+    "space",
+    "exclam",
+    "quotedbl",
+    "numbersign",
+  ]);
+});
+
+test("Encoding format 0 assigns a code to each glyph in order", () => {
+  const parser = loadCFF(
+    Buffer.from([0, ...pack(SIDS)]),
+    Buffer.from([0, 4, 0x41, 0x42, 0x80, 0x43])
+  );
+
+  assert.deepEqual(
+    [...parser.cffEncoding],
+    [
+      [0x41, 1],
+      [0x42, 2],
+      [0x80, 3],
+      [0x43, 4],
+    ]
+  );
+});
+
+test("Encoding format 1 assigns code ranges", () => {
+  const parser = loadCFF(
+    Buffer.from([0, ...pack(SIDS)]),
+    Buffer.from([1, 2, 0x41, 1, 0x80, 1])
+  );
+
+  assert.deepEqual(
+    [...parser.cffEncoding],
+    [
+      [0x41, 1],
+      [0x42, 2],
+      [0x80, 3],
+      [0x81, 4],
+    ]
+  );
+});
+
+test("Encoding supplements add codes for glyphs by SID", () => {
+  // Format 0 with the supplement bit: "a" (0x61) and 0xc1 also map to A,
+  // and an unknown SID is ignored
+  const parser = loadCFF(
+    Buffer.from([0, ...pack(SIDS)]),
+    Buffer.from([
+      0x80,
+      2,
+      0x41,
+      0x42,
+      3,
+      0x61,
+      ...pack([34]),
+      0xc1,
+      ...pack([34]),
+      0x7a,
+      ...pack([500]),
+    ])
+  );
+
+  assert.deepEqual(
+    [...parser.cffEncoding],
+    [
+      [0x41, 1],
+      [0x42, 2],
+      [0x61, 1],
+      [0xc1, 1],
+    ]
+  );
+});
+
+test("the predefined Standard encoding maps codes through the charset", () => {
+  const parser = loadCFF(Buffer.from([0, ...pack(SIDS)]), 0);
+
+  assert.deepEqual(
+    [...parser.cffEncoding],
+    [
+      [0x41, 1],
+      [0x42, 2],
+      [0x43, 4],
+    ]
+  );
+});
+
+test("_addCFFEncodingMappings maps standard names to their characters", () => {
+  const parser = loadCFF(
+    Buffer.from([0, ...pack(SIDS)]),
+    Buffer.from([1, 2, 0x61, 1, 0x80, 1])
+  );
+
+  // a and b carry A and B, so the glyph names win; Custom keeps its code
+  assert.equal(parser.getGlyphId("A"), 1);
+  assert.equal(parser.getGlyphId("B"), 2);
+  assert.equal(parser.getGlyphId("\u0080"), 3);
+  assert.equal(parser.getGlyphId("C"), 4);
+  assert.equal(parser.getGlyphId("a"), 0);
+});
+
+test("cmap entries take precedence over the Encoding", () => {
+  const parser = loadCFF(Buffer.from([0, ...pack(SIDS)]), 0, {
+    cmap: readTables(readFont(FONT)).tables.cmap,
+  });
+
+  // Sigma Serif's own cmap maps "A" to glyph 34
+  assert.equal(parser.getGlyphId("A"), 34);
+});
@@ -0,0 +1,316 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont } = require("./helpers");
+
+// random 100 mul 0 rmoveto 0 100 rlineto 100 0 rlineto endchar
+const RANDOM_MOVE = [
+  12, 23, 239, 12, 24, 139, 21, 139, 239, 5, 239, 139, 5, 14,
+];
+// random random sub 0 rmoveto 0 100 rlineto endchar
+const RANDOM_DIFFERENCE = [12, 23, 12, 23, 12, 11, 139, 21, 139, 239, 5, 14];
+
+function startX(parser, glyphId) {
+  return parser.parseCFFGlyph(glyphId).contours[0][0].x;
+}
+
+test("random is repeatable for a glyph and stays in (0, 1]", () => {
+  const parser = loadFont("SigmaSerif-Headline.otf");
+  const glyphId = parser.getGlyphId("A");
+  parser.cffCharStrings[glyphId] = RANDOM_MOVE;
+
+  const x = startX(parser, glyphId);
+  assert.ok(x > 0 && x <= 100);
+  assert.equal(startX(parser, glyphId), x);
+  assert.equal(parser.glyphToSVGPath("A"), parser.glyphToSVGPath("A"));
+});
+
+test("random is seeded per glyph and advances within a charstring", () => {
+  const parser = loadFont("SigmaSerif-Headline.otf");
+  const [a, b] = [parser.getGlyphId("A"), parser.getGlyphId("B")];
+  parser.cffCharStrings[a] = RANDOM_MOVE;
+  parser.cffCharStrings[b] = RANDOM_MOVE;
+  assert.notEqual(startX(parser, a), startX(parser, b));
+
+  parser.cffCharStrings[a] = RANDOM_DIFFERENCE;
+  assert.notEqual(startX(parser, a), 0);
+});
+
+// Charstring numbers (-107..107 are one byte) and operators
+const n = (...values) => values.map((value) => value + 139);
+const HSTEMHM = 18;
+const HINTMASK = 19;
+const CNTRMASK = 20;
+const RMOVETO = 21;
+const RLINETO = 5;
+const RCURVELINE = 24;
+const RLINECURVE = 25;
+const ENDCHAR = 14;
+const HFLEX = [12, 34];
+const FLEX = [12, 35];
+const HFLEX1 = [12, 36];
+const FLEX1 = [12, 37];
+
+/**
+ * Draw a charstring as glyph "A" of Sigma Serif
+ * @returns {Object} {segments, advanceWidth}, with [x, y] lines and
+ * [x1, y1, x2, y2, x, y] curves per contour
+ */
+function draw(charString) {
+  const parser = loadFont("SigmaSerif-Headline.otf");
+  const glyphId = parser.getGlyphId("A");
+  parser.cffCharStrings[glyphId] = charString;
+  const glyph = parser.parseCFFGlyph(glyphId);
+  return {
+    segments: glyph.contours.map((contour) =>
+      contour.map((point) =>
+        point.cubic
+          ? [point.x1, point.y1, point.x2, point.y2, point.x, point.y]
+          : [point.x, point.y]
+      )
+    ),
+    advanceWidth: glyph.advanceWidth,
+  };
+}
+
+test("hintmask skips one mask byte per 8 stems, counting implicit vstems", () => {
+  // 6 hstems, then 3 implicit vstems: 9 stems need 2 mask bytes. The second
+  // byte (239) would push 100 if it were read as an operand
+  const { segments } = draw([
+    ...n(0, 10, 20, 10, 40, 10, 60, 10, 80, 10, 100, 10),
+    HSTEMHM,
+    ...n(0, 10, 20, 10, 40, 10),
+    HINTMASK,
+    0xff,
+    0xef,
+    ...n(10, 20),
+    RMOVETO,
+    ...n(0, 50),
+    RLINETO,
+    ENDCHAR,
+  ]);
+  assert.deepEqual(segments, [
+    [
+      [10, 20],
+      [10, 70],
+    ],
+  ]);
+});
+
+test("cntrmask skips its mask bytes like hintmask", () => {
+  const { segments } = draw([
+    ...n(0, 10, 20, 10),
+    HSTEMHM,
+    CNTRMASK,
+    0xef,
+    HINTMASK,
+    0xef,
+    ...n(10, 20),
+    RMOVETO,
+    ENDCHAR,
+  ]);
+  assert.deepEqual(segments, [[[10, 20]]]);
+});
+
+test("hintmask takes the width from an odd stem argument count", () => {
+  // Sigma Serif's nominalWidthX is 564
+  const { advanceWidth } = draw([
+    ...n(50, 0, 10),
+    HINTMASK,
+    0x80,
+    ...n(0, 0),
+    RMOVETO,
+    ENDCHAR,
+  ]);
+  assert.equal(advanceWidth, 614);
+});
+
+test("flex, hflex, hflex1 and flex1 draw two curves", () => {
+  const curves = (args, op) =>
+    draw([
+      ...n(0, 0),
+      RMOVETO,
+      ...n(...args),
+      ...op,
+      ENDCHAR,
+    ]).segments[0].slice(1);
+
+  assert.deepEqual(
+    curves([10, 0, 10, 10, 10, 0, 10, 0, 10, -10, 10, 0, 50], FLEX),
+    [
+      [10, 0, 20, 10, 30, 10],
+      [40, 10, 50, 0, 60, 0],
+    ]
+  );
+  assert.deepEqual(curves([10, 10, 20, 10, 10, 10, 10], HFLEX), [
+    [10, 0, 20, 20, 30, 20],
+    [40, 20, 50, 0, 60, 0],
+  ]);
+  assert.deepEqual(curves([10, 5, 10, 10, 10, 10, 10, -10, 10], HFLEX1), [
+    [10, 5, 20, 15, 30, 15],
+    [40, 15, 50, 5, 60, 0],
+  ]);
+
+  // flex1 returns to the start height or x along its dominant direction
+  assert.deepEqual(curves([10, 5, 10, 10, 10, 0, 10, 0, 10, -10, 10], FLEX1), [
+    [10, 5, 20, 15, 30, 15],
+    [40, 15, 50, 5, 60, 0],
+  ]);
+  assert.deepEqual(curves([5, 10, 10, 10, 0, 10, 0, 10, -10, 10, 10], FLEX1), [
+    [5, 10, 15, 20, 15, 30],
+    [15, 40, 5, 50, 0, 60],
+  ]);
+});
+
+test("rcurveline draws curves then a line", () => {
+  const { segments } = draw([
+    ...n(0, 0),
+    RMOVETO,
+    ...n(10, 0, 20, 10, 30, 10, 0, 10, 10, 10, 10, 0, 0, 50),
+    RCURVELINE,
+    ENDCHAR,
+  ]);
+  assert.deepEqual(segments[0].slice(1), [
+    [10, 0, 30, 10, 60, 20],
+    [60, 30, 70, 40, 80, 40],
+    [80, 90],
+  ]);
+});
+
+test("rlinecurve draws lines then a curve", () => {
+  const { segments } = draw([
+    ...n(0, 0),
+    RMOVETO,
+    ...n(0, 10, 10, 0, 10, 0, 10, 10, 0, 10),
+    RLINECURVE,
+    ENDCHAR,
+  ]);
+  assert.deepEqual(segments[0].slice(1), [
+    [0, 10],
+    [10, 10],
+    [20, 10, 30, 20, 30, 30],
+  ]);
+});
+
+const escapeParser = loadFont("SigmaSerif-Headline.otf");
+
+/**
+ * Push stack onto the state and apply the escape operator 12 op
+ * @returns {Array} The resulting stack
+ */
+const run = (stack, op, state = { stack: [], randomState: 0 }) => {
+  state.stack.push(...stack);
+  assert.equal(escapeParser._applyCFFEscapeOperator(0x0c00 | op, state), true);
+  return state.stack;
+};
+
+test("arithmetic escape operators", () => {
+  assert.deepEqual(run([-5], 9), [5]); // abs
+  assert.deepEqual(run([2, 3], 10), [5]); // add
+  assert.deepEqual(run([10, 3], 11), [7]); // sub
+  assert.deepEqual(run([9, 2], 12), [4.5]); // div
+  assert.deepEqual(run([5], 14), [-5]); // neg
+  assert.deepEqual(run([6, 7], 24), [42]); // mul
+  assert.deepEqual(run([81], 26), [9]); // sqrt
+});
+
+test("logic and conditional escape operators", () => {
+  assert.deepEqual(run([2, 3], 3), [1]); // and
+  assert.deepEqual(run([1, 0], 3), [0]);
+  assert.deepEqual(run([0, 5], 4), [1]); // or
+  assert.deepEqual(run([0, 0], 4), [0]);
+  assert.deepEqual(run([0], 5), [1]); // not
+  assert.deepEqual(run([7], 5), [0]);
+  assert.deepEqual(run([4, 4], 15), [1]); // eq
+  assert.deepEqual(run([4, 5], 15), [0]);
+  assert.deepEqual(run([1, 2, 3, 4], 22), [1]); // ifelse: v1 <= v2
+  assert.deepEqual(run([1, 2, 5, 4], 22), [2]);
+});
+
+test("stack escape operators", () => {
+  assert.deepEqual(run([1, 2], 18), [1]); // drop
+  assert.deepEqual(run([3], 27), [3, 3]); // dup
+  assert.deepEqual(run([10, 3], 28), [3, 10]); // exch
+  assert.deepEqual(run([10, 20, 30, 1], 29), [10, 20, 30, 20]); // index
+  assert.deepEqual(run([10, 20, -1], 29), [10, 20, 20]);
+  assert.deepEqual(run([1, 2, 3, 3, 1], 30), [3, 1, 2]); // roll
+  assert.deepEqual(run([1, 2, 3, 3, -1], 30), [2, 3, 1]);
+});
+
+test("put and get use the transient array", () => {
+  const state = { stack: [], randomState: 0 };
+  run([42, 3], 20, state); // put
+  assert.deepEqual(state.stack, []);
+  assert.deepEqual(run([3], 21, state), [42]); // get
+  assert.deepEqual(run([5], 21, state), [42, 0]);
+});
+
+test("escape operators run inside charstrings", () => {
+  // 100 200 1 2 ifelse 5 3 sub rmoveto endchar
+  const { segments } = draw([
+    ...n(100, 200, 1, 2),
+    12,
+    22,
+    ...n(5, 3),
+    12,
+    11,
+    RMOVETO,
+    ENDCHAR,
+  ]);
+  assert.deepEqual(segments, [[[100, 2]]]);
+});
+
+test("unknown escape operators are left to drawCFF", () => {
+  assert.equal(
+    escapeParser._applyCFFEscapeOperator(0x0c26, {
+      stack: [1],
+      randomState: 0,
+    }),
+    false
+  );
+});
+
+test("endchar with seac arguments composes base and accent glyphs", () => {
+  const parser = loadFont("SigmaSerif-Headline.otf");
+  const base = parser.parseCFFGlyph(parser.getGlyphId("A"));
+  const accent = parser.parseCFFGlyph(parser.getGlyphIdByName("grave"));
+  const glyphId = parser.getGlyphId("\u00c0");
+
+  // 100 200 65 (A) 193 (grave) endchar, then with a width of 600
+  const seac = [...n(100), 247, 92, ...n(65), 247, 85, ENDCHAR];
+  parser.cffCharStrings[glyphId] = seac;
+  const shifted = (point) => ({
+    ...point,
+    x: point.x + 100,
+    y: point.y + 200,
+    ...(point.cubic && {
+      x1: point.x1 + 100,
+      y1: point.y1 + 200,
+      x2: point.x2 + 100,
+      y2: point.y2 + 200,
+    }),
+  });
+  const glyph = parser.parseCFFGlyph(glyphId);
+
+  assert.deepEqual(glyph.contours, [
+    ...base.contours,
+    ...accent.contours.map((contour) => contour.map(shifted)),
+  ]);
+  assert.equal(glyph.xMin, Math.min(base.xMin, accent.xMin + 100));
+  assert.equal(glyph.yMax, Math.max(base.yMax, accent.yMax + 200));
+
+  // A fifth argument is the width (Sigma Serif's nominalWidthX is 564)
+  parser.cffCharStrings[glyphId] = [248, 236, ...seac];
+  assert.equal(parser.parseCFFGlyph(glyphId).advanceWidth, 1164);
+  assert.deepEqual(parser.parseCFFGlyph(glyphId).contours, glyph.contours);
+});
+
+test("seac without a known accent keeps the base glyph", () => {
+  const parser = loadFont("SigmaSerif-Headline.otf");
+  const glyphId = parser.getGlyphId("\u00c0");
+  parser.cffCharStrings[glyphId] = [...n(100, 100, 65, 0), ENDCHAR];
+
+  assert.deepEqual(
+    parser.parseCFFGlyph(glyphId).contours,
+    parser.parseCFFGlyph(parser.getGlyphId("A")).contours
+  );
+});
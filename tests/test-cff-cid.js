@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFontWithTables,
+  cffInt,
+  buildCFFIndex,
+  buildCFF,
+} = require("./helpers");
+
+// Charstring numbers (-107..107 are one byte) and operators
+const n = (value) => value + 139;
+const RLINETO = 5;
+const CALLSUBR = 10;
+const RETURN = 11;
+const ENDCHAR = 14;
+const RMOVETO = 21;
+
+// Local subr 0 (biased to -107) of FD 0 draws up, that of FD 1 draws right
+const FD_SUBRS = [
+  [n(0), n(100), RLINETO, RETURN],
+  [n(100), n(0), RLINETO, RETURN],
+];
+// Private DICT defaultWidthX and nominalWidthX per FD
+const FD_WIDTHS = [
+  [300, 500],
+  [400, 600],
+];
+
+// Glyphs 0 and 2 use FD 0, glyphs 1 and 3 use FD 1; 0 and 1 carry a width
+const WITH_WIDTH = [n(10), n(0), n(0), RMOVETO, n(-107), CALLSUBR, ENDCHAR];
+const WITHOUT_WIDTH = [n(0), n(0), RMOVETO, n(-107), CALLSUBR, ENDCHAR];
+const CHAR_STRINGS = [WITH_WIDTH, WITH_WIDTH, WITHOUT_WIDTH, WITHOUT_WIDTH];
+const FDS = [0, 1, 0, 1];
+
+/**
+ * Build a FDSelect in format 0, 3 or 4 for FDS
+ */
+function buildFDSelect(format) {
+  if (format === 0) return Buffer.from([0, ...FDS]);
+
+  // One range per glyph, then the sentinel
+  const wide = format === 4;
+  const glyphSize = wide ? 4 : 2;
+  const rangeSize = glyphSize + (wide ? 2 : 1);
+  const data = Buffer.alloc(1 + glyphSize + FDS.length * rangeSize + glyphSize);
+  data.writeUInt8(format, 0);
+  data.writeUIntBE(FDS.length, 1, glyphSize);
+  FDS.forEach((fd, glyphId) => {
+    const position = 1 + glyphSize + glyphId * rangeSize;
+    data.writeUIntBE(glyphId, position, glyphSize);
+    data.writeUIntBE(fd, position + glyphSize, rangeSize - glyphSize);
+  });
+  data.writeUIntBE(FDS.length, data.length - glyphSize, glyphSize);
+  return data;
+}
+
+/**
+ * Build a Private DICT followed by its local subrs
+ */
+function buildPrivate([defaultWidthX, nominalWidthX], subr) {
+  // Subrs is relative to the DICT start, so it points just past the DICT
+  const entries = (subrsOffset) => [
+    ...cffInt(defaultWidthX),
+    20,
+    ...cffInt(nominalWidthX),
+    21,
+    ...cffInt(subrsOffset),
+    19,
+  ];
+  const dict = entries(entries(0).length);
+  return { size: dict.length, data: [...dict, ...buildCFFIndex([subr])] };
+}
+
+/**
+ * Build a CID-keyed CFF table with two FDs, selected by an FDSelect in the
+ * given format
+ */
+function loadCIDFont(fdSelectFormat) {
+  const privates = FD_SUBRS.map((subr, fd) =>
+    buildPrivate(FD_WIDTHS[fd], subr)
+  );
+
+  // Blocks: CharStrings, FDSelect, FDArray, then the Private DICTs
+  const cff = buildCFF({
+    strings: ["Adobe", "Identity"],
+    topDict: ([charStrings, fdSelect, fdArray]) => [
+      ...[...cffInt(391), ...cffInt(392), n(0), 12, 30], // ROS
+      ...[...cffInt(charStrings), 17],
+      ...[...cffInt(fdSelect), 12, 37],
+      ...[...cffInt(fdArray), 12, 36],
+    ],
+    blocks: [
+      () => buildCFFIndex(CHAR_STRINGS),
+      () => buildFDSelect(fdSelectFormat),
+      (offsets) =>
+        buildCFFIndex(
+          privates.map(({ size }, fd) => [
+            ...cffInt(size),
+            ...cffInt(offsets[3 + fd]),
+            18,
+          ])
+        ),
+      ...privates.map(
+        ({ data }) =>
+          () =>
+            data
+      ),
+    ],
+  });
+  return loadFontWithTables("SigmaSerif-Headline.otf", { "CFF ": cff });
+}
+
+const outline = (parser, glyphId) =>
+  parser
+    .parseCFFGlyph(glyphId)
+    .contours.map((contour) => contour.map(({ x, y }) => [x, y]));
+
+for (const format of [0, 3, 4]) {
+  test(`FDSelect format ${format} assigns glyphs to Font DICTs`, () => {
+    const parser = loadCIDFont(format);
+
+    assert.deepEqual(parser.cffData.ros, {
+      registry: "Adobe",
+      ordering: "Identity",
+      supplement: 0,
+    });
+    assert.deepEqual([...parser.cffFDSelect], FDS);
+    assert.equal(parser.cffFontDicts.length, 2);
+    FDS.forEach((fd, glyphId) => {
+      assert.equal(parser._getCFFFontDict(glyphId), parser.cffFontDicts[fd]);
+    });
+  });
+}
+
+test("_parseCFFFontDicts reads each FD's Private DICT and local subrs", () => {
+  const parser = loadCIDFont(3);
+
+  parser.cffFontDicts.forEach((fontDict, fd) => {
+    assert.deepEqual(fontDict.localSubrs, [FD_SUBRS[fd]]);
+    assert.equal(fontDict.localBias, 107);
+    assert.equal(fontDict.defaultWidthX, FD_WIDTHS[fd][0]);
+    assert.equal(fontDict.nominalWidthX, FD_WIDTHS[fd][1]);
+  });
+});
+
+test("glyphs call the local subrs of their own FD", () => {
+  const parser = loadCIDFont(0);
+
+  assert.deepEqual(outline(parser, 0), [
+    [
+      [0, 0],
+      [0, 100],
+    ],
+  ]);
+  assert.deepEqual(outline(parser, 1), [
+    [
+      [0, 0],
+      [100, 0],
+    ],
+  ]);
+  assert.deepEqual(outline(parser, 2), outline(parser, 0));
+  assert.deepEqual(outline(parser, 3), outline(parser, 1));
+});
+
+test("charstring widths use the FD's nominalWidthX and defaultWidthX", () => {
+  const parser = loadCIDFont(4);
+  const widths = CHAR_STRINGS.map(
+    (_, glyphId) => parser.parseCFFGlyph(glyphId).advanceWidth
+  );
+
+  assert.deepEqual(widths, [510, 610, 300, 400]);
+});
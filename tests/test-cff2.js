@@ -0,0 +1,235 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFontWithTables, cffInt, buildCFFIndex } = require("./helpers");
+
+// Obviously-Variable axes: wdth 100-800 and wght 150-800, both defaulting to
+// their minimum (normalized 0..1)
+const FONT = "Obviously-Variable.ttf";
+
+// Charstring numbers (-107..107 are one byte) and operators
+const n = (value) => value + 139;
+const RLINETO = 5;
+const VSINDEX = 15;
+const BLEND = 16;
+const RMOVETO = 21;
+
+/**
+ * Build an ItemVariationStore with regions peaking at wght (0) and wdth (1)
+ * and one ItemVariationData per list of region indexes
+ */
+function buildVariationStore(regionLists) {
+  const regionList = Buffer.alloc(4 + 2 * 12);
+  regionList.writeUInt16BE(2, 0); // axisCount
+  regionList.writeUInt16BE(2, 2); // regionCount
+  // Axis order is wdth, wght; each axis has start, peak, end
+  regionList.writeInt16BE(16384, 4 + 6 + 2); // Region 0: wght peak
+  regionList.writeInt16BE(16384, 4 + 6 + 4);
+  regionList.writeInt16BE(16384, 4 + 12 + 2); // Region 1: wdth peak
+  regionList.writeInt16BE(16384, 4 + 12 + 4);
+
+  // CFF2 stores no deltas: blend operands carry them in the charstring
+  const data = regionLists.map((regions) => {
+    const table = Buffer.alloc(6 + regions.length * 2);
+    table.writeUInt16BE(regions.length, 4);
+    regions.forEach((region, i) => table.writeUInt16BE(region, 6 + i * 2));
+    return table;
+  });
+
+  const header = Buffer.alloc(8 + data.length * 4);
+  header.writeUInt16BE(1, 0);
+  header.writeUInt32BE(header.length, 2);
+  header.writeUInt16BE(data.length, 6);
+  let offset = header.length + regionList.length;
+  data.forEach((table, i) => {
+    header.writeUInt32BE(offset, 8 + i * 4);
+    offset += table.length;
+  });
+  return Buffer.concat([header, regionList, ...data]);
+}
+
+/**
+ * Build a CFF2 table with one Font DICT per default vsindex; FDSelect
+ * format 3 assigns glyphs to Font DICTs by range
+ * @param {Array} charStrings - Charstring byte arrays
+ * @param {Array} fdRanges - [firstGlyph, fd] pairs
+ * @param {Array} fdVsindexes - Private DICT vsindex per Font DICT
+ */
+function buildCFF2(charStrings, fdRanges, fdVsindexes) {
+  const store = buildVariationStore([[0], [1], [0, 1]]);
+  const vstore = Buffer.concat([Buffer.alloc(2), store]);
+  vstore.writeUInt16BE(store.length, 0);
+
+  const fdSelect = Buffer.alloc(3 + fdRanges.length * 3 + 2);
+  fdSelect.writeUInt8(3, 0);
+  fdSelect.writeUInt16BE(fdRanges.length, 1);
+  fdRanges.forEach(([first, fd], i) => {
+    fdSelect.writeUInt16BE(first, 3 + i * 3);
+    fdSelect.writeUInt8(fd, 5 + i * 3);
+  });
+  fdSelect.writeUInt16BE(charStrings.length, 3 + fdRanges.length * 3);
+
+  const privateDicts = fdVsindexes.map((vsindex) => [n(vsindex), 22]);
+  const fontDict = (size, offset) => [n(size), ...cffInt(offset), 18];
+  const topDict = (
+    charStringsOffset,
+    vstoreOffset,
+    fdSelectOffset,
+    fdArrayOffset
+  ) =>
+    Buffer.from([
+      ...cffInt(charStringsOffset),
+      17,
+      ...cffInt(vstoreOffset),
+      24,
+      ...cffInt(fdSelectOffset),
+      12,
+      37,
+      ...cffInt(fdArrayOffset),
+      12,
+      36,
+    ]);
+
+  // Header, Top DICT, Global Subrs, vstore, CharStrings, FDSelect, FDArray,
+  // then the Private DICTs
+  const globalSubrs = buildCFFIndex([], 4);
+  const charStringsIndex = buildCFFIndex(charStrings, 4);
+  const vstoreOffset = 5 + topDict(0, 0, 0, 0).length + globalSubrs.length;
+  const charStringsOffset = vstoreOffset + vstore.length;
+  const fdSelectOffset = charStringsOffset + charStringsIndex.length;
+  const fdArrayOffset = fdSelectOffset + fdSelect.length;
+  let privateOffset =
+    fdArrayOffset +
+    buildCFFIndex(
+      privateDicts.map(() => fontDict(0, 0)),
+      4
+    ).length;
+  const fdArray = buildCFFIndex(
+    privateDicts.map((privateDict) => {
+      const dict = fontDict(privateDict.length, privateOffset);
+      privateOffset += privateDict.length;
+      return dict;
+    }),
+    4
+  );
+
+  const top = topDict(
+    charStringsOffset,
+    vstoreOffset,
+    fdSelectOffset,
+    fdArrayOffset
+  );
+  return Buffer.concat([
+    Buffer.from([2, 0, 5, 0, top.length]),
+    top,
+    globalSubrs,
+    vstore,
+    charStringsIndex,
+    fdSelect,
+    fdArray,
+    Buffer.from(privateDicts.flat()),
+  ]);
+}
+
+// 10 20 rmoveto and 0 100 rlineto, varied by the data selected with vsindex
+const WGHT_BLEND = [
+  ...[n(10), n(20), n(5), n(7), n(2), BLEND, RMOVETO],
+  ...[n(0), n(100), n(50), n(1), BLEND, RLINETO],
+  ...[n(100), n(0), RLINETO],
+];
+const VSINDEX_BLEND = [
+  ...[n(2), VSINDEX, n(0), n(0), RMOVETO],
+  ...[n(0), n(100), n(50), n(40), n(1), BLEND, RLINETO],
+];
+const DEFAULT_VSINDEX_BLEND = [
+  ...[n(0), n(0), RMOVETO],
+  ...[n(0), n(100), n(40), n(1), BLEND, RLINETO],
+];
+
+function loadCFF2Font() {
+  // Glyphs 0-1 use FD 0 (vsindex 0), glyph 2 uses FD 1 (vsindex 1)
+  const CFF2 = buildCFF2(
+    [WGHT_BLEND, VSINDEX_BLEND, DEFAULT_VSINDEX_BLEND],
+    [
+      [0, 0],
+      [2, 1],
+    ],
+    [0, 1]
+  );
+  return loadFontWithTables(FONT, { glyf: null, loca: null, gvar: null, CFF2 });
+}
+
+const points = (parser, glyphId) =>
+  parser
+    .parseGlyph(glyphId)
+    .contours.map((contour) => contour.map(({ x, y }) => [x, y]));
+
+test("CFF2 fonts are parsed with 32-bit INDEX counts", () => {
+  const parser = loadCFF2Font();
+
+  assert.equal(parser.fontType, "cff2");
+  assert.equal(parser.cffCharStrings.length, 3);
+  assert.deepEqual(parser.cffCharStrings[2], DEFAULT_VSINDEX_BLEND);
+  assert.deepEqual([...parser.cffFDSelect], [0, 0, 1]);
+  assert.deepEqual(
+    parser.cffFontDicts.map((fontDict) => fontDict.vsindex),
+    [0, 1]
+  );
+});
+
+test("blend applies region deltas scaled to the variation", () => {
+  const parser = loadCFF2Font();
+  assert.deepEqual(points(parser, 0), [
+    [
+      [10, 20],
+      [10, 120],
+      [110, 120],
+    ],
+  ]);
+
+  parser.setVariation({ wght: 800 });
+  assert.deepEqual(points(parser, 0), [
+    [
+      [15, 27],
+      [15, 177],
+      [115, 177],
+    ],
+  ]);
+
+  parser.setVariation({ wght: 475 });
+  assert.deepEqual(points(parser, 0), [
+    [
+      [12.5, 23.5],
+      [12.5, 148.5],
+      [112.5, 148.5],
+    ],
+  ]);
+
+  // wdth has no region in ItemVariationData 0
+  parser.setVariation({ wdth: 800, wght: 150 });
+  assert.deepEqual(points(parser, 0)[0][2], [110, 120]);
+});
+
+test("vsindex selects the ItemVariationData used by blend", () => {
+  const parser = loadCFF2Font();
+  const height = (glyphId) => points(parser, glyphId)[0][1][1];
+  assert.equal(height(1), 100);
+
+  parser.setVariation({ wght: 800 });
+  assert.equal(height(1), 150);
+  parser.setVariation({ wdth: 800, wght: 150 });
+  assert.equal(height(1), 140);
+  parser.setVariation({ wdth: 800, wght: 800 });
+  assert.equal(height(1), 190);
+});
+
+test("the Private DICT vsindex is the default for its glyphs", () => {
+  const parser = loadCFF2Font();
+  const height = () => points(parser, 2)[0][1][1];
+  assert.equal(height(), 100);
+
+  // FD 1 defaults to ItemVariationData 1, whose only region is wdth
+  parser.setVariation({ wght: 800 });
+  assert.equal(height(), 100);
+  parser.setVariation({ wdth: 450 });
+  assert.equal(height(), 120);
+});
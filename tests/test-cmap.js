@@ -0,0 +1,373 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont, loadFontWithTables, pack } = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+
+/**
+ * Build a cmap table from [platformID, encodingID, subtable] records
+ */
+function buildCmap(records) {
+  const header = Buffer.alloc(4 + records.length * 8);
+  header.writeUInt16BE(records.length, 2);
+  let offset = header.length;
+  records.forEach(([platformID, encodingID, subtable], i) => {
+    header.writeUInt16BE(platformID, 4 + i * 8);
+    header.writeUInt16BE(encodingID, 6 + i * 8);
+    header.writeUInt32BE(offset, 8 + i * 8);
+    offset += subtable.length;
+  });
+  return Buffer.concat([header, ...records.map(([, , subtable]) => subtable)]);
+}
+
+const loadCmap = (records) =>
+  loadFontWithTables(FONT, { cmap: buildCmap(records) });
+
+/**
+ * Format 0: one glyph byte per code (code -> glyph ID object)
+ */
+function format0(glyphs) {
+  const data = Buffer.alloc(262);
+  data.writeUInt16BE(0, 0);
+  data.writeUInt16BE(data.length, 2);
+  for (const [code, glyphId] of Object.entries(glyphs)) {
+    data.writeUInt8(glyphId, 6 + Number(code));
+  }
+  return data;
+}
+
+/**
+ * Format 4 from [startCode, endCode, idDelta] segments (no glyph arrays)
+ */
+function format4(segments) {
+  const all = [...segments, [0xffff, 0xffff, 1]];
+  const segCountX2 = all.length * 2;
+  return pack([
+    ...[4, 16 + all.length * 8, 0, segCountX2, 0, 0, 0],
+    ...all.map(([, end]) => end),
+    0,
+    ...all.map(([start]) => start),
+    ...all.map(([, , idDelta]) => idDelta & 0xffff),
+    ...all.map(() => 0),
+  ]);
+}
+
+/**
+ * Format 6: glyphs for the codes from firstCode
+ */
+function format6(firstCode, glyphs) {
+  return pack([
+    6,
+    10 + glyphs.length * 2,
+    0,
+    firstCode,
+    glyphs.length,
+    ...glyphs,
+  ]);
+}
+
+/**
+ * Format 10: glyphs for the (32-bit) codes from startCharCode
+ */
+function format10(startCharCode, glyphs) {
+  const data = Buffer.alloc(20 + glyphs.length * 2);
+  data.writeUInt16BE(10, 0);
+  data.writeUInt32BE(data.length, 4);
+  data.writeUInt32BE(startCharCode, 12);
+  data.writeUInt32BE(glyphs.length, 16);
+  glyphs.forEach((glyphId, i) => data.writeUInt16BE(glyphId, 20 + i * 2));
+  return data;
+}
+
+/**
+ * Format 12 or 13 from [startCharCode, endCharCode, glyphID] groups
+ */
+function format12(format, groups) {
+  const data = Buffer.alloc(16 + groups.length * 12);
+  data.writeUInt16BE(format, 0);
+  data.writeUInt32BE(data.length, 4);
+  data.writeUInt32BE(groups.length, 12);
+  groups.forEach((group, i) => {
+    group.forEach((value, j) => data.writeUInt32BE(value, 16 + i * 12 + j * 4));
+  });
+  return data;
+}
+
+test("format 0 maps Mac Roman bytes", () => {
+  const parser = loadCmap([[1, 0, format0({ 0x41: 5, 0x8e: 7 })]]);
+
+  assert.equal(parser.getGlyphId("A"), 5);
+  assert.equal(parser.getGlyphId("\u00e9"), 7);
+  assert.equal(parser.getGlyphId("\u008e"), 0);
+  assert.equal(parser.getGlyphId("B"), 0);
+});
+
+test("format 2 maps single- and double-byte Shift-JIS codes", () => {
+  // subHeaderKeys send high byte 0x82 to subheader 1 (0xA0 only); the rest
+  // use subheader 0. idRangeOffset counts from its own field
+  const subHeaderKeys = Array.from({ length: 256 }, (_, byte) =>
+    byte === 0x82 ? 8 : 0
+  );
+  const singleByte = Array.from({ length: 256 }, (_, code) =>
+    code === 0x41 ? 5 : 0
+  );
+  const subtable = pack([
+    ...[2, 6 + 512 + 16 + 512 + 2, 0],
+    ...subHeaderKeys,
+    ...[0, 256, 0, 16 - 6],
+    ...[0xa0, 1, 5, 8 + 512 - 6],
+    ...singleByte,
+    4, // 4 + idDelta 5
+  ]);
+  const parser = loadCmap([[3, 2, subtable]]);
+
+  assert.equal(parser.getGlyphId("A"), 5);
+  assert.equal(parser.getGlyphId("\u3042"), 9);
+  assert.equal(parser.getGlyphId("B"), 0);
+});
+
+test("format 6 maps a trimmed code range", () => {
+  const parser = loadCmap([[3, 1, format6(0x41, [5, 6, 0, 7])]]);
+
+  assert.deepEqual(
+    [..."@ABCDE"].map((char) => parser.getGlyphId(char)),
+    [0, 5, 6, 0, 7, 0]
+  );
+});
+
+test("format 10 maps a trimmed 32-bit code range", () => {
+  const parser = loadCmap([[3, 10, format10(0x1f600, [11, 12])]]);
+
+  assert.equal(parser.getGlyphId(0x1f600), 11);
+  assert.equal(parser.getGlyphId("\u{1f601}"), 12);
+  assert.equal(parser.getGlyphId(0x1f602), 0);
+});
+
+test("format 12 maps sequential ranges", () => {
+  const parser = loadCmap([
+    [
+      3,
+      10,
+      format12(12, [
+        [0x41, 0x43, 5],
+        [0x1f600, 0x1f601, 11],
+      ]),
+    ],
+  ]);
+
+  assert.deepEqual(
+    [..."ABC"].map((char) => parser.getGlyphId(char)),
+    [5, 6, 7]
+  );
+  assert.equal(parser.getGlyphId(0x1f601), 12);
+});
+
+test("format 13 ranges map to one glyph and are resolved on lookup", () => {
+  const parser = loadCmap([
+    [
+      3,
+      10,
+      format12(13, [
+        [0x10000, 0x10ffff, 8],
+        [0x20, 0x7e, 3],
+        [0x80, 0xff, 0],
+        [0x4e00, 0x9fff, 4],
+      ]),
+    ],
+  ]);
+
+  assert.equal(parser.charToGlyph.size, 0);
+  assert.deepEqual(parser.cmapGlyphRanges, [
+    { start: 0x20, end: 0x7e, glyphId: 3 },
+    { start: 0x4e00, end: 0x9fff, glyphId: 4 },
+    { start: 0x10000, end: 0x10ffff, glyphId: 8 },
+  ]);
+  assert.equal(parser.getGlyphId(" "), 3);
+  assert.equal(parser.getGlyphId("~"), 3);
+  assert.equal(parser.getGlyphId("\u00e9"), 0);
+  assert.equal(parser.getGlyphId("\u4e2d"), 4);
+  assert.equal(parser.getGlyphId(0x10ffff), 8);
+  assert.equal(parser.getGlyphId(0x1f), 0);
+});
+
+test("Unicode subtables are preferred over the 0/6 last-resort subtable", () => {
+  const lastResort = format12(13, [[0, 0x10ffff, 3]]);
+  const parser = loadCmap([
+    [0, 6, lastResort],
+    [3, 1, format6(0x41, [5])],
+  ]);
+
+  assert.equal(parser.getGlyphId("A"), 5);
+  assert.equal(parser.getGlyphId("B"), 0);
+  assert.deepEqual(parser.cmapGlyphRanges, []);
+
+  // On its own, the 0/6 subtable is still used
+  assert.equal(loadCmap([[0, 6, lastResort]]).getGlyphId("B"), 3);
+});
+
+test("symbol 3/0 subtables also map U+F020-F0FF from 8-bit codes", () => {
+  const parser = loadCmap([
+    [
+      3,
+      0,
+      format4([
+        [0x41, 0x41, 20 - 0x41],
+        [0xf041, 0xf042, 5 - 0xf041],
+      ]),
+    ],
+  ]);
+
+  assert.equal(parser.getGlyphId("\uf041"), 5);
+  assert.equal(parser.getGlyphId("\uf042"), 6);
+  assert.equal(parser.getGlyphId("B"), 6);
+  // An explicit mapping of the 8-bit code wins
+  assert.equal(parser.getGlyphId("A"), 20);
+});
+
+test("unsupported subtables are skipped for the next candidate", () => {
+  const parser = loadCmap([
+    [3, 10, pack([8, 0, 0])],
+    [3, 1, format6(0x41, [5])],
+  ]);
+
+  assert.equal(parser.getGlyphId("A"), 5);
+});
+
+/**
+ * Format 14 from {selector: {defaults: [[start, additionalCount]],
+ * glyphs: [[codePoint, glyphId]]}}
+ */
+function format14(records) {
+  const selectors = Object.keys(records).map(Number);
+  const header = Buffer.alloc(10 + selectors.length * 11);
+  header.writeUInt16BE(14, 0);
+  header.writeUInt32BE(selectors.length, 6);
+
+  const tables = [];
+  let offset = header.length;
+  const addTable = (entries, entrySize, writeEntry) => {
+    if (!entries) return 0;
+    const table = Buffer.alloc(4 + entries.length * entrySize);
+    table.writeUInt32BE(entries.length, 0);
+    entries.forEach((entry, i) => writeEntry(table, 4 + i * entrySize, entry));
+    tables.push(table);
+    offset += table.length;
+    return offset - table.length;
+  };
+
+  selectors.forEach((selector, i) => {
+    const { defaults, glyphs } = records[selector];
+    const record = 10 + i * 11;
+    header.writeUIntBE(selector, record, 3);
+    header.writeUInt32BE(
+      addTable(defaults, 4, (table, position, [start, count]) => {
+        table.writeUIntBE(start, position, 3);
+        table.writeUInt8(count, position + 3);
+      }),
+      record + 3
+    );
+    header.writeUInt32BE(
+      addTable(glyphs, 5, (table, position, [codePoint, glyphId]) => {
+        table.writeUIntBE(codePoint, position, 3);
+        table.writeUInt16BE(glyphId, position + 3);
+      }),
+      record + 7
+    );
+  });
+
+  const data = Buffer.concat([header, ...tables]);
+  data.writeUInt32BE(data.length, 2);
+  return data;
+}
+
+// A-C map to glyphs 5-7; U+FE0E lists A-B as default sequences and U+FE0F
+// gives A and U+1F600 their own glyphs
+function loadUVSFont() {
+  return loadCmap([
+    [
+      0,
+      5,
+      format14({
+        0xfe0e: { defaults: [[0x41, 1]] },
+        0xfe0f: {
+          glyphs: [
+            [0x41, 30],
+            [0x1f600, 31],
+          ],
+        },
+      }),
+    ],
+    [
+      3,
+      10,
+      format12(12, [
+        [0x41, 0x43, 5],
+        [0x1f600, 0x1f600, 11],
+      ]),
+    ],
+  ]);
+}
+
+test("_parseCmapFormat14 reads default and non-default UVS tables", () => {
+  const parser = loadUVSFont();
+
+  assert.deepEqual([...parser.variationSequences.keys()], [0xfe0e, 0xfe0f]);
+  assert.deepEqual(parser.variationSequences.get(0xfe0e), {
+    defaultRanges: [[0x41, 0x42]],
+    glyphs: new Map(),
+  });
+  assert.deepEqual(parser.variationSequences.get(0xfe0f), {
+    defaultRanges: [],
+    glyphs: new Map([
+      [0x41, 30],
+      [0x1f600, 31],
+    ]),
+  });
+});
+
+test("getGlyphId resolves variation sequences", () => {
+  const parser = loadUVSFont();
+
+  // Non-default sequences have their own glyph
+  assert.equal(parser.getGlyphId("A", "\ufe0f"), 30);
+  assert.equal(parser.getGlyphId(0x41, 0xfe0f), 30);
+  assert.equal(parser.getGlyphId("\u{1f600}", "\ufe0f"), 31);
+
+  // Default, unlisted and unknown sequences use the base character
+  assert.equal(parser.getGlyphId("A", "\ufe0e"), 5);
+  assert.equal(parser.getGlyphId("B", "\ufe0e"), 6);
+  assert.equal(parser.getGlyphId("C", "\ufe0f"), 7);
+  assert.equal(parser.getGlyphId("A", "\ufe01"), 5);
+  assert.equal(parser.getGlyphId("A"), 5);
+});
+
+test("variation selectors in text pick the sequence glyph", () => {
+  const parser = loadUVSFont();
+  const layout = (text) =>
+    parser
+      ._layoutText(text, parser._normalizeOptions({}))
+      .map((glyph) => [glyph.char, glyph.glyphId]);
+
+  assert.deepEqual(layout("A\ufe0fB\ufe0eC"), [
+    ["A\ufe0f", 30],
+    ["B\ufe0e", 6],
+    ["C", 7],
+  ]);
+
+  // A second selector and a leading one are dropped
+  assert.deepEqual(layout("\ufe0fA\ufe0f\ufe0e"), [["A\ufe0f", 30]]);
+});
+
+test("a variation selector after a space leaves the space width alone", () => {
+  const parser = loadFont("BebasNeue-Regular.ttf");
+  const positions = (text) =>
+    parser.path(text).characters.map(({ char, x }) => [char, x]);
+
+  assert.deepEqual(positions("A \ufe0fB"), positions("A B"));
+  assert.deepEqual(
+    parser
+      ._layoutText("A \ufe0fB", parser._normalizeOptions({}))
+      .map((glyph) => glyph.char),
+    ["A", " ", "B"]
+  );
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  FontParser,
+  toArrayBuffer,
+  readFont,
+  readTables,
+  loadFont,
+} = require("./helpers");
+
+const FONTS = ["BebasNeue-Regular.ttf", "SigmaSerif-Headline.otf"];
+
+/**
+ * Build a 'ttcf' collection from sfnt fonts; tables follow all the table
+ * directories, each face's in tag order
+ * @returns {Object} {buffer, tableOffsets: [{tag: offset}] per face}
+ */
+function buildCollection(fonts, majorVersion = 1) {
+  const faces = fonts.map((font) => readTables(font));
+  const headerSize = 12 + faces.length * 4 + (majorVersion > 1 ? 12 : 0);
+  const header = Buffer.alloc(headerSize);
+  header.write("ttcf", 0, "latin1");
+  header.writeUInt16BE(majorVersion, 4);
+  header.writeUInt32BE(faces.length, 8);
+
+  let dataOffset = headerSize;
+  const directories = faces.map(({ tables }, face) => {
+    header.writeUInt32BE(dataOffset, 12 + face * 4);
+    const directory = Buffer.alloc(12 + Object.keys(tables).length * 16);
+    dataOffset += directory.length;
+    return directory;
+  });
+
+  const chunks = [];
+  const tableOffsets = faces.map(({ version, tables }, face) => {
+    const directory = directories[face];
+    directory.writeUInt32BE(version, 0);
+    directory.writeUInt16BE(Object.keys(tables).length, 4);
+
+    const offsets = {};
+    Object.keys(tables)
+      .sort()
+      .forEach((tag, i) => {
+        const data = tables[tag];
+        const record = 12 + i * 16;
+        directory.write(tag, record, "latin1");
+        directory.writeUInt32BE(dataOffset, record + 8);
+        directory.writeUInt32BE(data.length, record + 12);
+        offsets[tag] = dataOffset;
+
+        const padding = Buffer.alloc((4 - (data.length % 4)) % 4);
+        chunks.push(data, padding);
+        dataOffset += data.length + padding.length;
+      });
+    return offsets;
+  });
+
+  return {
+    buffer: toArrayBuffer(Buffer.concat([header, ...directories, ...chunks])),
+    tableOffsets,
+  };
+}
+
+const collection = buildCollection(FONTS.map(readFont));
+
+test("getFaces() lists the name of each face", () => {
+  const parser = new FontParser().fromBuffer(collection.buffer);
+  const faces = parser.getFaces();
+
+  assert.deepEqual(
+    faces.map(({ index, name }) => [index, name]),
+    [
+      [0, "Bebas Neue Regular"],
+      [1, "Sigma Serif Headline"],
+    ]
+  );
+  assert.deepEqual(faces[1].names, loadFont(FONTS[1]).data.names);
+  assert.deepEqual(parser.data.faces, faces);
+});
+
+test("each face reads its own table directory", () => {
+  FONTS.forEach((font, faceIndex) => {
+    const parser = new FontParser().fromBuffer(collection.buffer, {
+      faceIndex,
+    });
+    const standalone = loadFont(font);
+
+    assert.equal(parser.faceIndex, faceIndex);
+    assert.equal(parser.data.faceIndex, faceIndex);
+    assert.equal(parser.data.name, standalone.data.name);
+    assert.deepEqual(
+      Object.fromEntries(
+        Object.entries(parser.tables).map(([tag, { offset }]) => [tag, offset])
+      ),
+      collection.tableOffsets[faceIndex]
+    );
+
+    const glyphId = standalone.getGlyphId("R");
+    assert.equal(parser.getGlyphId("R"), glyphId);
+    assert.deepEqual(
+      parser.parseGlyph(glyphId),
+      standalone.parseGlyph(glyphId)
+    );
+  });
+});
+
+test("version 2 collection headers are read like version 1", () => {
+  const { buffer } = buildCollection(FONTS.map(readFont), 2);
+  const parser = new FontParser().fromBuffer(buffer, { faceIndex: 1 });
+
+  assert.equal(parser.data.name, "Sigma Serif Headline");
+});
+
+test("an out-of-range faceIndex throws", () => {
+  for (const faceIndex of [2, -1, 0.5]) {
+    assert.throws(
+      () => new FontParser().fromBuffer(collection.buffer, { faceIndex }),
+      new RegExp(`Face index ${faceIndex} out of range \\(font has 2 faces\\)`)
+    );
+  }
+
+  // A single font has one face
+  assert.throws(
+    () =>
+      new FontParser().fromBuffer(toArrayBuffer(readFont(FONTS[0])), {
+        faceIndex: 1,
+      }),
+    /Face index 1 out of range \(font has 1 faces\)/
+  );
+});
@@ -0,0 +1,912 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFontWithTables, buildCpal } = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+const VARIABLE_FONT = "Obviously-Variable.ttf";
+
+// BebasNeue glyph IDs (both fonts have 1000 units per em)
+const A = 4;
+const B = 16;
+const I = 49;
+const O = 79;
+
+// Default path() size 72 over 1000 units per em
+const SCALE = 0.072;
+
+// Palette entries: red, blue and a half-transparent green
+const PALETTE = [
+  [255, 0, 0, 255],
+  [0, 0, 255, 255],
+  [0, 128, 0, 128],
+];
+const RED = 0;
+const BLUE = 1;
+const GREEN = 2;
+
+const FIELD_SIZES = {
+  uint8: 1,
+  uint16: 2,
+  fword: 2,
+  f2dot14: 2,
+  offset24: 3,
+  uint32: 4,
+  fixed: 4,
+  offset32: 4,
+};
+
+/**
+ * Serialize a COLR record from [type, value] fields. Offset values are
+ * subtables written after the fields, relative to the record (null for a
+ * zero offset)
+ */
+function record(fields) {
+  const size = fields.reduce((total, [type]) => total + FIELD_SIZES[type], 0);
+  const data = Buffer.alloc(size);
+  const subtables = [];
+
+  let position = 0;
+  let offset = size;
+  for (const [type, value] of fields) {
+    switch (type) {
+      case "uint8":
+        data.writeUInt8(value, position);
+        break;
+      case "uint16":
+        data.writeUInt16BE(value, position);
+        break;
+      case "fword":
+        data.writeInt16BE(value, position);
+        break;
+      case "f2dot14":
+        data.writeInt16BE(Math.round(value * 16384), position);
+        break;
+      case "uint32":
+        data.writeUInt32BE(value, position);
+        break;
+      case "fixed":
+        data.writeInt32BE(Math.round(value * 65536), position);
+        break;
+      default:
+        if (value) {
+          data.writeUIntBE(offset, position, FIELD_SIZES[type]);
+          subtables.push(value);
+          offset += value.length;
+        }
+    }
+    position += FIELD_SIZES[type];
+  }
+  return Buffer.concat([data, ...subtables]);
+}
+
+const solid = (paletteIndex, alpha = 1) =>
+  record([
+    ["uint8", 2],
+    ["uint16", paletteIndex],
+    ["f2dot14", alpha],
+  ]);
+
+const glyph = (glyphId, paint) =>
+  record([
+    ["uint8", 10],
+    ["offset24", paint],
+    ["uint16", glyphId],
+  ]);
+
+/**
+ * Build a ColorLine from [stopOffset, paletteIndex, alpha] stops
+ */
+const colorLine = (extend, stops) =>
+  record([
+    ["uint8", extend],
+    ["uint16", stops.length],
+    ...stops.flatMap(([stopOffset, paletteIndex, alpha = 1]) => [
+      ["f2dot14", stopOffset],
+      ["uint16", paletteIndex],
+      ["f2dot14", alpha],
+    ]),
+  ]);
+
+const linear = (line, points) =>
+  record([
+    ["uint8", 4],
+    ["offset24", line],
+    ...points.map((value) => ["fword", value]),
+  ]);
+
+const radial = (line, [x0, y0, radius0, x1, y1, radius1]) =>
+  record([
+    ["uint8", 6],
+    ["offset24", line],
+    ["fword", x0],
+    ["fword", y0],
+    ["uint16", radius0],
+    ["fword", x1],
+    ["fword", y1],
+    ["uint16", radius1],
+  ]);
+
+const sweep = (line, centerX, centerY, startAngle, endAngle) =>
+  record([
+    ["uint8", 8],
+    ["offset24", line],
+    ["fword", centerX],
+    ["fword", centerY],
+    ["f2dot14", startAngle],
+    ["f2dot14", endAngle],
+  ]);
+
+const affine = (paint, matrix) =>
+  record([
+    ["uint8", 12],
+    ["offset24", paint],
+    ["offset24", record(matrix.map((value) => ["fixed", value]))],
+  ]);
+
+const translate = (paint, dx, dy) =>
+  record([
+    ["uint8", 14],
+    ["offset24", paint],
+    ["fword", dx],
+    ["fword", dy],
+  ]);
+
+// Transforms with a center use the next-but-one format
+const centered = (format, paint, values, center) =>
+  record([
+    ["uint8", center ? format + 2 : format],
+    ["offset24", paint],
+    ...values.map((value) => ["f2dot14", value]),
+    ...(center || []).map((value) => ["fword", value]),
+  ]);
+
+const scale = (paint, scaleX, scaleY, center) =>
+  centered(16, paint, [scaleX, scaleY], center);
+const scaleUniform = (paint, factor, center) =>
+  centered(20, paint, [factor], center);
+const rotate = (paint, angle, center) => centered(24, paint, [angle], center);
+const skew = (paint, xSkewAngle, ySkewAngle, center) =>
+  centered(28, paint, [xSkewAngle, ySkewAngle], center);
+
+const composite = (source, mode, backdrop) =>
+  record([
+    ["uint8", 32],
+    ["offset24", source],
+    ["uint8", mode],
+    ["offset24", backdrop],
+  ]);
+
+const colrLayers = (numLayers, firstLayerIndex) =>
+  record([
+    ["uint8", 1],
+    ["uint8", numLayers],
+    ["uint32", firstLayerIndex],
+  ]);
+
+const colrGlyph = (glyphId) =>
+  record([
+    ["uint8", 11],
+    ["uint16", glyphId],
+  ]);
+
+/**
+ * Build a COLR version 1 table
+ * @param {Object} colr - {glyphs: [[glyphId, paint]], layers: [paint],
+ *   clips: [[startGlyphId, endGlyphId, [xMin, yMin, xMax, yMax]]],
+ *   variationStore}
+ */
+function buildColr({ glyphs, layers = [], clips = [], variationStore }) {
+  const baseGlyphList = record([
+    ["uint32", glyphs.length],
+    ...[...glyphs]
+      .sort(([a], [b]) => a - b)
+      .flatMap(([glyphId, paint]) => [
+        ["uint16", glyphId],
+        ["offset32", paint],
+      ]),
+  ]);
+  const layerList =
+    layers.length &&
+    record([
+      ["uint32", layers.length],
+      ...layers.map((paint) => ["offset32", paint]),
+    ]);
+  const clipList =
+    clips.length &&
+    record([
+      ["uint8", 1],
+      ["uint32", clips.length],
+      ...clips.flatMap(([startGlyphId, endGlyphId, box]) => [
+        ["uint16", startGlyphId],
+        ["uint16", endGlyphId],
+        [
+          "offset24",
+          record([["uint8", 1], ...box.map((value) => ["fword", value])]),
+        ],
+      ]),
+    ]);
+
+  // No version 0 records: their offsets and counts stay zero
+  return record([
+    ["uint16", 1],
+    ["uint16", 0],
+    ["uint32", 0],
+    ["uint32", 0],
+    ["uint16", 0],
+    ["offset32", baseGlyphList],
+    ["offset32", layerList],
+    ["offset32", clipList],
+    ["offset32", null],
+    ["offset32", variationStore],
+  ]);
+}
+
+/**
+ * Load BebasNeue with a COLR version 1 table and the test palette
+ */
+function loadColorFont(colr) {
+  return loadFontWithTables(FONT, {
+    COLR: buildColr(colr),
+    CPAL: buildCpal([PALETTE]),
+  });
+}
+
+/**
+ * Render text and return its first character and defs markup
+ */
+function render(colr, text = "A", options) {
+  const result = loadColorFont(colr).path(text, options);
+  return { ...result.characters[0], defs: result.defs, result };
+}
+
+/**
+ * Plain outline path of a glyph at a character's position
+ */
+function outline(glyphId, { x, y }) {
+  return loadFontWithTables(FONT, {})._glyphIdToSVGPath(glyphId, {
+    scale: SCALE,
+    flipY: true,
+    offsetX: x,
+    offsetY: y,
+  });
+}
+
+/**
+ * Parse the attributes of the first element with a tag name
+ */
+function attributes(markup, tag) {
+  const element = new RegExp(`<${tag} ([^>]*)>`).exec(markup);
+  assert.ok(element, `no <${tag}> in ${markup}`);
+  return Object.fromEntries(
+    [...element[1].matchAll(/([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [
+      name,
+      value,
+    ])
+  );
+}
+
+const numbers = (text) => text.match(/-?[\d.]+(e-?\d+)?/g).map(Number);
+
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) =>
+    assert.ok(
+      Math.abs(value - expected[i]) < 1e-6,
+      `${actual} is not close to ${expected}`
+    )
+  );
+}
+
+/**
+ * Map a font-space point to SVG coordinates at a character's origin
+ */
+const toSVG = ({ x, y }, [pointX, pointY]) => [
+  x + pointX * SCALE,
+  y - pointY * SCALE,
+];
+
+/**
+ * Assert that an SVG matrix moves font-space points as expected
+ * @param {Array} moves - [x, y, movedX, movedY] in font units
+ */
+function assertTransform(character, matrix, moves) {
+  const [a, b, c, d, e, f] = numbers(matrix);
+  for (const [x, y, movedX, movedY] of moves) {
+    const [svgX, svgY] = toSVG(character, [x, y]);
+    assertClose(
+      [a * svgX + c * svgY + e, b * svgX + d * svgY + f],
+      toSVG(character, [movedX, movedY])
+    );
+  }
+}
+
+test("PaintGlyph with PaintSolid fills the outline", () => {
+  const a = render({ glyphs: [[A, glyph(I, solid(RED))]] });
+
+  assert.equal(a.svg, `<path d="${outline(I, a)}" fill="#ff0000"/>`);
+  assert.equal(a.path, outline(I, a));
+  assert.equal(a.defs, "");
+  assert.equal(a.result.paths, a.svg);
+
+  // Alpha multiplies the palette entry's alpha; 0xFFFF is the text color
+  const translucent = render({ glyphs: [[A, glyph(I, solid(GREEN, 0.5))]] });
+  assert.equal(
+    translucent.svg,
+    `<path d="${outline(I, a)}" fill="#008000" fill-opacity="0.251"/>`
+  );
+  const foreground = render({ glyphs: [[A, glyph(I, solid(0xffff))]] });
+  assert.equal(foreground.svg, `<path d="${outline(I, a)}"/>`);
+});
+
+test("glyphs without a paint render as plain outlines", () => {
+  const { result } = render({ glyphs: [[A, glyph(I, solid(RED))]] }, "AB");
+
+  assert.equal(result.characters[1].svg, undefined);
+  assert.equal(result.characters[1].path, outline(B, result.characters[1]));
+});
+
+test("linear gradients become linearGradient defs", () => {
+  const line = colorLine(0, [
+    [0, RED],
+    [1, BLUE, 0.5],
+  ]);
+  const a = render({
+    glyphs: [[A, glyph(I, linear(line, [0, 0, 1000, 0, 0, 1000]))]],
+  });
+
+  assert.equal(a.svg, `<path d="${outline(I, a)}" fill="url(#colr0)"/>`);
+  const gradient = attributes(a.defs, "linearGradient");
+  assert.equal(gradient.id, "colr0");
+  assert.equal(gradient.gradientUnits, "userSpaceOnUse");
+  assert.equal(gradient.spreadMethod, "pad");
+  assertClose(
+    numbers(`${gradient.x1} ${gradient.y1} ${gradient.x2} ${gradient.y2}`),
+    [...toSVG(a, [0, 0]), ...toSVG(a, [1000, 0])]
+  );
+  assert.match(
+    a.defs,
+    /<stop offset="0" stop-color="#ff0000"\/><stop offset="1" stop-color="#0000ff" stop-opacity="0.5"\/><\/linearGradient>$/
+  );
+});
+
+test("linear gradients project p1 onto the normal of p0-p2", () => {
+  // p2 is tilted, so the line runs perpendicular to p0-p2 instead of to p1
+  const line = colorLine(0, [
+    [0, RED],
+    [1, BLUE],
+  ]);
+  const a = render({
+    glyphs: [[A, glyph(I, linear(line, [0, 0, 100, 100, 0, 100]))]],
+  });
+  const gradient = attributes(a.defs, "linearGradient");
+
+  assertClose(
+    numbers(`${gradient.x1} ${gradient.y1} ${gradient.x2} ${gradient.y2}`),
+    [...toSVG(a, [0, 0]), ...toSVG(a, [100, 0])]
+  );
+});
+
+test("gradient extend modes map to spreadMethod", () => {
+  ["pad", "repeat", "reflect"].forEach((spreadMethod, extend) => {
+    const line = colorLine(extend, [
+      [0, RED],
+      [1, BLUE],
+    ]);
+    const linearPaint = render({
+      glyphs: [[A, glyph(I, linear(line, [0, 0, 100, 0, 0, 100]))]],
+    });
+    const radialPaint = render({
+      glyphs: [[A, glyph(I, radial(line, [0, 0, 0, 0, 0, 100]))]],
+    });
+
+    assert.equal(
+      attributes(linearPaint.defs, "linearGradient").spreadMethod,
+      spreadMethod
+    );
+    assert.equal(
+      attributes(radialPaint.defs, "radialGradient").spreadMethod,
+      spreadMethod
+    );
+  });
+});
+
+test("gradients stretch to the color line's first and last stops", () => {
+  const line = colorLine(1, [
+    [0.75, BLUE],
+    [0.25, RED],
+  ]);
+  const a = render({
+    glyphs: [[A, glyph(I, linear(line, [0, 0, 1000, 0, 0, 1000]))]],
+  });
+  const gradient = attributes(a.defs, "linearGradient");
+
+  assertClose(
+    numbers(`${gradient.x1} ${gradient.y1} ${gradient.x2} ${gradient.y2}`),
+    [...toSVG(a, [250, 0]), ...toSVG(a, [750, 0])]
+  );
+  assert.match(
+    a.defs,
+    /<stop offset="0" stop-color="#ff0000"\/><stop offset="1" stop-color="#0000ff"\/>/
+  );
+});
+
+test("radial gradients become radialGradient defs", () => {
+  const line = colorLine(2, [
+    [0, RED],
+    [0.5, GREEN],
+    [1, BLUE],
+  ]);
+  const a = render({
+    glyphs: [[A, glyph(O, radial(line, [100, 200, 50, 300, 400, 500]))]],
+  });
+
+  assert.equal(a.svg, `<path d="${outline(O, a)}" fill="url(#colr0)"/>`);
+  const gradient = attributes(a.defs, "radialGradient");
+  assert.equal(gradient.spreadMethod, "reflect");
+  assertClose(
+    numbers(
+      [
+        gradient.fx,
+        gradient.fy,
+        gradient.fr,
+        gradient.cx,
+        gradient.cy,
+        gradient.r,
+      ].join(" ")
+    ),
+    [...toSVG(a, [100, 200]), 50 * SCALE, ...toSVG(a, [300, 400]), 500 * SCALE]
+  );
+  assert.match(
+    a.defs,
+    /<stop offset="0.5" stop-color="#008000" stop-opacity="0.502"\/>/
+  );
+});
+
+test("sweep gradients become solid wedges clipped to the glyph", () => {
+  const sweepFills = (extend) => {
+    const line = colorLine(extend, [
+      [0, RED],
+      [1, BLUE],
+    ]);
+    const a = render({
+      glyphs: [[A, glyph(O, sweep(line, 500, 500, 0, 0.5))]],
+    });
+    assert.equal(
+      a.defs,
+      `<clipPath id="colr0"><path d="${outline(O, a)}"/></clipPath>`
+    );
+    const wedges = /^<g clip-path="url\(#colr0\)">(.*)<\/g>$/.exec(a.svg)[1];
+    assert.ok(
+      wedges.startsWith(`<path d="M ${toSVG(a, [500, 500]).join(" ")} L `)
+    );
+    return [...wedges.matchAll(/fill="([^"]+)"/g)].map(([, fill]) => fill);
+  };
+
+  // Wedges of 2 degrees: the quarter turn ramps from red to blue, then pad
+  // holds blue for the rest of the turn in one wedge
+  const pad = sweepFills(0);
+  assert.equal(pad.length, 46);
+  assert.equal(pad[0], "#fc0003");
+  assert.equal(pad[44], "#0300fc");
+  assert.equal(pad[45], "#0000ff");
+
+  // Repeat restarts the ramp every quarter turn
+  const repeat = sweepFills(1);
+  assert.equal(repeat.length, 180);
+  assert.equal(repeat[45], "#fc0003");
+  assert.equal(repeat[179], "#0300fc");
+
+  // Reflect runs it back to red, merging the two bluest wedges
+  const reflect = sweepFills(2);
+  assert.equal(reflect.length, 177);
+  assert.equal(reflect[44], "#0300fc");
+  assert.equal(reflect[45], "#0800f7");
+  assert.equal(reflect[88], "#fc0003");
+});
+
+test("transforms over a PaintGlyph become transform groups", () => {
+  const paint = glyph(I, solid(RED));
+  const cases = [
+    [affine(paint, [2, 0, 0.5, 1, 10, 20]), [[100, 100, 260, 120]]],
+    [translate(paint, 100, -50), [[0, 0, 100, -50]]],
+    [scale(paint, 1.5, 0.5), [[100, 100, 150, 50]]],
+    [
+      scale(paint, 1.5, 0.5, [100, 100]),
+      [
+        [100, 100, 100, 100],
+        [200, 200, 250, 150],
+      ],
+    ],
+    [scaleUniform(paint, 1.5), [[100, 100, 150, 150]]],
+    [scaleUniform(paint, 1.5, [100, 0]), [[200, 100, 250, 150]]],
+    [rotate(paint, 0.5), [[100, 0, 0, 100]]],
+    [
+      rotate(paint, 0.5, [500, 500]),
+      [
+        [500, 500, 500, 500],
+        [600, 500, 500, 600],
+      ],
+    ],
+    [skew(paint, 0.25, 0), [[0, 100, -100, 100]]],
+    [skew(paint, 0, 0.25), [[100, 0, 100, 100]]],
+    [
+      skew(paint, 0.25, 0, [0, 500]),
+      [
+        [0, 500, 0, 500],
+        [0, 600, -100, 600],
+      ],
+    ],
+  ];
+
+  for (const [root, moves] of cases) {
+    const a = render({ glyphs: [[A, root]] });
+    const group = /^<g transform="matrix\(([^)]+)\)">(.*)<\/g>$/.exec(a.svg);
+
+    assert.ok(group, a.svg);
+    assert.equal(group[2], `<path d="${outline(I, a)}" fill="#ff0000"/>`);
+    assertTransform(a, group[1], moves);
+    assert.equal(a.defs, "");
+  }
+});
+
+test("the silhouette path follows paint transforms", () => {
+  const a = render({ glyphs: [[A, translate(glyph(I, solid(RED)), 100, 0)]] });
+
+  assertClose(
+    numbers(a.path),
+    numbers(outline(I, { x: a.x + 100 * SCALE, y: a.y }))
+  );
+});
+
+test("transforms between PaintGlyph and a fill transform the fill only", () => {
+  // Solid fills are unaffected; gradients get a gradientTransform
+  const solidPaint = render({
+    glyphs: [[A, glyph(I, rotate(solid(RED), 0.25))]],
+  });
+  assert.equal(
+    solidPaint.svg,
+    `<path d="${outline(I, solidPaint)}" fill="#ff0000"/>`
+  );
+
+  const line = colorLine(0, [
+    [0, RED],
+    [1, BLUE],
+  ]);
+  const a = render({
+    glyphs: [
+      [
+        A,
+        glyph(
+          I,
+          translate(rotate(linear(line, [0, 0, 100, 0, 0, 100]), 0.5), 100, 0)
+        ),
+      ],
+    ],
+  });
+  assert.equal(a.svg, `<path d="${outline(I, a)}" fill="url(#colr0)"/>`);
+  const { gradientTransform } = attributes(a.defs, "linearGradient");
+  assertTransform(a, gradientTransform, [
+    [0, 0, 100, 0],
+    [100, 0, 100, 100],
+  ]);
+});
+
+/**
+ * Get the path data of a glyph's bounding box at a character's position
+ */
+function boundsPath(glyphId, character) {
+  const values = numbers(outline(glyphId, character));
+  const xs = values.filter((_, i) => i % 2 === 0);
+  const ys = values.filter((_, i) => i % 2 === 1);
+  const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+  const [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+  return `M ${xMin} ${yMax} L ${xMax} ${yMax} L ${xMax} ${yMin} L ${xMin} ${yMin} Z`;
+}
+
+test("fills under other paints cover the PaintGlyph's clipped bounds", () => {
+  const a = render({
+    glyphs: [[A, glyph(I, composite(solid(BLUE), 3, solid(RED)))]],
+  });
+  const box = boundsPath(I, a);
+
+  assert.equal(
+    a.defs,
+    `<clipPath id="colr0"><path d="${outline(I, a)}"/></clipPath>`
+  );
+  assert.equal(
+    a.svg,
+    `<g clip-path="url(#colr0)"><path d="${box}" fill="#ff0000"/><path d="${box}" fill="#0000ff"/></g>`
+  );
+});
+
+test("PaintComposite maps compositing modes", () => {
+  const source = glyph(I, solid(RED));
+  const backdrop = glyph(O, solid(BLUE));
+  const renderMode = (mode) =>
+    render({ glyphs: [[A, composite(source, mode, backdrop)]] });
+
+  const a = renderMode(3);
+  const sourcePath = `<path d="${outline(I, a)}" fill="#ff0000"/>`;
+  const backdropPath = `<path d="${outline(O, a)}" fill="#0000ff"/>`;
+
+  // Both operands count toward the silhouette, even when cleared
+  assert.equal(a.path, `${outline(I, a)} ${outline(O, a)}`);
+  assert.equal(a.svg, backdropPath + sourcePath);
+  assert.equal(a.defs, "");
+  const clear = renderMode(0);
+  assert.equal(clear.svg, "");
+  assert.equal(clear.path, a.path);
+  assert.equal(clear.result.paths, "");
+  assert.equal(renderMode(1).svg, sourcePath);
+  assert.equal(renderMode(2).svg, backdropPath);
+  assert.equal(renderMode(4).svg, sourcePath + backdropPath);
+
+  // SRC_IN masks the source by the backdrop's alpha
+  const sourceIn = renderMode(5);
+  assert.equal(sourceIn.svg, `<g mask="url(#colr0)">${sourcePath}</g>`);
+  const mask = attributes(sourceIn.defs, "mask");
+  assert.equal(mask["mask-type"], "alpha");
+  assert.equal(mask.maskUnits, "userSpaceOnUse");
+  assert.ok(sourceIn.defs.endsWith(`>${backdropPath}</mask>`));
+
+  // DEST_OUT uses a luminance mask with the source painted black
+  const destinationOut = renderMode(8);
+  assert.equal(destinationOut.svg, `<g mask="url(#colr0)">${backdropPath}</g>`);
+  assert.match(
+    destinationOut.defs,
+    /^<filter id="colr1"><feColorMatrix values="[^"]+"\/><\/filter>\n<mask id="colr0" [^>]+><path d="[^"]+" fill="white"\/><g filter="url\(#colr1\)">/
+  );
+  assert.ok(destinationOut.defs.endsWith(`${sourcePath}</g></mask>`));
+
+  // XOR shares one black filter between its two masks
+  const xor = renderMode(11);
+  assert.equal(
+    xor.svg,
+    `<g mask="url(#colr0)">${sourcePath}</g><g mask="url(#colr2)">${backdropPath}</g>`
+  );
+  assert.equal(xor.defs.match(/<filter /g).length, 1);
+
+  // SRC_ATOP keeps the backdrop under the masked source
+  assert.equal(
+    renderMode(9).svg,
+    `${backdropPath}<g mask="url(#colr0)">${sourcePath}</g>`
+  );
+
+  // Blend modes from PLUS (12) use CSS mix-blend-mode
+  assert.equal(
+    renderMode(23).svg,
+    `<g style="isolation:isolate">${backdropPath}<g style="mix-blend-mode:multiply">${sourcePath}</g></g>`
+  );
+  assert.match(renderMode(12).svg, /mix-blend-mode:plus-lighter/);
+});
+
+test("PaintColrLayers renders a slice of the LayerList", () => {
+  const layers = [
+    glyph(I, solid(RED)),
+    glyph(O, solid(BLUE)),
+    glyph(B, solid(GREEN)),
+  ];
+  const a = render({ glyphs: [[A, colrLayers(2, 1)]], layers });
+
+  assert.equal(
+    a.svg,
+    `<path d="${outline(O, a)}" fill="#0000ff"/><path d="${outline(
+      B,
+      a
+    )}" fill="#008000" fill-opacity="0.502"/>`
+  );
+  assert.equal(a.path, `${outline(O, a)} ${outline(B, a)}`);
+});
+
+test("PaintColrGlyph reuses another base glyph's paint", () => {
+  const { result } = render(
+    {
+      glyphs: [
+        [A, glyph(I, solid(RED))],
+        [B, translate(colrGlyph(A), 100, 0)],
+      ],
+    },
+    "AB"
+  );
+  const [a, b] = result.characters;
+
+  const group = /^<g transform="matrix\(([^)]+)\)">(.*)<\/g>$/.exec(b.svg);
+  assertTransform(b, group[1], [[0, 0, 100, 0]]);
+  assert.equal(group[2], `<path d="${outline(I, b)}" fill="#ff0000"/>`);
+  assert.equal(a.svg, `<path d="${outline(I, a)}" fill="#ff0000"/>`);
+
+  // Glyphs without a paint, and cycles, render nothing
+  const missing = render({ glyphs: [[A, colrGlyph(B)]] }, "A");
+  assert.equal(missing.svg, undefined);
+  const cycle = render({
+    glyphs: [[A, composite(glyph(I, solid(RED)), 3, colrGlyph(A))]],
+  });
+  assert.match(cycle.svg, /fill="#ff0000"/);
+});
+
+test("ClipBoxes clip base glyphs in their glyph range", () => {
+  const paint = glyph(O, solid(RED));
+  const { result } = render(
+    {
+      glyphs: [
+        [A, paint],
+        [B, paint],
+      ],
+      clips: [[A, B, [0, -100, 200, 500]]],
+    },
+    "AB"
+  );
+
+  result.characters.forEach((character, i) => {
+    const id = `colr${i}`;
+    const corners = [
+      [0, -100],
+      [200, -100],
+      [200, 500],
+      [0, 500],
+    ].map((point) => toSVG(character, point).join(" "));
+    assert.ok(
+      result.defs.includes(
+        `<clipPath id="${id}"><path d="M ${corners.join(" L ")} Z"/></clipPath>`
+      )
+    );
+    assert.equal(
+      character.svg,
+      `<g clip-path="url(#${id})"><path d="${outline(
+        O,
+        character
+      )}" fill="#ff0000"/></g>`
+    );
+  });
+
+  // Fills under a ClipBox cover only its intersection with the glyph
+  // bounds (O spans 33,-10 to 543,730)
+  const a = render({
+    glyphs: [[A, glyph(O, composite(solid(BLUE), 1, solid(RED)))]],
+    clips: [[A, A, [0, -100, 200, 500]]],
+  });
+  const fill =
+    /^<g clip-path="url\(#colr1\)"><g clip-path="url\(#colr0\)"><path d="([^"]+)" fill="#0000ff"\/><\/g><\/g>$/.exec(
+      a.svg
+    );
+  assert.ok(fill, a.svg);
+  assertClose(
+    numbers(fill[1]),
+    [
+      [33, -10],
+      [200, -10],
+      [200, 500],
+      [33, 500],
+    ].flatMap((point) => toSVG(a, point))
+  );
+});
+
+test("gradient ids are unique per result and use idPrefix", () => {
+  const line = colorLine(0, [
+    [0, RED],
+    [1, BLUE],
+  ]);
+  const parser = loadColorFont({
+    glyphs: [[A, glyph(I, linear(line, [0, 0, 100, 0, 0, 100]))]],
+  });
+
+  const result = parser.path("AA", { idPrefix: "title-" });
+  assert.deepEqual(
+    result.characters.map(
+      (character) => character.svg.match(/url\(#([^)]+)\)/)[1]
+    ),
+    ["title-0", "title-1"]
+  );
+  assert.deepEqual(
+    [...result.defs.matchAll(/id="([^"]+)"/g)].map(([, id]) => id),
+    ["title-0", "title-1"]
+  );
+
+  // Each call starts over
+  assert.match(parser.path("A").defs, /^<linearGradient id="colr0" /);
+});
+
+test("glyphToSVG includes COLR v1 markup and defs", () => {
+  const line = colorLine(0, [
+    [0, RED],
+    [1, BLUE],
+  ]);
+  const parser = loadColorFont({
+    glyphs: [[A, glyph(I, linear(line, [0, 0, 100, 0, 0, 100]))]],
+  });
+
+  const svg = parser.glyphToSVG("A", { idPrefix: "icon-" });
+  assert.match(svg, /<defs><linearGradient id="icon-0" [^>]+>.*<\/defs>/);
+  assert.match(svg, /<path d="[^"]+" fill="url\(#icon-0\)"\/>/);
+  assert.match(parser.glyphToSVG("A"), /<linearGradient id="colr0" /);
+
+  // Cleared glyphs draw nothing rather than a black silhouette
+  const cleared = loadColorFont({
+    glyphs: [[A, composite(glyph(I, solid(RED)), 0, glyph(O, solid(RED)))]],
+  });
+  assert.doesNotMatch(cleared.glyphToSVG("A"), /<path /);
+});
+
+/**
+ * Build an ItemVariationStore with one region peaking at wght max
+ * (Obviously-Variable axes: wdth, wght) and one delta per item
+ */
+function buildVariationStore(deltas) {
+  const regionList = Buffer.alloc(4 + 2 * 6);
+  regionList.writeUInt16BE(2, 0);
+  regionList.writeUInt16BE(1, 2);
+  regionList.writeInt16BE(16384, 4 + 6 + 2); // wght peak
+  regionList.writeInt16BE(16384, 4 + 6 + 4); // wght end
+
+  const data = Buffer.alloc(8 + deltas.length * 2);
+  data.writeUInt16BE(deltas.length, 0); // itemCount
+  data.writeUInt16BE(1, 2); // wordDeltaCount
+  data.writeUInt16BE(1, 4); // regionIndexCount
+  deltas.forEach((delta, i) => data.writeInt16BE(delta, 8 + i * 2));
+
+  const store = Buffer.alloc(12);
+  store.writeUInt16BE(1, 0);
+  store.writeUInt32BE(12, 2);
+  store.writeUInt16BE(1, 6);
+  store.writeUInt32BE(12 + regionList.length, 8);
+  return Buffer.concat([store, regionList, data]);
+}
+
+test("variable paints follow setVariation", () => {
+  // PaintVarTranslate (items 0 and 1) over PaintVarSolid (item 2): at wght
+  // max the glyph moves 100 units right and its alpha drops to 0.5
+  const varSolid = record([
+    ["uint8", 3],
+    ["uint16", RED],
+    ["f2dot14", 1],
+    ["uint32", 2],
+  ]);
+  const varTranslate = record([
+    ["uint8", 15],
+    ["offset24", glyph(2, varSolid)],
+    ["fword", 0],
+    ["fword", 0],
+    ["uint32", 0],
+  ]);
+  const parser = loadFontWithTables(VARIABLE_FONT, {
+    COLR: buildColr({
+      glyphs: [[1, varTranslate]],
+      variationStore: buildVariationStore([100, 0, -8192]),
+    }),
+    CPAL: buildCpal([PALETTE]),
+  });
+  const renderAt = (wght) => {
+    parser.setVariation({ wght });
+    const [a] = parser.path("A").characters;
+    const group = /^<g transform="matrix\(([^)]+)\)">(.*)<\/g>$/.exec(a.svg);
+    const path = parser._glyphIdToSVGPath(2, {
+      scale: SCALE,
+      flipY: true,
+      offsetX: a.x,
+      offsetY: a.y,
+    });
+    return { a, matrix: group[1], content: group[2], path };
+  };
+
+  let { a, matrix, content, path } = renderAt(150);
+  assertTransform(a, matrix, [[0, 0, 0, 0]]);
+  assert.equal(content, `<path d="${path}" fill="#ff0000"/>`);
+
+  ({ a, matrix, content, path } = renderAt(800));
+  assertTransform(a, matrix, [[0, 0, 100, 0]]);
+  assert.equal(
+    content,
+    `<path d="${path}" fill="#ff0000" fill-opacity="0.5"/>`
+  );
+
+  ({ a, matrix, content, path } = renderAt(475));
+  assertTransform(a, matrix, [[0, 0, 50, 0]]);
+  assert.equal(
+    content,
+    `<path d="${path}" fill="#ff0000" fill-opacity="0.75"/>`
+  );
+
+  // The variable option resolves paints the same way
+  const [varied] = parser.path("A", { variable: { wght: 800 } }).characters;
+  assert.match(varied.svg, /fill-opacity="0.5"/);
+});
@@ -0,0 +1,254 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFontWithTables, buildCpal } = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+
+// BebasNeue glyph IDs
+const A = 4;
+const T = 107;
+const V = 124;
+const o = 219;
+
+/**
+ * Build a COLR version 0 table from [baseGlyphId, [[layerGlyphId, paletteIndex]]]
+ * records (sorted by base glyph ID)
+ */
+function buildColr(records) {
+  const baseRecords = Buffer.alloc(records.length * 6);
+  const layerRecords = [];
+  records.forEach(([glyphId, layers], i) => {
+    baseRecords.writeUInt16BE(glyphId, i * 6);
+    baseRecords.writeUInt16BE(layerRecords.length, i * 6 + 2);
+    baseRecords.writeUInt16BE(layers.length, i * 6 + 4);
+    layerRecords.push(...layers);
+  });
+
+  const header = Buffer.alloc(14);
+  header.writeUInt16BE(records.length, 2);
+  header.writeUInt32BE(14, 4); // baseGlyphRecordsOffset
+  header.writeUInt32BE(14 + baseRecords.length, 8); // layerRecordsOffset
+  header.writeUInt16BE(layerRecords.length, 12);
+
+  const layers = Buffer.alloc(layerRecords.length * 4);
+  layerRecords.forEach(([glyphId, paletteIndex], i) => {
+    layers.writeUInt16BE(glyphId, i * 4);
+    layers.writeUInt16BE(paletteIndex, i * 4 + 2);
+  });
+  return Buffer.concat([header, baseRecords, layers]);
+}
+
+const PALETTES = [
+  [
+    [255, 0, 0, 255],
+    [0, 128, 0, 128],
+  ],
+  [
+    [0, 0, 255, 255],
+    [255, 255, 0, 255],
+  ],
+];
+
+/**
+ * Load BebasNeue with "A" drawn as a red T, a translucent green V and an "o"
+ * in the foreground color
+ */
+function loadColorFont(cpalOptions) {
+  return loadFontWithTables(FONT, {
+    COLR: buildColr([
+      [
+        A,
+        [
+          [T, 0],
+          [V, 1],
+          [o, 0xffff],
+        ],
+      ],
+    ]),
+    CPAL: buildCpal(PALETTES, cpalOptions),
+  });
+}
+
+test("getPalettes lists CPAL version 0 colors as hex", () => {
+  const parser = loadColorFont();
+
+  assert.deepEqual(parser.getPalettes(), [
+    {
+      index: 0,
+      name: null,
+      colors: ["#ff0000", "#00800080"],
+      usableWithLightBackground: false,
+      usableWithDarkBackground: false,
+    },
+    {
+      index: 1,
+      name: null,
+      colors: ["#0000ff", "#ffff00"],
+      usableWithLightBackground: false,
+      usableWithDarkBackground: false,
+    },
+  ]);
+  assert.deepEqual(parser.data.palettes, parser.getPalettes());
+});
+
+test("getPalettes reads CPAL version 1 types and labels", () => {
+  const parser = loadColorFont({
+    types: [0x0001, 0x0002],
+    labels: [1, 0xffff],
+  });
+  const palettes = parser.getPalettes();
+
+  assert.equal(palettes[0].name, "Bebas Neue");
+  assert.equal(palettes[0].usableWithLightBackground, true);
+  assert.equal(palettes[0].usableWithDarkBackground, false);
+  assert.equal(palettes[1].name, null);
+  assert.equal(palettes[1].usableWithLightBackground, false);
+  assert.equal(palettes[1].usableWithDarkBackground, true);
+  assert.deepEqual(palettes[1].colors, ["#0000ff", "#ffff00"]);
+});
+
+test("getPalettes reads CPAL version 1 labels without types", () => {
+  const palettes = loadColorFont({ labels: [2, 1] }).getPalettes();
+
+  assert.deepEqual(
+    palettes.map((palette) => palette.name),
+    ["Regular", "Bebas Neue"]
+  );
+  assert.equal(palettes[0].usableWithLightBackground, false);
+  assert.equal(palettes[0].usableWithDarkBackground, false);
+});
+
+test("fonts without CPAL have no palettes", () => {
+  assert.deepEqual(loadFontWithTables(FONT, {}).getPalettes(), []);
+});
+
+test("path renders COLR layers with the default palette", () => {
+  const parser = loadColorFont();
+  const plain = loadFontWithTables(FONT, {});
+  const result = parser.path("AB");
+  const [a, b] = result.characters;
+
+  assert.deepEqual(
+    a.layers.map(({ fill, opacity }) => ({ fill, opacity })),
+    [
+      { fill: "#ff0000", opacity: 1 },
+      { fill: "#008000", opacity: 128 / 255 },
+      { fill: null, opacity: 1 },
+    ]
+  );
+  assert.equal(a.path, a.layers.map((layer) => layer.path).join(" "));
+  assert.equal(
+    a.layers[0].path,
+    plain._glyphIdToSVGPath(T, {
+      scale: 72 / plain.unitsPerEm,
+      flipY: true,
+      offsetX: a.x,
+      offsetY: a.y,
+    })
+  );
+
+  // Glyphs without a COLR record render as plain paths
+  assert.equal(b.layers, undefined);
+  assert.equal(b.path, plain.path("AB").characters[1].path);
+
+  const elements = result.paths.split("\n");
+  assert.equal(elements.length, 4);
+  assert.match(elements[0], /^<path d="[^"]+" fill="#ff0000"\/>$/);
+  assert.match(
+    elements[1],
+    /^<path d="[^"]+" fill="#008000" fill-opacity="0.502"\/>$/
+  );
+  assert.match(elements[2], /^<path d="[^"]+"\/>$/);
+  assert.equal(result.defs, "");
+});
+
+test("the palette option selects a palette by index", () => {
+  const [a] = loadColorFont().path("A", { palette: 1 }).characters;
+
+  assert.deepEqual(
+    a.layers.map(({ fill, opacity }) => ({ fill, opacity })),
+    [
+      { fill: "#0000ff", opacity: 1 },
+      { fill: "#ffff00", opacity: 1 },
+      { fill: null, opacity: 1 },
+    ]
+  );
+});
+
+test("the palette option overrides entries with CSS colors", () => {
+  const parser = loadColorFont();
+
+  let [a] = parser.path("A", {
+    palette: { index: 1, colors: { 0: "red" } },
+  }).characters;
+  assert.deepEqual(
+    a.layers.map((layer) => layer.fill),
+    ["red", "#ffff00", null]
+  );
+
+  // Overrides are opaque and apply to palette 0 by default
+  [a] = parser.path("A", { palette: { colors: { 1: "#123456" } } }).characters;
+  assert.deepEqual(
+    a.layers.map(({ fill, opacity }) => ({ fill, opacity })),
+    [
+      { fill: "#ff0000", opacity: 1 },
+      { fill: "#123456", opacity: 1 },
+      { fill: null, opacity: 1 },
+    ]
+  );
+});
+
+test("foreground layers (palette index 0xFFFF) use the text color", () => {
+  const parser = loadColorFont();
+  const [a] = parser.path("A").characters;
+  const foreground = a.layers[2];
+
+  assert.equal(foreground.fill, null);
+  assert.equal(
+    parser.path("A").paths.split("\n")[2],
+    `<path d="${foreground.path}"/>`
+  );
+
+  // glyphToSVG fills foreground layers black
+  const svg = parser.glyphToSVG("A");
+  const fills = [...svg.matchAll(/<path [^>]*fill="([^"]+)"/g)].map(
+    (match) => match[1]
+  );
+  assert.deepEqual(fills, ["#ff0000", "#008000", "black"]);
+  assert.match(svg, /fill="#008000" fill-opacity="0.502" stroke="none"/);
+});
+
+test("glyphToSVG accepts the palette option", () => {
+  const svg = loadColorFont().glyphToSVG("A", {
+    palette: { index: 1, colors: { 1: "green" } },
+  });
+  const fills = [...svg.matchAll(/<path [^>]*fill="([^"]+)"/g)].map(
+    (match) => match[1]
+  );
+
+  assert.deepEqual(fills, ["#0000ff", "green", "black"]);
+});
+
+test("unknown palettes throw", () => {
+  const parser = loadColorFont();
+
+  assert.throws(() => parser.path("A", { palette: 2 }), /Unknown palette: 2/);
+  assert.throws(
+    () => parser.path("A", { palette: { index: 5, colors: { 0: "red" } } }),
+    /Unknown palette: 5/
+  );
+  assert.throws(
+    () => parser.glyphToSVG("A", { palette: 2 }),
+    /Unknown palette: 2/
+  );
+
+  // Without CPAL every layer uses the foreground color
+  const noCpal = loadFontWithTables(FONT, {
+    COLR: buildColr([[A, [[T, 0]]]]),
+  });
+  const [a] = noCpal.path("A", { palette: 3 }).characters;
+  assert.deepEqual(
+    a.layers.map(({ fill, opacity }) => ({ fill, opacity })),
+    [{ fill: null, opacity: 1 }]
+  );
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont, loadFontWithTables } = require("./helpers");
+
+/**
+ * Glyph names of the shaped run for text (ccmp, liga, ... as in path())
+ */
+function shape(parser, text, options = {}) {
+  return parser
+    ._layoutText(text, parser._normalizeOptions(options))
+    .map((glyph) => parser.getGlyphName(glyph.glyphId));
+}
+
+test("getFeatures() lists feature tags, scripts, languages and names", () => {
+  const parser = loadFont("Obviously-Variable.ttf");
+  const tags = ["salt", "ss01", "ss02", "ss03", "ss04", "ss05", "ss06"];
+  const features = parser.getFeatures();
+
+  assert.deepEqual(features.features, tags);
+  assert.deepEqual(features.scripts, { DFLT: { dflt: tags } });
+  // The Windows record is used; this font's Mac record for ID 256 differs
+  assert.equal(features.names.ss01, "Antique Olive terminals");
+  assert.deepEqual(parser.data.features, features);
+
+  const inter = loadFont("Inter_28pt-Medium.ttf").getFeatures();
+  assert.deepEqual(Object.keys(inter.scripts), [
+    "DFLT",
+    "latn",
+    "cyrl",
+    "grek",
+  ]);
+  assert.deepEqual(Object.keys(inter.scripts.latn), [
+    "dflt",
+    "CAT",
+    "MOL",
+    "ROM",
+  ]);
+  assert.ok(inter.scripts.latn.CAT.includes("locl"));
+  assert.equal(inter.names.cv11, "Single-story a");
+});
+
+test("fonts without layout tables report no features", () => {
+  const parser = loadFontWithTables("Obviously-Variable.ttf", { GSUB: null });
+  assert.deepEqual(parser.getFeatures(), {
+    features: [],
+    scripts: {},
+    names: {},
+  });
+});
+
+test("default features apply unless turned off", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+
+  // ccmp composes e + combining acute
+  assert.deepEqual(shape(parser, "e\u0301"), ["eacute"]);
+  assert.deepEqual(shape(parser, "e\u0301", { features: { ccmp: false } }), [
+    "e",
+    "acutecomb",
+  ]);
+
+  // Optional features stay off until requested
+  assert.deepEqual(shape(parser, "1/2"), ["one", "slash", "two"]);
+});
+
+test("features accept booleans and numbers", () => {
+  const parser = loadFont("Obviously-Variable.ttf");
+  assert.deepEqual(shape(parser, "gy", { features: { ss01: true } }), [
+    "g.alt",
+    "y.alt",
+  ]);
+  assert.deepEqual(shape(parser, "gy", { features: { ss02: 1 } }), [
+    "g.alt2",
+    "y",
+  ]);
+  assert.deepEqual(shape(parser, "gy", { features: { ss01: false } }), [
+    "g",
+    "y",
+  ]);
+
+  const inter = loadFont("Inter_28pt-Medium.ttf");
+  assert.deepEqual(shape(inter, "1/2", { features: { frac: true } }), [
+    "one.numr",
+    "fraction",
+    "two.dnom",
+  ]);
+});
+
+test("tnum gives every digit the same advance", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const advances = (options) =>
+    parser
+      .path("0147", { size: parser.unitsPerEm, ...options })
+      .characters.map((char) => char.advance);
+
+  assert.equal(new Set(advances()).size > 1, true);
+  assert.equal(new Set(advances({ features: { tnum: true } })).size, 1);
+});
+
+test("a feature value n picks the nth alternate", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const alternate = (n) => shape(parser, "a", { features: { aalt: n } })[0];
+
+  assert.equal(alternate(1), "a.subs");
+  assert.equal(alternate(2), "a.sups");
+  assert.equal(alternate(3), "ordfeminine");
+  // Out of range values leave the glyph alone
+  assert.equal(alternate(4), "a");
+});
+
+test("language picks the language system's lookups", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const options = { features: { locl: true } };
+
+  assert.deepEqual(shape(parser, "l\u00b7l", options), [
+    "l",
+    "periodcentered",
+    "l",
+  ]);
+  assert.deepEqual(shape(parser, "l\u00b7l", { ...options, language: "CAT" }), [
+    "ldot",
+    "l",
+  ]);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont } = require("./helpers");
+
+/**
+ * Lay out text at one unit per font unit
+ * @returns {Array} [x, advance, kerning] per character
+ */
+function layout(parser, text, options = {}) {
+  return parser
+    .path(text, { size: parser.unitsPerEm, ...options })
+    .characters.map((char) => [char.x, char.advance, char.kerning]);
+}
+
+test("PairPos format 1 adjusts a specific glyph pair", () => {
+  // Bebas Neue's first kerning subtable lists "//" explicitly
+  const parser = loadFont("BebasNeue-Regular.ttf");
+  assert.deepEqual(layout(parser, "//"), [
+    [0, 389, 0],
+    [249, 389, -140],
+  ]);
+});
+
+test("PairPos format 2 adjusts class pairs", () => {
+  assert.deepEqual(layout(loadFont("BebasNeue-Regular.ttf"), "AV"), [
+    [0, 401, 0],
+    [373, 382, -28],
+  ]);
+  assert.deepEqual(layout(loadFont("SigmaSerif-Headline.otf"), "To"), [
+    [0, 645, 0],
+    [545, 541, -100],
+  ]);
+});
+
+test("kerning inside extension lookups is applied", () => {
+  // Inter wraps its kerning lookup in Extension (type 9) subtables
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  assert.deepEqual(layout(parser, "AV"), [
+    [0, 1395, 0],
+    [1201, 1391, -194],
+  ]);
+  assert.deepEqual(layout(parser, "To"), [
+    [0, 1283, 0],
+    [1058, 1166, -225],
+  ]);
+});
+
+test("fontKerning: false and features.kern = false turn kerning off", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const unkerned = [
+    [0, 1395, 0],
+    [1395, 1391, 0],
+  ];
+  assert.deepEqual(layout(parser, "AV", { fontKerning: false }), unkerned);
+  assert.deepEqual(
+    layout(parser, "AV", { features: { kern: false } }),
+    unkerned
+  );
+});
+
+test("kerning scales with size and combines with tracking", () => {
+  const parser = loadFont("BebasNeue-Regular.ttf");
+  const result = parser.path("AV", { size: 500, tracking: 0.1 });
+
+  assert.deepEqual(
+    result.characters.map((char) => [char.x, char.kerning]),
+    [
+      [0, 0],
+      [206.55, -14],
+    ]
+  );
+});
+
+test("a space between the glyphs breaks the pair", () => {
+  const parser = loadFont("BebasNeue-Regular.ttf");
+  assert.deepEqual(
+    layout(parser, "A V").map(([, , kerning]) => kerning),
+    [0, 0]
+  );
+});
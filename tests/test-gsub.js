@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFont,
+  loadFontWithTables,
+  pack,
+  buildCoverage,
+  buildLayoutTable,
+} = require("./helpers");
+
+// None of the bundled fonts has liga, so the tests swap in a GSUB with
+// "ffl" and "fi" ligatures. Æ and Œ stand in for the ligature glyphs
+const FONT = "Inter_28pt-Medium.ttf";
+const IGNORE_MARKS = 0x0008;
+
+function ligatureFont(flag = 0) {
+  const ids = loadFont(FONT);
+  const [f, i, l, ffl, fi] = ["f", "i", "l", "Œ", "Æ"].map((char) =>
+    ids.getGlyphId(char)
+  );
+
+  // LigatureSubst format 1 with one ligature set, for "f"
+  const ligatureSet = pack([2, pack([ffl, 3, f, l]), pack([fi, 2, i])]);
+  const subtable = pack([1, buildCoverage([f]), 1, ligatureSet]);
+  const gsub = buildLayoutTable(
+    [["liga", [0]]],
+    [{ type: 4, flag, subtables: [subtable] }]
+  );
+  return loadFontWithTables(FONT, { GSUB: gsub });
+}
+
+/**
+ * Lay out text at one unit per font unit
+ * @returns {Array} [char, x, advance] per character
+ */
+function layout(parser, text, options = {}) {
+  return parser
+    .path(text, { size: parser.unitsPerEm, fontKerning: false, ...options })
+    .characters.map((char) => [char.char, char.x, char.advance]);
+}
+
+test("liga forms ffl and fi ligatures", () => {
+  const parser = ligatureFont();
+  const advance = (char) =>
+    parser.getGlyphMetrics(parser.getGlyphId(char)).advanceWidth;
+  const [fi, ffl] = [advance("Æ"), advance("Œ")];
+
+  assert.deepEqual(layout(parser, "fi"), [["fi", 0, fi]]);
+  assert.deepEqual(layout(parser, "ffl"), [["ffl", 0, ffl]]);
+});
+
+test("ligatures keep the source characters and advance the pen once", () => {
+  const parser = ligatureFont();
+  const advance = (char) =>
+    parser.getGlyphMetrics(parser.getGlyphId(char)).advanceWidth;
+  const [a, f, fi, ffl] = [
+    advance("a"),
+    advance("f"),
+    advance("Æ"),
+    advance("Œ"),
+  ];
+
+  assert.deepEqual(layout(parser, "afflfi"), [
+    ["a", 0, a],
+    ["ffl", a, ffl],
+    ["fi", a + ffl, fi],
+  ]);
+
+  // "ffi" has no ligature of its own: the second f starts "fi"
+  assert.deepEqual(layout(parser, "ffi"), [
+    ["f", 0, f],
+    ["fi", f, fi],
+  ]);
+});
+
+test("liga: false keeps the separate glyphs", () => {
+  const parser = ligatureFont();
+  const advance = (char) =>
+    parser.getGlyphMetrics(parser.getGlyphId(char)).advanceWidth;
+  const [f, i, l] = [advance("f"), advance("i"), advance("l")];
+
+  assert.deepEqual(layout(parser, "ffli", { features: { liga: false } }), [
+    ["f", 0, f],
+    ["f", f, f],
+    ["l", 2 * f, l],
+    ["i", 2 * f + l, i],
+  ]);
+});
+
+test("ligatures skip marks when the lookup ignores them", () => {
+  const text = "f\u0301i";
+  assert.deepEqual(
+    layout(ligatureFont(), text, { features: { ccmp: false } }).map(
+      ([char]) => char
+    ),
+    ["f", "\u0301", "i"]
+  );
+  assert.deepEqual(
+    layout(ligatureFont(IGNORE_MARKS), text, {
+      features: { ccmp: false },
+    }).map(([char]) => char),
+    ["fi", "\u0301"]
+  );
+});
+
+test("tracking applies to the ligature advance", () => {
+  const parser = ligatureFont();
+  const fi = parser.getGlyphMetrics(parser.getGlyphId("Æ")).advanceWidth;
+  const [, next] = layout(parser, "fia", { tracking: 0.5 });
+  assert.equal(next[1], fi * 1.5);
+});
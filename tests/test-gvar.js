@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont } = require("./helpers");
+
+// Obviously-Variable: wdth 100..800 and wght 150..800, both defaulting to
+// their minimum. Its gvar mixes shared, embedded and intermediate tuples
+// (peaks at 0.5) with sparse point sets that need IUP
+const FONT = "Obviously-Variable.ttf";
+
+function glyphA(parser) {
+  return parser.parseGlyph(parser.getGlyphId("A"));
+}
+
+function firstPoints(glyph) {
+  return glyph.contours.map((contour) => [contour[0].x, contour[0].y]);
+}
+
+test("default position keeps the glyf outline", () => {
+  const parser = loadFont(FONT);
+  const glyph = glyphA(parser);
+
+  assert.deepEqual(
+    { xMin: glyph.xMin, yMin: glyph.yMin, xMax: glyph.xMax, yMax: glyph.yMax },
+    { xMin: 4, yMin: 0, xMax: 154, yMax: 750 }
+  );
+  assert.deepEqual(
+    glyph.contours.map((contour) => contour.length),
+    [22, 43]
+  );
+  assert.deepEqual(firstPoints(glyph), [
+    [24, 218],
+    [154, 0],
+  ]);
+
+  parser.setVariation({ wdth: 100, wght: 150 });
+  assert.deepEqual(glyphA(parser).contours, glyph.contours);
+});
+
+test("minimum position clamps to the axis minimum", () => {
+  const parser = loadFont(FONT);
+  const defaultGlyph = glyphA(parser);
+
+  parser.setVariation({ wdth: 0, wght: 0 });
+  assert.deepEqual(parser.getNormalizedCoords(), { wdth: 0, wght: 0 });
+  assert.deepEqual(glyphA(parser).contours, defaultGlyph.contours);
+});
+
+test("maximum position applies the full deltas", () => {
+  const parser = loadFont(FONT);
+  parser.setVariation({ wdth: 800, wght: 800 });
+  const glyph = glyphA(parser);
+
+  assert.deepEqual(
+    { xMin: glyph.xMin, yMin: glyph.yMin, xMax: glyph.xMax, yMax: glyph.yMax },
+    { xMin: -4, yMin: 0, xMax: 1567, yMax: 750 }
+  );
+  assert.deepEqual(firstPoints(glyph), [
+    [338, 315],
+    [1567, 0],
+  ]);
+  assert.deepEqual(
+    [glyph.contours[0][5].x, glyph.contours[0][5].y],
+    [710, 129]
+  );
+});
+
+test("intermediate regions scale between start, peak and end", () => {
+  const parser = loadFont(FONT);
+
+  // wght 0.25: halfway up the 0..0.5 intermediate region
+  parser.setVariation({ wdth: 100, wght: 312.5 });
+  let glyph = glyphA(parser);
+  assert.deepEqual(firstPoints(glyph), [
+    [33, 247.5],
+    [176, 0],
+  ]);
+  assert.deepEqual(
+    [glyph.contours[0][5].x, glyph.contours[0][5].y],
+    [81.5, 211]
+  );
+
+  // wdth 0.25, wght 0.75: both axes inside intermediate regions
+  parser.setVariation({ wdth: 275, wght: 637.5 });
+  glyph = glyphA(parser);
+  assert.deepEqual(
+    { xMin: glyph.xMin, xMax: glyph.xMax },
+    { xMin: 3.75, xMax: 473.25 }
+  );
+  assert.deepEqual(firstPoints(glyph), [
+    [99.5, 299],
+    [473.25, 0],
+  ]);
+  assert.deepEqual(
+    [glyph.contours[0][5].x, glyph.contours[0][5].y],
+    [219, 156]
+  );
+});
+
+test("points missing from sparse tuples are interpolated (IUP)", () => {
+  const parser = loadFont(FONT);
+  parser.setVariation({ wdth: 800, wght: 800 });
+  const points = parser.parseGlyph(parser.getGlyphId(";")).contours.flat();
+
+  // Point 9 of the semicolon has no explicit delta in the last tuple
+  assert.equal(points.length, 38);
+  assert.equal(points[9].x, 582);
+  assert.equal(+points[9].y.toFixed(4), 775.5238);
+});
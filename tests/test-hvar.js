@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont, loadFontWithTables } = require("./helpers");
+
+const FONT = "Obviously-Variable.ttf";
+
+// Advance widths of A, V, o and space per variation
+const CASES = [
+  { variation: { wdth: 100, wght: 150 }, advances: [158, 170, 158, 81] },
+  { variation: { wdth: 800, wght: 800 }, advances: [1563, 1434, 1455, 407] },
+  { variation: { wdth: 100, wght: 312.5 }, advances: [180, 180, 179, 79] },
+  {
+    variation: { wdth: 275, wght: 637.5 },
+    advances: [476.75, 442.25, 437.75, 162.25],
+  },
+];
+
+function advances(parser) {
+  return [..."AVo "].map(
+    (char) => parser.getGlyphMetrics(parser.getGlyphId(char)).advanceWidth
+  );
+}
+
+test("HVAR deltas vary advance widths", () => {
+  const parser = loadFont(FONT);
+  assert.ok(parser.tables.HVAR);
+
+  for (const { variation, advances: expected } of CASES) {
+    parser.setVariation(variation);
+    assert.deepEqual(advances(parser), expected, JSON.stringify(variation));
+  }
+});
+
+test("gvar phantom points give the advances when HVAR is missing", () => {
+  const parser = loadFontWithTables(FONT, { HVAR: null });
+  assert.equal(parser.tables.HVAR, undefined);
+
+  for (const { variation, advances: expected } of CASES) {
+    parser.setVariation(variation);
+    assert.deepEqual(advances(parser), expected, JSON.stringify(variation));
+  }
+});
+
+test("path() spaces glyphs by the varied advances", () => {
+  const parser = loadFont(FONT);
+  const result = parser.path("AV", {
+    size: parser.unitsPerEm,
+    variable: { wdth: 275, wght: 637.5 },
+  });
+
+  assert.deepEqual(
+    result.characters.map((char) => [char.x, char.advance]),
+    [
+      [0, 476.75],
+      [476.75, 442.25],
+    ]
+  );
+});
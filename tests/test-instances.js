@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFont,
+  loadFontWithTables,
+  readFont,
+  readTables,
+} = require("./helpers");
+
+const FONT = "Obviously-Variable.ttf";
+
+/**
+ * Rewrite Obviously-Variable's fvar with instance records that stop before
+ * postScriptNameID (instanceSize = axisCount * 4 + 4)
+ */
+function buildFvarWithoutPostScriptNames() {
+  const fvar = readTables(readFont(FONT)).tables.fvar;
+  const axesStart = fvar.readUInt16BE(4);
+  const axisCount = fvar.readUInt16BE(8);
+  const axisSize = fvar.readUInt16BE(10);
+  const instanceCount = fvar.readUInt16BE(12);
+  const instanceSize = fvar.readUInt16BE(14);
+  const instancesStart = axesStart + axisCount * axisSize;
+  const shortSize = axisCount * 4 + 4;
+
+  const header = Buffer.from(fvar.subarray(0, instancesStart));
+  header.writeUInt16BE(shortSize, 14);
+  const records = Array.from({ length: instanceCount }, (_, i) => {
+    const start = instancesStart + i * instanceSize;
+    return fvar.subarray(start, start + shortSize);
+  });
+  return Buffer.concat([header, ...records]);
+}
+
+test("getInstances reads coordinates and postScriptNameID from fvar", () => {
+  const instances = loadFont(FONT).getInstances();
+
+  assert.equal(instances.length, 48);
+  assert.deepEqual(instances[0], {
+    name: "Extended Thin",
+    subfamilyNameID: 264,
+    coordinates: { wdth: 800, wght: 150 },
+    postScriptName: "Obviously-ExtendedThin",
+  });
+  assert.deepEqual(instances[47], {
+    name: "Compressed Super",
+    subfamilyNameID: 358,
+    coordinates: { wdth: 100, wght: 800 },
+    postScriptName: "Obviously-CompressedSuper",
+  });
+});
+
+test("getInstances reports a null postScriptName for short instance records", () => {
+  const parser = loadFontWithTables(FONT, {
+    fvar: buildFvarWithoutPostScriptNames(),
+  });
+  const instances = parser.getInstances();
+
+  assert.equal(instances.length, 48);
+  assert.deepEqual(instances[47], {
+    name: "Compressed Super",
+    subfamilyNameID: 358,
+    coordinates: { wdth: 100, wght: 800 },
+    postScriptName: null,
+  });
+  assert.ok(instances.every((instance) => instance.postScriptName === null));
+});
+
+test("getInstances returns copies", () => {
+  const parser = loadFont(FONT);
+  parser.getInstances()[0].coordinates.wght = 999;
+
+  assert.equal(parser.getInstances()[0].coordinates.wght, 150);
+});
+
+test("setInstance updates getVariation() and the metrics", () => {
+  const parser = loadFont(FONT);
+  assert.equal(parser.data.metrics.xHeight, 628);
+
+  parser.setInstance("Extended Thin");
+  assert.deepEqual(parser.getVariation(), { wdth: 800, wght: 150 });
+  assert.equal(parser.data.metrics.xHeight, 572);
+
+  parser.setInstance(47);
+  assert.deepEqual(parser.getVariation(), { wdth: 100, wght: 800 });
+  assert.equal(parser.data.metrics.xHeight, 660);
+
+  parser.setInstance("Obviously-ExtendedThin");
+  assert.deepEqual(parser.getVariation(), { wdth: 800, wght: 150 });
+});
+
+test("setInstance matches subfamily names case-insensitively", () => {
+  const parser = loadFont(FONT).setInstance("compressed super");
+
+  assert.deepEqual(parser.getVariation(), { wdth: 100, wght: 800 });
+});
+
+test("path applies the instance before explicit axis values", () => {
+  const parser = loadFont(FONT);
+
+  const instance = parser.path("A", { instance: "Wide Black", size: 1000 });
+  assert.deepEqual(parser.getVariation(), { wdth: 620, wght: 690 });
+  assert.equal(instance.characters[0].advance, 1116.417452648282);
+
+  const overridden = parser.path("A", {
+    instance: "Wide Black",
+    variable: { wght: 300 },
+    size: 1000,
+  });
+  assert.deepEqual(parser.getVariation(), { wdth: 620, wght: 300 });
+  assert.equal(overridden.characters[0].advance, 998.7529208362103);
+});
+
+test("an unknown instance throws", () => {
+  const parser = loadFont(FONT);
+
+  assert.throws(
+    () => parser.setInstance("Nope"),
+    /Unknown named instance: Nope/
+  );
+  assert.throws(() => parser.setInstance(48), /Unknown named instance: 48/);
+  assert.throws(
+    () => parser.path("A", { instance: "Nope" }),
+    /Unknown named instance: Nope/
+  );
+  assert.deepEqual(parser.getVariation(), { wdth: 100, wght: 150 });
+});
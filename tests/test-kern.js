@@ -0,0 +1,206 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFontWithTables, buildLayoutTable } = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+
+// Bebas Neue glyph IDs
+const A = 4;
+const T = 107;
+const V = 124;
+const o = 219;
+
+const uint16s = (values) => {
+  const data = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => data.writeUInt16BE(value & 0xffff, i * 2));
+  return data;
+};
+
+/**
+ * Build a format 0 body from [left, right, value] pairs
+ */
+function format0(pairs) {
+  return uint16s([pairs.length, 0, 0, 0, ...pairs.flat()]);
+}
+
+/**
+ * Build a format 2 body kerning every left glyph against every right glyph
+ * by value (other pairs fall in class 0). Offsets count from the subtable
+ * start, which has a header of headerSize bytes
+ */
+function format2(headerSize, leftGlyphs, rightGlyphs, value) {
+  const classTable = (glyphIds, classValue) => {
+    const first = Math.min(...glyphIds);
+    const count = Math.max(...glyphIds) - first + 1;
+    const values = Array.from({ length: count }, (_, i) =>
+      glyphIds.includes(first + i) ? classValue : 0
+    );
+    return uint16s([first, count, ...values]);
+  };
+
+  // Two classes per side: rows are 4 bytes wide, and left class values
+  // point at a row from the subtable start
+  const leftOffset = headerSize + 8;
+  const leftSize = classTable(leftGlyphs, 0).length;
+  const rightTable = classTable(rightGlyphs, 2);
+  const rightOffset = leftOffset + leftSize;
+  const arrayOffset = rightOffset + rightTable.length;
+  return Buffer.concat([
+    uint16s([4, leftOffset, rightOffset, arrayOffset]),
+    classTable(leftGlyphs, arrayOffset + 4),
+    rightTable,
+    uint16s([0, 0, 0, value]),
+  ]);
+}
+
+/**
+ * Build an OpenType (version 0) kern table from [coverage, body] subtables
+ */
+function buildKern(subtables) {
+  return Buffer.concat([
+    uint16s([0, subtables.length]),
+    ...subtables.map(([coverage, body]) =>
+      Buffer.concat([uint16s([0, 6 + body.length, coverage]), body])
+    ),
+  ]);
+}
+
+/**
+ * Build an Apple (version 1.0) kern table from [coverage, body] subtables
+ */
+function buildAppleKern(subtables) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt32BE(subtables.length, 4);
+  return Buffer.concat([
+    header,
+    ...subtables.map(([coverage, body]) => {
+      const subtableHeader = Buffer.alloc(8);
+      subtableHeader.writeUInt32BE(8 + body.length, 0);
+      subtableHeader.writeUInt16BE(coverage, 4);
+      return Buffer.concat([subtableHeader, body]);
+    }),
+  ]);
+}
+
+// OpenType coverage: format in the high byte, 0x1 horizontal, 0x2 minimum,
+// 0x4 cross-stream, 0x8 override
+const HORIZONTAL = 0x0001;
+const FORMAT_2 = 0x0200;
+
+const loadWithKern = (kern, extraTables) =>
+  loadFontWithTables(FONT, { GPOS: null, kern, ...extraTables });
+
+test("format 0 subtables kern glyph pairs", () => {
+  const parser = loadWithKern(
+    buildKern([
+      [
+        HORIZONTAL,
+        format0([
+          [A, V, -50],
+          [T, o, -70],
+        ]),
+      ],
+    ])
+  );
+
+  assert.equal(parser.getKerning(A, V), -50);
+  assert.equal(parser.getKerning(T, o), -70);
+  assert.equal(parser.getKerning(V, A), 0);
+});
+
+test("format 2 subtables kern class pairs", () => {
+  const parser = loadWithKern(
+    buildKern([[HORIZONTAL | FORMAT_2, format2(6, [A, T], [V, o], -60)]])
+  );
+
+  assert.equal(parser.getKerning(A, V), -60);
+  assert.equal(parser.getKerning(A, o), -60);
+  assert.equal(parser.getKerning(T, V), -60);
+  assert.equal(parser.getKerning(V, A), 0);
+  assert.equal(parser.getKerning(A, A), 0);
+  assert.equal(parser.getKerning(o, V), 0);
+});
+
+test("subtables add up unless the override bit is set", () => {
+  const first = [
+    HORIZONTAL,
+    format0([
+      [A, V, -50],
+      [T, o, -70],
+    ]),
+  ];
+  const second = (coverage) => [coverage, format0([[A, V, -20]])];
+
+  const summed = loadWithKern(buildKern([first, second(HORIZONTAL)]));
+  assert.equal(summed.getKerning(A, V), -70);
+
+  const overridden = loadWithKern(
+    buildKern([first, second(HORIZONTAL | 0x0008)])
+  );
+  assert.equal(overridden.getKerning(A, V), -20);
+  assert.equal(overridden.getKerning(T, o), -70);
+});
+
+test("vertical, minimum and cross-stream subtables are ignored", () => {
+  const body = format0([[A, V, -50]]);
+  for (const coverage of [0x0000, HORIZONTAL | 0x0002, HORIZONTAL | 0x0004]) {
+    const parser = loadWithKern(buildKern([[coverage, body]]));
+    assert.equal(parser.getKerning(A, V), 0, `coverage ${coverage}`);
+  }
+});
+
+test("Apple version 1 kern tables are read", () => {
+  const parser = loadWithKern(
+    buildAppleKern([
+      [0x0000, format0([[A, V, -50]])],
+      [0x0002, format2(8, [T], [o], -70)],
+      [0x8000, format0([[V, A, -10]])], // Vertical
+      [0x4000, format0([[A, A, -10]])], // Cross-stream
+      [0x2000, format0([[o, o, -10]])], // Variation
+    ])
+  );
+
+  assert.equal(parser.getKerning(A, V), -50);
+  assert.equal(parser.getKerning(T, o), -70);
+  assert.equal(parser.getKerning(V, A), 0);
+  assert.equal(parser.getKerning(A, A), 0);
+  assert.equal(parser.getKerning(o, o), 0);
+});
+
+test("the kern table is applied when GPOS has no kerning", () => {
+  const kern = buildKern([[HORIZONTAL, format0([[A, V, -50]])]]);
+  const layout = (parser, options = {}) =>
+    parser
+      ._layoutText("AV", parser._normalizeOptions(options))
+      .map((glyph) => [glyph.xAdvance, glyph.kerning]);
+
+  // Bebas Neue's own GPOS kerning wins over the kern table
+  assert.deepEqual(layout(loadFontWithTables(FONT, { kern })), [
+    [373, -28],
+    [382, 0],
+  ]);
+
+  const withoutGpos = loadWithKern(kern);
+  assert.deepEqual(layout(withoutGpos), [
+    [351, -50],
+    [382, 0],
+  ]);
+  assert.deepEqual(layout(withoutGpos, { fontKerning: false }), [
+    [401, 0],
+    [382, 0],
+  ]);
+  assert.deepEqual(layout(withoutGpos, { features: { kern: false } }), [
+    [401, 0],
+    [382, 0],
+  ]);
+
+  // A GPOS table without a kern feature falls back as well
+  const markOnly = loadWithKern(kern, {
+    GPOS: buildLayoutTable([["mark", []]], []),
+  });
+  assert.deepEqual(layout(markOnly), [
+    [351, -50],
+    [382, 0],
+  ]);
+});
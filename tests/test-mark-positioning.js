@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont } = require("./helpers");
+
+/**
+ * Lay out decomposed text at one unit per font unit. ccmp is off so base and
+ * mark stay separate glyphs instead of composing to precomposed ones
+ * @returns {Array} [x, y, advance] per character
+ */
+function layout(parser, text, features = {}) {
+  return parser
+    .path(text, {
+      size: parser.unitsPerEm,
+      fontKerning: false,
+      features: { ccmp: false, ...features },
+    })
+    .characters.map((char) => [char.x, char.y, char.advance]);
+}
+
+test("mark-to-base attaches marks to the base anchor", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const baseline = parser.data.metrics.ascender;
+
+  assert.deepEqual(layout(parser, "e\u0301"), [
+    [0, baseline, 1135],
+    [377, baseline, 0],
+  ]);
+  // Uppercase anchors lift the mark
+  assert.deepEqual(layout(parser, "A\u0301"), [
+    [0, baseline, 1395],
+    [507, baseline - 420, 0],
+  ]);
+  // Anchors may sit left of the pen position
+  assert.deepEqual(layout(parser, "i\u0308"), [
+    [0, baseline, 464],
+    [-351, baseline - 442, 0],
+  ]);
+});
+
+test("mark-to-mark stacks a mark on the previous one", () => {
+  const inter = loadFont("Inter_28pt-Medium.ttf");
+  const interBaseline = inter.data.metrics.ascender;
+  assert.deepEqual(layout(inter, "a\u0301\u0302"), [
+    [0, interBaseline, 1102],
+    [351, interBaseline, 0],
+    [130, interBaseline - 438, 0],
+  ]);
+
+  const bebas = loadFont("BebasNeue-Regular.ttf");
+  const bebasBaseline = bebas.data.metrics.ascender;
+  assert.deepEqual(layout(bebas, "A\u0301\u0302"), [
+    [0, bebasBaseline, 401],
+    [201, bebasBaseline, 0],
+    [201, bebasBaseline - 162, 0],
+  ]);
+});
+
+test("marks do not move the pen", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const [, , after] = layout(parser, "e\u0301a");
+  assert.equal(after[0], 1135);
+});
+
+test("mark and mkmk can be turned off", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const baseline = parser.data.metrics.ascender;
+
+  // Without mark the accent sits at the pen position
+  assert.deepEqual(layout(parser, "e\u0301", { mark: false })[1], [
+    1135,
+    baseline,
+    0,
+  ]);
+  // Without mkmk the circumflex attaches to the base, over the acute
+  assert.deepEqual(layout(parser, "a\u0301\u0302", { mkmk: false })[2], [
+    130,
+    baseline,
+    0,
+  ]);
+});
+
+test("offsets scale with size", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const result = parser.path("A\u0301", {
+    size: parser.unitsPerEm / 2,
+    features: { ccmp: false },
+  });
+  assert.deepEqual(
+    result.characters.map((char) => [char.x, char.y]),
+    [
+      [0, 992],
+      [253.5, 782],
+    ]
+  );
+});
+
+test("ccmp composes base and mark into the precomposed glyph", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const result = parser.path("e\u0301", { size: parser.unitsPerEm });
+  assert.equal(result.characters.length, 1);
+  assert.equal(result.characters[0].advance, 1135);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFont, loadFontWithTables } = require("./helpers");
+
+const FONT = "Obviously-Variable.ttf";
+
+/**
+ * Build an MVAR table whose tags vary by the given delta at wght max
+ * (Obviously-Variable axes: wdth, wght)
+ */
+function buildMvar(deltas) {
+  const tags = Object.keys(deltas).sort();
+  const header = Buffer.alloc(12 + tags.length * 8);
+  header.writeUInt16BE(1, 0); // majorVersion
+  header.writeUInt16BE(8, 6); // valueRecordSize
+  header.writeUInt16BE(tags.length, 8);
+  header.writeUInt16BE(header.length, 10); // itemVariationStoreOffset
+  tags.forEach((tag, i) => {
+    header.write(tag, 12 + i * 8, "latin1");
+    header.writeUInt16BE(i, 18 + i * 8); // Inner index (outer is 0)
+  });
+
+  // One region: wdth unconstrained, wght peaking at 1
+  const regionList = Buffer.alloc(4 + 2 * 6);
+  regionList.writeUInt16BE(2, 0);
+  regionList.writeUInt16BE(1, 2);
+  regionList.writeInt16BE(16384, 4 + 6 + 2); // wght peak
+  regionList.writeInt16BE(16384, 4 + 6 + 4); // wght end
+
+  const data = Buffer.alloc(8 + tags.length * 2);
+  data.writeUInt16BE(tags.length, 0); // itemCount
+  data.writeUInt16BE(1, 2); // wordDeltaCount
+  data.writeUInt16BE(1, 4); // regionIndexCount
+  tags.forEach((tag, i) => data.writeInt16BE(deltas[tag], 8 + i * 2));
+
+  const store = Buffer.alloc(12);
+  store.writeUInt16BE(1, 0);
+  store.writeUInt32BE(12, 2);
+  store.writeUInt16BE(1, 6);
+  store.writeUInt32BE(12 + regionList.length, 8);
+
+  return Buffer.concat([header, store, regionList, data]);
+}
+
+test("MVAR deltas vary x-height and strikeout position", () => {
+  const parser = loadFont(FONT);
+  const measure = () => [
+    parser.data.metrics.xHeight,
+    parser.data.metrics.strikeout.position,
+  ];
+
+  assert.deepEqual(measure(), [628, 376]);
+  parser.setVariation({ wdth: 100, wght: 800 });
+  assert.deepEqual(measure(), [660, 396]);
+  parser.setVariation({ wdth: 800, wght: 150 });
+  assert.deepEqual(measure(), [572, 343]);
+  parser.setVariation({ wdth: 275, wght: 637.5 });
+  assert.deepEqual(measure(), [642.5, 385.25]);
+});
+
+test("hasc, hdsc and hlgp move the line metrics used by path()", () => {
+  const parser = loadFontWithTables(FONT, {
+    MVAR: buildMvar({ hasc: 100, hdsc: -50, hlgp: 20 }),
+  });
+  const lineMetrics = () => {
+    const { ascender, descender, lineGap } = parser.data.metrics;
+    return { ascender, descender, lineGap };
+  };
+
+  assert.deepEqual(lineMetrics(), {
+    ascender: 815,
+    descender: -185,
+    lineGap: 200,
+  });
+
+  parser.setVariation({ wght: 475 }); // Halfway to the peak
+  assert.deepEqual(lineMetrics(), {
+    ascender: 865,
+    descender: -210,
+    lineGap: 210,
+  });
+
+  const result = parser.path("A", {
+    size: parser.unitsPerEm,
+    variable: { wght: 800 },
+  });
+  assert.deepEqual(lineMetrics(), {
+    ascender: 915,
+    descender: -235,
+    lineGap: 220,
+  });
+  assert.equal(result.ascender, 915);
+  assert.equal(result.descender, -235);
+  assert.equal(result.baseline, 915);
+});
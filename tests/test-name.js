@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFontWithTables } = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+
+const utf16 = (text) => Buffer.from(text, "utf16le").swap16();
+
+/**
+ * Build a name table from {platformID, encodingID, languageID, nameID, data}
+ * records, with version-1 language tags when langTags is given
+ */
+function buildName(records, langTags) {
+  const strings = [
+    ...records.map((r) => r.data),
+    ...(langTags || []).map(utf16),
+  ];
+  const headerSize =
+    6 + records.length * 12 + (langTags ? 2 + langTags.length * 4 : 0);
+  const header = Buffer.alloc(headerSize);
+  header.writeUInt16BE(langTags ? 1 : 0, 0);
+  header.writeUInt16BE(records.length, 2);
+  header.writeUInt16BE(headerSize, 4); // storageOffset
+
+  let offset = 0;
+  const offsets = strings.map((data) => {
+    const start = offset;
+    offset += data.length;
+    return start;
+  });
+  records.forEach((record, i) => {
+    const position = 6 + i * 12;
+    header.writeUInt16BE(record.platformID, position);
+    header.writeUInt16BE(record.encodingID, position + 2);
+    header.writeUInt16BE(record.languageID, position + 4);
+    header.writeUInt16BE(record.nameID, position + 6);
+    header.writeUInt16BE(record.data.length, position + 8);
+    header.writeUInt16BE(offsets[i], position + 10);
+  });
+  if (langTags) {
+    const position = 6 + records.length * 12;
+    header.writeUInt16BE(langTags.length, position);
+    langTags.forEach((tag, i) => {
+      header.writeUInt16BE(
+        strings[records.length + i].length,
+        position + 2 + i * 4
+      );
+      header.writeUInt16BE(offsets[records.length + i], position + 4 + i * 4);
+    });
+  }
+  return Buffer.concat([header, ...strings]);
+}
+
+const windows = (languageID, nameID, text) => ({
+  platformID: 3,
+  encodingID: 1,
+  languageID,
+  nameID,
+  data: utf16(text),
+});
+
+const mac = (languageID, nameID, data, encodingID = 0) => ({
+  platformID: 1,
+  encodingID,
+  languageID,
+  nameID,
+  data: Buffer.isBuffer(data) ? data : Buffer.from(data, "latin1"),
+});
+
+test("Mac Roman records are decoded", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName([
+      mac(0, 1, Buffer.from([0x43, 0x61, 0x66, 0x8e, 0x20, 0xd0, 0x20, 0xf0])),
+      mac(0, 4, "Plain ASCII"),
+    ]),
+  });
+
+  assert.equal(parser.getName(1), "Café – ");
+  assert.equal(parser.getName(4), "Plain ASCII");
+  assert.equal(parser.data.name, "Plain ASCII");
+  assert.equal(parser.data.names.family, "Café – ");
+});
+
+test("records in undecoded encodings are skipped", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName([mac(11, 1, Buffer.from([0x82, 0xa0]), 1)]),
+  });
+
+  assert.equal(parser.getName(1), null);
+  assert.equal(parser.data.name, "Unknown Font");
+});
+
+test("Windows and Mac language IDs map to BCP 47 tags", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName([
+      windows(0x0409, 2, "Regular"),
+      windows(0x040c, 2, "Normal"),
+      windows(0x0c0c, 2, "Normal (Canada)"),
+      mac(2, 2, "Standard"),
+      mac(0, 2, "Mac Regular"),
+    ]),
+  });
+
+  assert.equal(parser.getName(2), "Regular");
+  assert.equal(parser.getName(2, "en-US"), "Regular");
+  assert.equal(parser.getName(2, "fr-FR"), "Normal");
+  assert.equal(parser.getName(2, "fr-CA"), "Normal (Canada)");
+  assert.equal(parser.getName(2, "de"), "Standard");
+  assert.equal(parser.getName(2, 0x040c), "Normal");
+  assert.equal(parser.getName(2, 0), "Mac Regular");
+});
+
+test("getName falls back to the primary subtag, then English, then any record", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName([
+      windows(0x0409, 1, "Family"),
+      windows(0x0407, 1, "Familie"),
+      windows(0x0411, 9, "Designer (ja)"),
+    ]),
+  });
+
+  assert.equal(parser.getName(1, "de-AT"), "Familie");
+  assert.equal(parser.getName(1, "ja"), "Family");
+  assert.equal(parser.getName(1, 0x0411), "Family");
+  assert.equal(parser.getName(9), "Designer (ja)");
+  assert.equal(parser.getName(3), null);
+});
+
+test("Windows records are preferred over Mac records", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName([mac(0, 1, "Mac Family"), windows(0x0409, 1, "Family")]),
+  });
+
+  assert.equal(parser.getName(1), "Family");
+  assert.equal(parser.getName(1, 0), "Mac Family");
+});
+
+test("version 1 language tags resolve languageIDs from 0x8000", () => {
+  const parser = loadFontWithTables(FONT, {
+    name: buildName(
+      [
+        windows(0x0409, 1, "Family"),
+        windows(0x8000, 1, "Familie (Schweiz)"),
+        windows(0x8001, 1, "Famille"),
+        windows(0x8002, 1, "Unknown tag"),
+      ],
+      ["de-CH", "fr"]
+    ),
+  });
+
+  assert.equal(parser.getName(1, "de-CH"), "Familie (Schweiz)");
+  assert.equal(parser.getName(1, "de"), "Familie (Schweiz)");
+  assert.equal(parser.getName(1, "fr-BE"), "Famille");
+  assert.equal(parser.getName(1, 0x8002), "Unknown tag");
+  assert.equal(parser.getName(1), "Family");
+});
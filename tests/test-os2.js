@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFont,
+  loadFontWithTables,
+  readFont,
+  readTables,
+} = require("./helpers");
+
+const FONT = "Inter_28pt-Medium.ttf";
+const { tables } = readTables(readFont(FONT));
+
+/**
+ * Copy one of Inter's tables and apply edits to the copy
+ */
+function editTable(tag, edit) {
+  const data = Buffer.from(tables[tag]);
+  edit(data);
+  return data;
+}
+
+test("_parseOS2Table reads classification, ranges and metrics", () => {
+  const os2 = loadFont(FONT).data.os2;
+
+  assert.equal(os2.version, 4);
+  assert.equal(os2.weightClass, 500);
+  assert.equal(os2.widthClass, 5);
+  assert.equal(os2.vendorID, "RSMS");
+  assert.deepEqual(os2.subscript, {
+    xSize: 1331,
+    ySize: 1229,
+    xOffset: 0,
+    yOffset: 154,
+  });
+  assert.deepEqual(os2.superscript, {
+    xSize: 1331,
+    ySize: 1229,
+    xOffset: 0,
+    yOffset: 717,
+  });
+  assert.deepEqual(os2.panose, [2, 0, 5, 3, 0, 0, 0, 2, 0, 4]);
+  assert.deepEqual(os2.unicodeRanges, [3758097151, 302031359, 0, 0]);
+  assert.deepEqual(os2.codePageRanges, [415, 0]);
+  assert.equal(os2.fsSelection.regular, true);
+  assert.equal(os2.fsSelection.useTypoMetrics, true);
+  assert.equal(os2.fsSelection.italic, false);
+  assert.deepEqual(
+    [os2.typoAscender, os2.typoDescender, os2.typoLineGap],
+    [1984, -494, 0]
+  );
+  assert.deepEqual([os2.winAscent, os2.winDescent], [2269, 660]);
+  assert.deepEqual(
+    [os2.xHeight, os2.capHeight, os2.maxContext],
+    [1070, 1490, 12]
+  );
+  assert.equal(os2.opticalPointSize, null);
+});
+
+test("version 0 OS/2 tables read later fields as defaults", () => {
+  const os2 = loadFontWithTables(FONT, {
+    "OS/2": editTable("OS/2", (data) => data.writeUInt16BE(0, 0)).subarray(
+      0,
+      78
+    ),
+  }).data.os2;
+
+  assert.equal(os2.version, 0);
+  assert.equal(os2.winAscent, 2269);
+  assert.deepEqual(os2.codePageRanges, [0, 0]);
+  assert.deepEqual([os2.xHeight, os2.capHeight, os2.breakChar], [0, 0, 32]);
+  assert.equal(os2.opticalPointSize, null);
+});
+
+test("version 5 OS/2 tables read the optical point size range", () => {
+  const extra = Buffer.alloc(4);
+  extra.writeUInt16BE(9 * 20, 0);
+  extra.writeUInt16BE(72 * 20, 2);
+  const os2 = loadFontWithTables(FONT, {
+    "OS/2": Buffer.concat([
+      editTable("OS/2", (data) => data.writeUInt16BE(5, 0)),
+      extra,
+    ]),
+  }).data.os2;
+
+  assert.deepEqual(os2.opticalPointSize, { lower: 9, upper: 72 });
+});
+
+test("data.os2 is a deep copy", () => {
+  const parser = loadFont(FONT);
+  const os2 = parser.data.os2;
+  os2.subscript.yOffset = 0;
+  os2.superscript.yOffset = 0;
+  os2.panose[0] = 0;
+  os2.unicodeRanges[0] = 0;
+  os2.codePageRanges[0] = 0;
+  os2.fsSelection.useTypoMetrics = false;
+
+  assert.equal(parser.os2.subscript.yOffset, 154);
+  assert.equal(parser.os2.superscript.yOffset, 717);
+  assert.equal(parser.os2.panose[0], 2);
+  assert.equal(parser.os2.unicodeRanges[0], 3758097151);
+  assert.equal(parser.os2.codePageRanges[0], 415);
+  assert.equal(parser.os2.fsSelection.useTypoMetrics, true);
+  assert.equal(parser._getLineMetrics().subscript.yOffset, 154);
+});
+
+test("_getLineMetrics prefers typo, then hhea, then typo, then win metrics", () => {
+  const setHhea = (ascender, descender, lineGap) =>
+    editTable("hhea", (data) => {
+      data.writeInt16BE(ascender, 4);
+      data.writeInt16BE(descender, 6);
+      data.writeInt16BE(lineGap, 8);
+    });
+  const setOS2 = (useTypoMetrics, typo, win) =>
+    editTable("OS/2", (data) => {
+      const fsSelection = data.readUInt16BE(62);
+      data.writeUInt16BE(
+        useTypoMetrics ? fsSelection | 0x80 : fsSelection & ~0x80,
+        62
+      );
+      data.writeInt16BE(typo[0], 68);
+      data.writeInt16BE(typo[1], 70);
+      data.writeInt16BE(typo[2], 72);
+      data.writeUInt16BE(win[0], 74);
+      data.writeUInt16BE(win[1], 76);
+    });
+  const measure = (hhea, os2) => {
+    const { ascender, descender, lineGap } = loadFontWithTables(FONT, {
+      hhea,
+      "OS/2": os2,
+    }).data.metrics;
+    return [ascender, descender, lineGap];
+  };
+
+  const hhea = setHhea(1900, -500, 50);
+  const noHhea = setHhea(0, 0, 0);
+  const typo = [1984, -494, 10];
+  const win = [2269, 660];
+
+  assert.deepEqual(measure(hhea, setOS2(true, typo, win)), [1984, -494, 10]);
+  assert.deepEqual(measure(hhea, setOS2(false, typo, win)), [1900, -500, 50]);
+  assert.deepEqual(
+    measure(hhea, setOS2(true, [0, 0, 0], win)),
+    [1900, -500, 50]
+  );
+  assert.deepEqual(measure(noHhea, setOS2(false, typo, win)), [1984, -494, 10]);
+  assert.deepEqual(
+    measure(noHhea, setOS2(false, [0, 0, 0], win)),
+    [2269, -660, 0]
+  );
+  assert.deepEqual(
+    measure(noHhea, setOS2(false, [0, 0, 0], [0, 0])),
+    [2285, -674, 0]
+  );
+  assert.deepEqual(measure(noHhea, null), [2285, -674, 0]);
+});
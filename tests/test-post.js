@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFont,
+  loadFontWithTables,
+  readFont,
+  readTables,
+} = require("./helpers");
+
+/**
+ * Copy Inter's post table header with a different version
+ */
+function postHeader(version) {
+  const header = Buffer.from(
+    readTables(readFont("Inter_28pt-Medium.ttf")).tables.post.subarray(0, 32)
+  );
+  header.writeUInt32BE(version, 0);
+  return header;
+}
+
+test("version 2 names map both ways", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+  const id = parser.getGlyphId("A");
+
+  assert.equal(parser.getGlyphName(0), ".notdef");
+  assert.equal(parser.getGlyphName(id), "A");
+  assert.equal(parser.getGlyphIdByName("A"), id);
+  assert.equal(parser.getGlyphIdByName(".notdef"), 0);
+});
+
+test("unknown names and IDs give null", () => {
+  const parser = loadFont("Inter_28pt-Medium.ttf");
+
+  assert.equal(parser.getGlyphIdByName("no-such-glyph"), null);
+  assert.equal(parser.getGlyphName(parser.data.numGlyphs), null);
+});
+
+test("version 1 uses the standard Macintosh glyph order", () => {
+  const parser = loadFontWithTables("Inter_28pt-Medium.ttf", {
+    post: postHeader(0x00010000),
+  });
+
+  assert.equal(parser.post.version, 1);
+  assert.equal(parser.getGlyphName(3), "space");
+  assert.equal(parser.getGlyphIdByName("A"), 36);
+});
+
+test("version 3 has no names unless the CFF charset provides them", () => {
+  const trueType = loadFontWithTables("Inter_28pt-Medium.ttf", {
+    post: postHeader(0x00030000),
+  });
+  assert.equal(trueType.post.version, 3);
+  assert.equal(trueType.getGlyphName(trueType.getGlyphId("A")), null);
+  assert.equal(trueType.getGlyphIdByName("A"), null);
+
+  const cff = loadFont("SigmaSerif-Headline.otf");
+  assert.equal(cff.post.version, 3);
+  assert.equal(cff.getGlyphName(cff.getGlyphId("A")), "A");
+  assert.equal(cff.getGlyphIdByName("A"), cff.getGlyphId("A"));
+});
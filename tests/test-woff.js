@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const {
+  FontParser,
+  toArrayBuffer,
+  readFont,
+  readTables,
+  loadFont,
+} = require("./helpers");
+
+const FONT = "BebasNeue-Regular.ttf";
+
+/**
+ * Build a WOFF file. compress(data) returns the bytes to store; tables that
+ * do not shrink are stored as-is. overrides patch directory entries by tag
+ */
+function buildWoff(name, compress, overrides = {}) {
+  const { version, tables } = readTables(readFont(name));
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(44 + tags.length * 20);
+
+  const chunks = [header];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const data = tables[tag];
+    const compressed = compress(data);
+    const stored = compressed.length < data.length ? compressed : data;
+    const entry = {
+      offset,
+      compLength: stored.length,
+      origLength: data.length,
+      ...overrides[tag],
+    };
+
+    const record = 44 + i * 20;
+    header.write(tag, record, "latin1");
+    header.writeUInt32BE(entry.offset, record + 4);
+    header.writeUInt32BE(entry.compLength, record + 8);
+    header.writeUInt32BE(entry.origLength, record + 12);
+
+    const padding = Buffer.alloc((4 - (stored.length % 4)) % 4);
+    chunks.push(stored, padding);
+    offset += stored.length + padding.length;
+  });
+
+  header.write("wOFF", 0, "latin1");
+  header.writeUInt32BE(version, 4);
+  header.writeUInt32BE(offset, 8);
+  header.writeUInt16BE(tags.length, 12);
+  header.writeUInt16BE(1, 24); // majorVersion
+  return Buffer.concat(chunks);
+}
+
+function loadWoff(woff) {
+  return new FontParser().fromBuffer(toArrayBuffer(woff));
+}
+
+/**
+ * Assert the decoded sfnt holds the same table bytes as the original font
+ */
+function assertSameTables(parser, name) {
+  const expected = readTables(readFont(name)).tables;
+  const actual = readTables(Buffer.from(parser.buffer)).tables;
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  for (const tag of Object.keys(expected)) {
+    assert.ok(actual[tag].equals(expected[tag]), `${tag} differs`);
+  }
+}
+
+function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (const byte of data) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  return Buffer.from([b >> 8, b & 0xff, a >> 8, a & 0xff]);
+}
+
+/**
+ * zlib stream with a stored (type 0) block for the first bytes, then the
+ * rest deflated with dynamic Huffman blocks
+ */
+function storedThenDeflated(data, storedLength = 16) {
+  const head = data.subarray(0, storedLength);
+  const block = Buffer.alloc(5);
+  block.writeUInt16LE(head.length, 1);
+  block.writeUInt16LE(~head.length & 0xffff, 3);
+  return Buffer.concat([
+    Buffer.from([0x78, 0x01]),
+    block,
+    head,
+    zlib.deflateRawSync(data.subarray(storedLength)),
+    adler32(data),
+  ]);
+}
+
+test("dynamic Huffman tables round-trip to the sfnt tables", () => {
+  const parser = loadWoff(buildWoff(FONT, (data) => zlib.deflateSync(data)));
+  assertSameTables(parser, FONT);
+
+  const ttf = loadFont(FONT);
+  const glyphId = ttf.getGlyphId("R");
+  assert.equal(parser.data.name, ttf.data.name);
+  assert.deepEqual(parser.parseGlyph(glyphId), ttf.parseGlyph(glyphId));
+  assert.equal(parser.path("AV").paths, ttf.path("AV").paths);
+});
+
+test("fixed Huffman tables round-trip", () => {
+  const compress = (data) =>
+    zlib.deflateSync(data, { strategy: zlib.constants.Z_FIXED });
+  assertSameTables(loadWoff(buildWoff(FONT, compress)), FONT);
+});
+
+test("stored blocks are copied into the output", () => {
+  assertSameTables(loadWoff(buildWoff(FONT, storedThenDeflated)), FONT);
+
+  // A whole stream of stored blocks never shrinks a table, so check the
+  // inflater on its own
+  const data = readTables(readFont(FONT)).tables.glyf;
+  const stored = zlib.deflateSync(data, { level: 0 });
+  assert.ok(
+    Buffer.from(new FontParser()._inflate(stored, data.length)).equals(data)
+  );
+});
+
+test("uncompressed tables (compLength === origLength) are used as-is", () => {
+  const parser = loadWoff(buildWoff(FONT, (data) => data));
+  assertSameTables(parser, FONT);
+
+  // Mixed: only some tables compressed
+  const mixed = (data) => (data.length > 1000 ? zlib.deflateSync(data) : data);
+  assertSameTables(loadWoff(buildWoff(FONT, mixed)), FONT);
+});
+
+test("tables must inflate to origLength", () => {
+  const compress = (data) => zlib.deflateSync(data);
+  const glyf = readTables(readFont(FONT)).tables.glyf;
+
+  assert.throws(
+    () =>
+      loadWoff(
+        buildWoff(FONT, compress, { glyf: { origLength: glyf.length + 4 } })
+      ),
+    new RegExp(
+      `WOFF table glyf decompressed to ${glyf.length} bytes, expected ${
+        glyf.length + 4
+      }`
+    )
+  );
+  assert.throws(
+    () =>
+      loadWoff(
+        buildWoff(FONT, compress, { glyf: { origLength: glyf.length - 4 } })
+      ),
+    /Inflated data exceeds the expected length/
+  );
+});
+
+test("corrupt WOFF data fails with a clear error", () => {
+  const compress = (data) => zlib.deflateSync(data);
+
+  const truncated = buildWoff(FONT, compress);
+  assert.throws(
+    () => loadWoff(truncated.subarray(0, truncated.length - 100)),
+    /WOFF table \w+ extends past the end of the file/
+  );
+
+  const badHeader = (data) => {
+    const compressed = zlib.deflateSync(data);
+    compressed[0] = 0x00;
+    return compressed;
+  };
+  assert.throws(
+    () => loadWoff(buildWoff(FONT, badHeader)),
+    /Invalid zlib header/
+  );
+
+  const badStoredLength = (data) => {
+    const compressed = storedThenDeflated(data);
+    compressed[5] ^= 0xff; // NLEN no longer complements LEN
+    return compressed;
+  };
+  assert.throws(
+    () => loadWoff(buildWoff(FONT, badStoredLength)),
+    /Invalid deflate stored block length/
+  );
+
+  const cutShort = (data) => zlib.deflateSync(data).subarray(0, 40);
+  assert.throws(
+    () => loadWoff(buildWoff(FONT, cutShort)),
+    /Unexpected end of compressed data/
+  );
+});
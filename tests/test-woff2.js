@@ -0,0 +1,260 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const {
+  FontParser,
+  toArrayBuffer,
+  readFont,
+  readTables,
+  loadFont,
+} = require("./helpers");
+
+// Fixtures were compressed from src/fonts with Google's woff2 encoder, which
+// transforms glyf and loca. BebasNeue-Regular-hmtx.woff2 repacks the Bebas
+// file with hmtx in its transformed form (proportional lsbs omitted)
+// All three Brotli streams copy words from the built-in dictionary
+// BebasNeue-collection.woff2 compresses a two-face TTC: Bebas Neue, and a
+// copy with SigmaSerif's name table and every advance 100 units wider. The
+// faces share all other tables
+const FIXTURES = path.join(__dirname, "fixtures");
+const CASES = [
+  ["BebasNeue-Regular.woff2", "BebasNeue-Regular.ttf"],
+  ["BebasNeue-Regular-hmtx.woff2", "BebasNeue-Regular.ttf"],
+  ["SigmaSerif-Headline.woff2", "SigmaSerif-Headline.otf"],
+];
+const REBUILT = ["glyf", "loca"];
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+function loadWoff2(woff2) {
+  return new FontParser().fromBuffer(toArrayBuffer(woff2));
+}
+
+/**
+ * The encoder zeroes head.checkSumAdjustment and sets flags bit 11
+ */
+function normalizeHead(head) {
+  const copy = Buffer.from(head);
+  copy.writeUInt32BE(0, 8);
+  copy.writeUInt16BE(copy.readUInt16BE(16) & ~0x0800, 16);
+  return copy;
+}
+
+/**
+ * Walk the table directory of a WOFF2 file
+ * @returns {Object} {end, starts}: where the directory ends, and the start of
+ *   each table in the decompressed stream (by known tag index)
+ */
+function readDirectory(woff2) {
+  let offset = 48;
+  const readBase128 = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = woff2[offset++];
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  const starts = {};
+  let start = 0;
+  for (let i = 0; i < woff2.readUInt16BE(12); i++) {
+    const flags = woff2[offset++];
+    const tag = flags & 0x3f;
+    if (tag === 63) offset += 4;
+    let length = readBase128();
+    const version = flags >> 6;
+    if (tag === 10 || tag === 11 ? version === 0 : version !== 0) {
+      length = readBase128(); // transformLength
+    }
+    starts[tag] = start;
+    start += length;
+  }
+  return { end: offset, starts };
+}
+
+/**
+ * Split a single-font WOFF2 file into its header and table directory, the
+ * decompressed stream and the table starts
+ */
+function unpack(woff2) {
+  const { end, starts } = readDirectory(woff2);
+  const compressed = woff2.subarray(end, end + woff2.readUInt32BE(20));
+  return {
+    directory: woff2.subarray(0, end),
+    stream: zlib.brotliDecompressSync(compressed),
+    starts,
+  };
+}
+
+/**
+ * Reassemble a WOFF2 file from a directory and an uncompressed stream
+ */
+function repack(directory, stream) {
+  const compressed = zlib.brotliCompressSync(stream);
+  const woff2 = Buffer.concat([directory, compressed]);
+  woff2.writeUInt32BE(woff2.length, 8);
+  woff2.writeUInt32BE(compressed.length, 20);
+  return woff2;
+}
+
+for (const [fixture, font] of CASES) {
+  test(`${fixture} decodes to the tables of ${font}`, () => {
+    const expected = readTables(readFont(font)).tables;
+    const actual = readTables(
+      Buffer.from(loadWoff2(readFixture(fixture)).buffer)
+    ).tables;
+
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    for (const tag of Object.keys(expected)) {
+      if (REBUILT.includes(tag)) continue;
+      const [a, b] =
+        tag === "head"
+          ? [normalizeHead(actual.head), normalizeHead(expected.head)]
+          : [actual[tag], expected[tag]];
+      assert.ok(a.equals(b), `${tag} differs`);
+    }
+  });
+}
+
+test("rebuilt glyf and loca give the original outlines", () => {
+  const woff2 = loadWoff2(readFixture("BebasNeue-Regular.woff2"));
+  const ttf = loadFont("BebasNeue-Regular.ttf");
+  const { tables } = readTables(Buffer.from(woff2.buffer));
+  const numGlyphs = ttf.data.numGlyphs;
+
+  // Short loca (indexToLocFormat 0) with one entry past the last glyph
+  assert.equal(tables.head.readInt16BE(50), 0);
+  assert.equal(tables.loca.length, (numGlyphs + 1) * 2);
+  assert.equal(tables.loca.readUInt16BE(numGlyphs * 2) * 2, tables.glyf.length);
+
+  // Simple, composite and empty glyphs, with their bounding boxes
+  for (let glyphId = 0; glyphId < numGlyphs; glyphId++) {
+    assert.deepEqual(
+      woff2.parseGlyph(glyphId),
+      ttf.parseGlyph(glyphId),
+      `glyph ${glyphId}`
+    );
+  }
+  assert.equal(
+    woff2.path("\u00c5\u00c9").paths,
+    ttf.path("\u00c5\u00c9").paths
+  );
+});
+
+test("transformed hmtx restores omitted left side bearings", () => {
+  const woff2 = loadWoff2(readFixture("BebasNeue-Regular-hmtx.woff2"));
+  const ttf = loadFont("BebasNeue-Regular.ttf");
+
+  for (let glyphId = 0; glyphId < ttf.data.numGlyphs; glyphId++) {
+    assert.deepEqual(
+      woff2.getGlyphMetrics(glyphId),
+      ttf.getGlyphMetrics(glyphId)
+    );
+  }
+});
+
+test("truncated WOFF2 files fail with a clear error", () => {
+  const woff2 = readFixture("BebasNeue-Regular.woff2");
+  const { directory } = unpack(woff2);
+
+  assert.throws(
+    () => loadWoff2(woff2.subarray(0, 40)),
+    /WOFF2 header is truncated/
+  );
+  assert.throws(
+    () => loadWoff2(woff2.subarray(0, directory.length - 3)),
+    /WOFF2 table directory is truncated/
+  );
+  assert.throws(
+    () => loadWoff2(woff2.subarray(0, woff2.length - 100)),
+    /WOFF2 compressed data extends past the end of the file/
+  );
+});
+
+test("corrupt WOFF2 data fails with a clear error", () => {
+  const woff2 = readFixture("BebasNeue-Regular.woff2");
+  const { directory, stream, starts } = unpack(woff2);
+  const glyfStart = starts[10]; // Known tag index of glyf
+
+  // totalCompressedSize too small, so the Brotli stream ends early
+  const cut = Buffer.from(woff2);
+  cut.writeUInt32BE(cut.readUInt32BE(20) - 100, 20);
+  assert.throws(() => loadWoff2(cut), /Unexpected end of compressed data/);
+
+  // Decompressed stream shorter than the table directory promises
+  assert.throws(
+    () => loadWoff2(repack(directory, stream.subarray(0, stream.length - 10))),
+    /Brotli data decompressed to \d+ bytes, expected \d+/
+  );
+
+  // glyf substream sizes that run past the transformed table
+  const badGlyf = Buffer.from(stream);
+  badGlyf.writeUInt32BE(0x7fffffff, glyfStart + 8); // nContourStreamSize
+  assert.throws(
+    () => loadWoff2(repack(directory, badGlyf)),
+    /WOFF2 stream extends past the end of its table/
+  );
+
+  // Points that read past the end of their substream
+  const badPoints = Buffer.from(stream);
+  badPoints.writeUInt32BE(0, glyfStart + 16); // flagStreamSize
+  assert.throws(
+    () => loadWoff2(repack(directory, badPoints)),
+    /Unexpected end of WOFF2 glyph data/
+  );
+});
+
+test("WOFF2 collections decode to a collection with shared tables", () => {
+  const woff2 = toArrayBuffer(readFixture("BebasNeue-collection.woff2"));
+  const ttf = loadFont("BebasNeue-Regular.ttf");
+  const first = new FontParser().fromBuffer(woff2);
+  const second = new FontParser().fromBuffer(woff2, { faceIndex: 1 });
+
+  assert.deepEqual(
+    first.getFaces().map((face) => face.name),
+    ["Bebas Neue Regular", "Sigma Serif Headline"]
+  );
+  assert.equal(second.data.name, "Sigma Serif Headline");
+  assert.throws(
+    () => new FontParser().fromBuffer(woff2, { faceIndex: 2 }),
+    /Face index 2 out of range \(font has 2 faces\)/
+  );
+
+  const glyphId = ttf.getGlyphId("R");
+  const { advanceWidth } = ttf.getGlyphMetrics(glyphId);
+  assert.equal(first.getGlyphMetrics(glyphId).advanceWidth, advanceWidth);
+  assert.equal(
+    second.getGlyphMetrics(glyphId).advanceWidth,
+    advanceWidth + 100
+  );
+  assert.deepEqual(first.parseGlyph(glyphId), ttf.parseGlyph(glyphId));
+  assert.deepEqual(second.parseGlyph(glyphId), ttf.parseGlyph(glyphId));
+
+  // Both faces point at the same rebuilt glyf
+  assert.equal(first.tables.glyf.offset, second.tables.glyf.offset);
+  assert.notEqual(first.tables.hmtx.offset, second.tables.hmtx.offset);
+});
+
+test("malformed WOFF2 collection directories fail with a clear error", () => {
+  const woff2 = readFixture("BebasNeue-collection.woff2");
+  const { end } = readDirectory(woff2); // The collection header follows
+
+  assert.throws(
+    () => loadWoff2(woff2.subarray(0, end + 6)),
+    /WOFF2 table directory is truncated/
+  );
+
+  // version, numFonts, then the first font's numTables and flavor
+  const badIndex = Buffer.from(woff2);
+  badIndex[end + 4 + 1 + 1 + 4] = 250;
+  assert.throws(
+    () => loadWoff2(badIndex),
+    /Invalid WOFF2 collection table index 250/
+  );
+});